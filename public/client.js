@@ -2,42 +2,14 @@
  * Location   : public/client.js
  * Purpose    : Client-side logic for TinyTerminal
  * Why        : Handle xterm.js, WebSocket, input control, and special keys
- * Related    : public/index.html, src/server.js
+ * Related    : public/index.html, public/theme.js, public/passkey.js, src/server.js
  */
 
-// Font size from localStorage or default
-const savedFontSize = parseInt(localStorage.getItem('tt-font-size'), 10);
-const initialFontSize = (savedFontSize >= 8 && savedFontSize <= 28) ? savedFontSize : 13;
-
-// Initialize xterm.js
+// Initialize xterm.js (colors and font shared with the player via theme.js)
 const terminal = new Terminal({
   scrollback: 5000,
   cursorBlink: true,
-  fontSize: initialFontSize,
-  fontFamily: "'JetBrains Mono', 'Fira Code', monospace",
-  theme: {
-    background: '#0c0c14',
-    foreground: '#e0e0e0',
-    cursor: '#4ade80',
-    cursorAccent: '#0c0c14',
-    selectionBackground: '#3a3a44',
-    black: '#1a1a24',
-    red: '#f87171',
-    green: '#4ade80',
-    yellow: '#fbbf24',
-    blue: '#60a5fa',
-    magenta: '#c084fc',
-    cyan: '#22d3ee',
-    white: '#e0e0e0',
-    brightBlack: '#3a3a44',
-    brightRed: '#fca5a5',
-    brightGreen: '#86efac',
-    brightYellow: '#fcd34d',
-    brightBlue: '#93c5fd',
-    brightMagenta: '#d8b4fe',
-    brightCyan: '#67e8f9',
-    brightWhite: '#f5f5f5',
-  },
+  ...terminalAppearance(),
 });
 
 // Fit addon for responsive sizing
@@ -54,6 +26,86 @@ let ws = null;
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 5;
 let isReconnecting = false; // バックグラウンド復帰時の重複接続防止
+let isWaitingForSessionChoice = false; // セッション喪失後はresizeで勝手にシェルを起動しない
+
+// Security: The login cookie replaced ?token= links; keep an old bookmark's token
+// out of the address bar and history
+if (new URLSearchParams(window.location.search).has('token')) {
+  const cleanUrl = new URL(window.location);
+  cleanUrl.searchParams.delete('token');
+  window.history.replaceState({}, '', cleanUrl);
+}
+
+// Binary terminal I/O: offered as a WebSocket subprotocol, the server opts in by accepting it
+// Frames are an opcode byte and its payload (see src/frames.js); control messages stay JSON
+const BINARY_PROTOCOL = 'tinyterminal.binary.v1';
+const FRAME_INPUT = 0x01;
+const FRAME_OUTPUT = 0x02;
+const FRAME_REPLAY = 0x03;
+
+// Protocol handshake: sent first on every connection (see src/protocol.js)
+// Features the server does not list in its hello are not used
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 1;
+const CLIENT_CAPABILITIES = ['binary', 'flow', 'resume', 'ping'];
+
+// Flow control: output is acknowledged after xterm.js has rendered it, every this many chars
+// Must stay below the server's low watermark (FLOW_LOW_WATERMARK) so a paused PTY resumes
+const FLOW_ACK_INTERVAL = 8192;
+
+// Server-side session ID (per tab, survives reload) used to reattach after disconnect
+const SESSION_STORAGE_KEY = 'tt-session-id';
+
+// Sequence number of the last output rendered, so reattach replays only what was missed
+// In memory only: after a reload the terminal is empty and needs the full buffer
+let lastOutputSeq = 0;
+
+// Sequence number last acknowledged to the server (flow control)
+let ackedOutputSeq = 0;
+
+// Capabilities agreed in the server's hello (empty until it arrives, and for servers without one)
+let serverCapabilities = new Set();
+
+// Latest session list from the server (for the tab strip)
+let sessionList = [];
+
+// Launch profile names offered by the server (first = default)
+let profileList = [];
+
+// Read-only spectator state: the watched session and the owner's terminal size
+// Not persisted; after a reload the tab starts as an owner again
+let watchingSessionId = null;
+let spectatorSize = null;
+
+// Multi-writer state: session shared with its owner (input allowed, not persisted either)
+let joinedSessionId = null;
+
+// Signed-in user from the server's users file (null with a single token)
+// Other users' sessions can only be watched; read-only users watch everything
+let currentUser = null;
+let readOnlyUser = false;
+
+// Hide the "who is typing" indicator after this long without input from others
+const TYPING_INDICATOR_TIMEOUT = 2000;
+let typingTimer = null;
+
+// Idle timeouts announced by the server: deadline (ms epoch) per action, null when not pending
+const idleDeadlines = { lock: null, kill: null };
+let idleCountdownTimer = null;
+let isLocked = false; // Locked after TINYTERMINAL_IDLE_LOCK until the token is entered again
+
+// Connection quality: an app-level ping every LINK_PING_INTERVAL, shown as the average
+// of the last LINK_SAMPLES round trips and download rates (30 seconds)
+const LINK_PING_INTERVAL = 5000;
+const LINK_SAMPLES = 6;
+// Round trip above which the status bar shows the warning colour (ms), as in the server log
+const LINK_WARNING_RTT = 250;
+let linkPingTimer = null;
+let linkPingId = 0;
+let pendingPing = null; // { id, sentAt } until its pong arrives
+let rttSamples = [];
+let rateSamples = []; // Bytes per second received between pings
+let receivedBytes = 0;
 
 // textarea送信中フラグ（二重エンター問題対策）
 let isTextareaSending = false;
@@ -76,6 +128,17 @@ const expandedTextarea = document.getElementById('expanded-textarea');
 const collapseBtn = document.getElementById('collapse-btn');
 const sendExpandedBtn = document.getElementById('send-expanded-btn');
 const charCount = document.getElementById('char-count');
+const sessionTabs = document.getElementById('session-tabs');
+const newSessionBtn = document.getElementById('new-session-btn');
+const profileSelect = document.getElementById('profile-select');
+const viewerCount = document.getElementById('viewer-count');
+const typingIndicator = document.getElementById('typing-indicator');
+const idleCountdown = document.getElementById('idle-countdown');
+const linkQuality = document.getElementById('link-quality');
+const lockScreen = document.getElementById('lock-screen');
+const lockMessage = document.getElementById('lock-message');
+const unlockToken = document.getElementById('unlock-token');
+const unlockCode = document.getElementById('unlock-code');
 
 /**
  * Update connection status UI
@@ -104,29 +167,53 @@ function connect() {
   const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
   const wsUrl = `${protocol}//${window.location.host}`;
 
-  ws = new WebSocket(wsUrl);
+  ws = new WebSocket(wsUrl, BINARY_PROTOCOL);
+  ws.binaryType = 'arraybuffer';
 
   ws.onopen = () => {
     console.log('WebSocket connected');
     updateStatus(true);
     reconnectAttempts = 0;
     isReconnecting = false;
-
-    // Send authentication message if token is present in URL
-    const urlParams = new URLSearchParams(window.location.search);
-    const token = urlParams.get('token');
-    if (token) {
+    // Authentication rides on the login cookie sent with the upgrade request
+
+    // Say which protocol this page speaks before anything else
+    serverCapabilities = new Set();
+    ws.send(
+      JSON.stringify({
+        type: 'hello',
+        version: PROTOCOL_VERSION,
+        minVersion: MIN_PROTOCOL_VERSION,
+        capabilities: CLIENT_CAPABILITIES,
+      })
+    );
+
+    // Reattach to the PTY that survived the disconnect (must precede the first resize)
+    const sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (watchingSessionId) {
       ws.send(
         JSON.stringify({
-          type: 'auth',
-          token: token,
+          type: 'watch',
+          sessionId: watchingSessionId,
+          seq: lastOutputSeq,
+        })
+      );
+    } else if (joinedSessionId) {
+      ws.send(
+        JSON.stringify({
+          type: 'join',
+          sessionId: joinedSessionId,
+          seq: lastOutputSeq,
+        })
+      );
+    } else if (sessionId) {
+      ws.send(
+        JSON.stringify({
+          type: 'attach',
+          sessionId,
+          seq: lastOutputSeq,
         })
       );
-
-      // Security: Remove token from URL to prevent it from staying in browser history
-      const cleanUrl = new URL(window.location);
-      cleanUrl.searchParams.delete('token');
-      window.history.replaceState({}, '', cleanUrl);
     }
 
     // Send initial resize immediately on connection
@@ -135,30 +222,141 @@ function connect() {
 
   ws.onmessage = (event) => {
     try {
+      if (event.data instanceof ArrayBuffer) {
+        receivedBytes += event.data.byteLength;
+        handleFrame(event.data);
+        return;
+      }
+      receivedBytes += event.data.length;
       const message = JSON.parse(event.data);
 
       if (message.type === 'output') {
         // Write PTY output to terminal
-        terminal.write(message.data);
+        writeOutput(message.data, message.seq);
+      } else if (message.type === 'replay') {
+        // Output buffered on the server while disconnected
+        // reset: part of what we had was evicted, repaint from the buffer instead
+        if (message.reset) {
+          terminal.reset();
+        }
+        writeOutput(message.data, message.seq);
+      } else if (message.type === 'hello') {
+        // Flow control starts here: the server counts output from now on
+        serverCapabilities = new Set(message.capabilities);
+        ackedOutputSeq = lastOutputSeq;
+        if (serverCapabilities.has('ping')) {
+          startLinkPings();
+        }
+      } else if (message.type === 'pong') {
+        handleLinkPong(message.id);
       } else if (message.type === 'connected') {
         console.log('PTY initialized');
+        currentUser = message.user ?? null;
+        readOnlyUser = message.readOnly === true;
+        newSessionBtn.hidden = readOnlyUser;
+        renderProfileSelect(message.profiles || []);
+        if (readOnlyUser && !watchingSessionId) {
+          terminal.write('\r\n[Read-only access. Pick a session to watch]\r\n');
+        }
+      } else if (message.type === 'session') {
+        // New PTY spawned: remember it so a reconnect can reattach
+        const previousId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+        if (previousId && previousId !== message.sessionId) {
+          terminal.write('\r\n[Previous session expired, started a new shell]\r\n');
+        }
+        sessionStorage.setItem(SESSION_STORAGE_KEY, message.sessionId);
+        lastOutputSeq = 0;
+        renderSessionTabs();
+      } else if (message.type === 'attached') {
+        console.log(`Attached to session ${message.sessionId}`);
+      } else if (message.type === 'watching') {
+        // Spectating: render at the PTY's size, which only its writers control
+        applySpectatorSize(message.cols, message.rows);
+      } else if (message.type === 'joined') {
+        console.log(`Joined session ${message.sessionId}`);
+      } else if (message.type === 'size') {
+        // PTY size differs from what this screen asked for (resize policy or spectating)
+        if (watchingSessionId) {
+          applySpectatorSize(message.cols, message.rows);
+        } else {
+          terminal.resize(message.cols, message.rows);
+        }
+      } else if (message.type === 'typing') {
+        showTyping(message.who);
+      } else if (message.type === 'idle') {
+        setIdleDeadline(message.action, message.seconds);
+      } else if (message.type === 'locked') {
+        setLocked(true, message.totp === true);
+      } else if (message.type === 'unlocked') {
+        setLocked(false);
+        // Size changes were withheld while locked
+        handleResize();
+      } else if (message.type === 'sessions') {
+        sessionList = message.sessions;
+        renderSessionTabs();
+      } else if (message.type === 'detached') {
+        // Session was taken over by another tab; do not fight over it
+        sessionStorage.removeItem(SESSION_STORAGE_KEY);
+        isWaitingForSessionChoice = true;
+        terminal.write('\r\n[Session opened in another tab. Pick a session or tap + for a new shell]\r\n');
+        renderSessionTabs();
       } else if (message.type === 'exit') {
         console.log(`PTY exited with code ${message.code}`);
-        terminal.write('\r\n[Process exited]\r\n');
+        if (watchingSessionId || joinedSessionId) {
+          leaveSharedSession();
+        } else {
+          sessionStorage.removeItem(SESSION_STORAGE_KEY);
+        }
+        isWaitingForSessionChoice = true;
+        setIdleDeadline('kill', null);
+        terminal.write(
+          message.reason === 'idle' ? '\r\n[Session closed after being idle]\r\n' : '\r\n[Process exited]\r\n'
+        );
+        renderSessionTabs();
       } else if (message.type === 'error') {
         console.error('Server error:', message.message);
-        terminal.write(`\r\n[Error: ${message.message}]\r\n`);
+        if (isLocked && message.retryAfter) {
+          // Too many wrong tokens on the lock screen: it stays up until the wait is over
+          lockMessage.textContent = `🔒 ${message.message}. Try again in ${formatWait(message.retryAfter)}`;
+        } else {
+          terminal.write(`\r\n[Error: ${message.message}]\r\n`);
+        }
       }
     } catch (err) {
       console.error('Failed to parse WebSocket message:', err);
     }
   };
 
-  ws.onclose = () => {
+  ws.onclose = (event) => {
     console.log('WebSocket disconnected');
     updateStatus(false);
+    stopLinkPings();
     isReconnecting = false;
 
+    // Not logged in, login expired or logged out: reconnecting would only fail again
+    if (event && event.code === 4001) {
+      terminal.write('\r\n[Signed out. Redirecting to login]\r\n');
+      window.location.assign('/login');
+      return;
+    }
+
+    // Not an allowed Tailscale user or device: there is no login to go to
+    if (event && event.code === 4003) {
+      terminal.write('\r\n[Access denied]\r\n');
+      return;
+    }
+
+    // Page and server speak no common protocol version (server upgraded under an open tab)
+    if (event && event.code === 4026) {
+      terminal.write('\r\n[This page does not match the server version. Reload the page]\r\n');
+      return;
+    }
+
+    // Security: Stay covered; a reconnect has to authenticate from scratch
+    if (isLocked) {
+      lockMessage.textContent = '🔒 Disconnected. Reload the page to sign in again';
+    }
+
     // Attempt reconnection
     if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
       reconnectAttempts++;
@@ -175,20 +373,200 @@ function connect() {
   };
 }
 
+/**
+ * Start measuring the connection (after a hello that agreed on 'ping')
+ */
+function startLinkPings() {
+  stopLinkPings();
+  linkPingTimer = setInterval(sendLinkPing, LINK_PING_INTERVAL);
+  sendLinkPing();
+}
+
+/**
+ * Stop measuring and hide the numbers (disconnected)
+ */
+function stopLinkPings() {
+  clearInterval(linkPingTimer);
+  linkPingTimer = null;
+  pendingPing = null;
+  rttSamples = [];
+  rateSamples = [];
+  receivedBytes = 0;
+  linkQuality.hidden = true;
+}
+
+/**
+ * Keep the last LINK_SAMPLES values of a rolling window
+ * @param {number[]} samples - Window
+ * @param {number} value - New sample
+ * @returns {number[]} Updated window
+ */
+function pushSample(samples, value) {
+  return [...samples, value].slice(-LINK_SAMPLES);
+}
+
+/**
+ * Average of a rolling window
+ * @param {number[]} samples - Window
+ * @returns {number|null} Rounded average, null when empty
+ */
+function averageOf(samples) {
+  if (samples.length === 0) return null;
+  return Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length);
+}
+
+/**
+ * Send the next ping, reporting the current averages for the server log
+ * A ping still unanswered counts as a round trip of at least the time waited,
+ * so a stalled link shows up instead of keeping its last good value
+ */
+function sendLinkPing() {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  const now = Date.now();
+  if (pendingPing) {
+    rttSamples = pushSample(rttSamples, now - pendingPing.sentAt);
+  }
+  if (linkPingId > 0) {
+    rateSamples = pushSample(rateSamples, (receivedBytes * 1000) / LINK_PING_INTERVAL);
+  }
+  receivedBytes = 0;
+  renderLinkQuality();
+
+  linkPingId++;
+  pendingPing = { id: linkPingId, sentAt: now };
+  ws.send(
+    JSON.stringify({
+      type: 'ping',
+      id: linkPingId,
+      rtt: averageOf(rttSamples),
+      throughput: averageOf(rateSamples),
+    })
+  );
+}
+
+/**
+ * Record the round trip of the ping a pong answers
+ * @param {number} id - Ping ID echoed by the server
+ */
+function handleLinkPong(id) {
+  if (!pendingPing || pendingPing.id !== id) return;
+  rttSamples = pushSample(rttSamples, Date.now() - pendingPing.sentAt);
+  pendingPing = null;
+  renderLinkQuality();
+}
+
+/**
+ * Format a transfer rate for the status bar
+ * @param {number} bytesPerSecond - Rate
+ * @returns {string} e.g. "512 B/s", "12.3 KB/s" or "1.5 MB/s"
+ */
+function formatRate(bytesPerSecond) {
+  if (bytesPerSecond < 1024) return `${bytesPerSecond} B/s`;
+  if (bytesPerSecond < 1024 * 1024) return `${(bytesPerSecond / 1024).toFixed(1)} KB/s`;
+  return `${(bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s`;
+}
+
+/**
+ * Show the average round trip and download rate, in the warning colour on a slow link
+ */
+function renderLinkQuality() {
+  const rtt = averageOf(rttSamples);
+  if (rtt === null) {
+    linkQuality.hidden = true;
+    return;
+  }
+  const rate = averageOf(rateSamples);
+  linkQuality.textContent = rate === null ? `${rtt} ms` : `${rtt} ms · ${formatRate(rate)}`;
+  linkQuality.classList.toggle('degraded', rtt > LINK_WARNING_RTT);
+  linkQuality.hidden = false;
+}
+
+/**
+ * Read the 48-bit output sequence number of a frame
+ * @param {DataView} view - Frame
+ * @param {number} offset - Byte offset of the sequence number
+ * @returns {number} Sequence number
+ */
+function readFrameSeq(view, offset) {
+  return view.getUint16(offset) * 2 ** 32 + view.getUint32(offset + 2);
+}
+
+/**
+ * Render a binary output or replay frame
+ * xterm.js decodes the UTF-8 bytes itself, across chunk boundaries
+ * @param {ArrayBuffer} buffer - Frame
+ */
+function handleFrame(buffer) {
+  const view = new DataView(buffer);
+  const opcode = view.getUint8(0);
+  if (opcode === FRAME_OUTPUT) {
+    writeOutput(new Uint8Array(buffer, 7), readFrameSeq(view, 1));
+  } else if (opcode === FRAME_REPLAY) {
+    // Same as the JSON replay message: bit 0 of the flags is reset
+    if (view.getUint8(1) & 1) {
+      terminal.reset();
+    }
+    writeOutput(new Uint8Array(buffer, 8), readFrameSeq(view, 2));
+  } else {
+    console.error(`Unknown frame opcode: ${opcode}`);
+  }
+}
+
+/**
+ * Render PTY output and acknowledge it once xterm.js has parsed it
+ * @param {string|Uint8Array} data - Output text (JSON) or UTF-8 bytes (binary frame)
+ * @param {number} seq - Sequence number just past this chunk
+ */
+function writeOutput(data, seq) {
+  lastOutputSeq = seq;
+  terminal.write(data, () => acknowledgeOutput(seq));
+}
+
+/**
+ * Tell the server how far this tab has rendered (flow control)
+ * Sent every FLOW_ACK_INTERVAL chars, and right away after a switch to another
+ * session (sequence numbers start over)
+ * @param {number} seq - Sequence number rendered up to
+ */
+function acknowledgeOutput(seq) {
+  // Servers that did not agree to flow control would reject the message
+  if (!serverCapabilities.has('flow')) return;
+  if (seq >= ackedOutputSeq && seq - ackedOutputSeq < FLOW_ACK_INTERVAL) return;
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  ackedOutputSeq = seq;
+  ws.send(JSON.stringify({ type: 'ack', seq }));
+}
+
 /**
  * Send input to server
- * @param {string} text - Input text
+ * @param {string|Uint8Array} input - Input text, or raw bytes (xterm.js onBinary)
  */
-function sendInput(text) {
+function sendInput(input) {
   if (!ws || ws.readyState !== WebSocket.OPEN) {
     console.error('WebSocket not connected');
     return;
   }
+  // Spectators are read-only (the server rejects it anyway); locked screens send nothing
+  if (watchingSessionId || isLocked) {
+    return;
+  }
 
+  if (ws.protocol === BINARY_PROTOCOL) {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    const frame = new Uint8Array(bytes.length + 1);
+    frame[0] = FRAME_INPUT;
+    frame.set(bytes, 1);
+    ws.send(frame);
+    return;
+  }
+  // JSON text cannot carry raw bytes
+  if (typeof input !== 'string') {
+    return;
+  }
   ws.send(
     JSON.stringify({
       type: 'input',
-      data: text,
+      data: input,
     })
   );
 }
@@ -202,6 +580,11 @@ function sendResize(cols, rows) {
   if (!ws || ws.readyState !== WebSocket.OPEN) {
     return;
   }
+  // Without a session, a resize would spawn a shell nobody asked for
+  // Spectators never resize: the owner governs the PTY size
+  if (isWaitingForSessionChoice || watchingSessionId || isLocked) {
+    return;
+  }
 
   ws.send(
     JSON.stringify({
@@ -212,6 +595,394 @@ function sendResize(cols, rows) {
   );
 }
 
+/**
+ * Whether this user may drive a session (type, take over, rename, kill)
+ * The server enforces the same rule; this only keeps the UI from offering it
+ * @param {object} session - Session summary
+ * @returns {boolean} True if allowed
+ */
+function canDrive(session) {
+  return !readOnlyUser && (session.user ?? null) === currentUser;
+}
+
+/**
+ * Render the session picker tab strip from the latest session list
+ * Security: Session names are user-supplied, so only textContent is used
+ */
+function renderSessionTabs() {
+  const currentId =
+    watchingSessionId || joinedSessionId || sessionStorage.getItem(SESSION_STORAGE_KEY);
+  sessionTabs.replaceChildren();
+
+  sessionList.forEach((session) => {
+    const tab = document.createElement('button');
+    tab.className = 'session-tab';
+    tab.dataset.sessionId = session.id;
+    if (session.id === watchingSessionId) {
+      tab.classList.add('active', 'watching');
+      tab.title = 'Watching (read-only). Tap to take control';
+    } else if (session.id === joinedSessionId) {
+      tab.classList.add('active', 'shared');
+      tab.title = 'Shared with its owner. Tap to take control';
+    } else if (session.id === currentId) {
+      tab.classList.add('active');
+    } else if (!canDrive(session)) {
+      tab.title = 'Tap to watch (read-only)';
+    } else if (session.attached) {
+      tab.classList.add('busy');
+      tab.title = 'Open in another tab. Tap to join or watch';
+    }
+    if (!tab.title && session.profile && profileList.length > 1) {
+      tab.title = `Profile: ${session.profile}`;
+    }
+
+    const label = document.createElement('span');
+    label.className = 'session-name';
+    // Other users' sessions carry their name
+    const foreign = session.user && session.user !== currentUser;
+    label.textContent = foreign ? `${session.name} (${session.user})` : session.name;
+    tab.appendChild(label);
+
+    if (canDrive(session)) {
+      const killBtn = document.createElement('span');
+      killBtn.className = 'session-kill';
+      killBtn.textContent = '×';
+      killBtn.title = 'Kill session';
+      tab.appendChild(killBtn);
+    }
+
+    sessionTabs.appendChild(tab);
+  });
+
+  renderViewerCount(findSession(currentId));
+}
+
+/**
+ * Offer the server's launch profiles for new sessions (hidden with only one)
+ * Security: Names are set with textContent/value only
+ * @param {string[]} profiles - Profile names, default first
+ */
+function renderProfileSelect(profiles) {
+  const previous = profileSelect.value;
+  profileList = profiles;
+  profileSelect.replaceChildren();
+  profiles.forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    profileSelect.appendChild(option);
+  });
+  if (profiles.includes(previous)) {
+    profileSelect.value = previous;
+  }
+  profileSelect.hidden = profiles.length <= 1 || readOnlyUser;
+}
+
+/**
+ * Show how many other writers and spectators share the current session
+ * @param {object|undefined} current - Current session summary
+ */
+function renderViewerCount(current) {
+  const writers = current ? current.writers : 0;
+  const viewers = current ? current.viewers : 0;
+  const parts = [];
+  if (writers > 0) parts.push(`✎ ${writers}`);
+  if (viewers > 0) parts.push(`👁 ${viewers}`);
+  viewerCount.hidden = parts.length === 0;
+  viewerCount.textContent = parts.join(' ');
+}
+
+/**
+ * Show who else is typing in the shared session for a moment
+ * @param {string} who - Identity of the typing client
+ */
+function showTyping(who) {
+  typingIndicator.textContent = `${who} typing…`;
+  typingIndicator.hidden = false;
+  clearTimeout(typingTimer);
+  typingTimer = setTimeout(() => {
+    typingIndicator.hidden = true;
+  }, TYPING_INDICATOR_TIMEOUT);
+}
+
+/**
+ * Start or clear an idle countdown announced by the server
+ * @param {string} action - 'lock' (this screen) or 'kill' (the session's PTY)
+ * @param {number|null} seconds - Seconds left, null once someone typed again
+ */
+function setIdleDeadline(action, seconds) {
+  if (!(action in idleDeadlines)) return;
+  idleDeadlines[action] = seconds === null ? null : Date.now() + seconds * 1000;
+
+  clearInterval(idleCountdownTimer);
+  idleCountdownTimer = null;
+  if (idleDeadlines.lock !== null || idleDeadlines.kill !== null) {
+    idleCountdownTimer = setInterval(renderIdleCountdown, 1000);
+  }
+  renderIdleCountdown();
+}
+
+/**
+ * Show the nearest pending idle action and its time left (m:ss)
+ */
+function renderIdleCountdown() {
+  const pending = Object.entries(idleDeadlines).filter(([, deadline]) => deadline !== null);
+  if (pending.length === 0) {
+    idleCountdown.hidden = true;
+    return;
+  }
+
+  const [action, deadline] = pending.reduce((a, b) => (b[1] < a[1] ? b : a));
+  const left = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+  const icon = action === 'lock' ? '🔒' : '⏻';
+  idleCountdown.textContent = `${icon} ${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`;
+  idleCountdown.title = action === 'lock' ? 'Locks when idle' : 'Shell is closed when idle';
+  idleCountdown.hidden = false;
+}
+
+/**
+ * Format a lockout wait for people
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} e.g. "45s" or "15 min"
+ */
+function formatWait(seconds) {
+  return seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`;
+}
+
+/**
+ * Cover the terminal with the lock screen, or remove it after re-auth
+ * @param {boolean} locked - Lock state from the server
+ * @param {boolean} [totp] - The server also wants a TOTP code to unlock
+ */
+function setLocked(locked, totp = false) {
+  isLocked = locked;
+  lockScreen.hidden = !locked;
+  unlockToken.value = '';
+  unlockCode.value = '';
+  unlockCode.hidden = !totp;
+  if (locked) {
+    setIdleDeadline('lock', null);
+    lockMessage.textContent = '🔒 Locked after inactivity';
+    unlockToken.focus();
+  }
+}
+
+/**
+ * Resize the local terminal to the owner's size while spectating
+ * @param {number} cols - Owner's terminal columns
+ * @param {number} rows - Owner's terminal rows
+ */
+function applySpectatorSize(cols, rows) {
+  if (!watchingSessionId) return;
+  spectatorSize = { cols, rows };
+  terminal.resize(cols, rows);
+}
+
+/**
+ * Watch a session read-only (it is driven from another tab or device)
+ * @param {string} sessionId - Session to watch
+ */
+function watchSession(sessionId) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+  leaveSharedSession();
+  isWaitingForSessionChoice = false;
+  watchingSessionId = sessionId;
+  terminal.options.disableStdin = true;
+  terminal.reset();
+  lastOutputSeq = 0;
+  ws.send(
+    JSON.stringify({
+      type: 'watch',
+      sessionId,
+      seq: 0,
+    })
+  );
+  renderSessionTabs();
+}
+
+/**
+ * Type into a session together with its owner
+ * The server arbitrates the PTY size, so this screen may be told to render smaller
+ * @param {string} sessionId - Session to join
+ */
+function joinSession(sessionId) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+  leaveSharedSession();
+  isWaitingForSessionChoice = false;
+  joinedSessionId = sessionId;
+  terminal.reset();
+  lastOutputSeq = 0;
+  ws.send(
+    JSON.stringify({
+      type: 'join',
+      sessionId,
+      seq: 0,
+    })
+  );
+  // Report this screen's size to the resize policy
+  handleResize();
+  renderSessionTabs();
+}
+
+/**
+ * Leave spectator or writer mode and go back to fitting the terminal to this screen
+ */
+function leaveSharedSession() {
+  watchingSessionId = null;
+  joinedSessionId = null;
+  spectatorSize = null;
+  terminal.options.disableStdin = false;
+}
+
+/**
+ * Switch this tab to another running session
+ * The terminal is cleared and the server replays the session's buffer
+ * @param {string} sessionId - Session to attach to
+ */
+function switchSession(sessionId) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  if (
+    sessionId === sessionStorage.getItem(SESSION_STORAGE_KEY) &&
+    !watchingSessionId &&
+    !joinedSessionId
+  ) {
+    return;
+  }
+
+  leaveSharedSession();
+  isWaitingForSessionChoice = false;
+  sessionStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+  terminal.reset();
+  lastOutputSeq = 0;
+  ws.send(
+    JSON.stringify({
+      type: 'attach',
+      sessionId,
+      seq: 0,
+    })
+  );
+  // Apply this tab's size to the session we just took over
+  handleResize();
+  renderSessionTabs();
+}
+
+/**
+ * Open a new session and switch this tab to it
+ */
+function createNewSession() {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+  leaveSharedSession();
+  isWaitingForSessionChoice = false;
+  // Forget the current ID first so the 'session' reply is not reported as an expiry
+  sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  terminal.reset();
+  lastOutputSeq = 0;
+  const message = {
+    type: 'create',
+    cols: terminal.cols,
+    rows: terminal.rows,
+  };
+  // Only name a profile when there is a choice; the server defaults to the first
+  if (profileList.length > 1) {
+    message.profile = profileSelect.value;
+  }
+  ws.send(JSON.stringify(message));
+}
+
+/**
+ * Find a session in the latest list
+ * @param {string} sessionId - Session ID
+ * @returns {object|undefined} Session summary
+ */
+function findSession(sessionId) {
+  return sessionList.find((session) => session.id === sessionId);
+}
+
+// Tab strip: tap to switch, × to kill
+sessionTabs.addEventListener('click', (e) => {
+  const tab = e.target.closest('.session-tab');
+  if (!tab) return;
+  const session = findSession(tab.dataset.sessionId);
+  if (!session) return;
+
+  if (e.target.classList.contains('session-kill')) {
+    if (window.confirm(`Kill session "${session.name}"?`)) {
+      ws.send(
+        JSON.stringify({
+          type: 'kill',
+          sessionId: session.id,
+        })
+      );
+    }
+    return;
+  }
+
+  if (!canDrive(session)) {
+    // Someone else's session (or read-only access): watching is all there is
+    if (session.id !== watchingSessionId) {
+      watchSession(session.id);
+    }
+  } else if (session.id === watchingSessionId || session.id === joinedSessionId) {
+    // Taking control detaches the owner's tab
+    if (window.confirm(`Take control of "${session.name}"?`)) {
+      switchSession(session.id);
+    }
+  } else if (session.attached && session.id !== sessionStorage.getItem(SESSION_STORAGE_KEY)) {
+    // Driven from elsewhere: share it or watch it instead of stealing it
+    if (window.confirm(`Join "${session.name}" and type together? (Cancel to watch read-only)`)) {
+      joinSession(session.id);
+    } else {
+      watchSession(session.id);
+    }
+  } else {
+    switchSession(session.id);
+  }
+});
+
+// Long-press (contextmenu on mobile) or right-click to rename
+sessionTabs.addEventListener('contextmenu', (e) => {
+  const tab = e.target.closest('.session-tab');
+  if (!tab) return;
+  e.preventDefault();
+  const session = findSession(tab.dataset.sessionId);
+  if (!session || !canDrive(session)) return;
+
+  const name = window.prompt('Session name', session.name);
+  if (name && name.trim() && name !== session.name) {
+    ws.send(
+      JSON.stringify({
+        type: 'rename',
+        sessionId: session.id,
+        name,
+      })
+    );
+  }
+});
+
+// Keep the soft keyboard open when tapping tabs
+sessionTabs.addEventListener('mousedown', (e) => e.preventDefault());
+
+newSessionBtn.addEventListener('click', createNewSession);
+
+// Re-authenticate on the lock screen; the server replays output missed while locked
+lockScreen.addEventListener('submit', (e) => {
+  e.preventDefault();
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  ws.send(
+    JSON.stringify({
+      type: 'unlock',
+      token: unlockToken.value,
+      ...(unlockCode.hidden ? {} : { code: unlockCode.value }),
+      seq: lastOutputSeq,
+    })
+  );
+  unlockToken.value = '';
+  unlockCode.value = '';
+});
+
 // Forward xterm.js keyboard input directly to PTY
 // Tapping the terminal area on mobile opens software keyboard for direct input
 terminal.onData((data) => {
@@ -226,6 +997,11 @@ terminal.onData((data) => {
   sendInput(data);
 });
 
+// Non-UTF-8 input (mouse reports in the X10 encoding) arrives as a byte string
+terminal.onBinary((data) => {
+  sendInput(Uint8Array.from(data, (char) => char.charCodeAt(0) & 0xff));
+});
+
 /**
  * Clear all modifier states
  */
@@ -258,7 +1034,7 @@ function sendWithModifiers(char) {
 }
 
 // Prevent focus steal on all UI buttons (keeps soft keyboard open)
-document.querySelectorAll('.key-btn, #send-btn, #expand-btn, #collapse-btn, #send-expanded-btn').forEach((btn) => {
+document.querySelectorAll('.key-btn, #send-btn, #expand-btn, #collapse-btn, #send-expanded-btn, #new-session-btn').forEach((btn) => {
   btn.addEventListener('mousedown', (e) => e.preventDefault());
 });
 
@@ -394,6 +1170,11 @@ expandedTextarea.addEventListener('input', updateCharCount);
 // due to DPR subpixel rounding. Correct by computing effective cell width
 // from physical pixel grid, then derive safe column count.
 function handleResize() {
+  // Spectators keep the owner's size regardless of their own screen
+  if (spectatorSize) {
+    terminal.resize(spectatorSize.cols, spectatorSize.rows);
+    return;
+  }
   fitAddon.fit();
   const containerWidth = terminalContainer.clientWidth;
   const cellW = terminal._core._renderService?.dimensions?.css?.cell?.width;
@@ -464,6 +1245,8 @@ const settingsPopup = document.getElementById('settings-popup');
 const fontDecrease = document.getElementById('font-decrease');
 const fontIncrease = document.getElementById('font-increase');
 const fontSizeDisplay = document.getElementById('font-size-display');
+const logoutBtn = document.getElementById('logout-btn');
+const passkeyAddBtn = document.getElementById('passkey-add-btn');
 
 fontSizeDisplay.textContent = terminal.options.fontSize;
 
@@ -486,14 +1269,59 @@ document.addEventListener('click', (e) => {
 
 function changeFontSize(delta) {
   const current = terminal.options.fontSize;
-  const next = Math.min(28, Math.max(8, current + delta));
+  const next = clampFontSize(current + delta);
   if (next === current) return;
   terminal.options.fontSize = next;
   fontSizeDisplay.textContent = next;
-  localStorage.setItem('tt-font-size', next);
+  saveFontSize(next);
   handleResize();
 }
 
+/**
+ * End the login session; the server closes this socket and the page goes to /login
+ * The PTY keeps running for the grace period like after any other disconnect
+ */
+async function logout() {
+  try {
+    await fetch('/api/logout', { method: 'POST' });
+  } catch (err) {
+    console.error('Logout failed:', err);
+  }
+  window.location.assign('/login');
+}
+
+logoutBtn.addEventListener('click', logout);
+
+/**
+ * Register a passkey on this device so the next login is one tap
+ * The result is written to the terminal like other connection notices
+ */
+async function addPasskey() {
+  settingsPopup.style.display = 'none';
+  try {
+    const { name } = await registerPasskey();
+    terminal.write(`\r\n[${name} added. Use it on the login page next time]\r\n`);
+  } catch (err) {
+    console.error('Passkey registration failed:', err);
+    terminal.write(`\r\n[Passkey not added: ${passkeyErrorMessage(err)}]\r\n`);
+  }
+}
+
+/**
+ * Show the Add passkey button when the server and this browser support passkeys
+ */
+async function showPasskeyAddButton() {
+  if (!isPasskeySupported()) return;
+  try {
+    passkeyAddBtn.hidden = !(await fetchPasskeyStatus()).enabled;
+  } catch (err) {
+    console.error('Passkey status failed:', err);
+  }
+}
+
+passkeyAddBtn.addEventListener('click', addPasskey);
+showPasskeyAddButton();
+
 fontDecrease.addEventListener('click', () => changeFontSize(-1));
 fontIncrease.addEventListener('click', () => changeFontSize(1));
 
@@ -0,0 +1,212 @@
+/**
+ * Location   : public/login.js
+ * Purpose    : Login page: exchange the token (and TOTP code) or a passkey for a session cookie
+ * Why        : The cookie is HttpOnly and sent with every reconnect, so the token
+ *              never sits in the URL, history or page memory
+ * Related    : public/login.html, public/passkey.js, src/auth.js, src/server.js
+ */
+
+// DOM elements
+const loginForm = document.getElementById('login-form');
+const loginMessage = document.getElementById('login-message');
+const loginUser = document.getElementById('login-user');
+const loginToken = document.getElementById('login-token');
+const loginCode = document.getElementById('login-code');
+const totpEnroll = document.getElementById('totp-enroll');
+const totpLink = document.getElementById('totp-link');
+const totpSecret = document.getElementById('totp-secret');
+const loginBtn = document.getElementById('login-btn');
+const passkeyBtn = document.getElementById('passkey-btn');
+const loginError = document.getElementById('login-error');
+
+// Pending login ID between the token and TOTP steps (null = token step)
+let pendingLogin = null;
+
+/**
+ * Page to return to after login
+ * Security: Only same-origin paths; "//host" and "/\host" would leave the site
+ * @param {string|null} next - ?next= value set by the server redirect
+ * @returns {string} Path to open
+ */
+function safeNextPath(next) {
+  if (typeof next !== 'string' || !/^\/(?![/\\])/.test(next)) {
+    return '/';
+  }
+  return next;
+}
+
+const nextPath = safeNextPath(new URLSearchParams(window.location.search).get('next'));
+
+/**
+ * POST JSON to a login endpoint
+ * @param {string} url - API URL
+ * @param {object} body - Request body
+ * @returns {Promise<Response>} Fetch response
+ */
+function postJson(url, body) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Switch to the TOTP step after the token was accepted
+ * @param {{ totp: string, pending: string, uri?: string, secret?: string }} body - Login API response
+ */
+function showCodeStep(body) {
+  pendingLogin = body.pending;
+  loginToken.hidden = true;
+  loginCode.hidden = false;
+  loginMessage.textContent = 'Enter the code from your authenticator app';
+
+  if (body.totp === 'enroll') {
+    // Security: Only otpauth: links, never a navigable URL from the response
+    if (typeof body.uri === 'string' && body.uri.startsWith('otpauth://')) {
+      totpLink.href = body.uri;
+    }
+    // Grouped in fours for typing into an app by hand
+    totpSecret.textContent = body.secret.match(/.{1,4}/g).join(' ');
+    totpEnroll.hidden = false;
+  }
+  loginCode.focus();
+}
+
+/**
+ * Go back to the token step (pending login expired or was used up)
+ * @param {string} message - Why the user has to start over
+ */
+function showTokenStep(message) {
+  pendingLogin = null;
+  loginToken.hidden = false;
+  loginCode.hidden = true;
+  totpEnroll.hidden = true;
+  totpLink.removeAttribute('href');
+  totpSecret.textContent = '';
+  loginMessage.textContent = 'TinyTerminal';
+  loginError.textContent = message;
+  loginToken.focus();
+}
+
+/**
+ * Explain how long to wait after too many failed attempts
+ * @param {Response} res - 429 response from the login API
+ */
+async function showLockedOut(res) {
+  const body = await res.json().catch(() => ({}));
+  const seconds = Number(body.retryAfter) || 0;
+  const wait = seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`;
+  loginError.textContent = seconds > 0 ? `Too many failed attempts. Try again in ${wait}` : 'Too many failed attempts';
+}
+
+/**
+ * Send the token (and user name, with a users file) to the login API
+ * @param {string} token - Token entered by the user
+ */
+async function submitLogin(token) {
+  const credentials = loginUser.hidden ? { token } : { user: loginUser.value.trim(), token };
+  const res = await postJson('/api/login', credentials);
+  if (res.status === 429) {
+    await showLockedOut(res);
+    return;
+  }
+  if (!res.ok) {
+    const invalid = loginUser.hidden ? 'Invalid token' : 'Invalid user or token';
+    loginError.textContent = res.status === 401 ? invalid : `Login failed (${res.status})`;
+    return;
+  }
+  const body = await res.json();
+  if (body.totp) {
+    showCodeStep(body);
+    return;
+  }
+  window.location.replace(nextPath);
+}
+
+/**
+ * Send the TOTP code for the pending login
+ * @param {string} code - Code from the authenticator app
+ */
+async function submitCode(code) {
+  const res = await postJson('/api/login/totp', { pending: pendingLogin, code });
+  if (res.ok) {
+    window.location.replace(nextPath);
+    return;
+  }
+  if (res.status === 429) {
+    await showLockedOut(res);
+    return;
+  }
+  const body = await res.json().catch(() => ({}));
+  if (body.error === 'Invalid code') {
+    loginError.textContent = 'Invalid code';
+  } else {
+    showTokenStep(`${body.error || `Login failed (${res.status})`}. Enter the token again`);
+  }
+}
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const input = pendingLogin ? loginCode : loginToken;
+  // Apps show codes as "123 456"; the token is sent exactly as typed
+  const value = pendingLogin ? input.value.replace(/\s/g, '') : input.value;
+  input.value = '';
+  loginBtn.disabled = true;
+  loginError.textContent = '';
+  try {
+    await (pendingLogin ? submitCode(value) : submitLogin(value));
+  } catch (err) {
+    console.error('Login failed:', err);
+    loginError.textContent = 'Login failed';
+  } finally {
+    loginBtn.disabled = false;
+  }
+});
+
+/**
+ * Ask for a user name when the server has a users file
+ */
+async function showUserField() {
+  try {
+    const res = await fetch('/api/login');
+    if (!res.ok) return;
+    const { users } = await res.json();
+    if (users) {
+      loginUser.hidden = false;
+      loginUser.focus();
+    }
+  } catch (err) {
+    console.error('Login status failed:', err);
+  }
+}
+
+/**
+ * Offer the passkey button when the browser and the server both support it
+ */
+async function showPasskeyButton() {
+  if (!isPasskeySupported()) return;
+  try {
+    const status = await fetchPasskeyStatus();
+    passkeyBtn.hidden = !(status.enabled && status.registered);
+  } catch (err) {
+    console.error('Passkey status failed:', err);
+  }
+}
+
+passkeyBtn.addEventListener('click', async () => {
+  passkeyBtn.disabled = true;
+  loginError.textContent = '';
+  try {
+    await signInWithPasskey();
+    window.location.replace(nextPath);
+  } catch (err) {
+    console.error('Passkey login failed:', err);
+    loginError.textContent = passkeyErrorMessage(err);
+  } finally {
+    passkeyBtn.disabled = false;
+  }
+});
+
+showUserField();
+showPasskeyButton();
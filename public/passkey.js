@@ -0,0 +1,138 @@
+/**
+ * Location   : public/passkey.js
+ * Purpose    : Passkey registration (from the terminal) and sign-in (from the login page)
+ * Why        : One tap on the phone's fingerprint or face unlock instead of typing the token
+ * Related    : public/login.js, public/client.js, src/webauthn.js, src/server.js
+ */
+
+// Design Decision: Plain function declarations like theme.js, loaded with a <script>
+// tag by both the terminal and the login page.
+
+/**
+ * Decode base64url into bytes
+ * @param {string} text - base64url string from the server
+ * @returns {ArrayBuffer} Bytes
+ */
+function base64urlToBuffer(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0)).buffer;
+}
+
+/**
+ * Encode bytes as base64url
+ * @param {ArrayBuffer} buffer - Bytes from the authenticator
+ * @returns {string} base64url string (no padding)
+ */
+function bufferToBase64url(buffer) {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Whether this browser can use passkeys at all
+ * Browsers only offer WebAuthn on HTTPS pages and http://localhost
+ * @returns {boolean} True if WebAuthn is available
+ */
+function isPasskeySupported() {
+  return typeof window.PublicKeyCredential === 'function' && Boolean(navigator.credentials);
+}
+
+/**
+ * Ask the server whether passkeys are enabled and registered
+ * @returns {Promise<{ enabled: boolean, registered: boolean }>} Passkey status
+ */
+async function fetchPasskeyStatus() {
+  const res = await fetch('/api/passkey', { credentials: 'same-origin' });
+  if (!res.ok) return { enabled: false, registered: false };
+  return res.json();
+}
+
+/**
+ * POST to the passkey API
+ * @param {string} url - API URL
+ * @param {object} body - Request body
+ * @returns {Promise<object>} Response body
+ * @throws {Error} With the server's error message if the request failed
+ */
+async function postPasskeyApi(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || `Request failed (${res.status})`);
+  }
+  return data;
+}
+
+/**
+ * Turn credential descriptors from the server into the form WebAuthn takes
+ * @param {Array<{ type: string, id: string }>} descriptors - Descriptors with base64url IDs
+ * @returns {Array<{ type: string, id: ArrayBuffer }>} Descriptors with binary IDs
+ */
+function toCredentialDescriptors(descriptors) {
+  return descriptors.map((descriptor) => ({ ...descriptor, id: base64urlToBuffer(descriptor.id) }));
+}
+
+/**
+ * Create a passkey on this device and register it (must be signed in)
+ * @param {string} [name] - Label stored with the passkey
+ * @returns {Promise<{ ok: boolean, name: string }>} Registered passkey
+ */
+async function registerPasskey(name) {
+  const options = await postPasskeyApi('/api/passkey/register/options', {});
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: base64urlToBuffer(options.challenge),
+      user: { ...options.user, id: base64urlToBuffer(options.user.id) },
+      excludeCredentials: toCredentialDescriptors(options.excludeCredentials),
+    },
+  });
+  return postPasskeyApi('/api/passkey/register', {
+    id: credential.id,
+    name,
+    clientDataJSON: bufferToBase64url(credential.response.clientDataJSON),
+    attestationObject: bufferToBase64url(credential.response.attestationObject),
+  });
+}
+
+/**
+ * Sign in with a passkey; the server sets the login cookie
+ * @returns {Promise<{ ok: boolean, expiresAt: number }>} Login result
+ */
+async function signInWithPasskey() {
+  const options = await postPasskeyApi('/api/passkey/login/options', {});
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: base64urlToBuffer(options.challenge),
+      allowCredentials: toCredentialDescriptors(options.allowCredentials),
+    },
+  });
+  return postPasskeyApi('/api/passkey/login', {
+    id: credential.id,
+    clientDataJSON: bufferToBase64url(credential.response.clientDataJSON),
+    authenticatorData: bufferToBase64url(credential.response.authenticatorData),
+    signature: bufferToBase64url(credential.response.signature),
+  });
+}
+
+/**
+ * Message for a failed passkey ceremony
+ * @param {Error} err - Error from WebAuthn or the server
+ * @returns {string} Text to show the user
+ */
+function passkeyErrorMessage(err) {
+  // NotAllowedError: cancelled, timed out, or no passkey for this site on the device
+  if (err.name === 'NotAllowedError') return 'Passkey cancelled';
+  if (err.name === 'InvalidStateError') return 'This device already has a passkey';
+  return err.message;
+}
@@ -0,0 +1,314 @@
+/**
+ * Location   : public/player.js
+ * Purpose    : Playback page for asciicast v2 session recordings
+ * Why        : Review unattended agent sessions in the browser, looking like the live terminal
+ * Related    : public/recordings.html, public/theme.js, src/recorder.js, src/server.js
+ */
+
+// DOM elements
+const recordingList = document.getElementById('recording-list');
+const recordingTitle = document.getElementById('recording-title');
+const player = document.getElementById('player');
+const playerTerminal = document.getElementById('player-terminal');
+const playBtn = document.getElementById('play-btn');
+const seekBar = document.getElementById('seek-bar');
+const timeDisplay = document.getElementById('time-display');
+const speedSelect = document.getElementById('speed-select');
+const idleSelect = document.getElementById('idle-select');
+
+// Playback state
+let terminal = null;
+let header = null;
+let events = []; // Raw [time, code, data] events from the file
+let timeline = []; // Events with idle gaps compressed: { time, code, data }
+let duration = 0;
+let position = 0; // Seconds into the (compressed) timeline
+let nextIndex = 0; // Next timeline event to apply
+let isPlaying = false;
+let playbackTimer = null;
+let speed = 1;
+let idleLimit = 2; // Seconds; 0 disables idle compression
+
+/**
+ * Fetch from the recordings API with the login cookie
+ * @param {string} url - API URL
+ * @returns {Promise<Response>} Fetch response
+ */
+function apiFetch(url) {
+  return fetch(url, { credentials: 'same-origin' });
+}
+
+/**
+ * Parse an asciicast v2 file
+ * @param {string} text - File content (JSON lines)
+ * @returns {{ header: object, events: Array }} Header and events
+ * @throws {Error} If the file is not asciicast v2
+ */
+function parseCast(text) {
+  const lines = text.split('\n').filter((line) => line.trim() !== '');
+  const parsedHeader = JSON.parse(lines[0]);
+  if (parsedHeader.version !== 2) {
+    throw new Error('Unsupported recording format');
+  }
+  const parsedEvents = lines.slice(1).map((line) => JSON.parse(line));
+  return { header: parsedHeader, events: parsedEvents };
+}
+
+/**
+ * Build the playback timeline, shortening pauses longer than idleLimit
+ * @param {Array} rawEvents - [time, code, data] events
+ * @param {number} limit - Maximum gap between events in seconds (0 = keep real timing)
+ * @returns {Array<{ time: number, code: string, data: string }>} Timeline
+ */
+function buildTimeline(rawEvents, limit) {
+  let previous = 0;
+  let time = 0;
+  return rawEvents.map(([at, code, data]) => {
+    const gap = Math.max(0, at - previous);
+    time += limit > 0 ? Math.min(gap, limit) : gap;
+    previous = at;
+    return { time, code, data };
+  });
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatTime(seconds) {
+  const whole = Math.floor(seconds);
+  const minutes = Math.floor(whole / 60);
+  const rest = String(whole % 60).padStart(2, '0');
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * Sync the seek bar and time display with the playback position
+ */
+function updateProgress() {
+  seekBar.value = position;
+  timeDisplay.textContent = `${formatTime(position)} / ${formatTime(duration)}`;
+}
+
+/**
+ * Apply one timeline event to the terminal
+ * @param {{ code: string, data: string }} event - Timeline event
+ */
+function applyEvent(event) {
+  if (event.code === 'o') {
+    terminal.write(event.data);
+  } else if (event.code === 'r') {
+    const [cols, rows] = event.data.split('x').map(Number);
+    if (cols > 0 && rows > 0) {
+      terminal.resize(cols, rows);
+    }
+  }
+}
+
+/**
+ * Schedule the next event relative to the current position and speed
+ */
+function scheduleNext() {
+  if (nextIndex >= timeline.length) {
+    pause();
+    return;
+  }
+  const delay = ((timeline[nextIndex].time - position) / speed) * 1000;
+  playbackTimer = setTimeout(() => {
+    position = timeline[nextIndex].time;
+    // Apply every event due at this instant in one go
+    while (nextIndex < timeline.length && timeline[nextIndex].time <= position) {
+      applyEvent(timeline[nextIndex]);
+      nextIndex += 1;
+    }
+    updateProgress();
+    scheduleNext();
+  }, Math.max(0, delay));
+}
+
+/**
+ * Start or resume playback (from the beginning once finished)
+ */
+function play() {
+  if (!terminal || isPlaying) return;
+  if (nextIndex >= timeline.length) {
+    seek(0);
+  }
+  isPlaying = true;
+  playBtn.textContent = '❚❚';
+  scheduleNext();
+}
+
+/**
+ * Pause playback at the current position
+ */
+function pause() {
+  clearTimeout(playbackTimer);
+  playbackTimer = null;
+  isPlaying = false;
+  playBtn.textContent = '▶';
+}
+
+/**
+ * Jump to a position by repainting everything up to it
+ * Output is batched into one write so long recordings seek quickly
+ * @param {number} target - Position in seconds
+ */
+function seek(target) {
+  if (!terminal) return;
+  clearTimeout(playbackTimer);
+
+  terminal.reset();
+  terminal.resize(header.width, header.height);
+  let pending = '';
+  nextIndex = 0;
+  while (nextIndex < timeline.length && timeline[nextIndex].time <= target) {
+    const event = timeline[nextIndex];
+    if (event.code === 'o') {
+      pending += event.data;
+    } else {
+      terminal.write(pending);
+      pending = '';
+      applyEvent(event);
+    }
+    nextIndex += 1;
+  }
+  terminal.write(pending);
+  position = target;
+  updateProgress();
+
+  if (isPlaying) {
+    scheduleNext();
+  }
+}
+
+/**
+ * Rebuild the timeline after changing the idle limit, keeping the current event
+ */
+function rebuildTimeline() {
+  timeline = buildTimeline(events, idleLimit);
+  duration = timeline.length > 0 ? timeline[timeline.length - 1].time : 0;
+  seekBar.max = duration;
+  position = nextIndex > 0 ? timeline[nextIndex - 1].time : 0;
+  updateProgress();
+  if (isPlaying) {
+    clearTimeout(playbackTimer);
+    scheduleNext();
+  }
+}
+
+/**
+ * Load a recording into the player and start playing it
+ * @param {{ name: string, title: string|null }} recording - Recording summary
+ */
+async function openRecording(recording) {
+  const res = await apiFetch(`/api/recordings/${encodeURIComponent(recording.name)}`);
+  if (!res.ok) {
+    recordingTitle.textContent = `Failed to load recording (${res.status})`;
+    return;
+  }
+  pause();
+  ({ header, events } = parseCast(await res.text()));
+
+  if (!terminal) {
+    terminal = new Terminal({
+      scrollback: 5000,
+      cursorBlink: false,
+      disableStdin: true,
+      cols: header.width,
+      rows: header.height,
+      ...terminalAppearance(),
+    });
+    terminal.open(playerTerminal);
+  }
+
+  recordingTitle.textContent = recording.title || recording.name;
+  player.hidden = false;
+  nextIndex = 0;
+  rebuildTimeline();
+  seek(0);
+  play();
+}
+
+/**
+ * Render the list of recordings
+ * Security: Titles are session names (user-supplied), so only textContent is used
+ * @param {Array} recordings - Recording summaries from the API
+ */
+function renderRecordingList(recordings) {
+  recordingList.replaceChildren();
+  if (recordings.length === 0) {
+    recordingList.textContent = 'No recordings yet';
+    return;
+  }
+
+  recordings.forEach((recording) => {
+    const item = document.createElement('button');
+    item.className = 'recording-item';
+
+    const title = document.createElement('span');
+    title.className = 'recording-name';
+    title.textContent = recording.title || recording.name;
+    item.appendChild(title);
+
+    const meta = document.createElement('span');
+    meta.className = 'recording-meta';
+    const started = recording.timestamp ? new Date(recording.timestamp * 1000).toLocaleString() : '';
+    meta.textContent = `${started} ${recording.width}x${recording.height} ${Math.ceil(recording.size / 1024)}KB`;
+    item.appendChild(meta);
+
+    item.addEventListener('click', () => openRecording(recording));
+    recordingList.appendChild(item);
+  });
+}
+
+/**
+ * Fetch and show the list of recordings
+ */
+async function loadRecordingList() {
+  try {
+    const res = await apiFetch('/api/recordings');
+    if (res.status === 401) {
+      recordingList.textContent = 'Signed out. Open /login to sign in again';
+      return;
+    }
+    const body = await res.json();
+    if (!body.enabled) {
+      recordingList.textContent = 'Recording is disabled. Set TINYTERMINAL_RECORD_DIR to enable it';
+      return;
+    }
+    renderRecordingList(body.recordings);
+  } catch (err) {
+    console.error('Failed to load recordings:', err);
+    recordingList.textContent = 'Failed to load recordings';
+  }
+}
+
+playBtn.addEventListener('click', () => {
+  if (isPlaying) {
+    pause();
+  } else {
+    play();
+  }
+});
+
+seekBar.addEventListener('input', () => {
+  seek(Number(seekBar.value));
+});
+
+speedSelect.addEventListener('change', () => {
+  speed = Number(speedSelect.value);
+  // Re-time the pending event at the new speed
+  if (isPlaying) {
+    clearTimeout(playbackTimer);
+    scheduleNext();
+  }
+});
+
+idleSelect.addEventListener('change', () => {
+  idleLimit = Number(idleSelect.value);
+  rebuildTimeline();
+});
+
+loadRecordingList();
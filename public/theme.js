@@ -0,0 +1,69 @@
+/**
+ * Location   : public/theme.js
+ * Purpose    : Terminal colors and font settings shared by the live terminal and the player
+ * Why        : Recorded sessions should play back looking exactly like the live terminal
+ * Related    : public/client.js, public/player.js, public/index.html, public/recordings.html
+ */
+
+// Design Decision: Plain function declarations (no modules, no bundler) so every
+// page can load this with a <script> tag before its own script.
+
+/**
+ * Clamp a font size to the range offered by the settings popup
+ * @param {number} size - Requested font size (px)
+ * @returns {number} Font size between 8 and 28
+ */
+function clampFontSize(size) {
+  return Math.min(28, Math.max(8, size));
+}
+
+/**
+ * Font size from localStorage or default
+ * @returns {number} Saved font size (px), 13 if unset or out of range
+ */
+function loadFontSize() {
+  const saved = parseInt(localStorage.getItem('tt-font-size'), 10);
+  return saved >= 8 && saved <= 28 ? saved : 13;
+}
+
+/**
+ * Remember the font size for the next visit (live terminal and player)
+ * @param {number} size - Font size (px)
+ */
+function saveFontSize(size) {
+  localStorage.setItem('tt-font-size', size);
+}
+
+/**
+ * xterm.js appearance options (font and color theme)
+ * @returns {object} Options to spread into the Terminal constructor
+ */
+function terminalAppearance() {
+  return {
+    fontSize: loadFontSize(),
+    fontFamily: "'JetBrains Mono', 'Fira Code', monospace",
+    theme: {
+      background: '#0c0c14',
+      foreground: '#e0e0e0',
+      cursor: '#4ade80',
+      cursorAccent: '#0c0c14',
+      selectionBackground: '#3a3a44',
+      black: '#1a1a24',
+      red: '#f87171',
+      green: '#4ade80',
+      yellow: '#fbbf24',
+      blue: '#60a5fa',
+      magenta: '#c084fc',
+      cyan: '#22d3ee',
+      white: '#e0e0e0',
+      brightBlack: '#3a3a44',
+      brightRed: '#fca5a5',
+      brightGreen: '#86efac',
+      brightYellow: '#fcd34d',
+      brightBlue: '#93c5fd',
+      brightMagenta: '#d8b4fe',
+      brightCyan: '#67e8f9',
+      brightWhite: '#f5f5f5',
+    },
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * Location   : src/audit.js
+ * Purpose    : Append-only security audit log (JSON lines) with an optional SHA-256
+ *              hash chain, and its verifier (npm run -s verify-audit -- <file>)
+ * Why        : log() lines are free-form and go to stdout; answering "who had a shell
+ *              on this box last night" needs structured, durable, tamper-evident records
+ * Related    : src/server.js, tests/audit.test.js
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './logger.js';
+
+// "prev" of the first chained record in an empty file
+const GENESIS_HASH = '0'.repeat(64);
+
+// Enough of the end of the file to hold the last record
+const TAIL_READ_SIZE = 65536;
+
+/**
+ * Validate TINYTERMINAL_AUDIT_LOG environment variable
+ * @param {string} file - Audit log file
+ * @returns {string} Normalized absolute path
+ * @throws {Error} If the path is not absolute
+ */
+export function validateAuditFile(file) {
+  if (typeof file !== 'string' || !path.isAbsolute(file) || file.includes('\0')) {
+    throw new Error('Invalid TINYTERMINAL_AUDIT_LOG: must be an absolute path');
+  }
+  return path.resolve(file);
+}
+
+/**
+ * Validate TINYTERMINAL_AUDIT_CHAIN environment variable
+ * @param {string|undefined} value - "1" to chain records, "0" or unset not to
+ * @returns {boolean} True if records are chained
+ * @throws {Error} If the value is neither
+ */
+export function validateAuditChain(value) {
+  if (value === undefined || value === '0') return false;
+  if (value === '1') return true;
+  throw new Error('Invalid TINYTERMINAL_AUDIT_CHAIN: must be 0 or 1');
+}
+
+/**
+ * SHA-256 of a string
+ * @param {string} text - Input
+ * @returns {string} Hex digest
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text, 'utf-8').digest('hex');
+}
+
+/**
+ * Hash a record stands for in the chain
+ * Chained records carry their own hash; an unchained line (written before the chain
+ * was turned on) is hashed as a whole, so the first chained record still pins it
+ * @param {string} line - Record line (without the newline)
+ * @returns {string} Hex digest
+ */
+function lineHash(line) {
+  try {
+    const { hash } = JSON.parse(line);
+    if (typeof hash === 'string') return hash;
+  } catch {
+    // 壊れた行も丸ごとハッシュしてつなぐ
+  }
+  return sha256(line);
+}
+
+/**
+ * Last record line of an existing file
+ * @param {string} file - Audit log file
+ * @returns {string|null} Last non-empty line, or null for a missing or empty file
+ */
+function readLastLine(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    const { size } = fs.fstatSync(fd);
+    const length = Math.min(size, TAIL_READ_SIZE);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    const lines = buffer.toString('utf-8').split('\n').filter(Boolean);
+    return lines.length > 0 ? lines[lines.length - 1] : null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Open the audit log for appending
+ * Each record is one JSON line: { time, event, ...fields }. With the chain, records
+ * also carry prev (hash of the previous record) and hash (SHA-256 of the record
+ * without hash), continuing from the last record already in the file
+ * Security: The file is created 0600 and only ever appended to. The chain makes an
+ * edited, removed or inserted record detectable unless every later hash is rewritten
+ * too, so keep the latest hash (logged at startup) somewhere else to pin it.
+ * A failing disk never breaks connections or sessions.
+ * @param {string} file - Validated audit log file
+ * @param {{ chain?: boolean }} [options] - Hash chain on or off
+ * @returns {{ record: Function, close: Function }} Audit log
+ * @throws {Error} If the file cannot be opened
+ */
+export function createAuditLog(file, { chain = false } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  let prev = null;
+  if (chain) {
+    const last = readLastLine(file);
+    prev = last === null ? GENESIS_HASH : lineHash(last);
+    log(`Audit log hash chain continues from ${prev}`);
+  }
+  const fd = fs.openSync(file, 'a', 0o600);
+  let failed = false;
+
+  /**
+   * Append one record
+   * @param {string} event - Event name (connect, auth, session_create, ...)
+   * @param {object} [fields] - Event details
+   */
+  function record(event, fields = {}) {
+    const entry = { time: new Date().toISOString(), event, ...fields };
+    let line;
+    if (chain) {
+      entry.prev = prev;
+      const hash = sha256(JSON.stringify(entry));
+      line = JSON.stringify({ ...entry, hash });
+      prev = hash;
+    } else {
+      line = JSON.stringify(entry);
+    }
+
+    try {
+      // Synchronous so records keep their order and survive a crash right after
+      fs.writeSync(fd, `${line}\n`);
+      failed = false;
+    } catch (err) {
+      // 監査ログの失敗で接続やセッションを落とさない（失敗の始まりだけ記録）
+      if (!failed) log(`Audit log write to ${file} failed: ${err.message}`);
+      failed = true;
+    }
+  }
+
+  /**
+   * Close the file
+   */
+  function close() {
+    fs.closeSync(fd);
+  }
+
+  return { record, close };
+}
+
+/**
+ * Check the hash chain of an audit log
+ * Lines before the first chained record are accepted (the chain was turned on
+ * later); from there on every record must be chained to the one before it
+ * @param {string} file - Audit log file
+ * @returns {{ valid: boolean, records: number, line?: number, error?: string, hash?: string }}
+ *   Result with the failing line number, or the last hash when valid
+ */
+export function verifyAuditLog(file) {
+  const lines = fs.readFileSync(file, 'utf-8').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  let expected = GENESIS_HASH;
+  let chained = false;
+  for (const [index, line] of lines.entries()) {
+    const fail = (error) => ({ valid: false, records: lines.length, line: index + 1, error });
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      return fail('not a JSON record');
+    }
+
+    const { hash, ...rest } = entry ?? {};
+    if (typeof hash !== 'string') {
+      if (chained) return fail('record is not chained');
+      expected = sha256(line);
+      continue;
+    }
+    chained = true;
+    if (rest.prev !== expected) return fail('previous record is missing or was changed');
+    if (sha256(JSON.stringify(rest)) !== hash) return fail('record was changed');
+    expected = hash;
+  }
+  return chained
+    ? { valid: true, records: lines.length, hash: expected }
+    : { valid: false, records: lines.length, line: 0, error: 'no chained records' };
+}
+
+// npm run verify-audit -- <file>: check the hash chain of an audit log
+/* v8 ignore next 13 */
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: npm run -s verify-audit -- <audit log file>');
+    process.exit(1);
+  }
+  const result = verifyAuditLog(file);
+  if (!result.valid) {
+    console.error(`Audit log check failed at line ${result.line}: ${result.error}`);
+    process.exit(1);
+  }
+  console.log(`OK: ${result.records} records, last hash ${result.hash}`);
+}
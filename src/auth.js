@@ -0,0 +1,201 @@
+/**
+ * Location   : src/auth.js
+ * Purpose    : Login sessions carried by a signed, HttpOnly session cookie, and logins
+ *              waiting for their TOTP code
+ * Why        : A token in the page URL leaks into history and is gone after the first
+ *              reconnect; a cookie is sent with every request and WebSocket upgrade
+ * Related    : src/server.js, public/login.js, tests/auth.test.js
+ */
+
+import crypto from 'crypto';
+import { LOGIN_COOKIE_NAME, PENDING_LOGIN_TTL, MAX_TOTP_ATTEMPTS } from './constants.js';
+
+// Active login sessions (login ID -> { id, user, createdAt, expiresAt })
+// Design Decision: Kept server-side so logout and expiry take effect immediately;
+// the cookie only carries the ID and its signature
+const loginSessions = new Map();
+
+// Logins waiting for their TOTP code (pending ID -> { id, expiresAt, attempts, secret })
+// The page holds this random ID between the two steps instead of the token itself
+const pendingLogins = new Map();
+
+// Security: Per-process signing key. Forged or tampered cookies are rejected before
+// any lookup, and a server restart signs everyone out
+const SIGNING_KEY = crypto.randomBytes(32);
+
+/**
+ * Sign a login ID
+ * @param {string} id - Login ID
+ * @returns {string} HMAC-SHA256 signature (base64url)
+ */
+function sign(id) {
+  return crypto.createHmac('sha256', SIGNING_KEY).update(id).digest('base64url');
+}
+
+/**
+ * Parse a Cookie request header
+ * @param {string|undefined} header - Cookie header value
+ * @returns {object} Cookie name -> value (first occurrence wins)
+ */
+export function parseCookies(header) {
+  const cookies = Object.create(null);
+  if (typeof header !== 'string') return cookies;
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    if (name && !(name in cookies)) {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Read the login cookie from a request (HTTP or WebSocket upgrade)
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|undefined} Cookie value
+ */
+export function readLoginCookie(req) {
+  return parseCookies(req.headers.cookie)[LOGIN_COOKIE_NAME];
+}
+
+/**
+ * Start a login session
+ * @param {number} ttl - Lifetime in ms (absolute, not extended by activity)
+ * @param {string|null} [user] - User name from TINYTERMINAL_USERS (null with a single token)
+ * @returns {{ session: object, cookie: string }} Session and the signed cookie value
+ */
+export function createLoginSession(ttl, user = null) {
+  const now = Date.now();
+  // Drop expired sessions so abandoned logins do not pile up
+  for (const [id, existing] of loginSessions) {
+    if (existing.expiresAt <= now) loginSessions.delete(id);
+  }
+
+  const session = {
+    id: crypto.randomBytes(24).toString('base64url'),
+    user,
+    createdAt: now,
+    expiresAt: now + ttl,
+  };
+  loginSessions.set(session.id, session);
+  return { session, cookie: `${session.id}.${sign(session.id)}` };
+}
+
+/**
+ * Look up the login session for a cookie value
+ * Security: The signature is compared in constant time before the ID is looked up
+ * @param {string|undefined} cookie - Cookie value (<id>.<signature>)
+ * @returns {object|null} Live login session, or null if missing, forged or expired
+ */
+export function getLoginSession(cookie) {
+  if (typeof cookie !== 'string') return null;
+  const index = cookie.lastIndexOf('.');
+  if (index <= 0) return null;
+
+  const id = cookie.slice(0, index);
+  const signature = Buffer.from(cookie.slice(index + 1));
+  const expected = Buffer.from(sign(id));
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  const session = loginSessions.get(id);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    loginSessions.delete(id);
+    return null;
+  }
+  return session;
+}
+
+/**
+ * End a login session (logout)
+ * @param {string} id - Login ID
+ * @returns {boolean} True if the session existed
+ */
+export function destroyLoginSession(id) {
+  return loginSessions.delete(id);
+}
+
+/**
+ * Build the Set-Cookie header for a login session
+ * Security: HttpOnly keeps it away from page scripts, SameSite=Strict keeps other
+ * sites from riding on it (including cross-site WebSocket upgrades)
+ * @param {string} value - Signed cookie value ('' to clear)
+ * @param {number} maxAge - Lifetime in ms (0 to clear)
+ * @param {boolean} secure - Add the Secure attribute (HTTPS only)
+ * @returns {string} Set-Cookie header value
+ */
+export function loginCookieHeader(value, maxAge, secure) {
+  const attributes = [
+    `${LOGIN_COOKIE_NAME}=${value}`,
+    'Path=/',
+    `Max-Age=${Math.floor(maxAge / 1000)}`,
+    'HttpOnly',
+    'SameSite=Strict',
+  ];
+  if (secure) attributes.push('Secure');
+  return attributes.join('; ');
+}
+
+/**
+ * Remember a login whose token was accepted and whose TOTP code is still to come
+ * @param {Buffer|null} [secret] - Secret being enrolled (null when verifying an enrolled one)
+ * @returns {object} Pending login ({ id, expiresAt, attempts, secret })
+ */
+export function createPendingLogin(secret = null) {
+  const now = Date.now();
+  for (const [id, existing] of pendingLogins) {
+    if (existing.expiresAt <= now) pendingLogins.delete(id);
+  }
+
+  const pending = {
+    id: crypto.randomBytes(24).toString('base64url'),
+    expiresAt: now + PENDING_LOGIN_TTL,
+    attempts: 0,
+    secret,
+  };
+  pendingLogins.set(pending.id, pending);
+  return pending;
+}
+
+/**
+ * Look up a pending login
+ * @param {string} id - Pending login ID from the page
+ * @returns {object|null} Pending login, or null if unknown or expired
+ */
+export function getPendingLogin(id) {
+  if (typeof id !== 'string') return null;
+  const pending = pendingLogins.get(id);
+  if (!pending) return null;
+  if (pending.expiresAt <= Date.now()) {
+    pendingLogins.delete(id);
+    return null;
+  }
+  return pending;
+}
+
+/**
+ * Count a wrong code; the pending login is dropped after MAX_TOTP_ATTEMPTS
+ * Security: Guessing a 6-digit code then means starting over with the token
+ * @param {object} pending - Pending login
+ * @returns {boolean} True if the pending login was dropped
+ */
+export function failPendingLogin(pending) {
+  pending.attempts += 1;
+  if (pending.attempts >= MAX_TOTP_ATTEMPTS) {
+    pendingLogins.delete(pending.id);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Finish a pending login (code accepted)
+ * @param {string} id - Pending login ID
+ */
+export function destroyPendingLogin(id) {
+  pendingLogins.delete(id);
+}
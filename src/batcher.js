@@ -0,0 +1,75 @@
+/**
+ * Location   : src/batcher.js
+ * Purpose    : Coalesce PTY output into fewer, larger WebSocket messages
+ * Why        : node-pty emits many tiny chunks; one message each costs slow mobile
+ *              links round trips and makes the browser render far more often than it can show
+ * Related    : src/server.js, src/constants.js, tests/batcher.test.js
+ */
+
+import {
+  OUTPUT_BATCH_MIN_DELAY,
+  OUTPUT_BATCH_MAX_DELAY,
+  OUTPUT_BATCH_RTT_SHARE,
+  OUTPUT_BATCH_MAX_SIZE,
+} from './constants.js';
+
+/**
+ * Batching window for a link
+ * A slow link gains more from fewer messages than it loses to the wait
+ * @param {number|null} rtt - Slowest measured round trip in ms (null until measured)
+ * @returns {number} Window in ms, between OUTPUT_BATCH_MIN_DELAY and OUTPUT_BATCH_MAX_DELAY
+ */
+export function batchDelay(rtt) {
+  if (rtt === null) return OUTPUT_BATCH_MIN_DELAY;
+  const delay = Math.round(rtt * OUTPUT_BATCH_RTT_SHARE);
+  return Math.min(OUTPUT_BATCH_MAX_DELAY, Math.max(OUTPUT_BATCH_MIN_DELAY, delay));
+}
+
+/**
+ * Create the output batcher of one PTY
+ * Output is sent at most once per window: the first chunk after a quiet window goes
+ * out at once (typing echo is not delayed), later ones wait for the window to end
+ * or for the batch to reach maxSize
+ * @param {Function} send - Called with each batch (string)
+ * @param {{ delay?: Function, maxSize?: number }} [options] - delay() returns the current window in ms
+ * @returns {{ push: Function, flush: Function }} Batcher
+ */
+export function createOutputBatcher(send, { delay = () => OUTPUT_BATCH_MIN_DELAY, maxSize = OUTPUT_BATCH_MAX_SIZE } = {}) {
+  let pending = '';
+  let timer = null;
+  let lastSent = -Infinity;
+
+  /**
+   * Send what is pending now (also before the PTY's exit message)
+   */
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (pending === '') return;
+    const data = pending;
+    pending = '';
+    lastSent = Date.now();
+    send(data);
+  }
+
+  /**
+   * Add a chunk of output
+   * @param {string} data - PTY output
+   */
+  function push(data) {
+    pending += data;
+    if (pending.length >= maxSize) {
+      flush();
+      return;
+    }
+    if (timer) return;
+    const wait = lastSent + delay() - Date.now();
+    if (wait <= 0) {
+      flush();
+    } else {
+      timer = setTimeout(flush, wait);
+    }
+  }
+
+  return { push, flush };
+}
@@ -0,0 +1,307 @@
+/**
+ * Location   : src/config.js
+ * Purpose    : Load and validate the server config file (launch profiles)
+ * Why        : Let the server owner define which programs a session may start with,
+ *              e.g. a project directory or `claude` instead of the login shell
+ * Related    : src/server.js, src/constants.js, tests/config.test.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  MAX_PROFILES,
+  MAX_PROFILE_NAME_LENGTH,
+  DEFAULT_PROFILE_NAME,
+  ENV_DENY_PATTERNS,
+} from './constants.js';
+
+// Profile names are shown in the client and chosen by name only
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// POSIX environment variable names
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Environment name patterns: variable name characters plus * wildcards
+const ENV_NAME_GLOB = /^[A-Za-z0-9_*]+$/;
+
+/**
+ * Build the error for a bad profile field
+ * @param {number} index - Profile index in the config file
+ * @param {string} message - What is wrong
+ * @returns {Error} Error mentioning TINYTERMINAL_CONFIG
+ */
+function profileError(index, message) {
+  return new Error(`Invalid TINYTERMINAL_CONFIG: profiles[${index}] ${message}`);
+}
+
+/**
+ * Check that a string is safe to hand to spawn (no NUL bytes)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a string without NUL bytes
+ */
+function isSpawnString(value) {
+  return typeof value === 'string' && !value.includes('\0');
+}
+
+/**
+ * Compile an environment name pattern (* matches anything, case-insensitive)
+ * @param {string} pattern - Validated pattern such as LC_* or *_TOKEN
+ * @returns {RegExp} Anchored regular expression
+ */
+export function envPatternToRegExp(pattern) {
+  // Only [A-Za-z0-9_*] get here, so nothing needs escaping
+  return new RegExp(`^${pattern.replace(/\*/g, '.*')}$`, 'i');
+}
+
+/**
+ * Find the deny pattern that blocks a variable name
+ * @param {string} name - Environment variable name
+ * @param {string[]} denyEnv - Deny patterns
+ * @returns {string|undefined} Matching pattern, if any
+ */
+export function deniedBy(name, denyEnv) {
+  return denyEnv.find((pattern) => envPatternToRegExp(pattern).test(name));
+}
+
+/**
+ * Validate a list of environment name patterns
+ * @param {*} patterns - Raw list from the config file
+ * @param {string} label - Field name for error messages
+ * @returns {string[]} Patterns
+ * @throws {Error} If the list is invalid
+ */
+function validateEnvPatterns(patterns, label) {
+  if (!Array.isArray(patterns) || !patterns.every((p) => typeof p === 'string' && ENV_NAME_GLOB.test(p))) {
+    throw new Error(
+      `Invalid TINYTERMINAL_CONFIG: ${label} must be a list of variable names or * patterns`
+    );
+  }
+  return [...patterns];
+}
+
+/**
+ * Validate one launch profile
+ * Security: Profiles come from the server owner, never from clients. Clients only
+ * pick a profile by name, so paths and arguments are checked once here at startup.
+ * Names matching a deny pattern are rejected outright, so a typo in the config
+ * cannot forward a secret (patterns in inheritEnv are filtered at spawn instead).
+ * @param {object} profile - Raw profile from the config file
+ * @param {number} index - Profile index (for error messages)
+ * @param {string[]} [denyEnv] - Deny patterns
+ * @returns {{ name: string, shell: string|null, args: string[], cwd: string|null,
+ *   env: object, inheritEnv: string[], renameEnv: object }} Normalized profile
+ *   (null shell/cwd = server defaults)
+ * @throws {Error} If the profile is invalid
+ */
+export function validateProfile(profile, index, denyEnv = ENV_DENY_PATTERNS) {
+  if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+    throw profileError(index, 'must be an object');
+  }
+
+  const {
+    name,
+    shell = null,
+    args = [],
+    cwd = null,
+    env = {},
+    inheritEnv = [],
+    renameEnv = {},
+  } = profile;
+  if (
+    typeof name !== 'string' ||
+    name.length === 0 ||
+    name.length > MAX_PROFILE_NAME_LENGTH ||
+    !PROFILE_NAME_PATTERN.test(name)
+  ) {
+    throw profileError(
+      index,
+      `name must be 1-${MAX_PROFILE_NAME_LENGTH} characters of letters, digits, ".", "_" or "-"`
+    );
+  }
+
+  if (shell !== null) {
+    if (!isSpawnString(shell) || !path.isAbsolute(shell)) {
+      throw profileError(index, 'shell must be an absolute path');
+    }
+    try {
+      fs.accessSync(shell, fs.constants.X_OK);
+    } catch {
+      throw profileError(index, `shell is not executable: ${shell}`);
+    }
+  }
+
+  if (!Array.isArray(args) || !args.every(isSpawnString)) {
+    throw profileError(index, 'args must be an array of strings');
+  }
+
+  if (cwd !== null) {
+    if (!isSpawnString(cwd) || !path.isAbsolute(cwd)) {
+      throw profileError(index, 'cwd must be an absolute path');
+    }
+    let stat;
+    try {
+      stat = fs.statSync(cwd);
+    } catch {
+      stat = null;
+    }
+    if (!stat || !stat.isDirectory()) {
+      throw profileError(index, `cwd is not a directory: ${cwd}`);
+    }
+  }
+
+  if (typeof env !== 'object' || env === null || Array.isArray(env)) {
+    throw profileError(index, 'env must be an object');
+  }
+  for (const [key, value] of Object.entries(env)) {
+    if (!ENV_KEY_PATTERN.test(key) || !isSpawnString(value)) {
+      throw profileError(index, `env.${key} must be a valid name with a string value`);
+    }
+  }
+
+  const inherit = validateEnvPatterns(inheritEnv, `profiles[${index}] inheritEnv`);
+
+  if (typeof renameEnv !== 'object' || renameEnv === null || Array.isArray(renameEnv)) {
+    throw profileError(index, 'renameEnv must be an object');
+  }
+  for (const [from, to] of Object.entries(renameEnv)) {
+    if (!ENV_KEY_PATTERN.test(from) || typeof to !== 'string' || !ENV_KEY_PATTERN.test(to)) {
+      throw profileError(index, `renameEnv.${from} must map a variable name to a variable name`);
+    }
+  }
+
+  // Every name that could end up in the shell, checked against the deny list
+  const names = [
+    ...Object.keys(env).map((key) => ['env', key]),
+    ...inherit.filter((p) => !p.includes('*')).map((key) => ['inheritEnv', key]),
+    ...Object.entries(renameEnv).flatMap(([from, to]) => [['renameEnv', from], ['renameEnv', to]]),
+  ];
+  for (const [field, key] of names) {
+    const pattern = deniedBy(key, denyEnv);
+    if (pattern) {
+      throw profileError(index, `${field} ${key} is denied by "${pattern}"`);
+    }
+  }
+
+  return {
+    name,
+    shell,
+    args: [...args],
+    cwd: cwd === null ? null : path.resolve(cwd),
+    env: { ...env },
+    inheritEnv: inherit,
+    renameEnv: { ...renameEnv },
+  };
+}
+
+/**
+ * Validate the profile list
+ * The first profile is the default (used by the first resize and when none is chosen)
+ * @param {Array} profiles - Raw profiles from the config file
+ * @param {string[]} [denyEnv] - Deny patterns
+ * @returns {Array<object>} Normalized profiles
+ * @throws {Error} If the list or any profile is invalid
+ */
+export function validateProfiles(profiles, denyEnv = ENV_DENY_PATTERNS) {
+  if (!Array.isArray(profiles) || profiles.length === 0 || profiles.length > MAX_PROFILES) {
+    throw new Error(
+      `Invalid TINYTERMINAL_CONFIG: profiles must be a list of 1-${MAX_PROFILES} profiles`
+    );
+  }
+
+  const normalized = profiles.map((profile, index) => validateProfile(profile, index, denyEnv));
+  const names = new Set();
+  normalized.forEach((profile, index) => {
+    if (names.has(profile.name)) {
+      throw profileError(index, `duplicates the name "${profile.name}"`);
+    }
+    names.add(profile.name);
+  });
+  return normalized;
+}
+
+/**
+ * Load the config file named by TINYTERMINAL_CONFIG
+ * Without a file there is a single default profile: the login shell in $HOME
+ * Design Decision: Read synchronously at startup like the other env validation,
+ * so a broken config stops the server instead of failing the first session
+ * @param {string|undefined} file - Absolute path to a JSON config file
+ * @returns {{ profiles: Array<object>, denyEnv: string[] }} Validated config
+ *   (denyEnv = built-in ENV_DENY_PATTERNS plus the file's own)
+ * @throws {Error} If the file cannot be read or is invalid
+ */
+export function loadConfig(file) {
+  if (!file) {
+    return {
+      profiles: [
+        {
+          name: DEFAULT_PROFILE_NAME,
+          shell: null,
+          args: [],
+          cwd: null,
+          env: {},
+          inheritEnv: [],
+          renameEnv: {},
+        },
+      ],
+      denyEnv: [...ENV_DENY_PATTERNS],
+    };
+  }
+  if (!isSpawnString(file) || !path.isAbsolute(file)) {
+    throw new Error('Invalid TINYTERMINAL_CONFIG: must be an absolute path');
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid TINYTERMINAL_CONFIG: cannot read ${file}: ${err.message}`);
+  }
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new Error('Invalid TINYTERMINAL_CONFIG: must be a JSON object');
+  }
+
+  const denyEnv = [...ENV_DENY_PATTERNS, ...validateEnvPatterns(raw.denyEnv ?? [], 'denyEnv')];
+  return { profiles: validateProfiles(raw.profiles, denyEnv), denyEnv };
+}
+
+/**
+ * Environment a profile adds on top of SAFE_ENV_KEYS
+ * Applied in order: inherited from the server, renamed, then set literally.
+ * Security: Inherited names are filtered against denyEnv here, at spawn time,
+ * because patterns like LC_* only resolve against the live environment
+ * @param {object} profile - Validated profile
+ * @param {object} sourceEnv - Server environment (process.env)
+ * @param {string[]} denyEnv - Deny patterns
+ * @returns {object} Extra environment variables for the PTY
+ */
+export function resolveProfileEnv(profile, sourceEnv, denyEnv) {
+  const result = {};
+  const inherit = profile.inheritEnv.map(envPatternToRegExp);
+  for (const [key, value] of Object.entries(sourceEnv)) {
+    if (value === undefined || !inherit.some((regex) => regex.test(key))) continue;
+    if (deniedBy(key, denyEnv)) continue;
+    result[key] = value;
+  }
+  for (const [from, to] of Object.entries(profile.renameEnv)) {
+    if (sourceEnv[from] !== undefined) {
+      result[to] = sourceEnv[from];
+    }
+  }
+  return Object.assign(result, profile.env);
+}
+
+/**
+ * Find a profile by name
+ * @param {Array<object>} profiles - Validated profiles
+ * @param {string} [name] - Profile name from the client (omitted = first profile)
+ * @returns {object} Profile
+ * @throws {Error} If no profile has that name
+ */
+export function findProfile(profiles, name) {
+  if (name === undefined) return profiles[0];
+  const profile = profiles.find((candidate) => candidate.name === name);
+  if (!profile) {
+    throw new Error('Unknown profile');
+  }
+  return profile;
+}
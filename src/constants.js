@@ -13,13 +13,179 @@ export const DEFAULT_PORT = 49000;
 export const MIN_PORT = 1024;
 export const MAX_PORT = 49151;
 
+// Origin and client network allowlists (TINYTERMINAL_ALLOWED_ORIGINS / _NETWORKS)
+// Default: this machine and the Tailscale tailnet (CGNAT IPv4, ULA IPv6)
+// Security: No *.ts.net: it covers every tailnet's MagicDNS and Funnel names, not just
+// the operator's; they add their own *.<tailnet>.ts.net to TINYTERMINAL_ALLOWED_ORIGINS
+export const DEFAULT_ALLOWED_ORIGINS = Object.freeze([
+  'localhost',
+  '127.0.0.1',
+  '::1',
+  '100.64.0.0/10',
+  'fd7a:115c:a1e0::/48',
+]);
+export const DEFAULT_ALLOWED_NETWORKS = Object.freeze(['127.0.0.0/8', '::1/128', '100.64.0.0/10', 'fd7a:115c:a1e0::/48']);
+export const MAX_ALLOWLIST_ENTRIES = 64;
+
+// HTTPS (opt-in with TINYTERMINAL_TLS_CERT/_KEY or TINYTERMINAL_TLS_DIR)
+// Generated certificates: a local CA and a server certificate it signs
+export const TLS_CA_VALIDITY = 3650 * 86400000; // 10 years
+// Browsers refuse server certificates valid for longer than 398 days
+export const TLS_CERT_VALIDITY = 397 * 86400000;
+// Generated certificates are replaced this long before they expire
+export const TLS_RENEW_BEFORE = 30 * 86400000;
+export const TLS_RENEW_CHECK_INTERVAL = 86400000; // 1 day
+// Certificate and key files are polled for changes (renewed by certbot, tailscale cert, ...)
+export const TLS_WATCH_INTERVAL = 5000;
+export const MAX_TLS_HOSTS = 32;
+
+// Tailscale identity authorization (opt-in with TINYTERMINAL_TAILSCALE_USERS / _TAGS)
+// tailscaled's LocalAPI socket on Linux; macOS and Windows use other transports
+export const DEFAULT_TAILSCALE_SOCKET = '/var/run/tailscale/tailscaled.sock';
+export const TAILSCALE_WHOIS_TIMEOUT = 2000;
+export const MAX_WHOIS_RESPONSE_SIZE = 65536;
+
+// Input audit trail (opt-in with TINYTERMINAL_AUDIT_INPUT)
+export const AUDIT_INPUT_REDACTIONS = ['noecho', 'none'];
+export const DEFAULT_AUDIT_INPUT_REDACTION = 'noecho';
+// Longest reconstructed line kept per record (characters)
+export const MAX_AUDIT_INPUT_LINE = 1024;
+// PTY output kept after keys still waiting for their echo (characters)
+export const AUDIT_INPUT_ECHO_WINDOW = 8192;
+
 // WebSocket limits
-export const MAX_CONNECTIONS = 2;
+// Room for a few devices sharing one session (owner, writers and spectators)
+export const MAX_CONNECTIONS = 8;
+// Messages kept from a connection whose authentication is still being checked
+export const MAX_PENDING_MESSAGES = 16;
+
+// Binary terminal I/O (WebSocket subprotocol offered by the page)
+// Frames are one opcode byte and its payload; control messages stay JSON text
+export const BINARY_PROTOCOL = 'tinyterminal.binary.v1';
+export const FRAME_INPUT = 0x01; // client -> server: raw input bytes
+export const FRAME_OUTPUT = 0x02; // server -> client: seq (uint48) + output bytes
+export const FRAME_REPLAY = 0x03; // server -> client: flags (bit 0 = reset) + seq (uint48) + output bytes
+
+// Protocol handshake ('hello'): the version spoken and the features both sides support
+// A capability only one side lists is not used; unknown ones are ignored, never an error
+export const PROTOCOL_VERSION = 1;
+export const MIN_PROTOCOL_VERSION = 1;
+// binary: frames (BINARY_PROTOCOL), flow: output acks, resume: attach/watch/join replay from seq,
+// ping: app-level ping/pong for the connection quality shown by the page
+// Compression and file transfer are not offered: neither is implemented yet
+export const PROTOCOL_CAPABILITIES = ['binary', 'flow', 'resume', 'ping'];
+export const MAX_HELLO_CAPABILITIES = 32;
+
+// Flow control (output sequence numbers, i.e. characters)
+// The PTY is paused while a driving client is more than the high watermark behind
+// and resumed once it is back under the low one. The page acknowledges every
+// 8192 chars, below the low watermark, so a caught-up client always resumes it
+export const FLOW_HIGH_WATERMARK = 131072;
+export const FLOW_LOW_WATERMARK = 16384;
+
+// Connection quality reported with the page's pings (logged per connection)
+// A round trip above this is logged as degraded (e.g. a Tailscale DERP relay instead of direct)
+export const LINK_WARNING_RTT = 250; // ms
+// Otherwise the numbers are logged this often
+export const LINK_LOG_INTERVAL = 300000; // 5 minutes
+
+// Output batching: PTY chunks are coalesced into one message per window (ms)
+// The window is a share of the slowest client's round trip, within these bounds;
+// output after a quiet period (typing echo) is sent right away
+export const OUTPUT_BATCH_MIN_DELAY = 8;
+export const OUTPUT_BATCH_MAX_DELAY = 50;
+export const OUTPUT_BATCH_RTT_SHARE = 0.25;
+// A batch is sent before its window ends once it holds this many characters
+export const OUTPUT_BATCH_MAX_SIZE = 32768;
 
 // WebSocket heartbeat
 export const HEARTBEAT_INTERVAL = 30000; // 30 seconds
 export const MAX_MISSED_PONGS = 3;
 
+// Session persistence (PTY survives WebSocket disconnects)
+export const DEFAULT_SESSION_GRACE = 300000; // 5 minutes
+export const MAX_SESSION_GRACE = 86400000; // 24 hours
+
+// Idle timeouts (opt-in): lock idle connections, kill idle PTYs
+export const MAX_IDLE_TIMEOUT = 86400000; // 24 hours
+// Countdown shown in the status bar before a lock or kill
+export const IDLE_WARNING = 60000; // 1 minute
+
+// Login sessions (cookie issued by /api/login when TINYTERMINAL_TOKEN is set)
+export const LOGIN_COOKIE_NAME = 'tt_session';
+export const DEFAULT_LOGIN_TTL = 86400000; // 24 hours
+export const MAX_LOGIN_TTL = 1209600000; // 14 days (fits in one setTimeout)
+// Largest JSON body accepted by the login API
+export const MAX_API_BODY_SIZE = 4096;
+
+// TOTP second factor (RFC 6238, opt-in with TINYTERMINAL_TOTP_FILE)
+export const TOTP_PERIOD = 30; // seconds per code
+export const TOTP_DIGITS = 6;
+// Codes one step before or after the current one are accepted (clock skew)
+export const TOTP_WINDOW = 1;
+export const TOTP_SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+export const TOTP_ISSUER = 'TinyTerminal';
+// Token accepted, code still to come: how long and how many wrong codes
+export const PENDING_LOGIN_TTL = 300000; // 5 minutes
+export const MAX_TOTP_ATTEMPTS = 5;
+
+// Failed authentication lockout (per client address, plus a server-wide limit)
+// Failures are forgotten after this long without another one
+export const LOCKOUT_WINDOW = 900000; // 15 minutes
+// Typos are free; from the next failure on the client waits, doubling each time
+export const LOCKOUT_FREE_ATTEMPTS = 3;
+export const MAX_LOCKOUT_BACKOFF = 60000;
+export const DEFAULT_LOCKOUT_ATTEMPTS = 10; // failures before a ban
+export const DEFAULT_LOCKOUT_BACKOFF = 1000;
+export const DEFAULT_LOCKOUT_BAN = 900000; // 15 minutes
+export const MAX_LOCKOUT_BAN = 86400000; // 24 hours
+export const DEFAULT_LOCKOUT_GLOBAL = 100; // failures from all clients per LOCKOUT_WINDOW
+// Client addresses tracked at once (oldest dropped first)
+export const MAX_LOCKOUT_ENTRIES = 4096;
+
+// Users file (opt-in with TINYTERMINAL_USERS)
+export const MAX_USERS = 32;
+export const MAX_USER_NAME_LENGTH = 32;
+// scrypt cost for stored token hashes (N=2^14, r=8: ~16 MB and tens of ms per check)
+export const SCRYPT_COST = 16384;
+export const SCRYPT_BLOCK_SIZE = 8;
+export const SCRYPT_PARALLELIZATION = 1;
+export const SCRYPT_KEY_LENGTH = 32;
+// Highest N·r accepted from the users file (4x the default: ~64 MB per check)
+export const SCRYPT_MAX_COST = 4 * SCRYPT_COST * SCRYPT_BLOCK_SIZE;
+// scrypt maxmem: the 128·N·r bytes of SCRYPT_MAX_COST, with room to spare
+export const SCRYPT_MAX_MEMORY = 256 * SCRYPT_MAX_COST;
+
+// WebAuthn passkeys (opt-in with TINYTERMINAL_PASSKEY_FILE)
+export const WEBAUTHN_RP_NAME = 'TinyTerminal';
+// A registration or sign-in has this long between options and the authenticator's answer
+export const WEBAUTHN_CHALLENGE_TTL = 120000; // 2 minutes
+// Outstanding challenges kept at once (sign-in options need no login, so this is capped)
+export const MAX_WEBAUTHN_CHALLENGES = 64;
+export const MAX_PASSKEYS = 16;
+export const MAX_PASSKEY_NAME_LENGTH = 64;
+// Largest JSON body accepted by the passkey API (attestation objects exceed MAX_API_BODY_SIZE)
+export const MAX_PASSKEY_BODY_SIZE = 16384;
+
+// Named sessions
+export const MAX_SESSIONS = 8;
+export const MAX_SESSION_NAME_LENGTH = 32;
+
+// Multi-writer sessions: how conflicting resizes from several writers are resolved
+export const RESIZE_POLICIES = ['smallest', 'owner', 'latest'];
+export const DEFAULT_RESIZE_POLICY = 'smallest';
+// Minimum interval between "who is typing" broadcasts per connection
+export const TYPING_BROADCAST_INTERVAL = 1000; // 1 second
+
+// Launch profiles (TINYTERMINAL_CONFIG)
+export const MAX_PROFILES = 16;
+export const MAX_PROFILE_NAME_LENGTH = 32;
+// Profile used when no config file is given (login shell in $HOME)
+export const DEFAULT_PROFILE_NAME = 'default';
+
+// Per-session scrollback kept on the server and replayed on reattach (characters)
+export const OUTPUT_BUFFER_SIZE = 262144; // 256K chars
+
 // PTY environment whitelist
 export const SAFE_ENV_KEYS = [
   'HOME',
@@ -32,3 +198,13 @@ export const SAFE_ENV_KEYS = [
   'LC_CTYPE',
   'COLORTERM',
 ];
+
+// Variables that launch profiles can never forward, rename or set (case-insensitive, * = any)
+// Config files may add patterns (denyEnv) but not remove these
+export const ENV_DENY_PATTERNS = [
+  'TINYTERMINAL_*',
+  '*_TOKEN',
+  '*SECRET*',
+  '*PASSWORD*',
+  '*_API_KEY',
+];
@@ -0,0 +1,67 @@
+/**
+ * Location   : src/frames.js
+ * Purpose    : Binary WebSocket frames for terminal I/O (opcode byte + payload)
+ * Why        : Wrapping every PTY chunk and keystroke in JSON costs CPU and bandwidth
+ *              on phones. Input frames also carry bytes that are not UTF-8 (xterm.js
+ *              onBinary); output is still decoded as UTF-8 by node-pty before framing,
+ *              so bytes that are not UTF-8 arrive as U+FFFD on both paths
+ * Related    : src/server.js, public/client.js, src/constants.js, tests/frames.test.js
+ */
+
+import { BINARY_PROTOCOL, FRAME_INPUT, FRAME_OUTPUT, FRAME_REPLAY } from './constants.js';
+
+// Output sequence numbers are sent as 48-bit integers (exact in a JS number)
+const SEQ_SIZE = 6;
+
+/**
+ * Pick the WebSocket subprotocol (WebSocketServer handleProtocols)
+ * Clients that do not offer the binary protocol (older pages, wscat) get JSON
+ * @param {Set<string>} protocols - Subprotocols offered by the client
+ * @returns {string|false} The binary protocol, or false for none
+ */
+export function selectProtocol(protocols) {
+  return protocols.has(BINARY_PROTOCOL) ? BINARY_PROTOCOL : false;
+}
+
+/**
+ * Encode live PTY output
+ * @param {string} data - Output chunk
+ * @param {number} seq - Sequence number just past this chunk
+ * @returns {Buffer} FRAME_OUTPUT frame
+ */
+export function encodeOutputFrame(data, seq) {
+  const payload = Buffer.from(data, 'utf-8');
+  const frame = Buffer.allocUnsafe(1 + SEQ_SIZE + payload.length);
+  frame[0] = FRAME_OUTPUT;
+  frame.writeUIntBE(seq, 1, SEQ_SIZE);
+  payload.copy(frame, 1 + SEQ_SIZE);
+  return frame;
+}
+
+/**
+ * Encode buffered output replayed on attach, watch, join or unlock
+ * @param {{ data: string, seq: number, reset: boolean }} replay - From getOutputSince
+ * @returns {Buffer} FRAME_REPLAY frame
+ */
+export function encodeReplayFrame({ data, seq, reset }) {
+  const payload = Buffer.from(data, 'utf-8');
+  const frame = Buffer.allocUnsafe(2 + SEQ_SIZE + payload.length);
+  frame[0] = FRAME_REPLAY;
+  frame[1] = reset ? 1 : 0;
+  frame.writeUIntBE(seq, 2, SEQ_SIZE);
+  payload.copy(frame, 2 + SEQ_SIZE);
+  return frame;
+}
+
+/**
+ * Decode a frame sent by the client
+ * @param {Buffer} frame - Binary WebSocket message
+ * @returns {Buffer} Input bytes of a FRAME_INPUT frame
+ * @throws {Error} If the frame is empty or has another opcode
+ */
+export function decodeInputFrame(frame) {
+  if (frame.length === 0 || frame[0] !== FRAME_INPUT) {
+    throw new Error(`Unknown frame opcode: ${frame.length === 0 ? 'none' : frame[0]}`);
+  }
+  return frame.subarray(1);
+}
@@ -0,0 +1,181 @@
+/**
+ * Location   : src/inputtrail.js
+ * Purpose    : Reconstruct what was typed into a PTY into lines for the audit log,
+ *              redacting lines typed while the terminal did not echo them
+ * Why        : Compliance on shared machines asks what was run, not just who connected;
+ *              raw keystrokes are unreadable and would include passwords
+ * Related    : src/server.js, src/audit.js, tests/inputtrail.test.js
+ */
+
+import {
+  AUDIT_INPUT_REDACTIONS,
+  MAX_AUDIT_INPUT_LINE,
+  AUDIT_INPUT_ECHO_WINDOW,
+} from './constants.js';
+
+// Escape sequences in PTY output (CSI, OSC, two-byte), dropped before looking for the echo
+const OUTPUT_ESCAPE_PATTERN = /\x1b(?:\[[0-?]*[ -/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)?|[@-Z\\-_])/g;
+
+// Bracketed paste markers (ESC [200~ / ESC [201~) wrap pasted text without editing it
+const PASTE_MARKERS = new Set(['200~', '201~']);
+
+/**
+ * Validate TINYTERMINAL_AUDIT_INPUT environment variable
+ * @param {string|undefined} value - "1" to record input, "0" or unset not to
+ * @returns {boolean} True if input is recorded
+ * @throws {Error} If the value is neither
+ */
+export function validateInputAudit(value) {
+  if (value === undefined || value === '0') return false;
+  if (value === '1') return true;
+  throw new Error('Invalid TINYTERMINAL_AUDIT_INPUT: must be 0 or 1');
+}
+
+/**
+ * Validate TINYTERMINAL_AUDIT_INPUT_REDACT environment variable
+ * @param {string} redaction - noecho (redact lines the terminal did not echo) or none
+ * @returns {string} Validated redaction
+ * @throws {Error} If the redaction is unknown
+ */
+export function validateInputRedaction(redaction) {
+  if (!AUDIT_INPUT_REDACTIONS.includes(redaction)) {
+    throw new Error(
+      `Invalid TINYTERMINAL_AUDIT_INPUT_REDACT: must be one of ${AUDIT_INPUT_REDACTIONS.join(', ')}`
+    );
+  }
+  return redaction;
+}
+
+/**
+ * Whether output that followed some keystrokes is their echo
+ * The keys must open that output (a shell drawing them as they are typed), or the
+ * whole line must follow a carriage return (a shell redrawing prompt and line).
+ * Characters scattered through unrelated output never count
+ * @param {string} keys - Printable keys not echoed yet, in order
+ * @param {string} text - Current line
+ * @param {string} output - Output since the first of the keys, escape sequences removed
+ * @param {boolean} whole - False once the start of that output was dropped
+ * @returns {boolean} True if the keys were echoed
+ */
+function isEchoOf(keys, text, output, whole) {
+  if (whole && output.startsWith(keys)) return true;
+  const redraw = output.lastIndexOf('\r');
+  return redraw !== -1 && output.slice(redraw + 1).includes(text);
+}
+
+/**
+ * Create the input trail of one PTY
+ * Keystrokes are replayed through a minimal line editor: printable characters are
+ * appended, Backspace, Ctrl-U and Ctrl-W delete, Enter ends the line and Ctrl-C
+ * abandons it. Cursor keys, Tab and other control keys cannot be followed without
+ * knowing the program, so such lines are marked edited
+ * Security: Echo-off prompts (passwords) cannot be read from the terminal settings,
+ * because shells with line editing turn echo off as well and draw the input
+ * themselves. Instead a line counts as echoed only if every key came back in the
+ * PTY output that followed it (isEchoOf); with noecho redaction every other line
+ * is recorded as redacted, never its text. Input sent in one piece with its Enter
+ * has no echo yet and is redacted too (the safe side)
+ * @param {{ redaction?: string }} [options] - noecho or none
+ * @returns {{ input: Function, output: Function }} Input trail
+ */
+export function createInputTrail({ redaction = 'noecho' } = {}) {
+  let line = '';
+  let edited = false;
+  let truncated = false;
+  let pending = ''; // Printable keys of the line whose echo has not come back yet
+  let echo = ''; // Output since the first pending key
+  let echoWhole = true; // echo still starts right after that key
+
+  /**
+   * End the current line
+   * @param {object} [extra] - Extra fields (interrupted)
+   * @returns {object} Record fields: { line, [edited], [truncated], [interrupted] } or { line: null, redacted: true }
+   */
+  function finish(extra = {}) {
+    const entry =
+      redaction === 'noecho' && line !== '' && pending !== ''
+        ? { line: null, redacted: true, ...extra }
+        : {
+            line,
+            ...(edited ? { edited: true } : {}),
+            ...(truncated ? { truncated: true } : {}),
+            ...extra,
+          };
+    line = '';
+    edited = false;
+    truncated = false;
+    pending = '';
+    return entry;
+  }
+
+  /**
+   * Feed keystrokes sent to the PTY
+   * @param {string} data - Input message data
+   * @returns {object[]} Lines completed by this input (empty Enter presses are skipped)
+   */
+  function input(data) {
+    const lines = [];
+    const chars = [...data];
+    for (let i = 0; i < chars.length; i++) {
+      const char = chars[i];
+      if (char === '\x1b') {
+        // CSI / SS3 sequence (cursor keys, function keys, paste markers) or a bare Escape
+        let sequence = '';
+        if (chars[i + 1] === '[' || chars[i + 1] === 'O') {
+          i++;
+          while (++i < chars.length) {
+            sequence += chars[i];
+            if (chars[i] >= '@' && chars[i] <= '~') break;
+          }
+        }
+        if (!PASTE_MARKERS.has(sequence)) edited = true;
+      } else if (char === '\r' || char === '\n') {
+        if (line !== '' || edited) lines.push(finish());
+        else finish();
+        // A terminal sends \r\n for some pastes: one Enter
+        if (char === '\r' && chars[i + 1] === '\n') i++;
+      } else if (char === '\x7f' || char === '\b') {
+        line = [...line].slice(0, -1).join('');
+        pending = [...pending].slice(0, -1).join('');
+      } else if (char === '\x15') {
+        line = '';
+        pending = '';
+      } else if (char === '\x17') {
+        line = line.replace(/\S*\s*$/, '');
+        pending = pending.replace(/\S*\s*$/, '');
+      } else if (char === '\x03') {
+        if (line !== '') lines.push(finish({ interrupted: true }));
+        else finish();
+      } else if (char < ' ') {
+        edited = true;
+      } else if (line.length < MAX_AUDIT_INPUT_LINE) {
+        line += char;
+        if (pending === '') {
+          // The echo is looked for only in output after the key, never in the prompt
+          echo = '';
+          echoWhole = true;
+        }
+        pending += char;
+      } else {
+        truncated = true;
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Feed PTY output, where the echo of the current line shows up
+   * @param {string} data - PTY output
+   */
+  function output(data) {
+    if (pending === '') return;
+    echo += data.replace(OUTPUT_ESCAPE_PATTERN, '');
+    if (echo.length > AUDIT_INPUT_ECHO_WINDOW) {
+      echo = echo.slice(-AUDIT_INPUT_ECHO_WINDOW);
+      echoWhole = false;
+    }
+    if (isEchoOf(pending, line, echo, echoWhole)) pending = '';
+  }
+
+  return { input, output };
+}
@@ -0,0 +1,223 @@
+/**
+ * Location   : src/lockout.js
+ * Purpose    : Failed authentication tracking: per-client exponential backoff, temporary
+ *              bans and a server-wide limit
+ * Why        : Closing a connection with 4001 costs a guesser nothing; without a wait
+ *              a token can be guessed by reconnecting forever
+ * Related    : src/server.js, tests/lockout.test.js
+ */
+
+import net from 'net';
+import {
+  LOCKOUT_WINDOW,
+  LOCKOUT_FREE_ATTEMPTS,
+  MAX_LOCKOUT_BACKOFF,
+  DEFAULT_LOCKOUT_ATTEMPTS,
+  DEFAULT_LOCKOUT_BACKOFF,
+  DEFAULT_LOCKOUT_BAN,
+  MAX_LOCKOUT_BAN,
+  DEFAULT_LOCKOUT_GLOBAL,
+  MAX_LOCKOUT_ENTRIES,
+} from './constants.js';
+import { log } from './logger.js';
+
+/**
+ * Read one TINYTERMINAL_LOCKOUT_* setting
+ * @param {string|undefined} value - Environment value
+ * @param {string} name - Environment variable name (for the error message)
+ * @param {number} fallback - Default when unset
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Largest accepted value
+ * @returns {number} Validated integer
+ * @throws {Error} If the value is not an integer in range
+ */
+function readSetting(value, name, fallback, min, max) {
+  if (value === undefined || value === '') return fallback;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || num > max) {
+    throw new Error(`Invalid ${name}: must be an integer between ${min} and ${max}`);
+  }
+  return num;
+}
+
+/**
+ * Validate the TINYTERMINAL_LOCKOUT_* environment variables
+ * - TINYTERMINAL_LOCKOUT_ATTEMPTS: failures from one client before it is banned
+ * - TINYTERMINAL_LOCKOUT_BACKOFF: first wait in seconds, doubling per failure (0 = no backoff)
+ * - TINYTERMINAL_LOCKOUT_BAN: ban length in seconds
+ * - TINYTERMINAL_LOCKOUT_GLOBAL: failures from all clients per 15 minutes before every
+ *   login waits (0 = no server-wide limit)
+ * @param {object} env - Environment (process.env)
+ * @returns {{ attempts: number, backoff: number, ban: number, global: number }} Policy (times in ms)
+ * @throws {Error} If a setting is invalid
+ */
+export function validateLockoutPolicy(env) {
+  const attempts = readSetting(
+    env.TINYTERMINAL_LOCKOUT_ATTEMPTS,
+    'TINYTERMINAL_LOCKOUT_ATTEMPTS',
+    DEFAULT_LOCKOUT_ATTEMPTS,
+    LOCKOUT_FREE_ATTEMPTS + 1,
+    1000
+  );
+  const backoff = readSetting(
+    env.TINYTERMINAL_LOCKOUT_BACKOFF,
+    'TINYTERMINAL_LOCKOUT_BACKOFF',
+    DEFAULT_LOCKOUT_BACKOFF / 1000,
+    0,
+    MAX_LOCKOUT_BACKOFF / 1000
+  );
+  const ban = readSetting(
+    env.TINYTERMINAL_LOCKOUT_BAN,
+    'TINYTERMINAL_LOCKOUT_BAN',
+    DEFAULT_LOCKOUT_BAN / 1000,
+    1,
+    MAX_LOCKOUT_BAN / 1000
+  );
+  const global = readSetting(
+    env.TINYTERMINAL_LOCKOUT_GLOBAL,
+    'TINYTERMINAL_LOCKOUT_GLOBAL',
+    DEFAULT_LOCKOUT_GLOBAL,
+    0,
+    100000
+  );
+  return { attempts, backoff: backoff * 1000, ban: ban * 1000, global };
+}
+
+/**
+ * Key failures are counted under
+ * Security: IPv6 clients usually own a whole /64, so one address per guess would
+ * dodge a per-address count; IPv4-mapped addresses count as their IPv4 address
+ * @param {string|undefined} address - Remote address of the socket
+ * @returns {string} IPv4 address, IPv6 /64 prefix, or the raw value
+ */
+export function clientKey(address) {
+  const ip = String(address).split('%')[0];
+  if (ip.toLowerCase().startsWith('::ffff:') && net.isIPv4(ip.slice(7))) {
+    return ip.slice(7);
+  }
+  if (!net.isIPv6(ip) || ip.includes('.')) return ip;
+
+  const [head, tail] = ip.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const groups =
+    tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+  return `${groups
+    .slice(0, 4)
+    .map((group) => parseInt(group, 16).toString(16))
+    .join(':')}::/64`;
+}
+
+/**
+ * Create a failed-authentication tracker
+ * Design Decision: Only failures are recorded, so a client that never gets the
+ * token wrong costs nothing; a success clears that client's record
+ * @param {{ attempts: number, backoff: number, ban: number, global: number }} policy - From validateLockoutPolicy
+ * @returns {{ check: Function, fail: Function, succeed: Function }} Tracker
+ */
+export function createLockout(policy) {
+  // Client key -> { failures, lastFailure, bannedUntil }
+  const clients = new Map();
+  // Times of recent failures from every client (at most policy.global kept)
+  let recentFailures = [];
+  let globalAlerted = false;
+
+  /**
+   * Wait imposed after a number of failures
+   * @param {number} failures - Failures so far
+   * @returns {number} Wait in ms
+   */
+  function backoffFor(failures) {
+    if (policy.backoff === 0 || failures < LOCKOUT_FREE_ATTEMPTS) return 0;
+    return Math.min(policy.backoff * 2 ** (failures - LOCKOUT_FREE_ATTEMPTS), MAX_LOCKOUT_BACKOFF);
+  }
+
+  /**
+   * Refusal with the number of seconds to wait
+   * @param {number} until - Time the wait ends (ms)
+   * @param {number} now - Current time (ms)
+   * @param {string} reason - 'backoff', 'banned' or 'global'
+   * @returns {{ retryAfter: number, reason: string }} Refusal
+   */
+  function refusal(until, now, reason) {
+    return { retryAfter: Math.max(1, Math.ceil((until - now) / 1000)), reason };
+  }
+
+  /**
+   * Whether a client has to wait before its next attempt
+   * @param {string} address - Remote address
+   * @returns {{ retryAfter: number, reason: string }|null} Refusal, or null if it may try
+   */
+  function check(address) {
+    const now = Date.now();
+    const key = clientKey(address);
+    const record = clients.get(key);
+    if (record) {
+      if (record.bannedUntil > now) {
+        return refusal(record.bannedUntil, now, 'banned');
+      }
+      if (record.bannedUntil > 0 || record.lastFailure + LOCKOUT_WINDOW <= now) {
+        // Ban served or failures forgotten: start over
+        clients.delete(key);
+      } else {
+        const waitUntil = record.lastFailure + backoffFor(record.failures);
+        if (waitUntil > now) {
+          return refusal(waitUntil, now, 'backoff');
+        }
+      }
+    }
+
+    if (policy.global > 0) {
+      recentFailures = recentFailures.filter((time) => time + LOCKOUT_WINDOW > now);
+      if (recentFailures.length >= policy.global) {
+        return refusal(recentFailures[0] + LOCKOUT_WINDOW, now, 'global');
+      }
+      globalAlerted = false;
+    }
+    return null;
+  }
+
+  /**
+   * Record a failed attempt
+   * @param {string} address - Remote address
+   * @returns {{ retryAfter: number, reason: string }|null} Wait before the next attempt
+   */
+  function fail(address) {
+    const now = Date.now();
+    const key = clientKey(address);
+    const record = clients.get(key) || { failures: 0, lastFailure: 0, bannedUntil: 0 };
+    record.failures += 1;
+    record.lastFailure = now;
+    // Re-inserted so the Map stays ordered by last failure (oldest dropped first)
+    clients.delete(key);
+    clients.set(key, record);
+    if (clients.size > MAX_LOCKOUT_ENTRIES) {
+      clients.delete(clients.keys().next().value);
+    }
+
+    if (record.failures >= policy.attempts) {
+      record.bannedUntil = now + policy.ban;
+      log(`ALERT: ${key} banned for ${policy.ban / 1000}s after ${record.failures} failed attempts`);
+    }
+
+    if (policy.global > 0) {
+      recentFailures.push(now);
+      if (recentFailures.length > policy.global) recentFailures.shift();
+      if (recentFailures.length >= policy.global && !globalAlerted) {
+        globalAlerted = true;
+        log(`ALERT: ${policy.global} failed attempts within ${LOCKOUT_WINDOW / 60000} minutes, all logins must wait`);
+      }
+    }
+    return check(address);
+  }
+
+  /**
+   * Forget a client's failures after it authenticated
+   * @param {string} address - Remote address
+   */
+  function succeed(address) {
+    clients.delete(clientKey(address));
+  }
+
+  return { check, fail, succeed };
+}
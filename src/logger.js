@@ -0,0 +1,30 @@
+/**
+ * Location   : src/logger.js
+ * Purpose    : Timestamped, sanitized logging shared by server modules
+ * Why        : Session registry and server both log; keep one sanitization path
+ * Related    : src/server.js, src/sessions.js, tests/server.test.js
+ */
+
+/**
+ * Sanitize log message to prevent log injection
+ * Security: Remove control characters and newlines
+ * @param {string} message - Raw log message
+ * @returns {string} Sanitized message
+ */
+export function sanitizeLogMessage(message) {
+  // 改行・制御文字をエスケープ
+  return String(message).replace(/[\r\n\t\x00-\x1F\x7F]/g, '');
+}
+
+/**
+ * Log with timestamp
+ * Security: Sanitizes message to prevent log injection
+ * @param {string} message - Log message
+ * @param {string|null} [who] - Authenticated user the line is about (TINYTERMINAL_USERS)
+ */
+export function log(message, who = null) {
+  const timestamp = new Date().toISOString();
+  const sanitized = sanitizeLogMessage(message);
+  const prefix = who ? `[${sanitizeLogMessage(who)}] ` : '';
+  console.log(`[${timestamp}] ${prefix}${sanitized}`);
+}
@@ -0,0 +1,177 @@
+/**
+ * Location   : src/network.js
+ * Purpose    : Origin and client network allowlists (host names, *.suffix wildcards,
+ *              IPv4/IPv6 addresses and CIDR ranges)
+ * Why        : A fixed localhost + 100.64.0.0/10 check rejected Tailscale's IPv6 range,
+ *              MagicDNS names and LAN subnets, and never looked at the client address
+ * Related    : src/server.js, src/constants.js, tests/network.test.js
+ */
+
+import net from 'net';
+import { DEFAULT_ALLOWED_ORIGINS, DEFAULT_ALLOWED_NETWORKS, MAX_ALLOWLIST_ENTRIES } from './constants.js';
+
+// Host names in origin allowlists: DNS labels, optionally behind "*."
+const HOST_PATTERN = /^(\*\.)?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+/**
+ * Parse an IP address into its bytes
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d, as reported by dual-stack sockets)
+ * become their IPv4 address, so one IPv4 range covers both forms
+ * @param {string} address - Address, optionally [bracketed] or with a %zone
+ * @returns {Buffer|null} 4 or 16 bytes, or null if not an IP address
+ */
+export function parseAddress(address) {
+  if (typeof address !== 'string') return null;
+  const ip = address.replace(/^\[(.*)\]$/, '$1').split('%')[0];
+
+  if (net.isIPv4(ip)) {
+    return Buffer.from(ip.split('.').map(Number));
+  }
+  if (!net.isIPv6(ip)) return null;
+
+  // Expand "::" and a trailing dotted IPv4 part into eight 16-bit groups
+  let text = ip;
+  const dotted = /:(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    text = `${text.slice(0, dotted.index)}:${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const groups = tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+  const mapped = bytes.subarray(0, 12).equals(Buffer.from([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff]));
+  return mapped ? bytes.subarray(12) : bytes;
+}
+
+/**
+ * Parse an address or CIDR range
+ * @param {string} text - e.g. "100.64.0.0/10", "fd7a:115c:a1e0::/48" or "192.168.1.5"
+ * @returns {{ bytes: Buffer, prefix: number }|null} Range (a bare address is a /32 or /128), or null if invalid
+ */
+export function parseCidr(text) {
+  if (typeof text !== 'string') return null;
+  const [address, prefixText, extra] = text.split('/');
+  const bytes = parseAddress(address);
+  if (!bytes || extra !== undefined) return null;
+
+  // An IPv4-mapped range is written with an IPv6 prefix
+  const bits = bytes.length * 8;
+  const offset = net.isIPv6(address) && bytes.length === 4 ? 96 : 0;
+  if (prefixText === undefined) return { bytes, prefix: bits };
+  if (!/^\d{1,3}$/.test(prefixText)) return null;
+  const prefix = Number(prefixText) - offset;
+  if (prefix < 0 || prefix > bits) return null;
+  return { bytes, prefix };
+}
+
+/**
+ * Check whether an address lies in a range
+ * @param {Buffer} bytes - Address from parseAddress
+ * @param {{ bytes: Buffer, prefix: number }} range - Range from parseCidr
+ * @returns {boolean} True if the first prefix bits match
+ */
+function inRange(bytes, range) {
+  if (bytes.length !== range.bytes.length) return false;
+  const whole = Math.floor(range.prefix / 8);
+  if (!bytes.subarray(0, whole).equals(range.bytes.subarray(0, whole))) return false;
+  const rest = range.prefix % 8;
+  if (rest === 0) return true;
+  const mask = (0xff << (8 - rest)) & 0xff;
+  return (bytes[whole] & mask) === (range.bytes[whole] & mask);
+}
+
+/**
+ * Split a comma-separated allowlist
+ * @param {string|undefined} value - Environment value
+ * @param {string} name - Environment variable name (for error messages)
+ * @param {readonly string[]} fallback - Entries used when unset
+ * @returns {string[]} Trimmed, non-empty entries
+ * @throws {Error} If the list is empty or too long
+ */
+function splitList(value, name, fallback) {
+  if (value === undefined) return [...fallback];
+  const entries = String(value)
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0 || entries.length > MAX_ALLOWLIST_ENTRIES) {
+    throw new Error(`Invalid ${name}: must list 1 to ${MAX_ALLOWLIST_ENTRIES} entries`);
+  }
+  return entries;
+}
+
+/**
+ * Validate TINYTERMINAL_ALLOWED_ORIGINS environment variable
+ * Entries: host names ("localhost", "myhost.example"), "*.suffix" wildcards
+ * ("*.ts.net" matches any name under ts.net, not ts.net itself), IP addresses and CIDR ranges
+ * @param {string|undefined} value - Comma-separated entries (unset = DEFAULT_ALLOWED_ORIGINS)
+ * @returns {{ hosts: Set<string>, suffixes: string[], ranges: Array<object> }} Allowlist
+ * @throws {Error} If an entry is invalid
+ */
+export function validateAllowedOrigins(value) {
+  const allowlist = { hosts: new Set(), suffixes: [], ranges: [] };
+  for (const entry of splitList(value, 'TINYTERMINAL_ALLOWED_ORIGINS', DEFAULT_ALLOWED_ORIGINS)) {
+    const range = parseCidr(entry);
+    if (range) {
+      allowlist.ranges.push(range);
+      continue;
+    }
+    const host = entry.toLowerCase();
+    // Security: Wildcards only replace whole leading labels; a bare "*" is refused
+    if (!HOST_PATTERN.test(host)) {
+      throw new Error(`Invalid TINYTERMINAL_ALLOWED_ORIGINS: "${entry}" is not a host name, *.suffix or CIDR range`);
+    }
+    if (host.startsWith('*.')) {
+      allowlist.suffixes.push(host.slice(1));
+    } else {
+      allowlist.hosts.add(host);
+    }
+  }
+  return allowlist;
+}
+
+/**
+ * Validate TINYTERMINAL_ALLOWED_NETWORKS environment variable
+ * @param {string|undefined} value - Comma-separated addresses or CIDR ranges
+ *   (unset = DEFAULT_ALLOWED_NETWORKS; "0.0.0.0/0,::/0" allows every client)
+ * @returns {Array<object>} Ranges
+ * @throws {Error} If an entry is invalid
+ */
+export function validateAllowedNetworks(value) {
+  return splitList(value, 'TINYTERMINAL_ALLOWED_NETWORKS', DEFAULT_ALLOWED_NETWORKS).map((entry) => {
+    const range = parseCidr(entry);
+    if (!range) {
+      throw new Error(`Invalid TINYTERMINAL_ALLOWED_NETWORKS: "${entry}" is not an IP address or CIDR range`);
+    }
+    return range;
+  });
+}
+
+/**
+ * Check a client address against network ranges
+ * @param {string|undefined} address - req.socket.remoteAddress
+ * @param {Array<object>} ranges - From validateAllowedNetworks
+ * @returns {boolean} True if the address is in one of the ranges
+ */
+export function isAllowedAddress(address, ranges) {
+  const bytes = parseAddress(address);
+  return bytes !== null && ranges.some((range) => inRange(bytes, range));
+}
+
+/**
+ * Check an Origin header's host name against an origin allowlist
+ * Security: Exact name or whole-label suffix match (evil-localhost.com and
+ * evilts.net never match), IP literals by range
+ * @param {string} hostname - URL.hostname of the origin (lowercase, IPv6 in brackets)
+ * @param {{ hosts: Set<string>, suffixes: string[], ranges: Array<object> }} allowlist - From validateAllowedOrigins
+ * @returns {boolean} True if allowed
+ */
+export function isAllowedHost(hostname, allowlist) {
+  const bytes = parseAddress(hostname);
+  if (bytes) return allowlist.ranges.some((range) => inRange(bytes, range));
+  return allowlist.hosts.has(hostname) || allowlist.suffixes.some((suffix) => hostname.endsWith(suffix));
+}
@@ -0,0 +1,44 @@
+/**
+ * Location   : src/protocol.js
+ * Purpose    : Protocol version and capability negotiation (the 'hello' exchange)
+ * Why        : A tab left open across a server upgrade speaks an older protocol; without
+ *              a version check it only ever sees "Failed to process request"
+ * Related    : src/server.js, public/client.js, src/constants.js, tests/protocol.test.js
+ */
+
+import {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  PROTOCOL_CAPABILITIES,
+  MAX_HELLO_CAPABILITIES,
+} from './constants.js';
+
+/**
+ * Agree on a version and capabilities with a client's hello
+ * Both sides speak every version from their minVersion up to their version; the
+ * highest one they share is used. Capabilities are those both sides listed
+ * @param {{ version: number, minVersion?: number, capabilities?: string[] }} hello - Client hello
+ * @param {string[]} [offered] - Capabilities this server offers on the connection
+ * @returns {{ version: number, capabilities: string[] }|null} Agreement, or null if no version is shared
+ * @throws {Error} If the hello is malformed
+ */
+export function negotiateProtocol(hello, offered = PROTOCOL_CAPABILITIES) {
+  const { version, minVersion = version, capabilities = [] } = hello;
+  if (!Number.isSafeInteger(version) || !Number.isSafeInteger(minVersion) || minVersion < 1 || minVersion > version) {
+    throw new Error('Invalid hello: version and minVersion must be integers with 1 <= minVersion <= version');
+  }
+  if (
+    !Array.isArray(capabilities) ||
+    capabilities.length > MAX_HELLO_CAPABILITIES ||
+    !capabilities.every((capability) => typeof capability === 'string')
+  ) {
+    throw new Error(`Invalid hello: capabilities must be at most ${MAX_HELLO_CAPABILITIES} strings`);
+  }
+
+  const agreed = Math.min(version, PROTOCOL_VERSION);
+  if (agreed < Math.max(minVersion, MIN_PROTOCOL_VERSION)) return null;
+  return {
+    version: agreed,
+    capabilities: offered.filter((capability) => capabilities.includes(capability)),
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * Location   : src/recorder.js
+ * Purpose    : Record PTY sessions to asciicast v2 (.cast) files and read them back
+ * Why        : Review what an agent did in an unattended session and attach
+ *              reproductions to bug reports (playable with asciinema)
+ * Related    : src/server.js, src/sessions.js, public/player.js, tests/recorder.test.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from './logger.js';
+
+// Only names produced by recordingFileName are ever served back
+const RECORDING_NAME_PATTERN = /^\d{8}-\d{6}-[0-9a-f-]{36}\.cast$/;
+
+// Enough of a file to hold the asciicast header line
+const HEADER_READ_SIZE = 4096;
+
+/**
+ * Validate TINYTERMINAL_RECORD_DIR environment variable
+ * Design Decision: Require an absolute path so recordings do not land wherever
+ * the server happened to be started from
+ * @param {string} dir - Recording directory
+ * @returns {string} Normalized absolute path
+ * @throws {Error} If directory path is invalid
+ */
+export function validateRecordDir(dir) {
+  if (typeof dir !== 'string' || !path.isAbsolute(dir) || dir.includes('\0')) {
+    throw new Error('Invalid TINYTERMINAL_RECORD_DIR: must be an absolute path');
+  }
+  return path.resolve(dir);
+}
+
+/**
+ * Build a recording file name that is unique per session and sorts by start time
+ * Session names are user-supplied, so only the session ID goes into the path
+ * @param {Date} startedAt - Recording start time
+ * @param {string} sessionId - Session UUID
+ * @returns {string} File name (e.g. 20250101-120000-<uuid>.cast)
+ */
+export function recordingFileName(startedAt, sessionId) {
+  const stamp = startedAt.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${sessionId}.cast`;
+}
+
+/**
+ * Start recording a session
+ * Writes the asciicast v2 header immediately; output and resize events are
+ * appended as [elapsedSeconds, code, data] lines.
+ * Security: Recordings contain everything the terminal showed, so the directory
+ * is created 0700 and files 0600. A failing disk never breaks the session itself.
+ * @param {string} dir - Validated recording directory
+ * @param {object} info - Session metadata
+ * @param {string} info.sessionId - Session UUID (used in the file name)
+ * @param {string} info.name - Session name (recording title)
+ * @param {string} info.shell - Shell executable
+ * @param {number} info.cols - Initial terminal columns
+ * @param {number} info.rows - Initial terminal rows
+ * @returns {{ file: string, output: Function, resize: Function, close: Function }} Recorder
+ */
+export function createRecorder(dir, { sessionId, name, shell, cols, rows }) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  const startedAt = new Date();
+  const file = path.join(dir, recordingFileName(startedAt, sessionId));
+  const stream = fs.createWriteStream(file, { flags: 'wx', mode: 0o600 });
+  let failed = false;
+
+  stream.on('error', (err) => {
+    // 録画失敗でセッションを落とさない
+    failed = true;
+    log(`Recording to ${file} failed: ${err.message}`);
+  });
+
+  /**
+   * Append one event line
+   * @param {string} code - Event code ('o' output, 'r' resize)
+   * @param {string} data - Event data
+   */
+  function writeEvent(code, data) {
+    if (failed || stream.writableEnded) return;
+    const elapsed = (Date.now() - startedAt.getTime()) / 1000;
+    stream.write(`${JSON.stringify([elapsed, code, data])}\n`);
+  }
+
+  stream.write(
+    `${JSON.stringify({
+      version: 2,
+      width: cols,
+      height: rows,
+      timestamp: Math.floor(startedAt.getTime() / 1000),
+      title: name,
+      env: { SHELL: shell, TERM: 'xterm-256color' },
+    })}\n`
+  );
+  log(`Recording session "${name}" to ${file}`);
+
+  return {
+    file,
+
+    /**
+     * Record PTY output
+     * @param {string} data - Output chunk
+     */
+    output(data) {
+      writeEvent('o', data);
+    },
+
+    /**
+     * Record a PTY resize
+     * @param {number} newCols - Terminal columns
+     * @param {number} newRows - Terminal rows
+     */
+    resize(newCols, newRows) {
+      writeEvent('r', `${newCols}x${newRows}`);
+    },
+
+    /**
+     * Finish the recording
+     * @returns {Promise<void>} Resolves once the file is flushed
+     */
+    close() {
+      return new Promise((resolve) => {
+        if (stream.writableEnded || failed) {
+          resolve();
+          return;
+        }
+        stream.end(resolve);
+      });
+    },
+  };
+}
+
+/**
+ * Check that a requested recording name is one we could have written
+ * Security: Rejects path separators and traversal before touching the filesystem
+ * @param {string} name - File name from the request URL
+ * @returns {boolean} True if the name is a valid recording file name
+ */
+export function isRecordingName(name) {
+  return typeof name === 'string' && RECORDING_NAME_PATTERN.test(name);
+}
+
+/**
+ * Read the asciicast header (first line) of a recording
+ * @param {string} file - Recording path
+ * @returns {Promise<object|null>} Parsed header, or null if unreadable
+ */
+async function readHeader(file) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_READ_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_READ_SIZE, 0);
+    const firstLine = buffer.toString('utf-8', 0, bytesRead).split('\n')[0];
+    return JSON.parse(firstLine);
+  } catch {
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * List recordings in the directory, newest first
+ * @param {string} dir - Validated recording directory
+ * @returns {Promise<Array<{ name: string, size: number, title: string|null,
+ *   width: number|null, height: number|null, timestamp: number|null }>>} Recording summaries
+ */
+export async function listRecordings(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir);
+  } catch (err) {
+    // Nothing recorded yet
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const names = entries.filter(isRecordingName).sort().reverse();
+  return Promise.all(
+    names.map(async (name) => {
+      const file = path.join(dir, name);
+      const [stat, header] = await Promise.all([fs.promises.stat(file), readHeader(file)]);
+      return {
+        name,
+        size: stat.size,
+        title: typeof header?.title === 'string' ? header.title : null,
+        width: header?.width ?? null,
+        height: header?.height ?? null,
+        timestamp: header?.timestamp ?? null,
+      };
+    })
+  );
+}
+
+/**
+ * Read a whole recording for playback
+ * @param {string} dir - Validated recording directory
+ * @param {string} name - Recording file name
+ * @returns {Promise<string>} asciicast v2 content
+ * @throws {Error} If the name is invalid (or the file does not exist: ENOENT)
+ */
+export async function readRecording(dir, name) {
+  if (!isRecordingName(name)) {
+    throw new Error('Invalid recording name');
+  }
+  return fs.promises.readFile(path.join(dir, name), 'utf-8');
+}
@@ -7,10 +7,13 @@
 
 import { WebSocketServer } from 'ws';
 import http from 'http';
+import https from 'https';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import os from 'os';
+import net from 'net';
 import pty from 'node-pty';
 import {
   MAX_INPUT_LENGTH,
@@ -18,10 +21,109 @@ import {
   MIN_PORT,
   MAX_PORT,
   MAX_CONNECTIONS,
+  MAX_PENDING_MESSAGES,
   SAFE_ENV_KEYS,
   HEARTBEAT_INTERVAL,
   MAX_MISSED_PONGS,
+  DEFAULT_SESSION_GRACE,
+  MAX_SESSION_GRACE,
+  MAX_SESSIONS,
+  RESIZE_POLICIES,
+  DEFAULT_RESIZE_POLICY,
+  DEFAULT_AUDIT_INPUT_REDACTION,
+  BINARY_PROTOCOL,
+  MIN_PROTOCOL_VERSION,
+  PROTOCOL_CAPABILITIES,
+  FLOW_HIGH_WATERMARK,
+  FLOW_LOW_WATERMARK,
+  LINK_WARNING_RTT,
+  LINK_LOG_INTERVAL,
+  TYPING_BROADCAST_INTERVAL,
+  MAX_IDLE_TIMEOUT,
+  IDLE_WARNING,
+  DEFAULT_LOGIN_TTL,
+  MAX_LOGIN_TTL,
+  MAX_API_BODY_SIZE,
+  WEBAUTHN_RP_NAME,
+  WEBAUTHN_CHALLENGE_TTL,
+  MAX_PASSKEYS,
+  MAX_PASSKEY_BODY_SIZE,
 } from './constants.js';
+import { log, sanitizeLogMessage } from './logger.js';
+import { loadConfig, findProfile, resolveProfileEnv } from './config.js';
+import {
+  readLoginCookie,
+  createLoginSession,
+  getLoginSession,
+  destroyLoginSession,
+  loginCookieHeader,
+  createPendingLogin,
+  getPendingLogin,
+  failPendingLogin,
+  destroyPendingLogin,
+} from './auth.js';
+import {
+  validateTotpFile,
+  loadTotpSecret,
+  saveTotpSecret,
+  generateTotpSecret,
+  verifyTotp,
+  provisioningUri,
+  base32Encode,
+} from './totp.js';
+import {
+  COSE_ES256,
+  COSE_RS256,
+  createChallenge,
+  verifyRegistration,
+  verifyAssertion,
+  validatePasskeyFile,
+  normalizePasskeyName,
+  loadPasskeys,
+  savePasskeys,
+} from './webauthn.js';
+import { validateUsersFile, loadUsers, authenticateUser, verifyTokenHash, allowedProfiles } from './users.js';
+import { validateLockoutPolicy, createLockout } from './lockout.js';
+import { validateAllowedOrigins, validateAllowedNetworks, isAllowedHost, isAllowedAddress } from './network.js';
+import { validateTlsSettings, ensureCertificate, loadCertificate, watchCertificate } from './tls.js';
+import { validateTailscaleAuth, createLocalApiClient, isTailscaleAuthorized, describeIdentity } from './tailscale.js';
+import { validateAuditFile, validateAuditChain, createAuditLog } from './audit.js';
+import { validateInputAudit, validateInputRedaction, createInputTrail } from './inputtrail.js';
+import { selectProtocol, encodeOutputFrame, encodeReplayFrame, decodeInputFrame } from './frames.js';
+import { batchDelay, createOutputBatcher } from './batcher.js';
+import { negotiateProtocol } from './protocol.js';
+import {
+  createRecorder,
+  validateRecordDir,
+  isRecordingName,
+  listRecordings,
+  readRecording,
+} from './recorder.js';
+import {
+  createSession,
+  getSession,
+  attachSession,
+  detachSession,
+  destroySession,
+  stopOutput,
+  appendOutput,
+  getOutputSince,
+  getSessionCount,
+  listSessions,
+  renameSession,
+  resizeSession,
+  validateSessionName,
+  addSpectator,
+  removeSpectator,
+  addWriter,
+  removeWriter,
+  setClientSize,
+  computeSessionSize,
+  getSessionSockets,
+  touchSession,
+} from './sessions.js';
+
+export { sanitizeLogMessage };
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -30,21 +132,166 @@ const __dirname = path.dirname(__filename);
 const rawPort = process.env.PORT || DEFAULT_PORT;
 const PORT = validatePort(rawPort);
 
-// Track active connections by IP address (IP -> WebSocket)
-// Design Decision: Using Map instead of counter to enable IP-based connection replacement
-// When a new connection from the same IP arrives, close the old one and replace it
+// Track active connections (WebSocket -> client IP)
+// Design Decision: Keyed by socket so several tabs from the same phone can coexist.
+// Only when the limit is reached is the oldest socket from the same IP closed,
+// since it is most likely a ghost left behind by a screen lock or network switch.
 const connectionMap = new Map();
 
-/**
- * Log with timestamp
- * Security: Sanitizes message to prevent log injection
- * @param {string} message - Log message
- */
-function log(message) {
-  const timestamp = new Date().toISOString();
-  const sanitized = sanitizeLogMessage(message);
-  console.log(`[${timestamp}] ${sanitized}`);
+// Authenticated connections that receive session list updates
+const authenticatedClients = new Set();
+
+// Connections locked after TINYTERMINAL_IDLE_LOCK; they receive no session traffic until re-auth
+const lockedClients = new Set();
+
+// Connections that negotiated BINARY_PROTOCOL: terminal I/O as frames instead of JSON
+const binaryClients = new Set();
+
+// Output acknowledged by flow-controlled connections (WebSocket -> output seq)
+// A connection takes part once it sends its first 'ack'; scripts that never do are not waited for
+const ackedOutput = new Map();
+
+// Round trip of each connection, measured by the heartbeat ping (WebSocket -> ms)
+const linkLatency = new Map();
+
+// Connections authenticated by a login cookie (WebSocket -> login ID), closed on logout
+const loginClients = new Map();
+
+// Session grace period (ms a detached PTY is kept alive)
+const SESSION_GRACE = validateSessionGrace(
+  process.env.TINYTERMINAL_SESSION_GRACE ?? DEFAULT_SESSION_GRACE / 1000
+);
+
+// Static files served from public/ (URL path -> file name)
+// Design Decision: Explicit allowlist instead of mapping URL paths onto the filesystem
+const STATIC_FILES = {
+  '/': 'index.html',
+  '/index.html': 'index.html',
+  '/style.css': 'style.css',
+  '/client.js': 'client.js',
+  '/theme.js': 'theme.js',
+  '/recordings': 'recordings.html',
+  '/player.js': 'player.js',
+  '/login': 'login.html',
+  '/login.js': 'login.js',
+  '/passkey.js': 'passkey.js',
+};
+
+// Pages that redirect to /login without a login cookie when TINYTERMINAL_TOKEN is set
+// Scripts and styles stay public; they hold nothing secret
+const LOGIN_REQUIRED_PAGES = new Set(['/', '/index.html', '/recordings']);
+
+// Lifetime of a login cookie in ms (absolute, not extended by activity)
+const LOGIN_TTL = validateLoginTtl(process.env.TINYTERMINAL_LOGIN_TTL ?? DEFAULT_LOGIN_TTL / 1000);
+
+// Opt-in TOTP second factor: where the enrolled secret lives (null = token only)
+// Design Decision: The first login after enabling it enrolls the secret; enrolling
+// again means deleting the file on the server
+const TOTP_FILE = process.env.TINYTERMINAL_TOTP_FILE
+  ? validateTotpFile(process.env.TINYTERMINAL_TOTP_FILE)
+  : null;
+if (TOTP_FILE && !process.env.TINYTERMINAL_TOKEN) {
+  throw new Error('Invalid TINYTERMINAL_TOTP_FILE: requires TINYTERMINAL_TOKEN');
+}
+let totpSecret = TOTP_FILE ? loadTotpSecret(TOTP_FILE) : null;
+// Last accepted time step; codes at or before it are refused (replay protection)
+let lastTotpCounter = -1;
+
+// Opt-in passkey sign-in: where registered credentials live (null = passkeys disabled)
+// Design Decision: Passkeys are added from a signed-in terminal, so the token stays
+// the way in (and the recovery path when a phone is lost)
+const PASSKEY_FILE = process.env.TINYTERMINAL_PASSKEY_FILE
+  ? validatePasskeyFile(process.env.TINYTERMINAL_PASSKEY_FILE)
+  : null;
+if (PASSKEY_FILE && !process.env.TINYTERMINAL_TOKEN) {
+  throw new Error('Invalid TINYTERMINAL_PASSKEY_FILE: requires TINYTERMINAL_TOKEN');
+}
+let passkeys = PASSKEY_FILE ? loadPasskeys(PASSKEY_FILE) : [];
+
+// WebAuthn user handle. There is one user, so every passkey a phone makes for this
+// host replaces its previous one instead of piling up
+const PASSKEY_USER_ID = Buffer.from('tinyterminal').toString('base64url');
+
+// Launch profiles from TINYTERMINAL_CONFIG (a single login-shell profile without it)
+const CONFIG = loadConfig(process.env.TINYTERMINAL_CONFIG);
+
+// Opt-in users file: named principals, each with its own token hash, launch
+// profiles, read-only flag and session limit (null = the single TINYTERMINAL_TOKEN)
+// Design Decision: Read once at startup like TINYTERMINAL_CONFIG; restart to apply edits
+const USERS = process.env.TINYTERMINAL_USERS
+  ? loadUsers(validateUsersFile(process.env.TINYTERMINAL_USERS), CONFIG.profiles)
+  : null;
+if (USERS && process.env.TINYTERMINAL_TOKEN) {
+  throw new Error('Invalid TINYTERMINAL_USERS: cannot be combined with TINYTERMINAL_TOKEN');
+}
+
+// Opt-in Tailscale identity authorization: listed tailnet users and tagged devices
+// get in without a token (null = disabled)
+// Design Decision: Like TOTP and passkeys it extends the single-token model; a
+// Tailscale identity gets the same access as the token
+const TAILSCALE_AUTH = validateTailscaleAuth(process.env);
+if (TAILSCALE_AUTH && USERS) {
+  throw new Error('Invalid TINYTERMINAL_TAILSCALE_USERS: cannot be combined with TINYTERMINAL_USERS');
+}
+const localApi = TAILSCALE_AUTH ? createLocalApiClient(TAILSCALE_AUTH.socket) : null;
+
+// Principal of a single-token (or open) server: every profile, full access
+const SINGLE_USER = Object.freeze({ name: null, profiles: null, readOnly: false, maxSessions: MAX_SESSIONS });
+
+// Failed token/code tracking for the login API, bearer tokens and WebSocket auth
+// Security: Each failure makes that client wait longer, until it is banned
+const lockout = createLockout(validateLockoutPolicy(process.env));
+
+// Opt-in asciicast recording directory (null = recording disabled)
+const RECORD_DIR = process.env.TINYTERMINAL_RECORD_DIR
+  ? validateRecordDir(process.env.TINYTERMINAL_RECORD_DIR)
+  : null;
+
+// Idle timeouts in ms (0 = disabled): lock a connection / kill a PTY after no input
+const IDLE_LOCK = validateIdleTimeout(process.env.TINYTERMINAL_IDLE_LOCK ?? 0, 'TINYTERMINAL_IDLE_LOCK');
+const IDLE_KILL = validateIdleTimeout(process.env.TINYTERMINAL_IDLE_KILL ?? 0, 'TINYTERMINAL_IDLE_KILL');
+if (IDLE_LOCK > 0 && IDLE_KILL > 0 && IDLE_KILL <= IDLE_LOCK) {
+  throw new Error('Invalid TINYTERMINAL_IDLE_KILL: must be longer than TINYTERMINAL_IDLE_LOCK');
+}
+
+// Browser origins and client networks allowed to connect
+// Security: Both are checked; a stolen Origin header is useless from an unlisted network
+const ALLOWED_ORIGINS = validateAllowedOrigins(process.env.TINYTERMINAL_ALLOWED_ORIGINS);
+const ALLOWED_NETWORKS = validateAllowedNetworks(process.env.TINYTERMINAL_ALLOWED_NETWORKS);
+
+// HTTPS certificate settings (null = plain HTTP)
+const TLS_SETTINGS = validateTlsSettings(process.env);
+
+// Plain HTTP port that redirects to HTTPS (null = none)
+const REDIRECT_PORT = process.env.TINYTERMINAL_HTTP_REDIRECT_PORT
+  ? validateRedirectPort(process.env.TINYTERMINAL_HTTP_REDIRECT_PORT)
+  : null;
+
+// How conflicting resizes in a multi-writer session are resolved
+const RESIZE_POLICY = validateResizePolicy(
+  process.env.TINYTERMINAL_RESIZE_POLICY ?? DEFAULT_RESIZE_POLICY
+);
+
+// Opt-in security audit log (JSON lines, null = disabled)
+const AUDIT_CHAIN = validateAuditChain(process.env.TINYTERMINAL_AUDIT_CHAIN);
+if (AUDIT_CHAIN && !process.env.TINYTERMINAL_AUDIT_LOG) {
+  throw new Error('Invalid TINYTERMINAL_AUDIT_CHAIN: requires TINYTERMINAL_AUDIT_LOG');
+}
+const AUDIT = process.env.TINYTERMINAL_AUDIT_LOG
+  ? createAuditLog(validateAuditFile(process.env.TINYTERMINAL_AUDIT_LOG), { chain: AUDIT_CHAIN })
+  : null;
+
+// Opt-in input trail in the audit log: typed lines per session, echo-off lines redacted
+const AUDIT_INPUT = validateInputAudit(process.env.TINYTERMINAL_AUDIT_INPUT);
+if (AUDIT_INPUT && !AUDIT) {
+  throw new Error('Invalid TINYTERMINAL_AUDIT_INPUT: requires TINYTERMINAL_AUDIT_LOG');
+}
+if (process.env.TINYTERMINAL_AUDIT_INPUT_REDACT !== undefined && !AUDIT_INPUT) {
+  throw new Error('Invalid TINYTERMINAL_AUDIT_INPUT_REDACT: requires TINYTERMINAL_AUDIT_INPUT=1');
 }
+const AUDIT_INPUT_REDACTION = validateInputRedaction(
+  process.env.TINYTERMINAL_AUDIT_INPUT_REDACT ?? DEFAULT_AUDIT_INPUT_REDACTION
+);
 
 /**
  * Validate PORT environment variable
@@ -60,6 +307,91 @@ export function validatePort(port) {
   return num;
 }
 
+/**
+ * Validate TINYTERMINAL_SESSION_GRACE environment variable
+ * 0 restores the old behaviour (PTY killed as soon as the socket closes)
+ * @param {string|number} seconds - Grace period in seconds
+ * @returns {number} Grace period in milliseconds
+ * @throws {Error} If grace period is invalid
+ */
+export function validateSessionGrace(seconds) {
+  const num = Number(seconds);
+  const ms = num * 1000;
+  if (!Number.isFinite(num) || num < 0 || ms > MAX_SESSION_GRACE) {
+    throw new Error(
+      `Invalid TINYTERMINAL_SESSION_GRACE: must be between 0 and ${MAX_SESSION_GRACE / 1000} seconds`
+    );
+  }
+  return ms;
+}
+
+/**
+ * Validate an idle timeout environment variable
+ * @param {string|number} seconds - Timeout in seconds (0 disables it)
+ * @param {string} name - Environment variable name (for the error message)
+ * @returns {number} Timeout in milliseconds
+ * @throws {Error} If the timeout is invalid
+ */
+export function validateIdleTimeout(seconds, name) {
+  const num = Number(seconds);
+  const ms = num * 1000;
+  if (!Number.isFinite(num) || num < 0 || ms > MAX_IDLE_TIMEOUT) {
+    throw new Error(`Invalid ${name}: must be between 0 and ${MAX_IDLE_TIMEOUT / 1000} seconds`);
+  }
+  return ms;
+}
+
+/**
+ * Validate TINYTERMINAL_LOGIN_TTL environment variable
+ * @param {string|number} seconds - Login lifetime in seconds
+ * @returns {number} Login lifetime in milliseconds
+ * @throws {Error} If the lifetime is invalid
+ */
+export function validateLoginTtl(seconds) {
+  const num = Number(seconds);
+  const ms = num * 1000;
+  if (!Number.isFinite(num) || num < 1 || ms > MAX_LOGIN_TTL) {
+    throw new Error(
+      `Invalid TINYTERMINAL_LOGIN_TTL: must be between 1 and ${MAX_LOGIN_TTL / 1000} seconds`
+    );
+  }
+  return ms;
+}
+
+/**
+ * Validate TINYTERMINAL_RESIZE_POLICY environment variable
+ * @param {string} policy - smallest, owner or latest
+ * @returns {string} Validated policy
+ * @throws {Error} If policy is unknown
+ */
+export function validateResizePolicy(policy) {
+  if (!RESIZE_POLICIES.includes(policy)) {
+    throw new Error(
+      `Invalid TINYTERMINAL_RESIZE_POLICY: must be one of ${RESIZE_POLICIES.join(', ')}`
+    );
+  }
+  return policy;
+}
+
+/**
+ * Validate TINYTERMINAL_HTTP_REDIRECT_PORT environment variable
+ * @param {string|number} port - Port for the HTTP to HTTPS redirect
+ * @returns {number} Validated port number
+ * @throws {Error} If the port is invalid, equals PORT or HTTPS is not enabled
+ */
+export function validateRedirectPort(port) {
+  if (!TLS_SETTINGS) {
+    throw new Error('Invalid TINYTERMINAL_HTTP_REDIRECT_PORT: requires HTTPS (TINYTERMINAL_TLS_CERT or TINYTERMINAL_TLS_DIR)');
+  }
+  const num = Number(port);
+  if (!Number.isInteger(num) || num < MIN_PORT || num > MAX_PORT || num === PORT) {
+    throw new Error(
+      `Invalid TINYTERMINAL_HTTP_REDIRECT_PORT: must be between ${MIN_PORT} and ${MAX_PORT} and differ from PORT`
+    );
+  }
+  return num;
+}
+
 /**
  * Validate BIND_ADDRESS environment variable
  * @param {string} address - Bind address to validate
@@ -78,11 +410,11 @@ export function validateBindAddress(address) {
 
 /**
  * Validate user input at trust boundary
- * @param {string} input - User input text
+ * @param {string|Buffer} input - User input text, or bytes from a binary frame
  * @throws {Error} If input is invalid
  */
 export function validateInput(input) {
-  if (typeof input !== 'string' || input.length === 0) {
+  if ((typeof input !== 'string' && !Buffer.isBuffer(input)) || input.length === 0) {
     throw new Error('Input cannot be empty');
   }
 
@@ -96,361 +428,2095 @@ export function validateInput(input) {
 }
 
 /**
- * Create HTTP server for static file serving
+ * Send a JSON response with the standard security headers
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} status - Status code
+ * @param {object} body - Response body
  */
-export function createHttpServer() {
-  return http.createServer(async (req, res) => {
-    try {
-      let filePath;
-
-      if (req.url === '/' || req.url === '/index.html') {
-        filePath = path.join(__dirname, '../public/index.html');
-      } else if (req.url === '/style.css') {
-        filePath = path.join(__dirname, '../public/style.css');
-      } else if (req.url === '/client.js') {
-        filePath = path.join(__dirname, '../public/client.js');
-      } else {
-        // Security headers
-        res.writeHead(404, {
-          'Content-Type': 'text/plain',
-          'X-Content-Type-Options': 'nosniff',
-          'X-Frame-Options': 'DENY',
-          'Referrer-Policy': 'no-referrer',
-          'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
-        });
-        res.end('Not Found');
-        return;
-      }
-
-      // Security: Validate path is within public directory
-      const publicDir = path.join(__dirname, '../public');
-      const resolvedPath = path.resolve(filePath);
-      /* v8 ignore next 7 */
-      if (!resolvedPath.startsWith(publicDir)) {
-        res.writeHead(403, {
-          'Content-Type': 'text/plain',
-          'X-Content-Type-Options': 'nosniff',
-        });
-        res.end('Forbidden');
-        return;
-      }
-
-      const content = await fs.readFile(filePath, 'utf-8');
-
-      const ext = path.extname(filePath);
-      const contentType =
-        {
-          '.html': 'text/html',
-          '.css': 'text/css',
-          '.js': 'application/javascript',
-        }[ext] || 'text/plain';
-
-      // Security headers with CSP
-      const headers = {
-        'Content-Type': contentType,
-        'X-Content-Type-Options': 'nosniff',
-        'X-Frame-Options': 'DENY',
-        'Referrer-Policy': 'no-referrer',
-        'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
-      };
-
-      if (ext === '.html') {
-        // Allow xterm.js from CDN, WebSocket connections
-        headers['Content-Security-Policy'] =
-          "default-src 'self'; script-src 'self' https://cdn.jsdelivr.net; style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net; connect-src 'self' ws: wss:;";
-      }
-
-      res.writeHead(200, headers);
-      res.end(content);
-    } catch (err) {
-      /* v8 ignore next 16 */
-      if (err.code === 'ENOENT') {
-        res.writeHead(404, {
-          'Content-Type': 'text/plain',
-          'X-Content-Type-Options': 'nosniff',
-          'Referrer-Policy': 'no-referrer',
-          'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
-        });
-        res.end('Not Found');
-      } else {
-        log(`Server error: ${err.message}`);
-        res.writeHead(500, {
-          'Content-Type': 'text/plain',
-          'X-Content-Type-Options': 'nosniff',
-        });
-        res.end('Internal Server Error');
-      }
-    }
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer',
   });
+  res.end(JSON.stringify(body));
 }
 
 /**
- * Check if IP is in Tailscale CGNAT range (100.64.0.0/10)
- * @param {string} hostname - IP address to check
- * @returns {boolean} True if in Tailscale range
+ * Redirect with the standard security headers
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} location - Same-origin path to redirect to
  */
-export function isTailscaleIP(hostname) {
-  const parts = hostname.split('.');
-  if (parts.length !== 4) return false;
+function sendRedirect(res, location) {
+  res.writeHead(303, {
+    Location: location,
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer',
+  });
+  res.end();
+}
 
-  const first = parseInt(parts[0], 10);
-  const second = parseInt(parts[1], 10);
+/**
+ * Whether clients have to log in (TINYTERMINAL_TOKEN or TINYTERMINAL_USERS is set)
+ * @returns {boolean} True if a login is required
+ */
+function authRequired() {
+  return Boolean(process.env.TINYTERMINAL_TOKEN) || USERS !== null;
+}
 
-  // 100.64.0.0/10 = 100.64.0.0 - 100.127.255.255
-  return first === 100 && second >= 64 && second <= 127;
+/**
+ * Whether clients are checked at all (a token, users file or Tailscale identities)
+ * @returns {boolean} True if anonymous clients are refused
+ */
+function accessControlled() {
+  return authRequired() || TAILSCALE_AUTH !== null;
 }
 
 /**
- * Check if origin is allowed
- * Security: Strict hostname matching prevents substring bypass (e.g., evil-localhost.com)
- * @param {string|undefined} origin - Origin header value
- * @returns {boolean} True if origin is allowed
+ * Append a record to the audit log, if enabled
+ * @param {string} event - Event name
+ * @param {object} fields - Event details (ip, user, session, ...)
  */
-export function isAllowedOrigin(origin) {
-  // origin未設定は非ブラウザクライアント（curl, wscat等）を許可
-  // WebSocketはSame-Origin PolicyがないためOriginヘッダーは任意
-  // 本番環境では認証レイヤーで保護すべき
-  if (!origin) return true;
+function audit(event, fields) {
+  if (AUDIT) AUDIT.record(event, fields);
+}
 
+/**
+ * Allowed Tailscale identity behind a connection
+ * Security: Fails closed; if tailscaled cannot be asked, the client is treated as
+ * unknown and needs the token (if any)
+ * @param {net.Socket} socket - Client socket (remote address and port)
+ * @returns {Promise<object|null>} Identity from whois if it is allowed, otherwise null
+ */
+async function tailscaleIdentity(socket) {
+  if (!TAILSCALE_AUTH) return null;
   try {
-    const url = new URL(origin);
-    // hostname厳密一致でsubstring bypassを防止
-    // Tailscale CGNAT range (100.64.0.0/10) も許可
-    return (
-      url.hostname === 'localhost' ||
-      url.hostname === '127.0.0.1' ||
-      isTailscaleIP(url.hostname)
-    );
-  } catch {
-    return false;
+    const identity = await localApi.whois(socket.remoteAddress, socket.remotePort);
+    if (!identity) return null;
+    if (isTailscaleAuthorized(identity, TAILSCALE_AUTH)) return identity;
+    log(`Tailscale identity not allowed: ${sanitizeLogMessage(describeIdentity(identity))}`);
+    return null;
+  } catch (err) {
+    log(`Tailscale whois failed: ${err.message}`);
+    return null;
   }
 }
 
 /**
- * Sanitize log message to prevent log injection
- * Security: Remove control characters and newlines
- * @param {string} message - Raw log message
- * @returns {string} Sanitized message
+ * Check a user name and token
+ * Security: Same constant-time checks for the login page, the WebSocket auth
+ * message and bearer tokens
+ * @param {*} name - User name (ignored without TINYTERMINAL_USERS)
+ * @param {*} token - Token sent by the client
+ * @returns {Promise<object|null>} Principal, or null if the credentials are wrong
  */
-export function sanitizeLogMessage(message) {
-  // 改行・制御文字をエスケープ
-  return String(message).replace(/[\r\n\t\x00-\x1F\x7F]/g, '');
+async function authenticate(name, token) {
+  if (USERS) return authenticateUser(USERS, name, token);
+  return secureTokenCompare(token, process.env.TINYTERMINAL_TOKEN) ? SINGLE_USER : null;
 }
 
 /**
- * Timing-safe token comparison to prevent timing attacks
- * Security: Uses crypto.timingSafeEqual for constant-time comparison
- * @param {string} a - First token
- * @param {string} b - Second token
- * @returns {boolean} True if tokens match
+ * Principal a login session belongs to
+ * @param {object} login - Live login session
+ * @returns {object|null} Principal, or null if the user was removed from the users file
  */
-export function secureTokenCompare(a, b) {
-  if (typeof a !== 'string' || typeof b !== 'string') {
-    return false;
+function loginUser(login) {
+  return USERS ? USERS.get(login.user) ?? null : SINGLE_USER;
+}
+
+/**
+ * Check the login cookie, or the Authorization header against the token
+ * Bearer tokens remain for scripts (curl); browsers use the login cookie. With
+ * TINYTERMINAL_USERS the bearer credential is "<user>:<token>"
+ * Security: A wrong bearer token counts as a failed login; a locked-out client is
+ * refused before its token is checked, while a live login cookie always works
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {Promise<{ authorized: boolean, refusal: object|null }>} Whether the request may
+ *   proceed (no login required, live login, allowed Tailscale identity or matching bearer
+ *   token), and the wait if locked out
+ */
+async function isAuthorizedRequest(req) {
+  if (!accessControlled() || getLoginSession(readLoginCookie(req)) || (await tailscaleIdentity(req.socket))) {
+    return { authorized: true, refusal: null };
   }
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match || !authRequired()) return { authorized: false, refusal: null };
 
-  const bufA = Buffer.from(a);
-  const bufB = Buffer.from(b);
+  const address = req.socket.remoteAddress;
+  const refusal = lockout.check(address);
+  if (refusal) return { authorized: false, refusal };
 
-  // Ensure same length by padding shorter buffer with zeros
-  // (timingSafeEqual requires equal length)
-  if (bufA.length !== bufB.length) {
-    // Still perform comparison to maintain constant time
-    const maxLen = Math.max(bufA.length, bufB.length);
-    const paddedA = Buffer.alloc(maxLen);
-    const paddedB = Buffer.alloc(maxLen);
-    bufA.copy(paddedA);
-    bufB.copy(paddedB);
-    return crypto.timingSafeEqual(paddedA, paddedB);
+  const separator = match[1].indexOf(':');
+  const principal = !USERS
+    ? await authenticate(undefined, match[1])
+    : separator > 0
+      ? await authenticate(match[1].slice(0, separator), match[1].slice(separator + 1))
+      : null;
+  if (!principal) {
+    lockout.fail(address);
+    return { authorized: false, refusal: null };
   }
+  lockout.succeed(address);
+  return { authorized: true, refusal: null };
+}
 
-  return crypto.timingSafeEqual(bufA, bufB);
+/**
+ * Refuse a locked-out client with the time it has to wait
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {{ retryAfter: number }} refusal - From the lockout tracker
+ */
+function sendLockedOut(res, refusal) {
+  res.setHeader('Retry-After', String(refusal.retryAfter));
+  sendJson(res, 429, { error: 'Too many failed attempts', retryAfter: refusal.retryAfter });
 }
 
 /**
- * Create PTY process
- * @param {number} cols - Terminal columns
- * @param {number} rows - Terminal rows
- * @param {string} shell - Optional shell override
- * @returns {object} PTY process
+ * Read a small JSON request body
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {number} [limit] - Largest body accepted (characters)
+ * @returns {Promise<*>} Parsed body
+ * @throws {Error} If the body is too large or not JSON
  */
-export function createPTY(cols = 80, rows = 24, shell = null) {
-  const selectedShell = shell || process.env.SHELL || '/bin/bash';
+function readJsonBody(req, limit = MAX_API_BODY_SIZE) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf-8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > limit) {
+        // Stop buffering; the rest is drained so the error response still goes out
+        req.removeAllListeners('data');
+        req.resume();
+        reject(new Error('Request body too large'));
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
 
-  // Build safe environment from whitelist
-  const safeEnv = {};
-  for (const key of SAFE_ENV_KEYS) {
-    if (process.env[key]) {
-      safeEnv[key] = process.env[key];
-    }
-  }
-  safeEnv.TERM = 'xterm-256color';
+/**
+ * Check a TOTP code and use it up
+ * @param {Buffer} secret - Shared secret
+ * @param {string} code - Code entered by the user
+ * @returns {boolean} True if the code is valid and was not used before
+ */
+function acceptTotpCode(secret, code) {
+  const counter = verifyTotp(secret, code, { after: lastTotpCounter });
+  if (counter === null) return false;
+  lastTotpCounter = counter;
+  return true;
+}
 
-  return pty.spawn(selectedShell, [], {
-    name: 'xterm-256color',
-    cols,
-    rows,
-    cwd: process.env.HOME,
-    env: safeEnv,
-  });
+/**
+ * Start a login session, send its cookie and forget the client's failed attempts
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} method - How the client proved itself (token, totp, passkey; for the audit log)
+ * @param {object} [user] - Principal that logged in
+ */
+function issueLogin(req, res, method, user = SINGLE_USER) {
+  const { session, cookie } = createLoginSession(LOGIN_TTL, user.name);
+  log('Login successful', user.name);
+  audit('login', { ip: req.socket.remoteAddress, user: user.name, method });
+  lockout.succeed(req.socket.remoteAddress);
+  // Secure cookies only work over HTTPS
+  res.setHeader('Set-Cookie', loginCookieHeader(cookie, LOGIN_TTL, Boolean(req.socket.encrypted)));
+  sendJson(res, 200, { ok: true, expiresAt: session.expiresAt });
 }
 
 /**
- * Handle WebSocket connection
- * @param {WebSocket} ws - WebSocket connection
+ * Second login step: check the TOTP code of a pending login
+ * Enrollment stores the new secret only once a code from it has been entered,
+ * so a mistyped or unscanned secret never locks the owner out
  * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {object} body - { pending, code }
  */
-export function handleConnection(ws, req) {
-  // Origin validation with strict hostname matching
-  const origin = req.headers.origin;
-  if (!isAllowedOrigin(origin)) {
-    log(`Rejected connection from unauthorized origin: ${sanitizeLogMessage(origin)}`);
-    ws.close();
+function handleTotpStep(req, res, body) {
+  const pending = getPendingLogin(body?.pending);
+  if (!pending) {
+    sendJson(res, 401, { error: 'Login expired' });
     return;
   }
-
-  // Get client IP address
-  // Security Note: req.socket.remoteAddress is trusted within TCP/Tailscale environment
-  // IP spoofing is not possible at TCP layer
-  const clientIP = req.socket.remoteAddress;
-
-  // Check if same IP already has a connection
-  if (connectionMap.has(clientIP)) {
-    // Close old connection and replace with new one
-    const oldWs = connectionMap.get(clientIP);
-    log('Same IP reconnected, closing old connection');
-    oldWs.close();
-    // Note: The old connection's close handler will remove it from the map
-  } else if (connectionMap.size >= MAX_CONNECTIONS) {
-    // Different IP and connection limit reached
-    log('Connection limit reached, rejecting new connection');
-    ws.close();
+  if (pending.secret && totpSecret) {
+    // Someone else finished enrolling first
+    destroyPendingLogin(pending.id);
+    sendJson(res, 409, { error: 'Already enrolled' });
     return;
   }
 
-  // Add new connection to map
-  connectionMap.set(clientIP, ws);
-  log(`Client connected (${connectionMap.size}/${MAX_CONNECTIONS})`);
+  const secret = pending.secret || totpSecret;
+  if (!acceptTotpCode(secret, body.code)) {
+    const dropped = failPendingLogin(pending);
+    lockout.fail(req.socket.remoteAddress);
+    log(`Rejected login: invalid TOTP code${dropped ? ' (too many attempts)' : ''}`);
+    audit('login_failure', { ip: req.socket.remoteAddress, method: 'totp', reason: 'invalid code' });
+    sendJson(res, 401, { error: dropped ? 'Login expired' : 'Invalid code' });
+    return;
+  }
 
-  // Authentication state
-  const AUTH_TOKEN = process.env.TINYTERMINAL_TOKEN;
-  let authenticated = !AUTH_TOKEN; // If no token required, auto-authenticate
-  let authTimeout = null;
-  let ptyProcess = null;
+  destroyPendingLogin(pending.id);
+  if (pending.secret) {
+    saveTotpSecret(TOTP_FILE, pending.secret);
+    totpSecret = pending.secret;
+    log('TOTP enrolled');
+  }
+  issueLogin(req, res, 'totp');
+}
+
+/**
+ * Close every WebSocket opened with a login that has just ended
+ * @param {string} loginId - Login ID
+ * @param {string} reason - Close reason sent to the client
+ */
+function closeLoginClients(loginId, reason) {
+  for (const [client, id] of loginClients) {
+    if (id === loginId) {
+      client.close(4001, reason);
+    }
+  }
+}
+
+/**
+ * Log in with the token (and TOTP code) and log out
+ * GET  /api/login                          -> { users } (whether the page must ask for a user name)
+ * POST /api/login       { [user], token }  -> { ok, expiresAt } + login cookie, or
+ *                                             { totp: 'verify' | 'enroll', pending, [uri, secret] }
+ * POST /api/login/totp  { pending, code }  -> { ok, expiresAt } + login cookie
+ * POST /api/logout                         -> { ok } + cleared cookie, open terminals of that login closed
+ * Security: Cross-site posts are refused by Origin (SameSite protects the cookie,
+ * not the login request itself)
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} pathname - Request path
+ */
+async function handleLoginApi(req, res, pathname) {
+  if (pathname === '/api/login' && req.method === 'GET') {
+    sendJson(res, 200, { users: USERS !== null });
+    return;
+  }
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+  if (!isAllowedOrigin(req.headers.origin)) {
+    log(`Rejected login request from unauthorized origin: ${sanitizeLogMessage(req.headers.origin)}`);
+    sendJson(res, 403, { error: 'Forbidden' });
+    return;
+  }
+
+  if (pathname === '/api/logout') {
+    const login = getLoginSession(readLoginCookie(req));
+    if (login) {
+      destroyLoginSession(login.id);
+      closeLoginClients(login.id, 'Logged out');
+      log('Logged out', login.user);
+      audit('logout', { ip: req.socket.remoteAddress, user: login.user });
+    }
+    res.setHeader('Set-Cookie', loginCookieHeader('', 0, Boolean(req.socket.encrypted)));
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+
+  if (!authRequired()) {
+    sendJson(res, 404, { error: 'Login is not enabled' });
+    return;
+  }
+
+  // Security: A locked-out client is turned away before its token or code is checked
+  const refusal = lockout.check(req.socket.remoteAddress);
+  if (refusal) {
+    log(`Rejected login: locked out for ${refusal.retryAfter}s`);
+    audit('login_failure', { ip: req.socket.remoteAddress, reason: 'locked out' });
+    sendLockedOut(res, refusal);
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    log(`Rejected login request: ${err.message}`);
+    sendJson(res, 400, { error: 'Bad Request' });
+    return;
+  }
+
+  if (pathname === '/api/login/totp') {
+    if (!TOTP_FILE) {
+      sendJson(res, 404, { error: 'TOTP is not enabled' });
+      return;
+    }
+    handleTotpStep(req, res, body);
+    return;
+  }
+
+  const user = await authenticate(body?.user, body?.token);
+  if (!user) {
+    lockout.fail(req.socket.remoteAddress);
+    log(USERS ? 'Rejected login: invalid user or token' : 'Rejected login: invalid token');
+    audit('login_failure', {
+      ip: req.socket.remoteAddress,
+      user: USERS && typeof body?.user === 'string' ? body.user.slice(0, 64) : null,
+      method: 'token',
+      reason: 'invalid token',
+    });
+    sendJson(res, 401, { error: 'Invalid token' });
+    return;
+  }
+
+  if (!TOTP_FILE) {
+    issueLogin(req, res, 'token', user);
+    return;
+  }
+
+  // Token accepted: the cookie waits for the second factor
+  if (totpSecret) {
+    sendJson(res, 200, { totp: 'verify', pending: createPendingLogin().id });
+    return;
+  }
+  const secret = generateTotpSecret();
+  log('TOTP enrollment started');
+  sendJson(res, 200, {
+    totp: 'enroll',
+    pending: createPendingLogin(secret).id,
+    uri: provisioningUri(secret, os.hostname()),
+    secret: base32Encode(secret),
+  });
+}
+
+/**
+ * Decode a base64url field of a passkey API body
+ * @param {object} body - Request body
+ * @param {string} name - Field name
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the field is missing or not base64url
+ */
+function passkeyField(body, name) {
+  const value = body?.[name];
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]+$/.test(value)) {
+    throw new Error(`Invalid ${name}`);
+  }
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Register passkeys and sign in with them
+ * GET  /api/passkey                   -> { enabled, registered }
+ * POST /api/passkey/register/options  -> PublicKeyCredentialCreationOptions (signed in only)
+ * POST /api/passkey/register          { id, clientDataJSON, attestationObject, [name] } -> { ok, name }
+ * POST /api/passkey/login/options     -> PublicKeyCredentialRequestOptions
+ * POST /api/passkey/login             { id, clientDataJSON, authenticatorData, signature }
+ *                                     -> { ok, expiresAt } + login cookie
+ * Binary fields are base64url. The RP ID is the page's host name, so a passkey only
+ * works on the host it was registered on
+ * Design Decision: A passkey sign-in skips TOTP. User verification on the phone is
+ * already a second factor on top of holding the credential
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} pathname - Request path
+ */
+async function handlePasskeyApi(req, res, pathname) {
+  if (pathname === '/api/passkey') {
+    sendJson(res, 200, { enabled: PASSKEY_FILE !== null, registered: passkeys.length > 0 });
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+  // Security: Passkeys are browser-only, so the Origin header is required, not just checked
+  const origin = req.headers.origin;
+  if (!origin || !isAllowedOrigin(origin)) {
+    log(`Rejected passkey request from unauthorized origin: ${sanitizeLogMessage(origin)}`);
+    sendJson(res, 403, { error: 'Forbidden' });
+    return;
+  }
+  if (!PASSKEY_FILE) {
+    sendJson(res, 404, { error: 'Passkeys are not enabled' });
+    return;
+  }
+  const rpId = new URL(origin).hostname;
+  if (net.isIP(rpId)) {
+    sendJson(res, 400, { error: 'Passkeys need a host name, not an IP address' });
+    return;
+  }
+
+  const registering = pathname.startsWith('/api/passkey/register');
+  if (registering && !getLoginSession(readLoginCookie(req))) {
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req, MAX_PASSKEY_BODY_SIZE);
+  } catch (err) {
+    log(`Rejected passkey request: ${err.message}`);
+    sendJson(res, 400, { error: 'Bad Request' });
+    return;
+  }
+
+  const hostPasskeys = passkeys.filter((passkey) => passkey.rpId === rpId);
+  const descriptors = hostPasskeys.map((passkey) => ({ type: 'public-key', id: passkey.id }));
+
+  if (pathname === '/api/passkey/register/options') {
+    if (passkeys.length >= MAX_PASSKEYS) {
+      sendJson(res, 409, { error: 'Too many passkeys' });
+      return;
+    }
+    const host = os.hostname();
+    sendJson(res, 200, {
+      challenge: createChallenge('webauthn.create'),
+      rp: { id: rpId, name: WEBAUTHN_RP_NAME },
+      user: { id: PASSKEY_USER_ID, name: `tinyterminal@${host}`, displayName: `TinyTerminal (${host})` },
+      pubKeyCredParams: [
+        { type: 'public-key', alg: COSE_ES256 },
+        { type: 'public-key', alg: COSE_RS256 },
+      ],
+      authenticatorSelection: {
+        authenticatorAttachment: 'platform',
+        residentKey: 'preferred',
+        userVerification: 'required',
+      },
+      attestation: 'none',
+      excludeCredentials: descriptors,
+      timeout: WEBAUTHN_CHALLENGE_TTL,
+    });
+    return;
+  }
+
+  if (pathname === '/api/passkey/login/options') {
+    if (hostPasskeys.length === 0) {
+      sendJson(res, 404, { error: 'No passkeys registered' });
+      return;
+    }
+    sendJson(res, 200, {
+      challenge: createChallenge('webauthn.get'),
+      rpId,
+      allowCredentials: descriptors,
+      userVerification: 'required',
+      timeout: WEBAUTHN_CHALLENGE_TTL,
+    });
+    return;
+  }
+
+  if (pathname === '/api/passkey/register') {
+    let credential;
+    try {
+      credential = verifyRegistration(
+        {
+          clientDataJSON: passkeyField(body, 'clientDataJSON'),
+          attestationObject: passkeyField(body, 'attestationObject'),
+        },
+        { origin, rpId }
+      );
+    } catch (err) {
+      log(`Rejected passkey registration: ${err.message}`);
+      sendJson(res, 400, { error: 'Passkey not accepted' });
+      return;
+    }
+    if (passkeys.length >= MAX_PASSKEYS) {
+      sendJson(res, 409, { error: 'Too many passkeys' });
+      return;
+    }
+    if (passkeys.some((passkey) => passkey.id === credential.id)) {
+      sendJson(res, 409, { error: 'Passkey already registered' });
+      return;
+    }
+
+    const passkey = {
+      ...credential,
+      name: normalizePasskeyName(body.name, `Passkey ${passkeys.length + 1}`),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+    savePasskeys(PASSKEY_FILE, [...passkeys, passkey]);
+    passkeys = [...passkeys, passkey];
+    log(`Passkey registered: ${sanitizeLogMessage(passkey.name)}`);
+    sendJson(res, 200, { ok: true, name: passkey.name });
+    return;
+  }
+
+  if (pathname !== '/api/passkey/login') {
+    sendJson(res, 404, { error: 'Not Found' });
+    return;
+  }
+
+  const passkey = hostPasskeys.find((entry) => entry.id === body?.id);
+  if (!passkey) {
+    log('Rejected passkey login: unknown credential');
+    audit('login_failure', { ip: req.socket.remoteAddress, method: 'passkey', reason: 'unknown credential' });
+    sendJson(res, 401, { error: 'Passkey not accepted' });
+    return;
+  }
+  let signCount;
+  try {
+    signCount = verifyAssertion(
+      {
+        clientDataJSON: passkeyField(body, 'clientDataJSON'),
+        authenticatorData: passkeyField(body, 'authenticatorData'),
+        signature: passkeyField(body, 'signature'),
+      },
+      passkey,
+      { origin, rpId }
+    );
+  } catch (err) {
+    log(`Rejected passkey login: ${err.message}`);
+    audit('login_failure', { ip: req.socket.remoteAddress, method: 'passkey', reason: err.message });
+    sendJson(res, 401, { error: 'Passkey not accepted' });
+    return;
+  }
+
+  // The counter is stored so a cloned authenticator is caught after a restart too
+  passkey.signCount = signCount;
+  passkey.lastUsedAt = new Date().toISOString();
+  savePasskeys(PASSKEY_FILE, passkeys);
+  log(`Passkey login: ${sanitizeLogMessage(passkey.name)}`);
+  issueLogin(req, res, 'passkey');
+}
+
+/**
+ * Serve the recording list and recording files for the playback page
+ * GET /api/recordings        -> { enabled, recordings: [...] }
+ * GET /api/recordings/<name> -> asciicast v2 file
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} pathname - Request path
+ */
+async function handleRecordingsApi(req, res, pathname) {
+  const { authorized, refusal } = await isAuthorizedRequest(req);
+  if (refusal) {
+    log(`Rejected recordings request: locked out for ${refusal.retryAfter}s`);
+    sendLockedOut(res, refusal);
+    return;
+  }
+  if (!authorized) {
+    log('Rejected recordings request: invalid token');
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  if (pathname === '/api/recordings') {
+    sendJson(res, 200, {
+      enabled: RECORD_DIR !== null,
+      recordings: RECORD_DIR ? await listRecordings(RECORD_DIR) : [],
+    });
+    return;
+  }
+
+  const name = pathname.slice('/api/recordings/'.length);
+  if (!RECORD_DIR || !isRecordingName(name)) {
+    sendJson(res, 404, { error: 'Not Found' });
+    return;
+  }
+
+  try {
+    const content = await readRecording(RECORD_DIR, name);
+    res.writeHead(200, {
+      'Content-Type': 'application/x-asciicast',
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff',
+      'Referrer-Policy': 'no-referrer',
+    });
+    res.end(content);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    sendJson(res, 404, { error: 'Not Found' });
+  }
+}
+
+/**
+ * Create HTTP server for static files, the login and playback pages and their APIs
+ * @param {{ cert: Buffer, key: Buffer }|null} [credentials] - Certificate and key (HTTPS), or null for HTTP
+ */
+export function createHttpServer(credentials = null) {
+  const handleRequest = async (req, res) => {
+    try {
+      if (!isAllowedClient(req.socket.remoteAddress)) {
+        log(`Rejected request from unauthorized address: ${sanitizeLogMessage(req.socket.remoteAddress)}`);
+        res.writeHead(403, {
+          'Content-Type': 'text/plain',
+          'X-Content-Type-Options': 'nosniff',
+        });
+        res.end('Forbidden');
+        return;
+      }
+
+      // Route on the path only (query strings are for the client)
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (pathname === '/api/recordings' || pathname.startsWith('/api/recordings/')) {
+        await handleRecordingsApi(req, res, pathname);
+        return;
+      }
+
+      if (pathname === '/api/login' || pathname === '/api/login/totp' || pathname === '/api/logout') {
+        await handleLoginApi(req, res, pathname);
+        return;
+      }
+
+      if (pathname === '/api/passkey' || pathname.startsWith('/api/passkey/')) {
+        await handlePasskeyApi(req, res, pathname);
+        return;
+      }
+
+      const loginRequired = authRequired();
+      if (pathname === '/login' && !loginRequired) {
+        sendRedirect(res, '/');
+        return;
+      }
+      // Security: The query is dropped, so a legacy ?token= does not survive the redirect
+      if (
+        LOGIN_REQUIRED_PAGES.has(pathname) &&
+        accessControlled() &&
+        !getLoginSession(readLoginCookie(req)) &&
+        !(await tailscaleIdentity(req.socket))
+      ) {
+        if (loginRequired) {
+          sendRedirect(res, `/login?next=${encodeURIComponent(pathname)}`);
+        } else {
+          // Tailscale identities only: there is no token to log in with
+          res.writeHead(403, { 'Content-Type': 'text/plain', 'X-Content-Type-Options': 'nosniff' });
+          res.end('Forbidden');
+        }
+        return;
+      }
+
+      const fileName = STATIC_FILES[pathname];
+      if (!fileName) {
+        // Security headers
+        res.writeHead(404, {
+          'Content-Type': 'text/plain',
+          'X-Content-Type-Options': 'nosniff',
+          'X-Frame-Options': 'DENY',
+          'Referrer-Policy': 'no-referrer',
+          'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+        });
+        res.end('Not Found');
+        return;
+      }
+      const filePath = path.join(__dirname, '../public', fileName);
+
+      // Security: Validate path is within public directory
+      const publicDir = path.join(__dirname, '../public');
+      const resolvedPath = path.resolve(filePath);
+      /* v8 ignore next 7 */
+      if (!resolvedPath.startsWith(publicDir)) {
+        res.writeHead(403, {
+          'Content-Type': 'text/plain',
+          'X-Content-Type-Options': 'nosniff',
+        });
+        res.end('Forbidden');
+        return;
+      }
+
+      const content = await fs.readFile(filePath, 'utf-8');
+
+      const ext = path.extname(filePath);
+      const contentType =
+        {
+          '.html': 'text/html',
+          '.css': 'text/css',
+          '.js': 'application/javascript',
+        }[ext] || 'text/plain';
+
+      // Security headers with CSP
+      const headers = {
+        'Content-Type': contentType,
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'no-referrer',
+        'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+      };
+
+      if (ext === '.html') {
+        // Allow xterm.js from CDN, WebSocket connections
+        headers['Content-Security-Policy'] =
+          "default-src 'self'; script-src 'self' https://cdn.jsdelivr.net; style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net; connect-src 'self' ws: wss:;";
+      }
+
+      res.writeHead(200, headers);
+      res.end(content);
+    } catch (err) {
+      /* v8 ignore next 16 */
+      if (err.code === 'ENOENT') {
+        res.writeHead(404, {
+          'Content-Type': 'text/plain',
+          'X-Content-Type-Options': 'nosniff',
+          'Referrer-Policy': 'no-referrer',
+          'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+        });
+        res.end('Not Found');
+      } else {
+        log(`Server error: ${err.message}`);
+        res.writeHead(500, {
+          'Content-Type': 'text/plain',
+          'X-Content-Type-Options': 'nosniff',
+        });
+        res.end('Internal Server Error');
+      }
+    }
+  };
+
+  return credentials ? https.createServer(credentials, handleRequest) : http.createServer(handleRequest);
+}
+
+/**
+ * Create the plain HTTP listener that sends browsers to the HTTPS port
+ * Security: Redirects only to an allowed host name (TINYTERMINAL_ALLOWED_ORIGINS),
+ * so a forged Host header cannot turn it into an open redirect
+ */
+export function createRedirectServer() {
+  return http.createServer((req, res) => {
+    if (!isAllowedClient(req.socket.remoteAddress)) {
+      res.writeHead(403, { 'Content-Type': 'text/plain', 'X-Content-Type-Options': 'nosniff' });
+      res.end('Forbidden');
+      return;
+    }
+
+    let hostname = null;
+    try {
+      hostname = new URL(`http://${req.headers.host}`).hostname;
+    } catch {
+      // 不正なHostヘッダーは下で400
+    }
+    if (!hostname || !isAllowedHost(hostname, ALLOWED_ORIGINS)) {
+      res.writeHead(400, { 'Content-Type': 'text/plain', 'X-Content-Type-Options': 'nosniff' });
+      res.end('Bad Request');
+      return;
+    }
+
+    // 308 keeps the method and body (a POST to /api/login stays a POST)
+    const target = req.url.startsWith('/') ? req.url : '/';
+    res.writeHead(308, {
+      Location: `https://${hostname}:${PORT}${target}`,
+      'Content-Type': 'text/plain',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.end();
+  });
+}
+
+/**
+ * Check if origin is allowed (TINYTERMINAL_ALLOWED_ORIGINS)
+ * Security: Strict hostname matching prevents substring bypass (e.g., evil-localhost.com)
+ * @param {string|undefined} origin - Origin header value
+ * @returns {boolean} True if origin is allowed
+ */
+export function isAllowedOrigin(origin) {
+  // origin未設定は非ブラウザクライアント（curl, wscat等）を許可
+  // WebSocketはSame-Origin PolicyがないためOriginヘッダーは任意
+  // 本番環境では認証レイヤーで保護すべき
+  if (!origin) return true;
+
+  try {
+    const url = new URL(origin);
+    // hostname厳密一致でsubstring bypassを防止
+    // デフォルトはlocalhostとTailscale（100.64.0.0/10, fd7a:115c:a1e0::/48）。MagicDNS名は設定で追加
+    return isAllowedHost(url.hostname, ALLOWED_ORIGINS);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check if a client address is allowed (TINYTERMINAL_ALLOWED_NETWORKS)
+ * @param {string|undefined} address - req.socket.remoteAddress
+ * @returns {boolean} True if the client is in an allowed network
+ */
+export function isAllowedClient(address) {
+  return isAllowedAddress(address, ALLOWED_NETWORKS);
+}
+
+/**
+ * Timing-safe token comparison to prevent timing attacks
+ * Security: Uses crypto.timingSafeEqual for constant-time comparison
+ * @param {string} a - First token
+ * @param {string} b - Second token
+ * @returns {boolean} True if tokens match
+ */
+export function secureTokenCompare(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+
+  // Ensure same length by padding shorter buffer with zeros
+  // (timingSafeEqual requires equal length)
+  if (bufA.length !== bufB.length) {
+    // Still perform comparison to maintain constant time
+    const maxLen = Math.max(bufA.length, bufB.length);
+    const paddedA = Buffer.alloc(maxLen);
+    const paddedB = Buffer.alloc(maxLen);
+    bufA.copy(paddedA);
+    bufB.copy(paddedB);
+    return crypto.timingSafeEqual(paddedA, paddedB);
+  }
+
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Create PTY process
+ * @param {number} cols - Terminal columns
+ * @param {number} rows - Terminal rows
+ * @param {string} shell - Optional shell override
+ * @param {object} [options] - Launch profile settings
+ * @param {string[]} [options.args] - Shell arguments
+ * @param {string|null} [options.cwd] - Starting directory (defaults to $HOME)
+ * @param {object} [options.env] - Extra environment variables from the profile
+ * @returns {object} PTY process
+ */
+export function createPTY(cols = 80, rows = 24, shell = null, { args = [], cwd = null, env = {} } = {}) {
+  const selectedShell = shell || defaultShell();
+
+  // Build safe environment from whitelist
+  const safeEnv = {};
+  for (const key of SAFE_ENV_KEYS) {
+    if (process.env[key]) {
+      safeEnv[key] = process.env[key];
+    }
+  }
+  // Profile env (resolved by resolveProfileEnv) comes from the server owner's config, never from clients
+  Object.assign(safeEnv, env);
+  safeEnv.TERM = 'xterm-256color';
+
+  return pty.spawn(selectedShell, args, {
+    name: 'xterm-256color',
+    cols,
+    rows,
+    cwd: cwd || process.env.HOME,
+    env: safeEnv,
+  });
+}
+
+/**
+ * Shell spawned when none is given explicitly
+ * @returns {string} Shell executable
+ */
+function defaultShell() {
+  return process.env.SHELL || '/bin/bash';
+}
+
+/**
+ * Launch profile names offered to a user
+ * Security: Only names leave the server; shells, paths and env stay private
+ * @param {object} user - Principal
+ * @returns {string[]} Profile names the user may start, default first
+ */
+function profileNames(user) {
+  return allowedProfiles(user, CONFIG.profiles).map((profile) => profile.name);
+}
+
+/**
+ * Validate terminal dimensions from a client message
+ * @param {object} message - Message with cols and rows
+ * @returns {{ cols: number, rows: number }} Validated dimensions
+ * @throws {Error} If dimensions are invalid
+ */
+function parseDimensions(message) {
+  const cols = Number(message.cols);
+  const rows = Number(message.rows);
+  if (
+    !Number.isInteger(cols) ||
+    !Number.isInteger(rows) ||
+    cols < 1 ||
+    cols > 500 ||
+    rows < 1 ||
+    rows > 200
+  ) {
+    throw new Error('Invalid resize dimensions');
+  }
+  return { cols, rows };
+}
+
+/**
+ * Send the current session list to every authenticated connection
+ * Called whenever a session is created, renamed, attached, detached or ends
+ */
+function broadcastSessionList() {
+  const message = JSON.stringify({
+    type: 'sessions',
+    sessions: listSessions(),
+  });
+  for (const client of authenticatedClients) {
+    try {
+      client.send(message);
+    } catch (err) {
+      log(`Error sending session list: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Send a message to the session's owner and all of its spectators
+ * @param {object} target - Session
+ * @param {object} payload - Message to JSON-encode
+ */
+function sendToSession(target, payload) {
+  const message = JSON.stringify(payload);
+  // Output goes to binary clients as a frame, encoded once for all of them
+  let frame = null;
+  for (const client of getSessionSockets(target)) {
+    // Security: A locked screen must not keep showing the shell
+    if (lockedClients.has(client)) continue;
+    try {
+      if (payload.type === 'output' && binaryClients.has(client)) {
+        frame ??= encodeOutputFrame(payload.data, payload.seq);
+        client.send(frame);
+      } else {
+        client.send(message);
+      }
+    } catch (err) {
+      log(`Error sending ${payload.type} message: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Slowest measured round trip among the clients receiving a session's output
+ * @param {object} target - Session
+ * @returns {number|null} Milliseconds, or null if none has answered a ping yet
+ */
+function slowestLatency(target) {
+  let slowest = null;
+  for (const client of getSessionSockets(target)) {
+    const rtt = linkLatency.get(client);
+    if (rtt !== undefined && (slowest === null || rtt > slowest)) slowest = rtt;
+  }
+  return slowest;
+}
+
+/**
+ * Read a number the page measured (ping report)
+ * @param {*} value - Reported value
+ * @param {string} name - Field name (for the error message)
+ * @returns {number|null} Non-negative finite number, or null if not measured yet
+ * @throws {Error} If the value is anything else
+ */
+function readLinkNumber(value, name) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid ping: ${name} must be a non-negative number`);
+  }
+  return value;
+}
+
+/**
+ * Describe connection quality for the log
+ * @param {number} rtt - Round trip reported by the page (ms)
+ * @param {number|null} throughput - Download rate reported by the page (bytes/s)
+ * @param {number|undefined} heartbeat - Round trip of the server's last heartbeat ping (ms)
+ * @returns {string} e.g. "rtt 42 ms, 12.3 KB/s, heartbeat 40 ms"
+ */
+function describeLink(rtt, throughput, heartbeat) {
+  const parts = [`rtt ${Math.round(rtt)} ms`];
+  if (throughput !== null) parts.push(`${(throughput / 1024).toFixed(1)} KB/s`);
+  if (heartbeat !== undefined) parts.push(`heartbeat ${heartbeat} ms`);
+  return parts.join(', ');
+}
+
+/**
+ * Pause or resume a session's PTY by how far its slowest driving client is behind
+ * Design Decision: Only the owner and writers hold the PTY back; a slow spectator
+ * must not stall someone else's shell, and locked clients receive no output to ack.
+ * While paused, node-pty stops reading: the program blocks on write, and input
+ * (Ctrl+C) still reaches it
+ * @param {object} target - Session
+ */
+function updateFlow(target) {
+  if (!target.pty || getSession(target.id) !== target) return;
+  let behind = 0;
+  for (const client of [target.ws, ...target.writers]) {
+    if (!client || lockedClients.has(client) || !ackedOutput.has(client)) continue;
+    behind = Math.max(behind, target.outputSeq - ackedOutput.get(client));
+  }
+  if (!target.paused && behind > FLOW_HIGH_WATERMARK) {
+    target.paused = true;
+    target.pty.pause();
+  } else if (target.paused && behind <= FLOW_LOW_WATERMARK) {
+    target.paused = false;
+    target.pty.resume();
+  }
+}
+
+/**
+ * Apply the resize policy and tell clients whose screen differs from the PTY size
+ * A client is told when the effective size changed, or when its own request lost
+ * @param {object} target - Session
+ * @param {WebSocket|null} requester - Connection whose resize triggered this (if any)
+ */
+function applySessionSize(target, requester) {
+  const { cols, rows } = computeSessionSize(target, RESIZE_POLICY);
+  const changed = cols !== target.cols || rows !== target.rows;
+  if (changed) {
+    resizeSession(target, cols, rows);
+    if (target.recorder) target.recorder.resize(cols, rows);
+    log(`PTY resized to ${cols}x${rows} (${RESIZE_POLICY} wins)`, target.user);
+  }
+
+  const message = JSON.stringify({ type: 'size', cols, rows });
+  for (const client of getSessionSockets(target)) {
+    const own = target.clientSizes.get(client);
+    const matches = own && own.cols === cols && own.rows === rows;
+    if (matches || (!changed && client !== requester) || lockedClients.has(client)) continue;
+    try {
+      client.send(message);
+    } catch (err) {
+      log(`Error sending size update: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Tell spectators that a session expired while its owner was away, then refresh the list
+ * @param {object} expired - Session destroyed by grace-period expiry
+ */
+function handleSessionExpired(expired) {
+  audit('session_end', { session: expired.id, name: expired.name, user: expired.user, reason: 'expired' });
+  sendToSession(expired, { type: 'exit', code: null });
+  broadcastSessionList();
+}
+
+/**
+ * Start the countdown on every screen showing a session about to be killed for idleness
+ * @param {object} target - Session
+ * @param {number} seconds - Seconds until the PTY is killed
+ */
+function warnSessionIdle(target, seconds) {
+  sendToSession(target, { type: 'idle', action: 'kill', seconds });
+}
+
+/**
+ * Kill a session nobody typed into for TINYTERMINAL_IDLE_KILL
+ * Clients are told first, while the owner is still attached
+ * @param {object} idle - Session whose idle timeout passed
+ */
+function handleSessionIdle(idle) {
+  audit('session_end', { session: idle.id, name: idle.name, user: idle.user, reason: 'idle' });
+  stopOutput(idle);
+  sendToSession(idle, { type: 'exit', code: null, reason: 'idle' });
+  destroySession(idle);
+  broadcastSessionList();
+}
+
+/**
+ * Restart a session's idle-kill countdown, clearing a countdown clients already show
+ * @param {object} target - Session that just received input
+ */
+function markSessionActive(target) {
+  if (touchSession(target, IDLE_KILL, warnSessionIdle, handleSessionIdle)) {
+    sendToSession(target, { type: 'idle', action: 'kill', seconds: null });
+  }
+}
+
+/**
+ * Handle WebSocket connection
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {http.IncomingMessage} req - HTTP request
+ */
+export function handleConnection(ws, req) {
+  // Security Note: req.socket.remoteAddress is trusted within TCP/Tailscale environment
+  // IP spoofing is not possible at TCP layer
+  const clientIP = req.socket.remoteAddress;
+  const origin = req.headers.origin;
+
+  // Who is behind this connection, for the audit log (the ID ties its records together)
+  const connectedAt = Date.now();
+  const connection = {
+    conn: crypto.randomBytes(8).toString('hex'),
+    ip: clientIP,
+    origin: typeof origin === 'string' ? origin.slice(0, 256) : null,
+  };
+  let identity = null; // User name, or the Tailscale identity
+
+  /**
+   * Append a record about this connection to the audit log
+   * @param {string} event - Event name
+   * @param {object} [fields] - Event details
+   */
+  function auditAs(event, fields = {}) {
+    audit(event, { ...connection, user: identity, ...fields });
+  }
+
+  if (!isAllowedClient(clientIP)) {
+    log(`Rejected connection from unauthorized address: ${sanitizeLogMessage(clientIP)}`);
+    auditAs('connect_rejected', { reason: 'network' });
+    ws.close();
+    return;
+  }
+
+  // Origin validation with strict hostname matching
+  if (!isAllowedOrigin(origin)) {
+    log(`Rejected connection from unauthorized origin: ${sanitizeLogMessage(origin)}`);
+    auditAs('connect_rejected', { reason: 'origin' });
+    ws.close();
+    return;
+  }
+
+  // Connection limit: make room by closing this IP's oldest socket, otherwise reject
+  if (connectionMap.size >= MAX_CONNECTIONS) {
+    const staleEntry = [...connectionMap].find(([, ip]) => ip === clientIP);
+    if (!staleEntry) {
+      log('Connection limit reached, rejecting new connection');
+      auditAs('connect_rejected', { reason: 'limit' });
+      ws.close();
+      return;
+    }
+    const [staleWs] = staleEntry;
+    log('Connection limit reached, closing oldest connection from same IP');
+    connectionMap.delete(staleWs);
+    staleWs.close();
+  }
+
+  // Login cookie sent with the upgrade request
+  // Design Decision: No cookie falls back to the auth message (wscat, scripts), but a
+  // stale one is refused at once so the page can send the user back to /login
+  const loginRequired = authRequired();
+  const loginCookie = loginRequired ? readLoginCookie(req) : undefined;
+  const login = getLoginSession(loginCookie);
+  if (loginCookie !== undefined && !(login && loginUser(login))) {
+    log('Rejected connection: expired or invalid login cookie');
+    auditAs('connect_rejected', { reason: 'expired login' });
+    ws.close(4001, 'Session expired');
+    return;
+  }
+
+  // Add new connection to map
+  connectionMap.set(ws, clientIP);
+  if (ws.protocol === BINARY_PROTOCOL) binaryClients.add(ws);
+  log(`Client connected (${connectionMap.size}/${MAX_CONNECTIONS})`);
+  auditAs('connect', { binary: binaryClients.has(ws) });
+
+  // Authentication state
+  let authenticated = false;
+  let authenticating = false; // Token check in progress (scrypt is asynchronous)
+  let closed = false;
+  let user = null; // Principal (SINGLE_USER without TINYTERMINAL_USERS)
+  let authTimeout = null;
+  let loginExpiryTimer = null;
+  let pendingMessages = []; // Sent before authentication finished (handled afterwards)
+  let session = null; // Session this connection is attached to
+  let watching = null; // Session this connection is spectating (read-only)
+  let joined = null; // Session this connection shares with its owner as a writer
+  let lastTypingBroadcast = 0;
+  let protocol = null; // Agreed version and capabilities, once the client said hello
+  let linkDegraded = false; // Last reported round trip was above LINK_WARNING_RTT
+  let linkLoggedAt = 0;
+
+  // Idle lock state
+  // Design Decision: Locking needs something to re-authenticate with, so it only
+  // applies when TINYTERMINAL_TOKEN or TINYTERMINAL_USERS is set
+  const idleLock = loginRequired ? IDLE_LOCK : 0;
+  let locked = false;
+  let lockTimer = null;
+  let lockWarningTimer = null;
+  let lockWarned = false;
 
   // Heartbeat state
   let heartbeatInterval = null;
   let missedPongs = 0;
+  let pingSentAt = null;
+
+  /**
+   * Log a line about this connection, tagged with its user once known
+   * @param {string} message - Log message
+   */
+  function logAs(message) {
+    log(message, user?.name);
+  }
+
+  /**
+   * Whether this connection may drive a session (type, take over, rename, kill)
+   * Security: With TINYTERMINAL_USERS a session is driven only by the user who
+   * started it; other users may watch. Read-only users only ever watch
+   * @param {object} target - Session
+   * @returns {boolean} True if allowed
+   */
+  function mayDrive(target) {
+    return !user.readOnly && target.user === user.name;
+  }
+
+  /**
+   * Refuse a request for a session this connection may not drive
+   * @param {object} target - Session
+   * @param {string} action - Request name (for the log)
+   * @returns {object} The session
+   * @throws {Error} If the user may not drive it
+   */
+  function requireDrivable(target, action) {
+    if (!mayDrive(target)) {
+      throw new Error(`${action} rejected: session "${target.name}" is not this user's`);
+    }
+    return target;
+  }
+
+  /**
+   * Start WebSocket heartbeat after authentication
+   * Sends ping every HEARTBEAT_INTERVAL ms; terminates on MAX_MISSED_PONGS consecutive non-responses
+   * Security: Uses ws.terminate() (not ws.close()) to force-close ghost connections
+   */
+  function startHeartbeat() {
+    heartbeatInterval = setInterval(() => {
+      if (missedPongs >= MAX_MISSED_PONGS) {
+        logAs(`Heartbeat: ${MAX_MISSED_PONGS} consecutive pongs missed, terminating connection`);
+        clearInterval(heartbeatInterval);
+        heartbeatInterval = null;
+        ws.terminate();
+        return;
+      }
+      missedPongs += 1;
+      pingSentAt = Date.now();
+      ws.ping();
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  /**
+   * Restart the idle-lock countdown (after authentication and on every input)
+   * A countdown the client already shows is cleared
+   */
+  function resetIdleLock() {
+    if (idleLock <= 0) return;
+    clearTimeout(lockWarningTimer);
+    clearTimeout(lockTimer);
+    if (lockWarned) {
+      lockWarned = false;
+      ws.send(JSON.stringify({ type: 'idle', action: 'lock', seconds: null }));
+    }
+
+    const warnAfter = Math.max(0, idleLock - IDLE_WARNING);
+    lockWarningTimer = setTimeout(() => {
+      lockWarned = true;
+      ws.send(
+        JSON.stringify({
+          type: 'idle',
+          action: 'lock',
+          seconds: Math.round((idleLock - warnAfter) / 1000),
+        })
+      );
+    }, warnAfter);
+    lockTimer = setTimeout(lockConnection, idleLock);
+  }
+
+  /**
+   * Lock this connection behind a re-auth screen
+   * Security: Output, size and session list updates stop until the token is entered
+   * again; the PTY keeps running (see TINYTERMINAL_IDLE_KILL to end it)
+   */
+  function lockConnection() {
+    locked = true;
+    lockWarned = false;
+    lockedClients.add(ws);
+    authenticatedClients.delete(ws);
+    logAs(`Connection locked after ${idleLock / 1000}s without input`);
+    // With TOTP the lock screen asks for a code as well
+    ws.send(JSON.stringify({ type: 'locked', ...(TOTP_FILE ? { totp: true } : {}) }));
+    const current = attachedSession() || joinedSession();
+    if (current) updateFlow(current);
+  }
+
+  /**
+   * Tell a locked-out client how long it has to wait
+   * @param {{ retryAfter: number }} refusal - From the lockout tracker
+   */
+  function sendLockoutError(refusal) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Too many failed attempts', retryAfter: refusal.retryAfter }));
+  }
 
   /**
-   * Start WebSocket heartbeat after authentication
-   * Sends ping every HEARTBEAT_INTERVAL ms; terminates on MAX_MISSED_PONGS consecutive non-responses
-   * Security: Uses ws.terminate() (not ws.close()) to force-close ghost connections
+   * Unlock with the token and catch up on what happened while locked
+   * Security: Only the token of the user signed in on this connection unlocks it,
+   * and with TOTP only together with a fresh code, as at login
+   * @param {string} token - Token entered on the lock screen
+   * @param {string} code - TOTP code entered on the lock screen (with TOTP only)
+   * @param {number} lastSeq - Last output sequence number the client has rendered
    */
-  function startHeartbeat() {
-    heartbeatInterval = setInterval(() => {
-      if (missedPongs >= MAX_MISSED_PONGS) {
-        log(`Heartbeat: ${MAX_MISSED_PONGS} consecutive pongs missed, terminating connection`);
-        clearInterval(heartbeatInterval);
-        heartbeatInterval = null;
-        ws.terminate();
-        return;
-      }
-      missedPongs += 1;
-      ws.ping();
-    }, HEARTBEAT_INTERVAL);
+  async function unlockConnection(token, code, lastSeq) {
+    // Security: Guesses on the lock screen count like login attempts; while the
+    // client has to wait it stays locked instead of being closed
+    const refusal = lockout.check(clientIP);
+    if (refusal) {
+      logAs(`Rejected unlock: locked out for ${refusal.retryAfter}s`);
+      auditAs('auth_failure', { method: 'unlock', reason: 'locked out' });
+      sendLockoutError(refusal);
+      return;
+    }
+    const tokenValid = USERS
+      ? await verifyTokenHash(token, user.tokenHash)
+      : secureTokenCompare(token, process.env.TINYTERMINAL_TOKEN);
+    if (closed || !locked) return;
+    // The code is only used up once the token matched
+    const valid = tokenValid && (!TOTP_FILE || (totpSecret !== null && acceptTotpCode(totpSecret, code)));
+    if (!valid) {
+      lockout.fail(clientIP);
+      logAs('Rejected unlock: invalid token');
+      auditAs('auth_failure', { method: 'unlock', reason: 'invalid token' });
+      ws.close(4001, 'Unauthorized');
+      return;
+    }
+    lockout.succeed(clientIP);
+
+    locked = false;
+    lockedClients.delete(ws);
+    logAs('Connection unlocked');
+    auditAs('auth', { method: 'unlock' });
+    ws.send(JSON.stringify({ type: 'unlocked' }));
+    sendSessionList();
+
+    const current = attachedSession() || joinedSession() || spectatedSession();
+    if (current) {
+      followFlow(current);
+      sendReplay(current, lastSeq);
+    } else if (session || joined || watching) {
+      // The session ended while locked and its exit message was withheld
+      ws.send(JSON.stringify({ type: 'exit', code: null }));
+    }
+    resetIdleLock();
+  }
+
+  /**
+   * Mark this connection authenticated and send the profiles and session list
+   * @param {string} message - Text for the connected message
+   * @param {object} principal - Authenticated user
+   * @param {string} method - How it authenticated (none, cookie, token, tailscale)
+   * @param {string|null} [name] - Identity for the audit log (defaults to the user name)
+   */
+  function completeAuthentication(message, principal, method, name = principal.name) {
+    authenticated = true;
+    user = principal;
+    identity = name;
+    auditAs('auth', { method });
+    clearTimeout(authTimeout);
+    startHeartbeat();
+    resetIdleLock();
+
+    // PTY will be created on first resize message
+    ws.send(
+      JSON.stringify({
+        type: 'connected',
+        message,
+        profiles: profileNames(user),
+        // Only a users file has names and read-only accounts for the page to show
+        ...(USERS ? { user: user.name, readOnly: user.readOnly } : {}),
+      })
+    );
+    sendSessionList();
+    replayPendingMessages();
+  }
+
+  /**
+   * Authenticate by the Tailscale identity behind this connection
+   * Without an allowed identity the auth message (token) still works if a token is
+   * configured; with Tailscale identities only the connection is closed
+   */
+  async function authenticateByTailscale() {
+    const tailnetIdentity = await tailscaleIdentity(req.socket);
+    if (closed || authenticated) return;
+    if (tailnetIdentity) {
+      const name = describeIdentity(tailnetIdentity);
+      log(`Client authenticated by Tailscale identity: ${sanitizeLogMessage(name)}`);
+      completeAuthentication('Authentication successful', SINGLE_USER, 'tailscale', name);
+    } else if (!loginRequired) {
+      logAs('Rejected connection: no allowed Tailscale identity');
+      auditAs('auth_failure', { method: 'tailscale', reason: 'no allowed identity' });
+      ws.close(4003, 'Forbidden');
+    }
   }
 
   // Set authentication timeout (5 seconds)
-  if (AUTH_TOKEN) {
+  if (accessControlled() && !login) {
     authTimeout = setTimeout(() => {
       if (!authenticated) {
-        log('Authentication timeout, closing connection');
+        logAs('Authentication timeout, closing connection');
+        auditAs('auth_failure', { reason: 'timeout' });
         ws.close(4001, 'Authentication timeout');
       }
     }, 5000);
   }
 
   /**
-   * Setup PTY process after authentication and initial resize
+   * Setup PTY process after authentication and initial resize (or explicit create)
    * Security: PTY is only created after authentication to prevent leaking shell output
+   * Output is routed through the session so it follows whichever socket is attached
    * @param {number} cols - Terminal columns from client resize
    * @param {number} rows - Terminal rows from client resize
+   * @param {string} [name] - Session name (defaults to the next shell-N)
+   * @param {object} [profile] - Launch profile (defaults to the user's first allowed one)
    */
-  function setupPTY(cols = 80, rows = 24) {
-    ptyProcess = createPTY(cols, rows);
+  function setupPTY(cols = 80, rows = 24, name = undefined, profile = allowedProfiles(user, CONFIG.profiles)[0]) {
+    // The users file can set a lower limit per user, within MAX_SESSIONS
+    const owned = listSessions().filter((entry) => entry.user === user.name).length;
+    if (getSessionCount() >= MAX_SESSIONS || owned >= user.maxSessions) {
+      logAs(`Session limit reached (${Math.min(MAX_SESSIONS, user.maxSessions)}), not creating PTY`);
+      ws.send(
+        JSON.stringify({
+          type: 'error',
+          message: 'Session limit reached',
+        })
+      );
+      return;
+    }
 
-    // Forward PTY output to WebSocket
-    ptyProcess.onData((data) => {
+    // Leave the current session running in the background
+    leaveSharedSession();
+    if (attachedSession()) {
+      detachSession(session, ws, SESSION_GRACE, handleSessionExpired);
+      updateFlow(session);
+    }
+
+    const ptyProcess = createPTY(cols, rows, profile.shell, {
+      args: profile.args,
+      cwd: profile.cwd,
+      env: resolveProfileEnv(profile, process.env, CONFIG.denyEnv),
+    });
+    const newSession = createSession(ptyProcess, name, { cols, rows });
+    newSession.profile = profile.name;
+    newSession.user = user.name;
+    attachSession(newSession, ws);
+    setClientSize(newSession, ws, cols, rows);
+    session = newSession;
+    followFlow(newSession);
+    markSessionActive(newSession);
+
+    if (RECORD_DIR) {
       try {
-        ws.send(
-          JSON.stringify({
-            type: 'output',
-            data,
-          })
-        );
+        newSession.recorder = createRecorder(RECORD_DIR, {
+          sessionId: newSession.id,
+          name: newSession.name,
+          shell: profile.shell || defaultShell(),
+          cols,
+          rows,
+        });
       } catch (err) {
-        log(`Error sending PTY output: ${err.message}`);
+        logAs(`Recording disabled for session "${newSession.name}": ${err.message}`);
       }
+    }
+
+    if (AUDIT_INPUT) {
+      newSession.inputTrail = createInputTrail({ redaction: AUDIT_INPUT_REDACTION });
+    }
+
+    // Buffer PTY output for replay, then forward it to the owner and spectators
+    // Chunks are batched; the replay buffer only takes what has been sent, so a
+    // client attaching mid-batch gets neither gaps nor duplicates
+    newSession.batcher = createOutputBatcher(
+      (data) => {
+        const seq = appendOutput(newSession, data);
+        sendToSession(newSession, {
+          type: 'output',
+          data,
+          seq,
+        });
+        updateFlow(newSession);
+      },
+      { delay: () => batchDelay(slowestLatency(newSession)) }
+    );
+    ptyProcess.onData((data) => {
+      if (newSession.recorder) newSession.recorder.output(data);
+      if (newSession.inputTrail) newSession.inputTrail.output(data);
+      if (newSession.batcher) newSession.batcher.push(data);
     });
 
-    // Handle PTY exit
+    // Handle PTY exit: the only way a session ends besides grace-period expiry or kill
     ptyProcess.onExit(({ exitCode, signal }) => {
-      log(`PTY exited with code ${exitCode}, signal ${signal}`);
+      // The last output goes out before the exit message
+      stopOutput(newSession);
+      logAs(`PTY exited with code ${exitCode}, signal ${signal}`);
+      // Killed, idle-killed or expired: clients were already told and the end already
+      // audited when it was destroyed (its writers and spectators are still listed
+      // and would get a second 'exit'); only a shell that exited on its own goes on
+      if (getSession(newSession.id) !== newSession) return;
+      audit('session_end', {
+        session: newSession.id,
+        name: newSession.name,
+        user: newSession.user,
+        reason: 'exit',
+        code: exitCode,
+        signal: signal ?? null,
+      });
+      sendToSession(newSession, {
+        type: 'exit',
+        code: exitCode,
+      });
+      destroySession(newSession, true);
+      broadcastSessionList();
+    });
+
+    logAs(`PTY created with ${cols}x${rows} (session "${newSession.name}", profile "${profile.name}")`);
+    auditAs('session_create', { session: newSession.id, name: newSession.name, profile: profile.name, cols, rows });
+    ws.send(
+      JSON.stringify({
+        type: 'session',
+        sessionId: newSession.id,
+        name: newSession.name,
+      })
+    );
+    broadcastSessionList();
+  }
+
+  /**
+   * Subscribe this connection to session list updates and send the current list
+   */
+  function sendSessionList() {
+    authenticatedClients.add(ws);
+    ws.send(
+      JSON.stringify({
+        type: 'sessions',
+        sessions: listSessions(),
+      })
+    );
+  }
+
+  /**
+   * Look up a session named by a client message
+   * @param {string} sessionId - Session ID from the client
+   * @returns {object} Session
+   * @throws {Error} If the session does not exist
+   */
+  function requireSession(sessionId) {
+    const target = getSession(sessionId);
+    if (!target) {
+      throw new Error('Unknown session');
+    }
+    return target;
+  }
+
+  /**
+   * Kill a session at the user's request and tell its viewers the shell is gone
+   * @param {object} target - Session to kill
+   */
+  function killSession(target) {
+    logAs(`Session "${target.name}" killed by client`);
+    auditAs('session_kill', { session: target.id, name: target.name });
+    stopOutput(target);
+    sendToSession(target, {
+      type: 'exit',
+      code: null,
+    });
+    destroySession(target);
+    broadcastSessionList();
+  }
+
+  /**
+   * Session this connection currently drives
+   * Returns null once the PTY has exited or another connection took the session over
+   * @returns {object|null} Attached session
+   */
+  function attachedSession() {
+    return session && session.ws === ws ? session : null;
+  }
+
+  /**
+   * Session this connection is watching read-only
+   * Returns null once the session has ended
+   * @returns {object|null} Spectated session
+   */
+  function spectatedSession() {
+    return watching && getSession(watching.id) === watching ? watching : null;
+  }
+
+  /**
+   * Session this connection shares as a writer
+   * Returns null once the session has ended
+   * @returns {object|null} Joined session
+   */
+  function joinedSession() {
+    return joined && getSession(joined.id) === joined ? joined : null;
+  }
+
+  /**
+   * Stop spectating or writing to a shared session (before attaching, creating, or on close)
+   */
+  function leaveSharedSession() {
+    if (watching) {
+      removeSpectator(watching, ws);
+      watching = null;
+    } else if (joined) {
+      const left = joined;
+      joined = null;
+      removeWriter(left, ws, SESSION_GRACE, handleSessionExpired);
+      // The leaver may have been the smallest screen, or the one holding the PTY back
+      if (getSession(left.id) === left) {
+        applySessionSize(left, null);
+        updateFlow(left);
+      }
+    } else {
+      return;
+    }
+    broadcastSessionList();
+  }
+
+  /**
+   * Send keystrokes to the PTY this connection drives or shares
+   * @param {string|Buffer} data - Input text (JSON) or bytes (binary frame)
+   * @throws {Error} If the input is invalid or this connection is read-only
+   */
+  function writeInput(data) {
+    // Security: Spectators and read-only users never write
+    if (spectatedSession() || user.readOnly) {
+      throw new Error('Input rejected: read-only spectator');
+    }
+    validateInput(data);
+    resetIdleLock();
+    const current = attachedSession() || joinedSession();
+    if (!current) return;
+
+    current.pty.write(data);
+    if (current.inputTrail) {
+      // Lines are credited to whoever pressed Enter (writers share one line editor)
+      for (const entry of current.inputTrail.input(data.toString('utf-8'))) {
+        auditAs('input', { session: current.id, ...entry });
+      }
+    }
+    markSessionActive(current);
+    broadcastTyping(current);
+  }
+
+  /**
+   * Tell the session's other clients who is typing (throttled per connection)
+   * @param {object} target - Session receiving the input
+   */
+  function broadcastTyping(target) {
+    const now = Date.now();
+    if (now - lastTypingBroadcast < TYPING_BROADCAST_INTERVAL) return;
+    lastTypingBroadcast = now;
+
+    // Users are told apart by name when there is a users file, by IP otherwise
+    const message = JSON.stringify({ type: 'typing', who: user.name ?? clientIP });
+    for (const client of getSessionSockets(target)) {
+      if (client === ws || lockedClients.has(client)) continue;
       try {
-        ws.send(
-          JSON.stringify({
-            type: 'exit',
-            code: exitCode,
-          })
-        );
+        client.send(message);
       } catch (err) {
-        log(`Error sending PTY exit notification: ${err.message}`);
+        logAs(`Error sending typing notification: ${err.message}`);
       }
-    });
+    }
+  }
+
+  /**
+   * Count acknowledgements against the session this connection now drives
+   * Replayed output is not waited for: it is bounded by the output buffer
+   * @param {object} target - Session just created, attached, joined or unlocked
+   */
+  function followFlow(target) {
+    if (ackedOutput.has(ws)) ackedOutput.set(ws, target.outputSeq);
+    updateFlow(target);
+  }
+
+  /**
+   * Record output the client has rendered, and resume the PTY once it caught up
+   * Acknowledgements for a session the client has since left are clamped to the
+   * current one and can only move forward
+   * @param {number} seq - Output sequence number up to which the client has rendered
+   * @throws {Error} If seq is not a non-negative integer
+   */
+  function acknowledgeOutput(seq) {
+    if (!Number.isSafeInteger(seq) || seq < 0) {
+      throw new Error('Invalid ack: seq must be a non-negative integer');
+    }
+    const current = attachedSession() || joinedSession();
+    if (!current) {
+      // Not driving a session yet: take part from the next one
+      if (!ackedOutput.has(ws)) ackedOutput.set(ws, 0);
+      return;
+    }
+    const acked = Math.min(seq, current.outputSeq);
+    if (acked > (ackedOutput.get(ws) ?? -1)) ackedOutput.set(ws, acked);
+    updateFlow(current);
+  }
+
+  /**
+   * Answer the client's hello with the agreed version and capabilities
+   * Clients that never send one (scripts, wscat) keep the defaults
+   * Security: Accepted before authentication; it reveals only the protocol version
+   * @param {object} hello - Client hello
+   * @throws {Error} If the hello is malformed
+   */
+  function handleHello(hello) {
+    if (protocol) return;
+    // Binary frames are agreed on by the WebSocket subprotocol, before any hello
+    const offered = PROTOCOL_CAPABILITIES.filter((capability) => capability !== 'binary' || binaryClients.has(ws));
+    const agreed = negotiateProtocol(hello, offered);
+    if (!agreed) {
+      logAs(`Rejected connection: incompatible protocol version ${hello.minVersion ?? hello.version}-${hello.version}`);
+      ws.close(4026, 'Incompatible protocol version');
+      return;
+    }
+    protocol = agreed;
+    ws.send(
+      JSON.stringify({
+        type: 'hello',
+        version: agreed.version,
+        minVersion: MIN_PROTOCOL_VERSION,
+        capabilities: agreed.capabilities,
+      })
+    );
+    // Flow control from the start instead of from the first ack
+    if (agreed.capabilities.includes('flow') && !ackedOutput.has(ws)) {
+      const current = attachedSession() || joinedSession();
+      ackedOutput.set(ws, current ? current.outputSeq : 0);
+    }
+  }
+
+  /**
+   * Answer the page's ping and log the connection quality it reports
+   * The numbers are the page's rolling averages: round trip and download rate.
+   * They are logged when the link turns degraded or recovers, and otherwise every
+   * LINK_LOG_INTERVAL; a relayed link shows up as a round trip well above a direct one
+   * Design Decision: Batching keeps using the server's own heartbeat round trip;
+   * reported numbers only go to the log
+   * @param {{ id: number, rtt?: number|null, throughput?: number|null }} ping - Ping message
+   * @throws {Error} If the ping is malformed
+   */
+  function handleLinkPing(ping) {
+    if (!Number.isSafeInteger(ping.id)) {
+      throw new Error('Invalid ping: id must be an integer');
+    }
+    const rtt = readLinkNumber(ping.rtt, 'rtt');
+    const throughput = readLinkNumber(ping.throughput, 'throughput');
+    ws.send(JSON.stringify({ type: 'pong', id: ping.id }));
+    if (rtt === null) return;
+
+    const degraded = rtt > LINK_WARNING_RTT;
+    const stats = describeLink(rtt, throughput, linkLatency.get(ws));
+    if (degraded !== linkDegraded) {
+      linkDegraded = degraded;
+      linkLoggedAt = Date.now();
+      logAs(degraded ? `Link degraded: ${stats}` : `Link recovered: ${stats}`);
+    } else if (Date.now() - linkLoggedAt >= LINK_LOG_INTERVAL) {
+      linkLoggedAt = Date.now();
+      logAs(`Link quality: ${stats}`);
+    }
+  }
+
+  /**
+   * Send buffered output the client has not rendered yet
+   * @param {object} target - Session to replay from
+   * @param {number} lastSeq - Last output sequence number the client has rendered
+   */
+  function sendReplay(target, lastSeq) {
+    const replay = getOutputSince(target, lastSeq);
+    if (replay.data.length === 0 && !replay.reset) return;
+    if (binaryClients.has(ws)) {
+      ws.send(encodeReplayFrame(replay));
+      return;
+    }
+    ws.send(
+      JSON.stringify({
+        type: 'replay',
+        data: replay.data,
+        seq: replay.seq,
+        reset: replay.reset,
+      })
+    );
+  }
+
+  /**
+   * Watch a session read-only: receive its output, never write to it or resize it
+   * Design Decision: Only the owner and writers govern the PTY size; spectators
+   * render at the PTY's cols/rows and are told about every change via 'size'
+   * @param {string} sessionId - Session to watch
+   * @param {number} lastSeq - Last output sequence number the client has rendered
+   */
+  function watchSession(sessionId, lastSeq) {
+    const target = requireSession(sessionId);
+    if (target === attachedSession() || target === spectatedSession()) return;
+
+    leaveSharedSession();
+    if (attachedSession()) {
+      detachSession(session, ws, SESSION_GRACE, handleSessionExpired);
+      updateFlow(session);
+      session = null;
+    }
+    addSpectator(target, ws);
+    watching = target;
+
+    logAs(`Spectator watching session "${target.name}" (${target.spectators.size} viewer(s))`);
+    auditAs('session_attach', { session: target.id, name: target.name, mode: 'watch' });
+    ws.send(
+      JSON.stringify({
+        type: 'watching',
+        sessionId: target.id,
+        cols: target.cols,
+        rows: target.rows,
+      })
+    );
+    sendReplay(target, lastSeq);
+    broadcastSessionList();
+  }
+
+  /**
+   * Share a session with its owner: input from every writer goes to the same PTY
+   * Design Decision: Writers do not take the session over (no 'detached'); the PTY
+   * size is arbitrated by RESIZE_POLICY across the owner and all writers
+   * @param {string} sessionId - Session to join
+   * @param {number} lastSeq - Last output sequence number the client has rendered
+   */
+  function joinSession(sessionId, lastSeq) {
+    const target = requireDrivable(requireSession(sessionId), 'Join');
+    if (target === attachedSession() || target === joinedSession()) return;
+
+    leaveSharedSession();
+    if (attachedSession()) {
+      detachSession(session, ws, SESSION_GRACE, handleSessionExpired);
+      updateFlow(session);
+      session = null;
+    }
+    addWriter(target, ws);
+    joined = target;
+    followFlow(target);
+
+    logAs(`Writer joined session "${target.name}" (${target.writers.size} writer(s))`);
+    auditAs('session_attach', { session: target.id, name: target.name, mode: 'join' });
+    ws.send(
+      JSON.stringify({
+        type: 'joined',
+        sessionId: target.id,
+        cols: target.cols,
+        rows: target.rows,
+      })
+    );
+    sendReplay(target, lastSeq);
+    broadcastSessionList();
+  }
+
+  /**
+   * Reattach this connection to a detached (or taken-over) session
+   * Unknown IDs are ignored so the next resize spawns a fresh PTY
+   * @param {string} sessionId - Session ID previously sent to the client
+   * @param {number} lastSeq - Last output sequence number the client has rendered
+   */
+  function reattachSession(sessionId, lastSeq) {
+    const existing = getSession(sessionId);
+    if (!existing) {
+      logAs('Attach requested for unknown session, a new PTY will be created');
+      return;
+    }
+    if (existing === attachedSession()) return;
+    requireDrivable(existing, 'Attach');
+
+    // Another socket still holds the session (e.g. duplicated tab): take over
+    leaveSharedSession();
+    const previousWs = existing.ws;
+    if (attachedSession()) {
+      detachSession(session, ws, SESSION_GRACE, handleSessionExpired);
+      updateFlow(session);
+    }
+    attachSession(existing, ws);
+    session = existing;
+    // The taken-over socket no longer holds the PTY back
+    followFlow(existing);
+    if (previousWs && previousWs !== ws) {
+      try {
+        previousWs.send(JSON.stringify({ type: 'detached' }));
+      } catch (err) {
+        logAs(`Error sending detach notification: ${err.message}`);
+      }
+    }
+
+    logAs(`Session "${existing.name}" attached`);
+    auditAs('session_attach', { session: existing.id, name: existing.name, mode: 'attach' });
+    ws.send(
+      JSON.stringify({
+        type: 'attached',
+        sessionId: existing.id,
+      })
+    );
+
+    // Replay only what the client missed while it was away
+    sendReplay(existing, lastSeq);
+    broadcastSessionList();
   }
 
   // PTY is created on first resize message (after authentication if required)
   // This ensures PTY starts with correct terminal dimensions from the client
 
-  // Handle pong response from client: reset missed counter
+  // Handle pong response from client: reset missed counter, measure the round trip
   ws.on('pong', () => {
     missedPongs = 0;
+    if (pingSentAt !== null) {
+      linkLatency.set(ws, Date.now() - pingSentAt);
+      pingSentAt = null;
+    }
   });
 
+  /**
+   * Handle a message from an authenticated connection
+   * @param {object} message - Parsed JSON message
+   */
+  async function handleMessage(message) {
+    // Connection quality: answered while locked too (a ping carries no terminal data)
+    if (message.type === 'ping') {
+      handleLinkPing(message);
+      return;
+    }
+
+    // Locked by idle timeout: only the re-auth message gets through
+    if (locked) {
+      if (message.type === 'unlock') {
+        await unlockConnection(message.token, message.code, message.seq);
+      }
+      return;
+    }
+
+    if (message.type === 'input') {
+      writeInput(message.data);
+    } else if (message.type === 'ack') {
+      // Flow control: output rendered by the client
+      acknowledgeOutput(message.seq);
+    } else if (message.type === 'attach') {
+      // Reattach to a session that survived a disconnect
+      reattachSession(message.sessionId, message.seq);
+    } else if (message.type === 'watch') {
+      // Spectate a session read-only
+      watchSession(message.sessionId, message.seq);
+    } else if (message.type === 'join') {
+      // Share a session as an additional writer
+      joinSession(message.sessionId, message.seq);
+    } else if (message.type === 'resize') {
+      // Spectators never govern the PTY size
+      if (spectatedSession()) {
+        throw new Error('Resize rejected: read-only spectator');
+      }
+      // Resize PTY with validation
+      const { cols, rows } = parseDimensions(message);
+      const current = attachedSession() || joinedSession();
+      if (!current) {
+        // First resize: create PTY with correct dimensions
+        // (read-only users pick a session to watch instead)
+        if (user.readOnly) return;
+        setupPTY(cols, rows);
+      } else {
+        // Only actual changes are recorded; clients resend their size on reconnect
+        const previous = current.clientSizes.get(ws);
+        if (!previous || previous.cols !== cols || previous.rows !== rows) {
+          auditAs('resize', { session: current.id, cols, rows });
+        }
+        setClientSize(current, ws, cols, rows);
+        applySessionSize(current, ws);
+      }
+    } else if (message.type === 'create') {
+      // Open an additional named session and switch this connection to it
+      if (user.readOnly) {
+        throw new Error('Create rejected: read-only user');
+      }
+      const { cols, rows } = parseDimensions(message);
+      const name = message.name === undefined ? undefined : validateSessionName(message.name);
+      // Security: Profiles outside the user's list are as unknown as missing ones
+      const profile = findProfile(allowedProfiles(user, CONFIG.profiles), message.profile);
+      setupPTY(cols, rows, name, profile);
+    } else if (message.type === 'rename') {
+      renameSession(requireDrivable(requireSession(message.sessionId), 'Rename'), message.name);
+      broadcastSessionList();
+    } else if (message.type === 'kill') {
+      killSession(requireDrivable(requireSession(message.sessionId), 'Kill'));
+    } else {
+      throw new Error(`Unknown message type: ${message.type}`);
+    }
+  }
+
+  /**
+   * Answer a message that could not be handled
+   * @param {Error} err - What went wrong
+   */
+  function rejectMessage(err) {
+    logAs(`Message handling error: ${err.message}`);
+    // Generic error message, do not expose err.message directly
+    ws.send(
+      JSON.stringify({
+        type: 'error',
+        message: 'Failed to process request',
+      })
+    );
+  }
+
+  /**
+   * Handle the messages kept while this connection was being authenticated
+   */
+  async function replayPendingMessages() {
+    const pending = pendingMessages;
+    pendingMessages = [];
+    for (const message of pending) {
+      if (closed) return;
+      await handleMessage(message).catch(rejectMessage);
+    }
+  }
+
   // Handle WebSocket messages
-  ws.on('message', async (data) => {
+  ws.on('message', async (data, isBinary) => {
     try {
+      if (isBinary) {
+        // Binary frames only carry terminal input, and only once the connection may type
+        if (!binaryClients.has(ws)) {
+          throw new Error('Binary frame on a JSON connection');
+        }
+        if (authenticated && !locked) {
+          writeInput(decodeInputFrame(data));
+        }
+        return;
+      }
+
       const message = JSON.parse(data.toString());
 
+      // Protocol handshake: the page sends it first, before anything else
+      if (message.type === 'hello') {
+        handleHello(message);
+        return;
+      }
+
       // Handle authentication message (must be first if token required)
       if (message.type === 'auth') {
-        if (!AUTH_TOKEN) {
+        if (!loginRequired) {
           // No token required, ignore auth message
           return;
         }
 
-        if (authenticated) {
-          // Already authenticated, ignore
+        if (authenticated || authenticating) {
+          // Already authenticated (or being checked), ignore
           return;
         }
 
-        const clientToken = message.token;
-        if (secureTokenCompare(clientToken, AUTH_TOKEN)) {
-          authenticated = true;
-          clearTimeout(authTimeout);
-          log('Client authenticated successfully');
-          startHeartbeat();
-
-          // PTY will be created on first resize message
-          ws.send(
-            JSON.stringify({
-              type: 'connected',
-              message: 'Authentication successful',
-            })
-          );
+        // With TOTP, scripts send the current code alongside the token
+        // (enrollment only happens through /login); the code is only used up
+        // once the token matched. With a users file they also send their user name
+        // Security: A locked-out client is closed before its token is checked
+        const refusal = lockout.check(clientIP);
+        if (refusal) {
+          logAs(`Rejected connection: locked out for ${refusal.retryAfter}s`);
+          auditAs('auth_failure', { method: 'token', reason: 'locked out' });
+          sendLockoutError(refusal);
+          ws.close(4029, 'Too many failed attempts');
+          return;
+        }
+
+        authenticating = true;
+        const principal = await authenticate(message.user, message.token);
+        authenticating = false;
+        // The Tailscale identity may have been accepted in the meantime
+        if (closed || authenticated) return;
+        if (
+          principal &&
+          (!TOTP_FILE || (totpSecret !== null && acceptTotpCode(totpSecret, message.code)))
+        ) {
+          lockout.succeed(clientIP);
+          log('Client authenticated successfully', principal.name);
+          completeAuthentication('Authentication successful', principal, 'token');
         } else {
-          log('Rejected connection: invalid token');
+          lockout.fail(clientIP);
+          logAs('Rejected connection: invalid token');
+          auditAs('auth_failure', { method: 'token', reason: 'invalid token' });
           ws.close(4001, 'Unauthorized');
         }
         return;
@@ -458,55 +2524,21 @@ export function handleConnection(ws, req) {
 
       // For all other message types, require authentication first
       if (!authenticated) {
-        // Ignore messages before authentication
+        // The page sends attach and resize right after connecting, possibly before the
+        // Tailscale whois or the token check is done: handle them once it is
+        if (pendingMessages.length < MAX_PENDING_MESSAGES) pendingMessages.push(message);
         return;
       }
 
-      if (message.type === 'input') {
-        // Validate and send user input to PTY
-        validateInput(message.data);
-        if (ptyProcess) {
-          ptyProcess.write(message.data);
-        }
-      } else if (message.type === 'resize') {
-        // Resize PTY with validation
-        const cols = Number(message.cols);
-        const rows = Number(message.rows);
-        if (
-          !Number.isInteger(cols) ||
-          !Number.isInteger(rows) ||
-          cols < 1 ||
-          cols > 500 ||
-          rows < 1 ||
-          rows > 200
-        ) {
-          throw new Error('Invalid resize dimensions');
-        }
-        if (!ptyProcess) {
-          // First resize: create PTY with correct dimensions
-          setupPTY(cols, rows);
-          log(`PTY created with ${cols}x${rows}`);
-        } else {
-          ptyProcess.resize(cols, rows);
-          log(`PTY resized to ${cols}x${rows}`);
-        }
-      } else {
-        throw new Error(`Unknown message type: ${message.type}`);
-      }
+      await handleMessage(message);
     } catch (err) {
-      log(`Message handling error: ${err.message}`);
-      // Generic error message, do not expose err.message directly
-      ws.send(
-        JSON.stringify({
-          type: 'error',
-          message: 'Failed to process request',
-        })
-      );
+      rejectMessage(err);
     }
   });
 
   // Handle WebSocket close
   ws.on('close', () => {
+    closed = true;
     if (authTimeout) {
       clearTimeout(authTimeout);
     }
@@ -514,56 +2546,91 @@ export function handleConnection(ws, req) {
       clearInterval(heartbeatInterval);
       heartbeatInterval = null;
     }
-    // Remove this connection from the map only if it still belongs to this ws.
-    // When the same IP reconnects, the old ws is replaced in the map before
-    // its close handler fires, so a naive delete(clientIP) would remove the
-    // new connection's entry.
-    if (connectionMap.get(clientIP) === ws) {
-      connectionMap.delete(clientIP);
-    }
-    log(`Client disconnected (${connectionMap.size}/${MAX_CONNECTIONS})`);
-    if (ptyProcess) {
-      ptyProcess.kill();
-      ptyProcess = null;
+    clearTimeout(lockWarningTimer);
+    clearTimeout(lockTimer);
+    clearTimeout(loginExpiryTimer);
+    connectionMap.delete(ws);
+    authenticatedClients.delete(ws);
+    lockedClients.delete(ws);
+    binaryClients.delete(ws);
+    ackedOutput.delete(ws);
+    linkLatency.delete(ws);
+    loginClients.delete(ws);
+    logAs(`Client disconnected (${connectionMap.size}/${MAX_CONNECTIONS})`);
+    auditAs('disconnect', { seconds: Math.round((Date.now() - connectedAt) / 1000) });
+    leaveSharedSession();
+    // Keep the PTY alive for the grace period so the client can reattach
+    if (attachedSession()) {
+      detachSession(session, ws, SESSION_GRACE, handleSessionExpired);
+      updateFlow(session);
+      session = null;
+      broadcastSessionList();
     }
   });
 
   // Handle WebSocket error
   ws.on('error', (err) => {
-    log(`WebSocket error: ${err.message}`);
+    logAs(`WebSocket error: ${err.message}`);
   });
 
-  // Send initial connection success message (only if no auth required)
+  // Send initial connection success message (only if no auth message is needed)
   // No token configured: start heartbeat immediately
-  if (!AUTH_TOKEN) {
-    startHeartbeat();
-    ws.send(
-      JSON.stringify({
-        type: 'connected',
-        message: 'PTY initialized',
-      })
-    );
+  if (!accessControlled()) {
+    completeAuthentication('PTY initialized', SINGLE_USER, 'none');
+  } else if (login) {
+    // Logged in through /login: the cookie authenticates the upgrade itself
+    loginClients.set(ws, login.id);
+    loginExpiryTimer = setTimeout(() => {
+      logAs('Login expired, closing connection');
+      ws.close(4001, 'Session expired');
+    }, login.expiresAt - Date.now());
+    log('Client authenticated by login cookie', login.user);
+    completeAuthentication('Authentication successful', loginUser(login), 'cookie');
+  } else if (TAILSCALE_AUTH) {
+    authenticateByTailscale();
   }
 }
 
 /**
  * Start server
+ * With HTTPS the certificate is generated or loaded first, then watched for changes
  */
 export function startServer() {
-  const httpServer = createHttpServer();
-  const wss = new WebSocketServer({ server: httpServer });
+  let credentials = null;
+  if (TLS_SETTINGS) {
+    if (TLS_SETTINGS.dir) ensureCertificate(TLS_SETTINGS);
+    credentials = loadCertificate(TLS_SETTINGS);
+  }
+
+  const httpServer = createHttpServer(credentials);
+  const wss = new WebSocketServer({ server: httpServer, handleProtocols: selectProtocol });
 
   wss.on('connection', handleConnection);
 
   const rawBindAddress = process.env.BIND_ADDRESS || '127.0.0.1';
   const BIND_ADDRESS = validateBindAddress(rawBindAddress);
+  const [scheme, wsScheme] = credentials ? ['https', 'wss'] : ['http', 'ws'];
 
   httpServer.listen(PORT, BIND_ADDRESS, () => {
-    log(`Server running at http://${BIND_ADDRESS}:${PORT}`);
-    log(`WebSocket available at ws://${BIND_ADDRESS}:${PORT}`);
+    log(`Server running at ${scheme}://${BIND_ADDRESS}:${PORT}`);
+    log(`WebSocket available at ${wsScheme}://${BIND_ADDRESS}:${PORT}`);
   });
 
-  return { httpServer, wss };
+  if (TLS_SETTINGS) {
+    const stopWatching = watchCertificate(httpServer, TLS_SETTINGS);
+    httpServer.on('close', stopWatching);
+  }
+
+  let redirectServer = null;
+  if (REDIRECT_PORT) {
+    redirectServer = createRedirectServer();
+    redirectServer.listen(REDIRECT_PORT, BIND_ADDRESS, () => {
+      log(`Redirecting http://${BIND_ADDRESS}:${REDIRECT_PORT} to HTTPS`);
+    });
+    httpServer.on('close', () => redirectServer.close());
+  }
+
+  return { httpServer, wss, redirectServer };
 }
 
 // Start server if run directly
@@ -0,0 +1,434 @@
+/**
+ * Location   : src/sessions.js
+ * Purpose    : Server-side registry of PTY sessions
+ * Why        : Keep shells alive across WebSocket disconnects (screen lock, network hiccup)
+ *              so the same client can reattach within a grace period
+ * Related    : src/server.js, tests/sessions.test.js
+ */
+
+import crypto from 'crypto';
+import { log } from './logger.js';
+import {
+  OUTPUT_BUFFER_SIZE,
+  MAX_SESSION_NAME_LENGTH,
+  IDLE_WARNING,
+} from './constants.js';
+
+// Active sessions (session ID -> session)
+// Design Decision: Sessions own the PTY, connections only borrow it.
+// A WebSocket close detaches the session instead of killing the shell.
+const sessionMap = new Map();
+
+/**
+ * Validate a user-supplied session name at trust boundary
+ * @param {string} name - Session name
+ * @returns {string} Trimmed name
+ * @throws {Error} If name is invalid
+ */
+export function validateSessionName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new Error('Session name cannot be empty');
+  }
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_SESSION_NAME_LENGTH) {
+    throw new Error('Session name exceeds maximum length');
+  }
+  // Names are echoed into every client's tab strip and the server log
+  if (/[\x00-\x1F\x7F]/.test(trimmed)) {
+    throw new Error('Invalid session name: contains control characters');
+  }
+  return trimmed;
+}
+
+/**
+ * Pick the first unused default name (shell-1, shell-2, ...)
+ * @returns {string} Default session name
+ */
+export function nextSessionName() {
+  const names = new Set([...sessionMap.values()].map((session) => session.name));
+  let index = 1;
+  while (names.has(`shell-${index}`)) {
+    index += 1;
+  }
+  return `shell-${index}`;
+}
+
+/**
+ * Register a new session for a spawned PTY
+ * Security: Session IDs are random UUIDs and act as reattach capabilities
+ * @param {object} ptyProcess - PTY process from createPTY
+ * @param {string} name - Display name (defaults to the next shell-N)
+ * @param {{ cols: number, rows: number }} size - Initial PTY size
+ * @returns {object} Session ({ id, name, pty, ws, writers, spectators, size, graceTimer, output buffer state })
+ */
+export function createSession(ptyProcess, name = nextSessionName(), size = { cols: 80, rows: 24 }) {
+  const session = {
+    id: crypto.randomUUID(),
+    name,
+    createdAt: Date.now(),
+    pty: ptyProcess,
+    ws: null, // Owner: created or took over the session
+    writers: new Set(), // Connections sharing the PTY with the owner (input allowed)
+    spectators: new Set(), // Read-only connections receiving output
+    cols: size.cols,
+    rows: size.rows,
+    clientSizes: new Map(), // Requested size per owner/writer socket, for the resize policy
+    lastResize: null, // Most recent requested size (latest-wins)
+    profile: null, // Launch profile name (set by the server)
+    user: null, // User who started it, from TINYTERMINAL_USERS (set by the server)
+    graceTimer: null,
+    idleTimer: null, // Kills the PTY after TINYTERMINAL_IDLE_KILL without input
+    idleWarningTimer: null,
+    idleWarned: false,
+    // Ring buffer of recent output chunks; outputSeq counts every char ever emitted
+    outputChunks: [],
+    bufferedLength: 0,
+    outputSeq: 0,
+    paused: false, // PTY reading paused by flow control (set by the server)
+    recorder: null, // asciicast recorder when TINYTERMINAL_RECORD_DIR is set
+    batcher: null, // Output batcher (set by the server)
+  };
+  sessionMap.set(session.id, session);
+  return session;
+}
+
+/**
+ * Look up a session by ID
+ * @param {string} id - Session ID
+ * @returns {object|undefined} Session, if registered
+ */
+export function getSession(id) {
+  if (typeof id !== 'string') return undefined;
+  return sessionMap.get(id);
+}
+
+/**
+ * Summaries of all sessions for the client session picker
+ * Security: Only display metadata, never the PTY or buffered output
+ * @returns {Array<{ id: string, name: string, profile: string|null, user: string|null,
+ *   createdAt: number, attached: boolean, writers: number, viewers: number }>}
+ */
+export function listSessions() {
+  return [...sessionMap.values()].map((session) => ({
+    id: session.id,
+    name: session.name,
+    profile: session.profile,
+    user: session.user,
+    createdAt: session.createdAt,
+    attached: session.ws !== null,
+    writers: session.writers.size,
+    viewers: session.spectators.size,
+  }));
+}
+
+/**
+ * Rename a session
+ * @param {object} session - Session to rename
+ * @param {string} name - New name (validated)
+ */
+export function renameSession(session, name) {
+  session.name = validateSessionName(name);
+}
+
+/**
+ * Resize the session's PTY and remember the size for spectators
+ * @param {object} session - Session to resize
+ * @param {number} cols - Terminal columns
+ * @param {number} rows - Terminal rows
+ */
+export function resizeSession(session, cols, rows) {
+  session.pty.resize(cols, rows);
+  session.cols = cols;
+  session.rows = rows;
+}
+
+/**
+ * Record the size a driving connection (owner or writer) asked for
+ * @param {object} session - Session
+ * @param {WebSocket} ws - Owner or writer connection
+ * @param {number} cols - Requested columns
+ * @param {number} rows - Requested rows
+ */
+export function setClientSize(session, ws, cols, rows) {
+  const size = { cols, rows };
+  session.clientSizes.set(ws, size);
+  session.lastResize = size;
+}
+
+/**
+ * Resolve the PTY size from every driving connection's request
+ * - smallest: fits every writer's screen (tmux-style)
+ * - owner: the owner's size; falls back to latest while the owner is away
+ * - latest: whoever resized last
+ * @param {object} session - Session
+ * @param {string} policy - One of RESIZE_POLICIES
+ * @returns {{ cols: number, rows: number }} Effective PTY size
+ */
+export function computeSessionSize(session, policy) {
+  const sizes = [...session.clientSizes.values()];
+  if (sizes.length === 0) {
+    return { cols: session.cols, rows: session.rows };
+  }
+  if (policy === 'smallest') {
+    return {
+      cols: Math.min(...sizes.map((size) => size.cols)),
+      rows: Math.min(...sizes.map((size) => size.rows)),
+    };
+  }
+  if (policy === 'owner' && session.clientSizes.has(session.ws)) {
+    return session.clientSizes.get(session.ws);
+  }
+  return session.lastResize;
+}
+
+/**
+ * Number of registered sessions (attached or detached)
+ * @returns {number} Session count
+ */
+export function getSessionCount() {
+  return sessionMap.size;
+}
+
+/**
+ * Append PTY output to the session's bounded scrollback buffer
+ * Oldest chunks are dropped once the buffer exceeds OUTPUT_BUFFER_SIZE
+ * @param {object} session - Session that produced the output
+ * @param {string} data - PTY output chunk
+ * @returns {number} Sequence number just past this chunk (total chars emitted)
+ */
+export function appendOutput(session, data) {
+  session.outputChunks.push(data);
+  session.bufferedLength += data.length;
+  session.outputSeq += data.length;
+
+  while (session.bufferedLength > OUTPUT_BUFFER_SIZE) {
+    const overflow = session.bufferedLength - OUTPUT_BUFFER_SIZE;
+    const oldest = session.outputChunks[0];
+    if (oldest.length <= overflow) {
+      session.outputChunks.shift();
+      session.bufferedLength -= oldest.length;
+    } else {
+      // Single chunk straddles the limit: keep only its tail
+      session.outputChunks[0] = oldest.slice(overflow);
+      session.bufferedLength -= overflow;
+    }
+  }
+
+  return session.outputSeq;
+}
+
+/**
+ * Collect buffered output the client has not seen yet
+ * @param {object} session - Session to replay from
+ * @param {number} seq - Last sequence number the client received (0 for a fresh terminal)
+ * @returns {{ data: string, seq: number, reset: boolean }} Output after seq, the new
+ *   sequence number, and whether part of the requested range was already evicted
+ */
+export function getOutputSince(session, seq) {
+  const bufferStart = session.outputSeq - session.bufferedLength;
+  const requested = Number.isInteger(seq) && seq >= 0 ? Math.min(seq, session.outputSeq) : 0;
+  const from = Math.max(requested, bufferStart);
+
+  const data = session.outputChunks.join('').slice(from - bufferStart);
+  return {
+    data,
+    seq: session.outputSeq,
+    reset: requested < bufferStart,
+  };
+}
+
+/**
+ * Bind a WebSocket to a session and cancel any pending expiry
+ * @param {object} session - Session to attach
+ * @param {WebSocket} ws - Connection that will receive PTY output
+ */
+export function attachSession(session, ws) {
+  cancelExpiry(session);
+  // A taken-over owner no longer counts towards the resize policy
+  if (session.ws && session.ws !== ws) {
+    session.clientSizes.delete(session.ws);
+  }
+  session.writers.delete(ws);
+  session.ws = ws;
+}
+
+/**
+ * Add a connection that shares the PTY with the owner (input and resize allowed)
+ * @param {object} session - Session to join
+ * @param {WebSocket} ws - Writer connection
+ */
+export function addWriter(session, ws) {
+  cancelExpiry(session);
+  session.writers.add(ws);
+}
+
+/**
+ * Remove a writer; the session starts expiring if nobody is left driving it
+ * @param {object} session - Joined session
+ * @param {WebSocket} ws - Writer connection
+ * @param {number} gracePeriod - Milliseconds to keep the PTY before killing it
+ * @param {Function} [onExpire] - Called with the session after it is destroyed on expiry
+ */
+export function removeWriter(session, ws, gracePeriod, onExpire) {
+  if (!session.writers.delete(ws)) return;
+  session.clientSizes.delete(ws);
+  if (!session.ws && session.writers.size === 0) {
+    scheduleExpiry(session, gracePeriod, onExpire);
+  }
+}
+
+/**
+ * Add a read-only connection to a session
+ * @param {object} session - Session to watch
+ * @param {WebSocket} ws - Spectator connection
+ */
+export function addSpectator(session, ws) {
+  session.spectators.add(ws);
+}
+
+/**
+ * Remove a read-only connection from a session
+ * @param {object} session - Watched session
+ * @param {WebSocket} ws - Spectator connection
+ */
+export function removeSpectator(session, ws) {
+  session.spectators.delete(ws);
+}
+
+/**
+ * Every connection that should receive the session's output (owner first)
+ * @param {object} session - Session
+ * @returns {WebSocket[]} Owner (if attached) and spectators
+ */
+export function getSessionSockets(session) {
+  const drivers = session.ws ? [session.ws, ...session.writers] : [...session.writers];
+  return [...drivers, ...session.spectators];
+}
+
+/**
+ * Unbind a WebSocket from a session and keep the PTY alive for gracePeriod ms
+ * No-op if the session has already been taken over by another connection.
+ * While writers remain the session keeps running and does not start expiring.
+ * @param {object} session - Session to detach
+ * @param {WebSocket} ws - Connection that is going away
+ * @param {number} gracePeriod - Milliseconds to keep the PTY before killing it
+ * @param {Function} [onExpire] - Called with the session after it is destroyed on expiry
+ */
+export function detachSession(session, ws, gracePeriod, onExpire) {
+  if (session.ws !== ws) return;
+  session.ws = null;
+  session.clientSizes.delete(ws);
+
+  if (session.writers.size === 0) {
+    scheduleExpiry(session, gracePeriod, onExpire);
+  }
+}
+
+/**
+ * Start the grace period (or destroy now if it is zero)
+ * @param {object} session - Session nobody is driving
+ * @param {number} gracePeriod - Milliseconds to keep the PTY before killing it
+ * @param {Function} [onExpire] - Called with the session after it is destroyed on expiry
+ */
+function scheduleExpiry(session, gracePeriod, onExpire) {
+  if (gracePeriod <= 0) {
+    destroySession(session);
+    return;
+  }
+
+  session.graceTimer = setTimeout(() => {
+    session.graceTimer = null;
+    log(`Session ${session.id} grace period expired, killing PTY`, session.user);
+    destroySession(session);
+    if (onExpire) onExpire(session);
+  }, gracePeriod);
+}
+
+/**
+ * Cancel a pending grace-period expiry
+ * @param {object} session - Session someone is driving again
+ */
+function cancelExpiry(session) {
+  if (session.graceTimer) {
+    clearTimeout(session.graceTimer);
+    session.graceTimer = null;
+  }
+}
+
+/**
+ * Stop the idle-kill countdown
+ * @param {object} session - Session
+ */
+function cancelIdleTimers(session) {
+  clearTimeout(session.idleWarningTimer);
+  clearTimeout(session.idleTimer);
+  session.idleWarningTimer = null;
+  session.idleTimer = null;
+}
+
+/**
+ * Restart a session's idle-kill countdown (on creation and on every input)
+ * Design Decision: Only input counts as activity. A long-running build that keeps
+ * printing is still an unattended shell, which is what this timeout is for.
+ * @param {object} session - Session
+ * @param {number} timeout - Milliseconds without input before the PTY is killed (0 = never)
+ * @param {Function} onWarning - Called with (session, seconds) IDLE_WARNING before the kill
+ * @param {Function} onIdle - Called with the session when the timeout passes; the caller
+ *   destroys it, after telling every client (the owner included) why
+ * @returns {boolean} True if a warning had already been given (clients should clear it)
+ */
+export function touchSession(session, timeout, onWarning, onIdle) {
+  const wasWarned = session.idleWarned;
+  session.idleWarned = false;
+  cancelIdleTimers(session);
+  if (timeout <= 0) return wasWarned;
+
+  const warnAfter = Math.max(0, timeout - IDLE_WARNING);
+  session.idleWarningTimer = setTimeout(() => {
+    session.idleWarningTimer = null;
+    session.idleWarned = true;
+    onWarning(session, Math.round((timeout - warnAfter) / 1000));
+  }, warnAfter);
+
+  session.idleTimer = setTimeout(() => {
+    session.idleTimer = null;
+    log(`Session ${session.id} idle for ${timeout / 1000}s, killing PTY`, session.user);
+    onIdle(session);
+  }, timeout);
+  return wasWarned;
+}
+
+/**
+ * Send the output a session still has batched and stop batching it
+ * Called before clients are told the session ended, so its last output comes before
+ * 'exit' and no batch timer fires for a dead session
+ * @param {object} session - Session
+ */
+export function stopOutput(session) {
+  if (session.batcher) {
+    session.batcher.flush();
+    session.batcher = null;
+  }
+}
+
+/**
+ * Remove a session from the registry and kill its PTY
+ * Safe to call from the PTY exit handler (kill on an exited PTY is skipped).
+ * Spectators are left in place so the caller can still tell them the session ended.
+ * @param {object} session - Session to destroy
+ * @param {boolean} exited - True if the PTY has already exited
+ */
+export function destroySession(session, exited = false) {
+  stopOutput(session);
+  cancelExpiry(session);
+  cancelIdleTimers(session);
+  sessionMap.delete(session.id);
+  session.ws = null;
+  if (session.recorder) {
+    session.recorder.close();
+    session.recorder = null;
+  }
+  if (!exited) {
+    session.pty.kill();
+  }
+}
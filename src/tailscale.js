@@ -0,0 +1,197 @@
+/**
+ * Location   : src/tailscale.js
+ * Purpose    : Tailscale identity authorization: ask tailscaled's LocalAPI who owns a
+ *              client address, and allow listed users or tagged nodes
+ * Why        : Every client already arrives over the tailnet with an identity Tailscale
+ *              vouches for, which is stronger than a token passed around by hand
+ * Related    : src/server.js, src/constants.js, tests/tailscale.test.js
+ */
+
+import http from 'http';
+import path from 'path';
+import {
+  DEFAULT_TAILSCALE_SOCKET,
+  TAILSCALE_WHOIS_TIMEOUT,
+  MAX_WHOIS_RESPONSE_SIZE,
+  MAX_ALLOWLIST_ENTRIES,
+} from './constants.js';
+import { parseAddress } from './network.js';
+
+// Tailscale login names (alice@github, bob@example.com) and ACL tags (tag:terminal)
+const LOGIN_PATTERN = /^[^\s@,]+@[^\s@,]+$/;
+const TAG_PATTERN = /^tag:[a-z0-9-]+$/i;
+
+/**
+ * Split and check one comma-separated list
+ * @param {string|undefined} value - Environment value
+ * @param {string} name - Environment variable name (for error messages)
+ * @param {RegExp} pattern - Entry pattern
+ * @param {string} what - Entry description (for error messages)
+ * @returns {Set<string>} Entries (empty when unset)
+ * @throws {Error} If an entry does not match or the list is too long
+ */
+function parseList(value, name, pattern, what) {
+  const entries = (value ?? '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (entries.length > MAX_ALLOWLIST_ENTRIES) {
+    throw new Error(`Invalid ${name}: at most ${MAX_ALLOWLIST_ENTRIES} entries`);
+  }
+  for (const entry of entries) {
+    if (!pattern.test(entry) || entry.length > 256) {
+      throw new Error(`Invalid ${name}: "${entry}" is not ${what}`);
+    }
+  }
+  return new Set(entries);
+}
+
+/**
+ * Validate the TINYTERMINAL_TAILSCALE_* environment variables
+ * - TINYTERMINAL_TAILSCALE_USERS: login names allowed in (untagged devices)
+ * - TINYTERMINAL_TAILSCALE_TAGS: ACL tags allowed in (tagged devices)
+ * - TINYTERMINAL_TAILSCALE_SOCKET: LocalAPI socket path
+ * @param {object} env - Environment (process.env)
+ * @returns {{ users: Set<string>, tags: Set<string>, socket: string }|null} Policy, or null if disabled
+ * @throws {Error} If an entry is invalid
+ */
+export function validateTailscaleAuth(env) {
+  const users = parseList(
+    env.TINYTERMINAL_TAILSCALE_USERS,
+    'TINYTERMINAL_TAILSCALE_USERS',
+    LOGIN_PATTERN,
+    'a Tailscale login name (user@provider)'
+  );
+  const tags = parseList(env.TINYTERMINAL_TAILSCALE_TAGS, 'TINYTERMINAL_TAILSCALE_TAGS', TAG_PATTERN, 'a tag (tag:name)');
+
+  if (users.size === 0 && tags.size === 0) {
+    if (env.TINYTERMINAL_TAILSCALE_SOCKET) {
+      throw new Error('Invalid TINYTERMINAL_TAILSCALE_SOCKET: requires TINYTERMINAL_TAILSCALE_USERS or TINYTERMINAL_TAILSCALE_TAGS');
+    }
+    return null;
+  }
+
+  const socket = env.TINYTERMINAL_TAILSCALE_SOCKET || DEFAULT_TAILSCALE_SOCKET;
+  if (!path.isAbsolute(socket)) {
+    throw new Error('Invalid TINYTERMINAL_TAILSCALE_SOCKET: must be an absolute path');
+  }
+  return { users, tags, socket };
+}
+
+/**
+ * Format a client address for the whois query
+ * @param {string} address - req.socket.remoteAddress
+ * @param {number} [port] - req.socket.remotePort
+ * @returns {string|null} "ip:port" ("[ip]:port" for IPv6), "ip" without a port, or null if not an IP
+ */
+function whoisAddress(address, port) {
+  const bytes = parseAddress(address);
+  if (!bytes) return null;
+  // IPv4-mapped addresses from dual-stack sockets become plain IPv4
+  const ip =
+    bytes.length === 4
+      ? [...bytes].join('.')
+      : address.replace(/^\[(.*)\]$/, '$1').split('%')[0];
+  if (!port) return ip;
+  return bytes.length === 4 ? `${ip}:${port}` : `[${ip}]:${port}`;
+}
+
+/**
+ * Create a client for tailscaled's LocalAPI over its Unix socket
+ * Design Decision: Only the socket path is injected, so tests run the same code
+ * against a fake LocalAPI listening on a temporary socket
+ * @param {string} socketPath - LocalAPI socket
+ * @param {{ timeout?: number }} [options] - Request timeout (ms)
+ * @returns {{ whois: Function }} Client
+ */
+export function createLocalApiClient(socketPath, { timeout = TAILSCALE_WHOIS_TIMEOUT } = {}) {
+  /**
+   * Look up the tailnet identity behind a client address
+   * @param {string} address - req.socket.remoteAddress
+   * @param {number} [port] - req.socket.remotePort
+   * @returns {Promise<{ login: string, displayName: string, node: string, tags: string[] }|null>}
+   *   Identity, or null if the address is not a tailnet peer
+   * @throws {Error} If tailscaled cannot be reached or answers with an error
+   */
+  function whois(address, port) {
+    const addr = whoisAddress(address, port);
+    if (!addr) return Promise.resolve(null);
+
+    return new Promise((resolve, reject) => {
+      const req = http.request(
+        {
+          socketPath,
+          // tailscaled ignores the host, but HTTP/1.1 needs one
+          host: 'local-tailscaled.sock',
+          path: `/localapi/v0/whois?addr=${encodeURIComponent(addr)}`,
+          method: 'GET',
+          timeout,
+        },
+        (res) => {
+          const chunks = [];
+          let size = 0;
+          res.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_WHOIS_RESPONSE_SIZE) {
+              req.destroy(new Error('LocalAPI response too large'));
+              return;
+            }
+            chunks.push(chunk);
+          });
+          res.on('end', () => {
+            // 404: no tailnet node has this address (a LAN or loopback client)
+            if (res.statusCode === 404) {
+              resolve(null);
+              return;
+            }
+            if (res.statusCode !== 200) {
+              reject(new Error(`LocalAPI whois failed with status ${res.statusCode}`));
+              return;
+            }
+            try {
+              const { Node: node, UserProfile: profile } = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+              resolve({
+                login: typeof profile?.LoginName === 'string' ? profile.LoginName : '',
+                displayName: typeof profile?.DisplayName === 'string' ? profile.DisplayName : '',
+                node: String(node?.ComputedName || node?.Name || '').replace(/\.$/, ''),
+                tags: Array.isArray(node?.Tags) ? node.Tags.filter((tag) => typeof tag === 'string') : [],
+              });
+            } catch {
+              reject(new Error('LocalAPI whois returned invalid JSON'));
+            }
+          });
+        }
+      );
+      req.on('timeout', () => req.destroy(new Error('LocalAPI whois timed out')));
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  return { whois };
+}
+
+/**
+ * Check a tailnet identity against the policy
+ * Security: A tagged device is authorized by its tags only; Tailscale drops the
+ * user identity of tagged devices (it shows as "tagged-devices"), so the login
+ * name is never trusted for them
+ * @param {{ login: string, tags: string[] }} identity - From whois
+ * @param {{ users: Set<string>, tags: Set<string> }} policy - From validateTailscaleAuth
+ * @returns {boolean} True if allowed
+ */
+export function isTailscaleAuthorized(identity, policy) {
+  if (identity.tags.length > 0) {
+    return identity.tags.some((tag) => policy.tags.has(tag));
+  }
+  return policy.users.has(identity.login);
+}
+
+/**
+ * Name of a tailnet identity for the log
+ * @param {{ login: string, node: string, tags: string[] }} identity - From whois
+ * @returns {string} Login name, or the node name and tags of a tagged device
+ */
+export function describeIdentity(identity) {
+  return identity.tags.length > 0 ? `${identity.node} (${identity.tags.join(', ')})` : identity.login;
+}
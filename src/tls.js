@@ -0,0 +1,290 @@
+/**
+ * Location   : src/tls.js
+ * Purpose    : HTTPS settings: user certificates, a generated local CA and server
+ *              certificate, and certificate hot reload
+ * Why        : Browsers only offer clipboard access, service workers and passkeys in a
+ *              secure context, which plain HTTP over Tailscale or a LAN is not
+ * Related    : src/server.js, src/x509.js, tests/tls.test.js
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import tls from 'tls';
+import {
+  TLS_CA_VALIDITY,
+  TLS_CERT_VALIDITY,
+  TLS_RENEW_BEFORE,
+  TLS_RENEW_CHECK_INTERVAL,
+  TLS_WATCH_INTERVAL,
+  MAX_TLS_HOSTS,
+} from './constants.js';
+import { log } from './logger.js';
+import { parseAddress } from './network.js';
+import { createCertificate } from './x509.js';
+
+// DNS names allowed in generated certificates (no wildcards)
+const DNS_NAME_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+
+/**
+ * Validate an absolute file or directory path from the environment
+ * @param {string} value - Path
+ * @param {string} name - Environment variable name (for the error message)
+ * @returns {string} Normalized absolute path
+ * @throws {Error} If the path is not absolute
+ */
+function absolutePath(value, name) {
+  if (!path.isAbsolute(value) || value.includes('\0')) {
+    throw new Error(`Invalid ${name}: must be an absolute path`);
+  }
+  return path.resolve(value);
+}
+
+/**
+ * Names and addresses a generated server certificate covers
+ * @param {string|undefined} value - TINYTERMINAL_TLS_HOSTS (comma-separated extra names and IPs)
+ * @returns {string[]} localhost, loopback addresses, this host's name and the extra entries
+ * @throws {Error} If an entry is neither a DNS name nor an IP address
+ */
+export function validateTlsHosts(value) {
+  const extra = (value ?? '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  for (const entry of extra) {
+    if (!parseAddress(entry) && (!DNS_NAME_PATTERN.test(entry) || entry.length > 253)) {
+      throw new Error(`Invalid TINYTERMINAL_TLS_HOSTS: "${entry}" is not a DNS name or IP address`);
+    }
+  }
+
+  const hostname = os.hostname().toLowerCase();
+  const defaults = ['localhost', '127.0.0.1', '::1', ...(DNS_NAME_PATTERN.test(hostname) ? [hostname] : [])];
+  const hosts = [...new Set([...defaults, ...extra.map((entry) => entry.toLowerCase())])];
+  if (hosts.length > MAX_TLS_HOSTS) {
+    throw new Error(`Invalid TINYTERMINAL_TLS_HOSTS: at most ${MAX_TLS_HOSTS} names in total`);
+  }
+  return hosts;
+}
+
+/**
+ * Validate the TINYTERMINAL_TLS_* environment variables
+ * - TINYTERMINAL_TLS_CERT / TINYTERMINAL_TLS_KEY: PEM files of an existing certificate
+ * - TINYTERMINAL_TLS_DIR: directory for a generated local CA and server certificate
+ * - TINYTERMINAL_TLS_HOSTS: extra names and IPs for the generated certificate
+ * @param {object} env - Environment (process.env)
+ * @returns {object|null} { certFile, keyFile, dir, caFile, caKeyFile, hosts }, or null for plain HTTP
+ * @throws {Error} If the settings are incomplete or contradictory
+ */
+export function validateTlsSettings(env) {
+  const { TINYTERMINAL_TLS_CERT: cert, TINYTERMINAL_TLS_KEY: key, TINYTERMINAL_TLS_DIR: dir } = env;
+  if (!cert && !key && !dir) {
+    if (env.TINYTERMINAL_TLS_HOSTS) {
+      throw new Error('Invalid TINYTERMINAL_TLS_HOSTS: requires TINYTERMINAL_TLS_DIR');
+    }
+    return null;
+  }
+  if (Boolean(cert) !== Boolean(key)) {
+    throw new Error('Invalid TINYTERMINAL_TLS_CERT: TINYTERMINAL_TLS_CERT and TINYTERMINAL_TLS_KEY must be set together');
+  }
+
+  if (cert) {
+    if (dir) {
+      throw new Error('Invalid TINYTERMINAL_TLS_DIR: cannot be combined with TINYTERMINAL_TLS_CERT');
+    }
+    if (env.TINYTERMINAL_TLS_HOSTS) {
+      throw new Error('Invalid TINYTERMINAL_TLS_HOSTS: requires TINYTERMINAL_TLS_DIR');
+    }
+    return {
+      certFile: absolutePath(cert, 'TINYTERMINAL_TLS_CERT'),
+      keyFile: absolutePath(key, 'TINYTERMINAL_TLS_KEY'),
+      dir: null,
+      hosts: [],
+    };
+  }
+
+  const tlsDir = absolutePath(dir, 'TINYTERMINAL_TLS_DIR');
+  return {
+    certFile: path.join(tlsDir, 'cert.pem'),
+    keyFile: path.join(tlsDir, 'key.pem'),
+    dir: tlsDir,
+    caFile: path.join(tlsDir, 'ca.pem'),
+    caKeyFile: path.join(tlsDir, 'ca-key.pem'),
+    hosts: validateTlsHosts(env.TINYTERMINAL_TLS_HOSTS),
+  };
+}
+
+/**
+ * Replace a file in one step (temp file + rename)
+ * @param {string} file - Target file
+ * @param {string} content - New content
+ * @param {number} mode - File mode
+ */
+function writeFileAtomic(file, content, mode) {
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, content, { mode });
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Read a certificate and its private key
+ * @param {string} certFile - PEM certificate
+ * @param {string} keyFile - PEM private key
+ * @returns {{ cert: crypto.X509Certificate, key: crypto.KeyObject }|null} Pair, or null if missing or unreadable
+ */
+function readPair(certFile, keyFile) {
+  try {
+    return {
+      cert: new crypto.X509Certificate(fs.readFileSync(certFile)),
+      key: crypto.createPrivateKey(fs.readFileSync(keyFile)),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a certificate is still good for another TLS_RENEW_BEFORE
+ * @param {crypto.X509Certificate} cert - Certificate
+ * @param {crypto.KeyObject} key - Its supposed private key
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the key matches and it does not expire soon
+ */
+function isFresh(cert, key, now) {
+  const publicKey = crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+  return (
+    publicKey.equals(cert.publicKey.export({ type: 'spki', format: 'der' })) &&
+    new Date(cert.validTo).getTime() - TLS_RENEW_BEFORE > now.getTime()
+  );
+}
+
+/**
+ * Create the local CA and server certificate in TINYTERMINAL_TLS_DIR, or renew them
+ * The server certificate is replaced when it nears expiry, was not signed by the
+ * current CA or does not cover every configured host; the CA only when it nears
+ * expiry itself (devices then have to trust the new one)
+ * Security: Private keys are written 0600 in a 0700 directory; the CA can only sign
+ * server certificates for whoever holds ca-key.pem, i.e. this server
+ * @param {object} settings - From validateTlsSettings (with dir)
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if the server certificate was (re)issued
+ */
+export function ensureCertificate(settings, now = new Date()) {
+  fs.mkdirSync(settings.dir, { recursive: true, mode: 0o700 });
+  const keyPair = () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const caName = { commonName: `TinyTerminal Local CA (${os.hostname()})`, organizationName: 'TinyTerminal' };
+
+  let ca = readPair(settings.caFile, settings.caKeyFile);
+  if (!ca || !ca.cert.ca || !isFresh(ca.cert, ca.key, now)) {
+    const { publicKey, privateKey } = keyPair();
+    const pem = createCertificate({
+      subject: caName,
+      issuer: caName,
+      publicKey,
+      signingKey: privateKey,
+      notBefore: now,
+      notAfter: new Date(now.getTime() + TLS_CA_VALIDITY),
+      ca: true,
+    });
+    writeFileAtomic(settings.caKeyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), 0o600);
+    writeFileAtomic(settings.caFile, pem, 0o644);
+    ca = { cert: new crypto.X509Certificate(pem), key: privateKey };
+    log(`TLS: created a local CA, install ${settings.caFile} on your devices to trust this server`);
+  }
+
+  const current = readPair(settings.certFile, settings.keyFile);
+  if (
+    current &&
+    isFresh(current.cert, current.key, now) &&
+    current.cert.checkIssued(ca.cert) &&
+    current.cert.verify(ca.cert.publicKey) &&
+    settings.hosts.every((host) => (parseAddress(host) ? current.cert.checkIP(host) : current.cert.checkHost(host)))
+  ) {
+    return false;
+  }
+
+  const { publicKey, privateKey } = keyPair();
+  const pem = createCertificate({
+    subject: { commonName: settings.hosts[0] },
+    issuer: caName,
+    publicKey,
+    signingKey: ca.key,
+    issuerPublicKey: ca.cert.publicKey,
+    // Tolerate clients whose clock is a little behind
+    notBefore: new Date(now.getTime() - 3600000),
+    notAfter: new Date(now.getTime() + TLS_CERT_VALIDITY),
+    hosts: settings.hosts,
+  });
+  writeFileAtomic(settings.keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), 0o600);
+  writeFileAtomic(settings.certFile, pem, 0o644);
+  log(`TLS: issued a server certificate for ${settings.hosts.join(', ')}`);
+  return true;
+}
+
+/**
+ * Read the certificate and key for the HTTPS server
+ * @param {object} settings - From validateTlsSettings
+ * @returns {{ cert: Buffer, key: Buffer }} PEM contents
+ * @throws {Error} If a file is missing or the key does not belong to the certificate
+ */
+export function loadCertificate(settings) {
+  const credentials = { cert: fs.readFileSync(settings.certFile), key: fs.readFileSync(settings.keyFile) };
+  // Throws on unparsable PEM or a key that does not match the certificate
+  tls.createSecureContext(credentials);
+  return credentials;
+}
+
+/**
+ * Reload the certificate when its files change, and renew generated ones
+ * Design Decision: Files are polled (fs.watchFile) rather than watched, so renewals
+ * that replace files or symlinks (certbot, tailscale cert) are seen too. A change
+ * reloads after one more interval, so a certificate and key written one after the
+ * other are picked up together; a broken pair keeps the current certificate
+ * @param {import('https').Server} server - HTTPS server
+ * @param {object} settings - From validateTlsSettings
+ * @param {{ interval?: number }} [options] - Polling interval (ms)
+ * @returns {Function} Stops watching
+ */
+export function watchCertificate(server, settings, { interval = TLS_WATCH_INTERVAL } = {}) {
+  let reloadTimer = null;
+
+  const reload = () => {
+    try {
+      server.setSecureContext(loadCertificate(settings));
+      log('TLS certificate reloaded');
+    } catch (err) {
+      log(`TLS certificate reload failed, keeping the current one: ${err.message}`);
+    }
+  };
+
+  const onChange = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs && current.ino === previous.ino) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(reload, interval);
+  };
+
+  const files = [settings.certFile, settings.keyFile];
+  for (const file of files) {
+    fs.watchFile(file, { interval, persistent: false }, onChange);
+  }
+
+  // Generated certificates renew themselves; the new files are then picked up above
+  const renewTimer = settings.dir
+    ? setInterval(() => {
+        try {
+          ensureCertificate(settings);
+        } catch (err) {
+          log(`TLS certificate renewal failed: ${err.message}`);
+        }
+      }, TLS_RENEW_CHECK_INTERVAL)
+    : null;
+  renewTimer?.unref();
+
+  return () => {
+    clearTimeout(reloadTimer);
+    clearInterval(renewTimer);
+    for (const file of files) {
+      fs.unwatchFile(file, onChange);
+    }
+  };
+}
@@ -0,0 +1,209 @@
+/**
+ * Location   : src/totp.js
+ * Purpose    : Time-based one-time passwords (RFC 6238) and the enrolled secret file
+ * Why        : A second factor for the login, so a leaked TINYTERMINAL_TOKEN alone
+ *              does not open a shell. No external service or package involved
+ * Related    : src/server.js, src/auth.js, public/login.js, tests/totp.test.js
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import {
+  TOTP_PERIOD,
+  TOTP_DIGITS,
+  TOTP_WINDOW,
+  TOTP_SECRET_BYTES,
+  TOTP_ISSUER,
+} from './constants.js';
+
+// RFC 4648 base32 alphabet (what authenticator apps expect for the secret)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32 (case-insensitive, spaces and padding ignored)
+ * @param {string} text - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the text contains characters outside the alphabet
+ */
+export function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {Buffer} Secret bytes
+ */
+export function generateTotpSecret() {
+  return crypto.randomBytes(TOTP_SECRET_BYTES);
+}
+
+/**
+ * HMAC-based one-time password (RFC 4226, HMAC-SHA1)
+ * @param {Buffer} secret - Shared secret
+ * @param {number} counter - Moving factor
+ * @param {number} [digits] - Code length
+ * @returns {string} Zero-padded code
+ */
+export function hotp(secret, counter, digits = TOTP_DIGITS) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', secret).update(message).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Time step counter for a moment in time
+ * @param {number} now - Time in ms since the epoch
+ * @returns {number} Counter (30-second steps since the epoch)
+ */
+export function totpCounter(now) {
+  return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Check a code against the current time step and its neighbours
+ * Security: Steps at or before `after` are refused, so a code that was already
+ * used (seen over a shoulder, replayed from a log) cannot be used again
+ * @param {Buffer} secret - Shared secret
+ * @param {string} code - Code entered by the user
+ * @param {object} [options] - Options
+ * @param {number} [options.now] - Current time in ms
+ * @param {number} [options.after] - Last counter already accepted
+ * @returns {number|null} Matching counter, or null if the code is wrong
+ */
+export function verifyTotp(secret, code, { now = Date.now(), after = -1 } = {}) {
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) {
+    return null;
+  }
+
+  const current = totpCounter(now);
+  const given = Buffer.from(code);
+  let matched = null;
+  // Every step in the window is checked so timing does not reveal which one matched
+  for (let counter = current - TOTP_WINDOW; counter <= current + TOTP_WINDOW; counter++) {
+    const expected = Buffer.from(hotp(secret, counter));
+    if (crypto.timingSafeEqual(given, expected) && counter > after && matched === null) {
+      matched = counter;
+    }
+  }
+  return matched;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import
+ * @param {Buffer} secret - Shared secret
+ * @param {string} account - Account label (the server's host name)
+ * @returns {string} Provisioning URI
+ */
+export function provisioningUri(secret, account) {
+  const label = `${encodeURIComponent(TOTP_ISSUER)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret: base32Encode(secret),
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Validate TINYTERMINAL_TOTP_FILE environment variable
+ * @param {string} file - Secret file path
+ * @returns {string} Normalized absolute path
+ * @throws {Error} If the path is invalid
+ */
+export function validateTotpFile(file) {
+  if (typeof file !== 'string' || !path.isAbsolute(file) || file.includes('\0')) {
+    throw new Error('Invalid TINYTERMINAL_TOTP_FILE: must be an absolute path');
+  }
+  return path.resolve(file);
+}
+
+/**
+ * Load the enrolled secret
+ * @param {string} file - Validated secret file path
+ * @returns {Buffer|null} Secret, or null if nobody has enrolled yet
+ * @throws {Error} If the file exists but is not a valid secret file
+ */
+export function loadTotpSecret(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Invalid TINYTERMINAL_TOTP_FILE: ${err.message}`);
+  }
+
+  let secret;
+  try {
+    secret = base32Decode(JSON.parse(raw).secret);
+  } catch {
+    throw new Error('Invalid TINYTERMINAL_TOTP_FILE: expected { "secret": "<base32>" }');
+  }
+  if (secret.length < 10) {
+    throw new Error('Invalid TINYTERMINAL_TOTP_FILE: secret is too short');
+  }
+  return secret;
+}
+
+/**
+ * Store the enrolled secret
+ * Security: Written 0600 and renamed into place so a crash never leaves half a secret
+ * @param {string} file - Validated secret file path
+ * @param {Buffer} secret - Secret to store
+ */
+export function saveTotpSecret(file, secret) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(
+    temp,
+    `${JSON.stringify({ secret: base32Encode(secret), createdAt: new Date().toISOString() })}\n`,
+    { mode: 0o600 }
+  );
+  fs.renameSync(temp, file);
+}
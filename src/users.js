@@ -0,0 +1,242 @@
+/**
+ * Location   : src/users.js
+ * Purpose    : Users file: named principals with their own hashed token, launch
+ *              profiles, read-only flag and session limit
+ * Why        : One global TINYTERMINAL_TOKEN cannot tell a shared family or team
+ *              machine's users apart, limit what they may start or say who did what
+ * Related    : src/server.js, src/config.js, tests/users.test.js
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  MAX_USERS,
+  MAX_USER_NAME_LENGTH,
+  MAX_SESSIONS,
+  SCRYPT_COST,
+  SCRYPT_BLOCK_SIZE,
+  SCRYPT_PARALLELIZATION,
+  SCRYPT_KEY_LENGTH,
+  SCRYPT_MAX_COST,
+  SCRYPT_MAX_MEMORY,
+} from './constants.js';
+
+// User names appear in logs, session lists and the typing indicator
+const USER_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+// scrypt$<N>$<r>$<p>$<salt>$<hash> (salt and hash base64url)
+const TOKEN_HASH_PATTERN = /^scrypt\$(\d+)\$(\d+)\$(\d+)\$([A-Za-z0-9_-]+)\$([A-Za-z0-9_-]+)$/;
+
+/**
+ * Build the error for a bad user entry
+ * @param {number} index - User index in the users file
+ * @param {string} message - What is wrong
+ * @returns {Error} Error mentioning TINYTERMINAL_USERS
+ */
+function userError(index, message) {
+  return new Error(`Invalid TINYTERMINAL_USERS: users[${index}] ${message}`);
+}
+
+/**
+ * Run scrypt without blocking the event loop
+ * @param {string} token - Token to hash
+ * @param {Buffer} salt - Salt
+ * @param {object} params - { N, r, p, length }
+ * @returns {Promise<Buffer>} Derived key
+ */
+function scrypt(token, salt, { N, r, p, length }) {
+  return new Promise((resolve, reject) => {
+    // Security: A fixed ceiling, never one derived from the stored parameters
+    crypto.scrypt(token, salt, length, { N, r, p, maxmem: SCRYPT_MAX_MEMORY }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+/**
+ * Split a stored token hash into its parameters
+ * @param {string} encoded - scrypt$N$r$p$salt$hash
+ * @returns {object|null} { N, r, p, salt, hash }, or null if malformed or out of range
+ */
+function parseTokenHash(encoded) {
+  const match = typeof encoded === 'string' ? TOKEN_HASH_PATTERN.exec(encoded) : null;
+  if (!match) return null;
+  const [N, r, p] = match.slice(1, 4).map(Number);
+  const salt = Buffer.from(match[4], 'base64url');
+  const hash = Buffer.from(match[5], 'base64url');
+  // Security: Refuse weak costs, and costs so high a login would exhaust memory
+  const validCost = N >= 1024 && (N & (N - 1)) === 0 && r >= 1 && N * r <= SCRYPT_MAX_COST;
+  if (!validCost || p < 1 || p > 16 || salt.length < 16 || hash.length < 16) {
+    return null;
+  }
+  return { N, r, p, salt, hash };
+}
+
+/**
+ * Hash a token for the users file
+ * @param {string} token - Token the user will log in with
+ * @returns {Promise<string>} scrypt$N$r$p$salt$hash
+ */
+export async function hashToken(token) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(token, salt, {
+    N: SCRYPT_COST,
+    r: SCRYPT_BLOCK_SIZE,
+    p: SCRYPT_PARALLELIZATION,
+    length: SCRYPT_KEY_LENGTH,
+  });
+  return [
+    'scrypt',
+    SCRYPT_COST,
+    SCRYPT_BLOCK_SIZE,
+    SCRYPT_PARALLELIZATION,
+    salt.toString('base64url'),
+    hash.toString('base64url'),
+  ].join('$');
+}
+
+/**
+ * Check a token against a stored hash
+ * Security: Constant-time comparison of the derived keys
+ * @param {*} token - Token sent by the client
+ * @param {string} encoded - Stored hash
+ * @returns {Promise<boolean>} True if the token matches
+ */
+export async function verifyTokenHash(token, encoded) {
+  const parsed = parseTokenHash(encoded);
+  if (typeof token !== 'string' || !parsed) return false;
+  const derived = await scrypt(token, parsed.salt, { ...parsed, length: parsed.hash.length });
+  return crypto.timingSafeEqual(derived, parsed.hash);
+}
+
+// Hash checked for unknown user names, so they take as long as a wrong token
+let dummyHash = null;
+
+/**
+ * Find the user a name and token belong to
+ * Security: Unknown names still cost one scrypt, so timing does not reveal which
+ * names exist
+ * @param {Map<string, object>} users - Users from loadUsers
+ * @param {*} name - User name sent by the client
+ * @param {*} token - Token sent by the client
+ * @returns {Promise<object|null>} User, or null if the name or token is wrong
+ */
+export async function authenticateUser(users, name, token) {
+  const user = typeof name === 'string' ? users.get(name) : undefined;
+  if (!user) {
+    dummyHash ??= await hashToken(crypto.randomBytes(16).toString('hex'));
+    await verifyTokenHash(String(token), dummyHash);
+    return null;
+  }
+  return (await verifyTokenHash(token, user.tokenHash)) ? user : null;
+}
+
+/**
+ * Launch profiles a user may start
+ * @param {object} user - User (profiles: names, or null for all)
+ * @param {Array<object>} profiles - Configured profiles
+ * @returns {Array<object>} Allowed profiles, in config order
+ */
+export function allowedProfiles(user, profiles) {
+  if (!user.profiles) return profiles;
+  return profiles.filter((profile) => user.profiles.includes(profile.name));
+}
+
+/**
+ * Validate TINYTERMINAL_USERS environment variable
+ * @param {string} file - Users file path
+ * @returns {string} Normalized absolute path
+ * @throws {Error} If the path is invalid
+ */
+export function validateUsersFile(file) {
+  if (typeof file !== 'string' || !path.isAbsolute(file) || file.includes('\0')) {
+    throw new Error('Invalid TINYTERMINAL_USERS: must be an absolute path');
+  }
+  return path.resolve(file);
+}
+
+/**
+ * Validate one users file entry
+ * @param {*} entry - Raw entry
+ * @param {number} index - Entry index (for error messages)
+ * @param {string[]} profileNames - Configured profile names
+ * @returns {object} { name, tokenHash, profiles, readOnly, maxSessions }
+ * @throws {Error} If the entry is invalid
+ */
+function validateUser(entry, index, profileNames) {
+  if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+    throw userError(index, 'must be an object');
+  }
+  const { name, tokenHash, profiles, readOnly = false, maxSessions = MAX_SESSIONS } = entry;
+  if (typeof name !== 'string' || name.length > MAX_USER_NAME_LENGTH || !USER_NAME_PATTERN.test(name)) {
+    throw userError(index, `name must be 1-${MAX_USER_NAME_LENGTH} letters, digits, ".", "_" or "-"`);
+  }
+  if (!parseTokenHash(tokenHash)) {
+    throw userError(index, `tokenHash must come from "npm run hash-token" (scrypt N·r up to ${SCRYPT_MAX_COST})`);
+  }
+  if (
+    profiles !== undefined &&
+    (!Array.isArray(profiles) || profiles.length === 0 || profiles.some((profile) => !profileNames.includes(profile)))
+  ) {
+    throw userError(index, 'profiles must list configured profile names');
+  }
+  if (typeof readOnly !== 'boolean') {
+    throw userError(index, 'readOnly must be true or false');
+  }
+  if (!Number.isInteger(maxSessions) || maxSessions < 1 || maxSessions > MAX_SESSIONS) {
+    throw userError(index, `maxSessions must be between 1 and ${MAX_SESSIONS}`);
+  }
+  return { name, tokenHash, profiles: profiles ?? null, readOnly, maxSessions };
+}
+
+/**
+ * Load the users file
+ * @param {string} file - Validated users file path
+ * @param {Array<object>} profiles - Configured launch profiles
+ * @returns {Map<string, object>} User name -> user
+ * @throws {Error} If the file is missing or invalid
+ */
+export function loadUsers(file, profiles) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid TINYTERMINAL_USERS: cannot read ${file}: ${err.message}`);
+  }
+  const entries = raw?.users;
+  if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_USERS) {
+    throw new Error(`Invalid TINYTERMINAL_USERS: "users" must list 1 to ${MAX_USERS} users`);
+  }
+
+  const profileNames = profiles.map((profile) => profile.name);
+  const users = new Map();
+  entries.forEach((entry, index) => {
+    const user = validateUser(entry, index, profileNames);
+    if (users.has(user.name)) {
+      throw userError(index, `duplicates the name "${user.name}"`);
+    }
+    users.set(user.name, user);
+  });
+  return users;
+}
+
+// npm run hash-token: read a token from stdin, print the line for the users file
+/* v8 ignore next 15 */
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  let input = '';
+  process.stdin.setEncoding('utf-8');
+  process.stdin.on('data', (chunk) => {
+    input += chunk;
+  });
+  process.stdin.on('end', async () => {
+    const token = input.replace(/\r?\n$/, '');
+    if (!token) {
+      console.error('Usage: printf %s "$TOKEN" | npm run -s hash-token');
+      process.exit(1);
+    }
+    console.log(await hashToken(token));
+  });
+}
@@ -0,0 +1,386 @@
+/**
+ * Location   : src/webauthn.js
+ * Purpose    : WebAuthn passkeys: challenges, registration and sign-in checks, and the
+ *              registered credential file
+ * Why        : Typing a long random token on a phone keyboard is miserable; the phone's
+ *              platform authenticator (fingerprint, face, screen lock) is one tap.
+ *              Only what passkeys need is implemented (CBOR subset, ES256/RS256),
+ *              so no package is involved
+ * Related    : src/server.js, public/passkey.js, tests/webauthn.test.js
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import {
+  WEBAUTHN_CHALLENGE_TTL,
+  MAX_WEBAUTHN_CHALLENGES,
+  MAX_PASSKEYS,
+  MAX_PASSKEY_NAME_LENGTH,
+} from './constants.js';
+
+// COSE algorithm identifiers offered to authenticators (ES256 first, as phones prefer it)
+export const COSE_ES256 = -7;
+export const COSE_RS256 = -257;
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+// CBOR nesting accepted before giving up (COSE keys and attestation objects are shallow)
+const MAX_CBOR_DEPTH = 8;
+
+// Outstanding challenges (challenge -> { type, expiresAt }), each usable once
+const challenges = new Map();
+
+/**
+ * Read the length/value argument that follows a CBOR initial byte
+ * @param {Buffer} buffer - CBOR data
+ * @param {number} offset - Offset after the initial byte
+ * @param {number} info - Additional information (low 5 bits)
+ * @returns {{ value: number, offset: number }} Argument and the offset after it
+ * @throws {Error} If the data is truncated or uses an unsupported encoding
+ */
+function readCborArgument(buffer, offset, info) {
+  if (info < 24) return { value: info, offset };
+  const size = { 24: 1, 25: 2, 26: 4, 27: 8 }[info];
+  // Indefinite lengths (31) are never produced by authenticators
+  if (!size) throw new Error('Unsupported CBOR encoding');
+  if (offset + size > buffer.length) throw new Error('Truncated CBOR');
+  if (size === 8) {
+    const value = buffer.readBigUInt64BE(offset);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('CBOR integer too large');
+    return { value: Number(value), offset: offset + 8 };
+  }
+  return { value: buffer.readUIntBE(offset, size), offset: offset + size };
+}
+
+/**
+ * Decode one CBOR item (RFC 8949), enough for attestation objects and COSE keys
+ * Maps decode to Map so integer keys (COSE) stay integers
+ * @param {Buffer} buffer - CBOR data
+ * @param {number} [offset] - Where the item starts
+ * @param {number} [depth] - Current nesting (internal)
+ * @returns {{ value: *, offset: number }} Decoded item and the offset after it
+ * @throws {Error} If the data is not valid CBOR of the supported kinds
+ */
+export function decodeCbor(buffer, offset = 0, depth = 0) {
+  if (depth > MAX_CBOR_DEPTH) throw new Error('CBOR nested too deeply');
+  if (offset >= buffer.length) throw new Error('Truncated CBOR');
+
+  const major = buffer[offset] >> 5;
+  const info = buffer[offset] & 0x1f;
+  if (major === 7) {
+    const simple = { 20: false, 21: true, 22: null, 23: undefined };
+    if (!(info in simple)) throw new Error('Unsupported CBOR encoding');
+    return { value: simple[info], offset: offset + 1 };
+  }
+
+  const argument = readCborArgument(buffer, offset + 1, info);
+  let next = argument.offset;
+  switch (major) {
+    case 0:
+      return { value: argument.value, offset: next };
+    case 1:
+      return { value: -1 - argument.value, offset: next };
+    case 2:
+    case 3: {
+      const end = next + argument.value;
+      if (end > buffer.length) throw new Error('Truncated CBOR');
+      const bytes = buffer.subarray(next, end);
+      return { value: major === 2 ? Buffer.from(bytes) : bytes.toString('utf-8'), offset: end };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < argument.value; i++) {
+        const item = decodeCbor(buffer, next, depth + 1);
+        items.push(item.value);
+        next = item.offset;
+      }
+      return { value: items, offset: next };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < argument.value; i++) {
+        const key = decodeCbor(buffer, next, depth + 1);
+        const item = decodeCbor(buffer, key.offset, depth + 1);
+        map.set(key.value, item.value);
+        next = item.offset;
+      }
+      return { value: map, offset: next };
+    }
+    default:
+      // Tags (major 6) carry nothing passkeys need; the tagged item is read as is
+      return decodeCbor(buffer, next, depth + 1);
+  }
+}
+
+/**
+ * Convert a COSE public key (RFC 9053) to a Node.js key
+ * @param {Map} cose - Decoded COSE_Key
+ * @returns {{ key: crypto.KeyObject, alg: number }} Public key and its COSE algorithm
+ * @throws {Error} If the key type or algorithm is not ES256 (P-256) or RS256
+ */
+export function coseToPublicKey(cose) {
+  if (!(cose instanceof Map)) throw new Error('Invalid public key');
+  const kty = cose.get(1);
+  const alg = cose.get(3);
+  const base64url = (label) => {
+    const value = cose.get(label);
+    if (!Buffer.isBuffer(value)) throw new Error('Invalid public key');
+    return value.toString('base64url');
+  };
+
+  if (kty === 2 && alg === COSE_ES256 && cose.get(-1) === 1) {
+    const jwk = { kty: 'EC', crv: 'P-256', x: base64url(-2), y: base64url(-3) };
+    return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), alg };
+  }
+  if (kty === 3 && alg === COSE_RS256) {
+    const jwk = { kty: 'RSA', n: base64url(-1), e: base64url(-2) };
+    return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), alg };
+  }
+  throw new Error('Unsupported public key algorithm');
+}
+
+/**
+ * Split authenticator data into its fields
+ * @param {Buffer} data - Authenticator data
+ * @returns {object} { rpIdHash, userPresent, userVerified, signCount, [credentialId, publicKey] }
+ * @throws {Error} If the data is truncated
+ */
+export function parseAuthenticatorData(data) {
+  if (!Buffer.isBuffer(data) || data.length < 37) {
+    throw new Error('Authenticator data too short');
+  }
+  const flags = data[32];
+  const result = {
+    rpIdHash: data.subarray(0, 32),
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    signCount: data.readUInt32BE(33),
+  };
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL) {
+    // AAGUID (16 bytes), credential ID length (2 bytes), credential ID, COSE key
+    if (data.length < 55) throw new Error('Authenticator data too short');
+    const idEnd = 55 + data.readUInt16BE(53);
+    if (idEnd > data.length) throw new Error('Authenticator data too short');
+    result.credentialId = Buffer.from(data.subarray(55, idEnd));
+    result.publicKey = decodeCbor(data, idEnd).value;
+  }
+  return result;
+}
+
+/**
+ * Issue a one-time challenge
+ * @param {string} type - Ceremony it is for ('webauthn.create' or 'webauthn.get')
+ * @returns {string} Challenge (base64url)
+ */
+export function createChallenge(type) {
+  const now = Date.now();
+  for (const [challenge, entry] of challenges) {
+    if (entry.expiresAt <= now) challenges.delete(challenge);
+  }
+  // Security: Sign-in options need no login, so the oldest are dropped rather than
+  // letting anyone grow the map
+  while (challenges.size >= MAX_WEBAUTHN_CHALLENGES) {
+    challenges.delete(challenges.keys().next().value);
+  }
+
+  const challenge = crypto.randomBytes(32).toString('base64url');
+  challenges.set(challenge, { type, expiresAt: now + WEBAUTHN_CHALLENGE_TTL });
+  return challenge;
+}
+
+/**
+ * Use up a challenge
+ * @param {string} challenge - Challenge from the client data
+ * @param {string} type - Ceremony it must have been issued for
+ * @returns {boolean} True if it was outstanding, unexpired and for this ceremony
+ */
+export function consumeChallenge(challenge, type) {
+  if (typeof challenge !== 'string') return false;
+  const entry = challenges.get(challenge);
+  if (!entry) return false;
+  challenges.delete(challenge);
+  return entry.type === type && entry.expiresAt > Date.now();
+}
+
+/**
+ * Check the client data both ceremonies sign over, and use up its challenge
+ * @param {Buffer} clientDataJSON - Client data from the browser
+ * @param {string} type - Expected ceremony type
+ * @param {string} origin - Origin the request came from
+ * @throws {Error} If the type, origin or challenge does not match
+ */
+function checkClientData(clientDataJSON, type, origin) {
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf-8'));
+  } catch {
+    throw new Error('Invalid client data');
+  }
+  if (clientData?.type !== type) throw new Error('Wrong ceremony type');
+  // Security: The browser writes the origin, so a phishing page cannot pass for this one
+  if (clientData.origin !== origin) throw new Error('Origin mismatch');
+  if (!consumeChallenge(clientData.challenge, type)) throw new Error('Unknown or expired challenge');
+}
+
+/**
+ * Check the authenticator data shared by both ceremonies
+ * @param {object} authData - Parsed authenticator data
+ * @param {string} rpId - Relying party ID (the page's host name)
+ * @throws {Error} If it is for another site or the user was not verified
+ */
+function checkAuthenticatorData(authData, rpId) {
+  const expected = crypto.createHash('sha256').update(rpId).digest();
+  if (!crypto.timingSafeEqual(authData.rpIdHash, expected)) throw new Error('RP ID mismatch');
+  // Security: User verification (fingerprint, face, screen lock PIN) is what makes a
+  // passkey stand in for the token, not just possession of the phone
+  if (!authData.userPresent || !authData.userVerified) throw new Error('User not verified');
+}
+
+/**
+ * Verify a registration (navigator.credentials.create) response
+ * Design Decision: The attestation statement is not checked (options ask for 'none').
+ * The owner registering the passkey is already signed in; which phone model made it
+ * does not matter
+ * @param {object} response - Decoded response
+ * @param {Buffer} response.clientDataJSON - Client data
+ * @param {Buffer} response.attestationObject - Attestation object (CBOR)
+ * @param {object} expected - Expected values
+ * @param {string} expected.origin - Origin of the page
+ * @param {string} expected.rpId - Relying party ID
+ * @returns {object} Credential to store ({ id, publicKey, alg, signCount, rpId })
+ * @throws {Error} If the response does not check out
+ */
+export function verifyRegistration({ clientDataJSON, attestationObject }, { origin, rpId }) {
+  checkClientData(clientDataJSON, 'webauthn.create', origin);
+
+  const attestation = decodeCbor(attestationObject).value;
+  if (!(attestation instanceof Map)) throw new Error('Invalid attestation object');
+  const authData = parseAuthenticatorData(attestation.get('authData'));
+  checkAuthenticatorData(authData, rpId);
+  if (!authData.credentialId) throw new Error('No credential in attestation');
+
+  const { key, alg } = coseToPublicKey(authData.publicKey);
+  return {
+    id: authData.credentialId.toString('base64url'),
+    publicKey: key.export({ type: 'spki', format: 'der' }).toString('base64url'),
+    alg,
+    signCount: authData.signCount,
+    rpId,
+  };
+}
+
+/**
+ * Verify a sign-in (navigator.credentials.get) response
+ * @param {object} response - Decoded response
+ * @param {Buffer} response.clientDataJSON - Client data
+ * @param {Buffer} response.authenticatorData - Authenticator data
+ * @param {Buffer} response.signature - Signature over authenticatorData || SHA-256(clientDataJSON)
+ * @param {object} credential - Stored credential
+ * @param {object} expected - Expected values
+ * @param {string} expected.origin - Origin of the page
+ * @param {string} expected.rpId - Relying party ID
+ * @returns {number} New signature counter to store
+ * @throws {Error} If the response does not check out
+ */
+export function verifyAssertion({ clientDataJSON, authenticatorData, signature }, credential, { origin, rpId }) {
+  checkClientData(clientDataJSON, 'webauthn.get', origin);
+
+  const authData = parseAuthenticatorData(authenticatorData);
+  checkAuthenticatorData(authData, rpId);
+
+  const signed = Buffer.concat([authenticatorData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+  const key = crypto.createPublicKey({
+    key: Buffer.from(credential.publicKey, 'base64url'),
+    format: 'der',
+    type: 'spki',
+  });
+  // ES256 signatures arrive DER-encoded, which is what crypto.verify expects
+  if (!crypto.verify('sha256', signed, key, signature)) throw new Error('Invalid signature');
+
+  // Security: A counter that does not move forward means a cloned authenticator.
+  // Synced passkeys always report 0 and are not counted
+  if ((authData.signCount !== 0 || credential.signCount !== 0) && authData.signCount <= credential.signCount) {
+    throw new Error('Signature counter did not increase');
+  }
+  return authData.signCount;
+}
+
+/**
+ * Validate TINYTERMINAL_PASSKEY_FILE environment variable
+ * @param {string} file - Credential file path
+ * @returns {string} Normalized absolute path
+ * @throws {Error} If the path is invalid
+ */
+export function validatePasskeyFile(file) {
+  if (typeof file !== 'string' || !path.isAbsolute(file) || file.includes('\0')) {
+    throw new Error('Invalid TINYTERMINAL_PASSKEY_FILE: must be an absolute path');
+  }
+  return path.resolve(file);
+}
+
+/**
+ * Trim a passkey name to something safe to show and log
+ * @param {*} name - Name sent by the page
+ * @param {string} fallback - Name to use when none was given
+ * @returns {string} Name without control characters, at most MAX_PASSKEY_NAME_LENGTH
+ */
+export function normalizePasskeyName(name, fallback) {
+  const clean = typeof name === 'string' ? name.replace(/[\x00-\x1F\x7F]/g, '').trim() : '';
+  return (clean || fallback).slice(0, MAX_PASSKEY_NAME_LENGTH);
+}
+
+/**
+ * Load the registered passkeys
+ * @param {string} file - Validated credential file path
+ * @returns {object[]} Credentials ([] if none were registered yet)
+ * @throws {Error} If the file exists but is not a valid credential file
+ */
+export function loadPasskeys(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new Error(`Invalid TINYTERMINAL_PASSKEY_FILE: ${err.message}`);
+  }
+
+  let passkeys;
+  try {
+    passkeys = JSON.parse(raw).passkeys;
+  } catch {
+    passkeys = null;
+  }
+  const valid =
+    Array.isArray(passkeys) &&
+    passkeys.length <= MAX_PASSKEYS &&
+    passkeys.every(
+      (entry) =>
+        typeof entry?.id === 'string' &&
+        typeof entry.publicKey === 'string' &&
+        typeof entry.rpId === 'string' &&
+        typeof entry.name === 'string' &&
+        Number.isInteger(entry.signCount)
+    );
+  if (!valid) {
+    throw new Error('Invalid TINYTERMINAL_PASSKEY_FILE: expected { "passkeys": [...] }');
+  }
+  return passkeys;
+}
+
+/**
+ * Store the registered passkeys
+ * Security: Written 0600 and renamed into place so a crash never leaves a half-written list
+ * @param {string} file - Validated credential file path
+ * @param {object[]} passkeys - Credentials to store
+ */
+export function savePasskeys(file, passkeys) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify({ passkeys }, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(temp, file);
+}
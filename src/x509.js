@@ -0,0 +1,224 @@
+/**
+ * Location   : src/x509.js
+ * Purpose    : Minimal DER writer and X.509 v3 certificate builder (ECDSA P-256 / SHA-256)
+ * Why        : The local CA and server certificate are generated at startup without
+ *              openssl or extra packages; Node can sign but not build certificates
+ * Related    : src/tls.js, tests/x509.test.js
+ */
+
+import crypto from 'crypto';
+import { parseAddress } from './network.js';
+
+// Object identifiers used below
+const OID = {
+  commonName: '2.5.4.3',
+  organizationName: '2.5.4.10',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  subjectKeyIdentifier: '2.5.29.14',
+  keyUsage: '2.5.29.15',
+  subjectAltName: '2.5.29.17',
+  basicConstraints: '2.5.29.19',
+  authorityKeyIdentifier: '2.5.29.35',
+  extKeyUsage: '2.5.29.37',
+  serverAuth: '1.3.6.1.5.5.7.3.1',
+};
+
+/**
+ * Encode a DER length
+ * @param {number} length - Content length in bytes
+ * @returns {Buffer} Short form below 128, long form otherwise
+ */
+function encodeLength(length) {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) {
+    bytes.unshift(rest & 0xff);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+/**
+ * Encode one DER element
+ * @param {number} tag - Identifier octet
+ * @param {...Buffer} parts - Content, concatenated
+ * @returns {Buffer} Tag, length and content
+ */
+export function tlv(tag, ...parts) {
+  const content = Buffer.concat(parts);
+  return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+}
+
+const sequence = (...parts) => tlv(0x30, ...parts);
+const set = (...parts) => tlv(0x31, ...parts);
+const octetString = (bytes) => tlv(0x04, bytes);
+const explicit = (number, element) => tlv(0xa0 | number, element);
+
+/**
+ * Encode a non-negative DER INTEGER
+ * @param {Buffer|number} value - Big-endian bytes or a small number
+ * @returns {Buffer} INTEGER (minimal, with a 0 byte when the high bit is set)
+ */
+export function integer(value) {
+  let bytes = typeof value === 'number' ? Buffer.from([value]) : value;
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  bytes = bytes.subarray(start);
+  return tlv(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+}
+
+/**
+ * Encode an OBJECT IDENTIFIER
+ * @param {string} dotted - e.g. "2.5.4.3"
+ * @returns {Buffer} OID
+ */
+export function objectId(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [40 * first + second];
+  for (const arc of rest) {
+    const group = [arc & 0x7f];
+    for (let value = Math.floor(arc / 128); value > 0; value = Math.floor(value / 128)) {
+      group.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...group);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+/**
+ * Encode a BIT STRING whose trailing zero bits are unused (DER named bit lists)
+ * @param {Buffer} bytes - Bits, most significant first
+ * @param {boolean} [trim] - Count trailing zero bits of the last byte as unused
+ * @returns {Buffer} BIT STRING
+ */
+function bitString(bytes, trim = false) {
+  let unused = 0;
+  if (trim && bytes.length > 0) {
+    const last = bytes[bytes.length - 1];
+    while (unused < 7 && !(last & (1 << unused))) unused++;
+  }
+  return tlv(0x03, Buffer.from([unused]), bytes);
+}
+
+/**
+ * Encode a certificate validity time (UTCTime before 2050, GeneralizedTime after)
+ * @param {Date} date - Time
+ * @returns {Buffer} Time element
+ */
+export function encodeTime(date) {
+  const text = date.toISOString().replace(/[-:T]/g, '').replace(/\.\d+Z$/, 'Z');
+  return date.getUTCFullYear() < 2050
+    ? tlv(0x17, Buffer.from(text.slice(2), 'ascii'))
+    : tlv(0x18, Buffer.from(text, 'ascii'));
+}
+
+/**
+ * Encode a distinguished name
+ * @param {{ commonName: string, organizationName?: string }} name - Name attributes
+ * @returns {Buffer} Name
+ */
+function encodeName({ commonName, organizationName }) {
+  const attribute = (oid, value) => set(sequence(objectId(oid), tlv(0x0c, Buffer.from(value, 'utf-8'))));
+  return sequence(
+    ...(organizationName ? [attribute(OID.organizationName, organizationName)] : []),
+    attribute(OID.commonName, commonName)
+  );
+}
+
+/**
+ * Encode one extension
+ * @param {string} oid - Extension OID
+ * @param {boolean} critical - Critical flag
+ * @param {Buffer} value - DER value (wrapped in an OCTET STRING)
+ * @returns {Buffer} Extension
+ */
+function extension(oid, critical, value) {
+  return sequence(objectId(oid), ...(critical ? [tlv(0x01, Buffer.from([0xff]))] : []), octetString(value));
+}
+
+/**
+ * Encode subjectAltName entries
+ * @param {string[]} hosts - DNS names and IP addresses
+ * @returns {Buffer} GeneralNames
+ */
+function encodeAltNames(hosts) {
+  return sequence(
+    ...hosts.map((host) => {
+      const address = parseAddress(host);
+      // [7] iPAddress or [2] dNSName, both IMPLICIT
+      return address ? tlv(0x87, address) : tlv(0x82, Buffer.from(host, 'ascii'));
+    })
+  );
+}
+
+/**
+ * Key identifier for subject/authority key identifier extensions
+ * @param {crypto.KeyObject} publicKey - Public key
+ * @returns {Buffer} SHA-1 of the DER public key (RFC 5280 allows any unique value)
+ */
+export function keyIdentifier(publicKey) {
+  return crypto.createHash('sha1').update(publicKey.export({ type: 'spki', format: 'der' })).digest();
+}
+
+/**
+ * Build and sign an X.509 v3 certificate
+ * @param {object} options - Certificate contents
+ * @param {{ commonName: string, organizationName?: string }} options.subject - Subject name
+ * @param {{ commonName: string, organizationName?: string }} options.issuer - Issuer name (= subject when self-signed)
+ * @param {crypto.KeyObject} options.publicKey - Subject public key
+ * @param {crypto.KeyObject} options.signingKey - Issuer private key (EC P-256)
+ * @param {crypto.KeyObject} [options.issuerPublicKey] - Issuer public key (for the authority key identifier)
+ * @param {Date} options.notBefore - Start of validity
+ * @param {Date} options.notAfter - End of validity
+ * @param {boolean} [options.ca] - CA certificate (may sign certificates, path length 0)
+ * @param {string[]} [options.hosts] - Server names and addresses (server certificates)
+ * @returns {string} PEM certificate
+ */
+export function createCertificate({
+  subject,
+  issuer,
+  publicKey,
+  signingKey,
+  issuerPublicKey = publicKey,
+  notBefore,
+  notAfter,
+  ca = false,
+  hosts = [],
+}) {
+  const algorithm = sequence(objectId(OID.ecdsaWithSha256));
+  // Positive 128-bit serial number
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+
+  const extensions = ca
+    ? [
+        extension(OID.basicConstraints, true, sequence(tlv(0x01, Buffer.from([0xff])), integer(0))),
+        // keyCertSign | cRLSign
+        extension(OID.keyUsage, true, bitString(Buffer.from([0x06]), true)),
+        extension(OID.subjectKeyIdentifier, false, octetString(keyIdentifier(publicKey))),
+      ]
+    : [
+        extension(OID.basicConstraints, true, sequence()),
+        // digitalSignature
+        extension(OID.keyUsage, true, bitString(Buffer.from([0x80]), true)),
+        extension(OID.extKeyUsage, false, sequence(objectId(OID.serverAuth))),
+        extension(OID.subjectAltName, false, encodeAltNames(hosts)),
+        extension(OID.subjectKeyIdentifier, false, octetString(keyIdentifier(publicKey))),
+        extension(OID.authorityKeyIdentifier, false, sequence(tlv(0x80, keyIdentifier(issuerPublicKey)))),
+      ];
+
+  const tbs = sequence(
+    explicit(0, integer(2)), // v3
+    integer(serial),
+    algorithm,
+    encodeName(issuer),
+    sequence(encodeTime(notBefore), encodeTime(notAfter)),
+    encodeName(subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(...extensions))
+  );
+  const signature = crypto.sign('sha256', tbs, signingKey);
+  const der = sequence(tbs, algorithm, bitString(signature));
+
+  const lines = der.toString('base64').match(/.{1,64}/g);
+  return `-----BEGIN CERTIFICATE-----\n${lines.join('\n')}\n-----END CERTIFICATE-----\n`;
+}
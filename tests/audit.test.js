@@ -0,0 +1,163 @@
+/**
+ * Location   : tests/audit.test.js
+ * Purpose    : Test the audit log records, its hash chain and the chain verifier
+ * Why        : An audit log that silently accepts an edited record proves nothing
+ * Related    : src/audit.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateAuditFile, validateAuditChain, createAuditLog, verifyAuditLog } from '../src/audit.js';
+
+describe('validateAuditFile', () => {
+  it('should accept absolute paths', () => {
+    expect(validateAuditFile('/var/log/tinyterminal/../audit.jsonl')).toBe('/var/log/audit.jsonl');
+  });
+
+  it.each(['audit.jsonl', './audit.jsonl', '', '/tmp/a\0b', undefined])('should reject %j', (file) => {
+    expect(() => validateAuditFile(file)).toThrow('Invalid TINYTERMINAL_AUDIT_LOG');
+  });
+});
+
+describe('validateAuditChain', () => {
+  it('should read 0, 1 and unset', () => {
+    expect(validateAuditChain(undefined)).toBe(false);
+    expect(validateAuditChain('0')).toBe(false);
+    expect(validateAuditChain('1')).toBe(true);
+  });
+
+  it('should reject other values', () => {
+    expect(() => validateAuditChain('yes')).toThrow('Invalid TINYTERMINAL_AUDIT_CHAIN');
+  });
+});
+
+describe('createAuditLog', () => {
+  let dir;
+  let file;
+  let logSpy;
+
+  const readRecords = () =>
+    fs
+      .readFileSync(file, 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+
+  beforeEach(() => {
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyterminal-audit-'));
+    file = path.join(dir, 'logs', 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should append one JSON line per record to a private file', () => {
+    const audit = createAuditLog(file);
+    audit.record('connect', { conn: 'a1', ip: '100.64.0.1' });
+    audit.record('disconnect', { conn: 'a1', seconds: 3 });
+    audit.close();
+
+    const records = readRecords();
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({ event: 'connect', conn: 'a1', ip: '100.64.0.1' });
+    expect(Date.parse(records[0].time)).not.toBeNaN();
+    expect(records[1]).not.toHaveProperty('hash');
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+  });
+
+  it('should chain records and continue the chain after a restart', () => {
+    const first = createAuditLog(file, { chain: true });
+    first.record('connect', { conn: 'a1' });
+    first.close();
+    const second = createAuditLog(file, { chain: true });
+    second.record('disconnect', { conn: 'a1' });
+    second.close();
+
+    const [a, b] = readRecords();
+    expect(a.prev).toBe('0'.repeat(64));
+    expect(b.prev).toBe(a.hash);
+    expect(verifyAuditLog(file)).toEqual({ valid: true, records: 2, hash: b.hash });
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining(`hash chain continues from ${a.hash}`));
+  });
+
+  it('should pin unchained records written before the chain was turned on', () => {
+    const plain = createAuditLog(file);
+    plain.record('connect', { conn: 'a1' });
+    plain.close();
+    const chained = createAuditLog(file, { chain: true });
+    chained.record('disconnect', { conn: 'a1' });
+    chained.close();
+
+    expect(verifyAuditLog(file)).toMatchObject({ valid: true, records: 2 });
+
+    // Editing the unchained record breaks the first chained one
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf-8').replace('a1', 'b2'));
+    expect(verifyAuditLog(file)).toMatchObject({ valid: false, line: 2 });
+  });
+
+  it('should keep going when a write fails', () => {
+    const audit = createAuditLog(file);
+    audit.close();
+
+    expect(() => audit.record('connect')).not.toThrow();
+    expect(() => audit.record('connect')).not.toThrow();
+    expect(logSpy.mock.calls.filter(([line]) => line.includes('Audit log write'))).toHaveLength(1);
+  });
+});
+
+describe('verifyAuditLog', () => {
+  let dir;
+  let file;
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyterminal-audit-'));
+    file = path.join(dir, 'audit.jsonl');
+    const audit = createAuditLog(file, { chain: true });
+    for (const conn of ['a1', 'a2', 'a3']) {
+      audit.record('connect', { conn, ip: '100.64.0.1' });
+    }
+    audit.close();
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const lines = () => fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean);
+  const rewrite = (entries) => fs.writeFileSync(file, `${entries.join('\n')}\n`);
+
+  it('should detect an edited record', () => {
+    rewrite(lines().map((line, index) => (index === 1 ? line.replace('100.64.0.1', '100.64.0.2') : line)));
+    expect(verifyAuditLog(file)).toMatchObject({ valid: false, line: 2, error: 'record was changed' });
+  });
+
+  it('should detect a removed record', () => {
+    rewrite(lines().filter((line, index) => index !== 1));
+    expect(verifyAuditLog(file)).toMatchObject({ valid: false, line: 2, error: 'previous record is missing or was changed' });
+  });
+
+  it('should detect inserted and unchained records', () => {
+    const entries = lines();
+    rewrite([...entries.slice(0, 2), entries[0], entries[2]]);
+    expect(verifyAuditLog(file)).toMatchObject({ valid: false, line: 3 });
+
+    rewrite([...entries, JSON.stringify({ event: 'connect' })]);
+    expect(verifyAuditLog(file)).toMatchObject({ valid: false, line: 4, error: 'record is not chained' });
+
+    rewrite([...entries, '{']);
+    expect(verifyAuditLog(file)).toMatchObject({ valid: false, line: 4, error: 'not a JSON record' });
+  });
+
+  it('should reject a log without chained records', () => {
+    rewrite([JSON.stringify({ event: 'connect' })]);
+    expect(verifyAuditLog(file)).toMatchObject({ valid: false, error: 'no chained records' });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Location   : tests/auth.test.js
+ * Purpose    : Test login sessions, the session cookie and pending TOTP logins
+ * Why        : The cookie is the credential for every page, API call and WebSocket upgrade
+ * Related    : src/auth.js
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  parseCookies,
+  readLoginCookie,
+  createLoginSession,
+  getLoginSession,
+  destroyLoginSession,
+  loginCookieHeader,
+  createPendingLogin,
+  getPendingLogin,
+  failPendingLogin,
+  destroyPendingLogin,
+} from '../src/auth.js';
+import { PENDING_LOGIN_TTL, MAX_TOTP_ATTEMPTS } from '../src/constants.js';
+
+describe('parseCookies', () => {
+  it('should parse name=value pairs', () => {
+    expect({ ...parseCookies('a=1; tt_session=abc.def;b=2') }).toEqual({
+      a: '1',
+      tt_session: 'abc.def',
+      b: '2',
+    });
+  });
+
+  it('should keep the first of duplicate cookies and skip junk', () => {
+    expect({ ...parseCookies('a=1; junk; a=2') }).toEqual({ a: '1' });
+    expect({ ...parseCookies(undefined) }).toEqual({});
+  });
+
+  it('should read the login cookie from a request', () => {
+    expect(readLoginCookie({ headers: { cookie: 'x=1; tt_session=v' } })).toBe('v');
+    expect(readLoginCookie({ headers: {} })).toBeUndefined();
+  });
+});
+
+describe('Login sessions', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should find a session by its signed cookie', () => {
+    const { session, cookie } = createLoginSession(60000);
+    expect(getLoginSession(cookie)).toBe(session);
+    expect(session.expiresAt - session.createdAt).toBe(60000);
+    expect(session.user).toBeNull();
+  });
+
+  it('should remember which user logged in', () => {
+    const { cookie } = createLoginSession(60000, 'alice');
+    expect(getLoginSession(cookie).user).toBe('alice');
+  });
+
+  it('should reject tampered or unsigned cookies', () => {
+    const { session, cookie } = createLoginSession(60000);
+    const signature = cookie.slice(cookie.lastIndexOf('.') + 1);
+
+    expect(getLoginSession(session.id)).toBeNull();
+    expect(getLoginSession(`${session.id}.`)).toBeNull();
+    expect(getLoginSession(`${session.id}x.${signature}`)).toBeNull();
+    // The last character carries padding bits, so swap it for one that changes the signature
+    const flipped = signature.endsWith('A') ? 'Q' : 'A';
+    expect(getLoginSession(`${session.id}.${signature.slice(0, -1)}${flipped}`)).toBeNull();
+    expect(getLoginSession(undefined)).toBeNull();
+  });
+
+  it('should expire sessions after their lifetime', () => {
+    const now = Date.now();
+    const { cookie } = createLoginSession(60000);
+
+    vi.spyOn(Date, 'now').mockReturnValue(now + 59000);
+    expect(getLoginSession(cookie)).not.toBeNull();
+
+    Date.now.mockReturnValue(now + 60000);
+    expect(getLoginSession(cookie)).toBeNull();
+
+    // Stays gone even if the clock went back
+    Date.now.mockReturnValue(now);
+    expect(getLoginSession(cookie)).toBeNull();
+  });
+
+  it('should end sessions on logout', () => {
+    const { session, cookie } = createLoginSession(60000);
+    expect(destroyLoginSession(session.id)).toBe(true);
+    expect(getLoginSession(cookie)).toBeNull();
+    expect(destroyLoginSession(session.id)).toBe(false);
+  });
+});
+
+describe('loginCookieHeader', () => {
+  it('should set HttpOnly and SameSite=Strict', () => {
+    expect(loginCookieHeader('id.sig', 86400000, false)).toBe(
+      'tt_session=id.sig; Path=/; Max-Age=86400; HttpOnly; SameSite=Strict'
+    );
+  });
+
+  it('should add Secure over HTTPS and clear with Max-Age=0', () => {
+    expect(loginCookieHeader('', 0, true)).toBe(
+      'tt_session=; Path=/; Max-Age=0; HttpOnly; SameSite=Strict; Secure'
+    );
+  });
+});
+
+describe('Pending logins', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should keep the secret being enrolled until the code arrives', () => {
+    const secret = Buffer.from('secret');
+    const pending = createPendingLogin(secret);
+    expect(getPendingLogin(pending.id).secret).toBe(secret);
+    expect(createPendingLogin().secret).toBeNull();
+
+    destroyPendingLogin(pending.id);
+    expect(getPendingLogin(pending.id)).toBeNull();
+  });
+
+  it('should drop a pending login after too many wrong codes', () => {
+    const pending = createPendingLogin();
+    for (let i = 1; i < MAX_TOTP_ATTEMPTS; i++) {
+      expect(failPendingLogin(pending)).toBe(false);
+    }
+    expect(failPendingLogin(pending)).toBe(true);
+    expect(getPendingLogin(pending.id)).toBeNull();
+  });
+
+  it('should expire pending logins', () => {
+    const now = Date.now();
+    const pending = createPendingLogin();
+    vi.spyOn(Date, 'now').mockReturnValue(now + PENDING_LOGIN_TTL);
+    expect(getPendingLogin(pending.id)).toBeNull();
+    expect(getPendingLogin(undefined)).toBeNull();
+  });
+});
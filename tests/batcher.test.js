@@ -0,0 +1,81 @@
+/**
+ * Location   : tests/batcher.test.js
+ * Purpose    : Test output coalescing and the latency-adaptive batching window
+ * Why        : A batch held too long delays typing echo; one sent too often floods slow links
+ * Related    : src/batcher.js
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { batchDelay, createOutputBatcher } from '../src/batcher.js';
+import { OUTPUT_BATCH_MIN_DELAY, OUTPUT_BATCH_MAX_DELAY } from '../src/constants.js';
+
+describe('batchDelay', () => {
+  it('should take a share of the round trip within the bounds', () => {
+    expect(batchDelay(null)).toBe(OUTPUT_BATCH_MIN_DELAY);
+    expect(batchDelay(1)).toBe(OUTPUT_BATCH_MIN_DELAY);
+    expect(batchDelay(120)).toBe(30);
+    expect(batchDelay(5000)).toBe(OUTPUT_BATCH_MAX_DELAY);
+  });
+});
+
+describe('createOutputBatcher', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should send output after a quiet window at once', () => {
+    const send = vi.fn();
+    const batcher = createOutputBatcher(send, { delay: () => 20 });
+
+    batcher.push('a');
+    expect(send).toHaveBeenCalledWith('a');
+
+    vi.advanceTimersByTime(20);
+    batcher.push('b');
+    expect(send).toHaveBeenLastCalledWith('b');
+  });
+
+  it('should coalesce output within the window into one batch', () => {
+    const send = vi.fn();
+    const batcher = createOutputBatcher(send, { delay: () => 20 });
+
+    batcher.push('$ ');
+    batcher.push('l');
+    vi.advanceTimersByTime(5);
+    batcher.push('s');
+    vi.advanceTimersByTime(14);
+    expect(send).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(1);
+    expect(send.mock.calls).toEqual([['$ '], ['ls']]);
+  });
+
+  it('should send a full batch before the window ends', () => {
+    const send = vi.fn();
+    const batcher = createOutputBatcher(send, { delay: () => 20, maxSize: 4 });
+
+    batcher.push('a');
+    batcher.push('bc');
+    batcher.push('de');
+    expect(send.mock.calls).toEqual([['a'], ['bcde']]);
+
+    // The emptied batch does not leave a timer behind
+    vi.advanceTimersByTime(20);
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('should send what is pending on flush', () => {
+    const send = vi.fn();
+    const batcher = createOutputBatcher(send, { delay: () => 20 });
+
+    batcher.push('a');
+    batcher.push('bye');
+    batcher.flush();
+    batcher.flush();
+    expect(send.mock.calls).toEqual([['a'], ['bye']]);
+  });
+});
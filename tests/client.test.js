@@ -45,7 +45,12 @@ function setupDOM() {
     loadAddon: vi.fn(),
     attachCustomKeyEventHandler: vi.fn(),
     onData: vi.fn(),
+    onBinary: vi.fn(),
     scrollLines: vi.fn(),
+    resize: vi.fn(),
+    reset: vi.fn(),
+    options: { fontSize: 13 },
+    _core: {},
     cols: 80,
     rows: 24,
   };
@@ -86,14 +91,24 @@ function setupDOM() {
   window.setTimeout = (fn) => fn();
 }
 
-// Execute client.js in the jsdom context
+// Execute theme.js, passkey.js and client.js in the jsdom context (same order as index.html)
 function executeClientJS() {
+  const themeJS = readFileSync(
+    path.join(__dirname, '../public/theme.js'),
+    'utf-8'
+  );
+  const passkeyJS = readFileSync(
+    path.join(__dirname, '../public/passkey.js'),
+    'utf-8'
+  );
   const clientJS = readFileSync(
     path.join(__dirname, '../public/client.js'),
     'utf-8'
   );
 
   // Use jsdom's window.eval to execute in browser-like context
+  window.eval(themeJS);
+  window.eval(passkeyJS);
   window.eval(clientJS);
 }
 
@@ -358,7 +373,7 @@ describe('WebSocket Communication', () => {
 
     mockWebSocket.onmessage(messageEvent);
 
-    expect(mockTerminal.write).toHaveBeenCalledWith('hello from PTY\r\n');
+    expect(mockTerminal.write).toHaveBeenCalledWith('hello from PTY\r\n', expect.any(Function));
   });
 
   it('should handle connection errors gracefully', () => {
@@ -405,6 +420,231 @@ describe('WebSocket Communication', () => {
     // WebSocketが再生成されたことを確認（visibilitychangeによる即座の再接続）
     expect(wsCreationCount).toBeGreaterThan(initialWsCount);
   });
+
+  describe('Binary frames', () => {
+    // Frame in the page's realm, like a WebSocket with binaryType 'arraybuffer' delivers
+    const frame = (bytes) => {
+      const buffer = new window.ArrayBuffer(bytes.length);
+      new window.Uint8Array(buffer).set(bytes);
+      return buffer;
+    };
+    const utf8 = (text) => [...Buffer.from(text, 'utf-8')];
+
+    beforeEach(() => {
+      window.TextEncoder = TextEncoder;
+      mockWebSocket.protocol = 'tinyterminal.binary.v1';
+      mockWebSocket.send.mockClear();
+    });
+
+    it('should offer the binary protocol and receive ArrayBuffers', () => {
+      let args;
+      window.WebSocket = function (...received) {
+        args = received;
+        return mockWebSocket;
+      };
+      window.WebSocket.OPEN = 1;
+      mockWebSocket.readyState = 3;
+      mockWebSocket.onclose();
+
+      expect(args[1]).toBe('tinyterminal.binary.v1');
+      expect(mockWebSocket.binaryType).toBe('arraybuffer');
+    });
+
+    it('should send input as a frame of UTF-8 bytes', () => {
+      const onData = mockTerminal.onData.mock.calls[0][0];
+      onData('é\r');
+
+      const [[sent]] = mockWebSocket.send.mock.calls;
+      expect([...sent]).toEqual([0x01, ...utf8('é\r')]);
+    });
+
+    it('should send non-UTF-8 input bytes as they are', () => {
+      const onBinary = mockTerminal.onBinary.mock.calls[0][0];
+      onBinary('\x1b[M \xff\x80');
+
+      const [[sent]] = mockWebSocket.send.mock.calls;
+      expect([...sent]).toEqual([0x01, 0x1b, 0x5b, 0x4d, 0x20, 0xff, 0x80]);
+    });
+
+    it('should render output and replay frames and track their sequence numbers', () => {
+      mockWebSocket.onmessage({ data: JSON.stringify({ type: 'session', sessionId: 'abc-123' }) });
+
+      // Sequence numbers beyond 32 bits survive the 48-bit header
+      const seq = 2 ** 32 + 7;
+      mockWebSocket.onmessage({ data: frame([0x02, 0, 1, 0, 0, 0, 7, ...utf8('hé')]) });
+      expect([...mockTerminal.write.mock.calls.at(-1)[0]]).toEqual(utf8('hé'));
+
+      mockWebSocket.send.mockClear();
+      mockWebSocket.onopen();
+      expect(mockWebSocket.send).toHaveBeenCalledWith(JSON.stringify({ type: 'attach', sessionId: 'abc-123', seq }));
+
+      mockWebSocket.onmessage({ data: frame([0x03, 1, 0, 0, 0, 0, 0, 9, ...utf8('ok')]) });
+      expect(mockTerminal.reset).toHaveBeenCalled();
+      expect([...mockTerminal.write.mock.calls.at(-1)[0]]).toEqual(utf8('ok'));
+    });
+
+    it('should not send raw bytes over a JSON connection', () => {
+      mockWebSocket.protocol = '';
+      mockTerminal.onBinary.mock.calls[0][0]('\xff');
+
+      expect(mockWebSocket.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Protocol handshake', () => {
+    it('should say hello before anything else on open', () => {
+      mockWebSocket.send.mockClear();
+      mockWebSocket.onopen();
+      const [[first]] = mockWebSocket.send.mock.calls;
+
+      expect(JSON.parse(first)).toEqual({
+        type: 'hello',
+        version: 1,
+        minVersion: 1,
+        capabilities: ['binary', 'flow', 'resume', 'ping'],
+      });
+    });
+
+    it('should not ping a server that did not agree to it', () => {
+      mockWebSocket.onmessage({ data: JSON.stringify({ type: 'hello', version: 1, minVersion: 1, capabilities: [] }) });
+
+      const types = mockWebSocket.send.mock.calls.map(([data]) => JSON.parse(data).type);
+      expect(types).not.toContain('ping');
+    });
+
+    it('should stop and ask for a reload when the versions do not match', () => {
+      const connects = vi.fn(() => mockWebSocket);
+      window.WebSocket = connects;
+      window.WebSocket.OPEN = 1;
+
+      // setTimeout runs at once in these tests: a reconnect would show up right away
+      mockWebSocket.onclose({ code: 4026 });
+
+      expect(mockTerminal.write).toHaveBeenCalledWith(
+        '\r\n[This page does not match the server version. Reload the page]\r\n'
+      );
+      expect(connects).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Connection quality', () => {
+    let now;
+    let tick;
+    const linkQuality = () => document.getElementById('link-quality');
+    const pings = () =>
+      mockWebSocket.send.mock.calls.map(([data]) => JSON.parse(data)).filter((message) => message.type === 'ping');
+    const pong = (id) => mockWebSocket.onmessage({ data: JSON.stringify({ type: 'pong', id }) });
+
+    beforeEach(() => {
+      now = 1000;
+      window.Date.now = () => now;
+      window.setInterval = vi.fn((callback) => {
+        tick = callback;
+        return 1;
+      });
+      window.clearInterval = vi.fn();
+      mockWebSocket.protocol = '';
+      mockWebSocket.onmessage({
+        data: JSON.stringify({ type: 'hello', version: 1, minVersion: 1, capabilities: ['ping'] }),
+      });
+    });
+
+    it('should show the average round trip and download rate', () => {
+      expect(pings()).toEqual([{ type: 'ping', id: 1, rtt: null, throughput: null }]);
+      expect(linkQuality().hidden).toBe(true);
+
+      now += 40;
+      pong(1);
+      expect(linkQuality().textContent).toBe('40 ms');
+      expect(linkQuality().hidden).toBe(false);
+
+      // About 25 KB over the 5 second interval
+      mockWebSocket.onmessage({ data: JSON.stringify({ type: 'output', data: 'x'.repeat(25600), seq: 25600 }) });
+      now += 4960;
+      tick();
+      expect(linkQuality().textContent).toBe('40 ms · 5.0 KB/s');
+      expect(pings().at(-1)).toMatchObject({ id: 2, rtt: 40 });
+      expect(pings().at(-1).throughput).toBeGreaterThan(5120);
+
+      now += 60;
+      pong(2);
+      expect(linkQuality().textContent).toBe('50 ms · 5.0 KB/s');
+      expect(linkQuality().classList.contains('degraded')).toBe(false);
+    });
+
+    it('should turn to the warning colour when the link stalls', () => {
+      now += 100;
+      pong(1);
+      now += 4900;
+      tick();
+      // No pong for the second ping: it counts as at least the time waited
+      now += 5000;
+      tick();
+
+      expect(linkQuality().textContent).toMatch(/^2550 ms/);
+      expect(linkQuality().classList.contains('degraded')).toBe(true);
+    });
+
+    it('should ignore pongs for other pings and hide the numbers when disconnected', () => {
+      now += 40;
+      pong(7);
+      expect(linkQuality().hidden).toBe(true);
+
+      pong(1);
+      mockWebSocket.onclose({ code: 1006 });
+      expect(linkQuality().hidden).toBe(true);
+      expect(window.clearInterval).toHaveBeenCalled();
+    });
+  });
+
+  describe('Flow control', () => {
+    const sentAcks = () =>
+      mockWebSocket.send.mock.calls.map(([data]) => JSON.parse(data)).filter((message) => message.type === 'ack');
+
+    // Output rendered right away, as xterm.js calls back once it has parsed a chunk
+    const render = (data, seq) => {
+      mockTerminal.write.mockImplementationOnce((text, callback) => callback());
+      mockWebSocket.onmessage({ data: JSON.stringify({ type: 'output', data, seq }) });
+    };
+
+    beforeEach(() => {
+      mockWebSocket.protocol = '';
+      mockWebSocket.onmessage({
+        data: JSON.stringify({ type: 'hello', version: 1, minVersion: 1, capabilities: ['flow', 'resume'] }),
+      });
+    });
+
+    it('should not acknowledge output to a server that did not agree to flow control', () => {
+      mockWebSocket.onopen();
+      mockWebSocket.onmessage({ data: JSON.stringify({ type: 'hello', version: 1, minVersion: 1, capabilities: [] }) });
+      mockWebSocket.send.mockClear();
+      render('x'.repeat(9000), 9000);
+
+      expect(sentAcks()).toEqual([]);
+    });
+
+    it('should acknowledge rendered output every 8192 chars', () => {
+      mockWebSocket.send.mockClear();
+
+      render('x'.repeat(5000), 5000);
+      expect(sentAcks()).toEqual([]);
+      render('x'.repeat(5000), 10000);
+      expect(sentAcks()).toEqual([{ type: 'ack', seq: 10000 }]);
+
+      // Not rendered yet: nothing to acknowledge
+      mockWebSocket.onmessage({ data: JSON.stringify({ type: 'output', data: 'x'.repeat(9000), seq: 19000 }) });
+      expect(sentAcks()).toHaveLength(1);
+    });
+
+    it('should acknowledge right away when another session starts over', () => {
+      render('x'.repeat(9000), 9000);
+      mockWebSocket.send.mockClear();
+
+      mockWebSocket.onmessage({ data: JSON.stringify({ type: 'session', sessionId: 'new-456' }) });
+      render('$ ', 2);
+      expect(sentAcks()).toEqual([{ type: 'ack', seq: 2 }]);
+    });
+  });
 });
 
 describe('Textarea Behavior', () => {
@@ -576,3 +816,882 @@ describe('Textarea Behavior', () => {
     );
   });
 });
+
+describe('Session Reattach', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setupDOM();
+  });
+
+  it('should remember the session ID sent by the server', () => {
+    executeClientJS();
+    mockWebSocket.onopen();
+
+    mockWebSocket.onmessage({
+      data: JSON.stringify({ type: 'session', sessionId: 'abc-123' }),
+    });
+
+    expect(window.sessionStorage.getItem('tt-session-id')).toBe('abc-123');
+  });
+
+  it('should send attach before the initial resize when a session ID is stored', () => {
+    window.sessionStorage.setItem('tt-session-id', 'abc-123');
+    executeClientJS();
+    mockWebSocket.send.mockClear();
+
+    mockWebSocket.onopen();
+
+    const sent = mockWebSocket.send.mock.calls.map(([raw]) => JSON.parse(raw));
+    expect(sent[0].type).toBe('hello');
+    expect(sent[1]).toEqual({ type: 'attach', sessionId: 'abc-123', seq: 0 });
+    expect(sent[2].type).toBe('resize');
+  });
+
+  it('should send the last rendered sequence number when reattaching', () => {
+    executeClientJS();
+    mockWebSocket.onopen();
+    mockWebSocket.onmessage({
+      data: JSON.stringify({ type: 'session', sessionId: 'abc-123' }),
+    });
+    mockWebSocket.onmessage({
+      data: JSON.stringify({ type: 'output', data: 'hello', seq: 5 }),
+    });
+
+    // Reconnect
+    mockWebSocket.send.mockClear();
+    mockWebSocket.onopen();
+
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'attach', sessionId: 'abc-123', seq: 5 })
+    );
+  });
+
+  it('should write replayed output and advance the sequence number', () => {
+    window.sessionStorage.setItem('tt-session-id', 'abc-123');
+    executeClientJS();
+    mockWebSocket.onopen();
+
+    mockWebSocket.onmessage({
+      data: JSON.stringify({ type: 'replay', data: 'missed', seq: 11, reset: false }),
+    });
+
+    expect(mockTerminal.reset).not.toHaveBeenCalled();
+    expect(mockTerminal.write).toHaveBeenCalledWith('missed', expect.any(Function));
+
+    mockWebSocket.send.mockClear();
+    mockWebSocket.onopen();
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'attach', sessionId: 'abc-123', seq: 11 })
+    );
+  });
+
+  it('should reset the terminal before a replay that skips evicted output', () => {
+    window.sessionStorage.setItem('tt-session-id', 'abc-123');
+    executeClientJS();
+    mockWebSocket.onopen();
+
+    mockWebSocket.onmessage({
+      data: JSON.stringify({ type: 'replay', data: 'tail', seq: 500000, reset: true }),
+    });
+
+    expect(mockTerminal.reset).toHaveBeenCalled();
+    expect(mockTerminal.write).toHaveBeenCalledWith('tail', expect.any(Function));
+  });
+
+  it('should not send attach when no session ID is stored', () => {
+    executeClientJS();
+    mockWebSocket.send.mockClear();
+
+    mockWebSocket.onopen();
+
+    expect(mockWebSocket.send).not.toHaveBeenCalledWith(
+      expect.stringContaining('"type":"attach"')
+    );
+  });
+
+  it('should tell the user when the previous session expired', () => {
+    window.sessionStorage.setItem('tt-session-id', 'old-id');
+    executeClientJS();
+    mockWebSocket.onopen();
+
+    mockWebSocket.onmessage({
+      data: JSON.stringify({ type: 'session', sessionId: 'new-id' }),
+    });
+
+    expect(mockTerminal.write).toHaveBeenCalledWith(
+      expect.stringContaining('Previous session expired')
+    );
+    expect(window.sessionStorage.getItem('tt-session-id')).toBe('new-id');
+  });
+
+  it('should forget the session ID when the PTY exits', () => {
+    window.sessionStorage.setItem('tt-session-id', 'abc-123');
+    executeClientJS();
+    mockWebSocket.onopen();
+
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'exit', code: 0 }) });
+
+    expect(window.sessionStorage.getItem('tt-session-id')).toBeNull();
+  });
+
+  it('should not spawn a shell on resize after the session is taken over by another tab', () => {
+    window.sessionStorage.setItem('tt-session-id', 'abc-123');
+    executeClientJS();
+    mockWebSocket.onopen();
+
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'detached' }) });
+    expect(window.sessionStorage.getItem('tt-session-id')).toBeNull();
+    expect(mockTerminal.write).toHaveBeenCalledWith(
+      expect.stringContaining('Session opened in another tab')
+    );
+
+    mockWebSocket.send.mockClear();
+    window.dispatchEvent(new window.Event('resize'));
+
+    expect(mockWebSocket.send).not.toHaveBeenCalledWith(
+      expect.stringContaining('"type":"resize"')
+    );
+  });
+});
+
+describe('Session Picker', () => {
+  const sessions = [
+    { id: 'id-1', name: 'shell-1', createdAt: 1, attached: true },
+    { id: 'id-2', name: 'logs', createdAt: 2, attached: false },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setupDOM();
+    window.sessionStorage.setItem('tt-session-id', 'id-1');
+    executeClientJS();
+    mockWebSocket.onopen();
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'sessions', sessions }) });
+    mockWebSocket.send.mockClear();
+  });
+
+  const tabFor = (id) => document.querySelector(`.session-tab[data-session-id="${id}"]`);
+
+  it('should render a tab per session and highlight the current one', () => {
+    const tabs = document.querySelectorAll('.session-tab');
+
+    expect(tabs).toHaveLength(2);
+    expect(tabFor('id-1').classList.contains('active')).toBe(true);
+    expect(tabFor('id-2').classList.contains('active')).toBe(false);
+    expect(tabFor('id-2').querySelector('.session-name').textContent).toBe('logs');
+  });
+
+  it('should render session names as text, not HTML', () => {
+    mockWebSocket.onmessage({
+      data: JSON.stringify({
+        type: 'sessions',
+        sessions: [{ id: 'x', name: '<img src=x onerror=alert(1)>', createdAt: 1, attached: false }],
+      }),
+    });
+
+    expect(document.querySelector('#session-tabs img')).toBeNull();
+    expect(tabFor('x').querySelector('.session-name').textContent).toBe('<img src=x onerror=alert(1)>');
+  });
+
+  it('should mark sessions attached in another tab as busy', () => {
+    mockWebSocket.onmessage({
+      data: JSON.stringify({
+        type: 'sessions',
+        sessions: [sessions[0], { ...sessions[1], attached: true }],
+      }),
+    });
+
+    expect(tabFor('id-2').classList.contains('busy')).toBe(true);
+  });
+
+  it('should attach to another session on tab tap and replay it from the start', () => {
+    tabFor('id-2').querySelector('.session-name').click();
+
+    expect(mockTerminal.reset).toHaveBeenCalled();
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'attach', sessionId: 'id-2', seq: 0 })
+    );
+    expect(window.sessionStorage.getItem('tt-session-id')).toBe('id-2');
+    expect(tabFor('id-2').classList.contains('active')).toBe(true);
+  });
+
+  it('should do nothing when tapping the current session', () => {
+    tabFor('id-1').click();
+
+    expect(mockWebSocket.send).not.toHaveBeenCalled();
+    expect(mockTerminal.reset).not.toHaveBeenCalled();
+  });
+
+  it('should request a new session with the terminal size on + tap', () => {
+    document.getElementById('new-session-btn').click();
+
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'create', cols: mockTerminal.cols, rows: mockTerminal.rows })
+    );
+    expect(mockTerminal.reset).toHaveBeenCalled();
+
+    // The reply is a new session, not an expiry
+    mockWebSocket.onmessage({
+      data: JSON.stringify({ type: 'session', sessionId: 'id-3', name: 'shell-2' }),
+    });
+    expect(mockTerminal.write).not.toHaveBeenCalledWith(
+      expect.stringContaining('Previous session expired')
+    );
+    expect(window.sessionStorage.getItem('tt-session-id')).toBe('id-3');
+  });
+
+  it('should kill a session after confirmation', () => {
+    window.confirm = vi.fn(() => true);
+
+    tabFor('id-2').querySelector('.session-kill').click();
+
+    expect(window.confirm).toHaveBeenCalledWith('Kill session "logs"?');
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'kill', sessionId: 'id-2' })
+    );
+  });
+
+  it('should not kill a session when confirmation is declined', () => {
+    window.confirm = vi.fn(() => false);
+
+    tabFor('id-2').querySelector('.session-kill').click();
+
+    expect(mockWebSocket.send).not.toHaveBeenCalled();
+  });
+
+  it('should rename a session on long-press', () => {
+    window.prompt = vi.fn(() => 'claude');
+
+    const event = new window.MouseEvent('contextmenu', { bubbles: true, cancelable: true });
+    tabFor('id-1').dispatchEvent(event);
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(window.prompt).toHaveBeenCalledWith('Session name', 'shell-1');
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'rename', sessionId: 'id-1', name: 'claude' })
+    );
+  });
+
+  it('should not rename when the prompt is cancelled', () => {
+    window.prompt = vi.fn(() => null);
+
+    tabFor('id-1').dispatchEvent(new window.MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+
+    expect(mockWebSocket.send).not.toHaveBeenCalled();
+  });
+
+  it('should not spawn a shell on resize after the current session exits', () => {
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'exit', code: 0 }) });
+
+    window.dispatchEvent(new window.Event('resize'));
+
+    expect(mockWebSocket.send).not.toHaveBeenCalledWith(
+      expect.stringContaining('"type":"resize"')
+    );
+  });
+});
+
+describe('Spectator Mode', () => {
+  const sessions = [
+    { id: 'id-1', name: 'shell-1', createdAt: 1, attached: true, viewers: 0 },
+    { id: 'id-2', name: 'phone', createdAt: 2, attached: true, viewers: 0 },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setupDOM();
+    window.sessionStorage.setItem('tt-session-id', 'id-1');
+    executeClientJS();
+    mockWebSocket.onopen();
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'sessions', sessions }) });
+    mockWebSocket.send.mockClear();
+    // Decline joining as a writer: watch read-only
+    window.confirm = vi.fn(() => false);
+  });
+
+  const tabFor = (id) => document.querySelector(`.session-tab[data-session-id="${id}"]`);
+
+  const watchPhone = () => {
+    tabFor('id-2').click();
+    mockWebSocket.onmessage({
+      data: JSON.stringify({ type: 'watching', sessionId: 'id-2', cols: 60, rows: 30 }),
+    });
+    mockWebSocket.send.mockClear();
+  };
+
+  it('should watch a session that is driven from another tab', () => {
+    tabFor('id-2').click();
+
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'watch', sessionId: 'id-2', seq: 0 })
+    );
+    expect(mockTerminal.options.disableStdin).toBe(true);
+    expect(tabFor('id-2').classList.contains('watching')).toBe(true);
+    // Watching does not replace this tab's own session
+    expect(window.sessionStorage.getItem('tt-session-id')).toBe('id-1');
+  });
+
+  it("should render at the owner's size", () => {
+    watchPhone();
+    expect(mockTerminal.resize).toHaveBeenLastCalledWith(60, 30);
+
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'size', cols: 100, rows: 40 }) });
+    expect(mockTerminal.resize).toHaveBeenLastCalledWith(100, 40);
+  });
+
+  it('should not send input or resize while watching', () => {
+    watchPhone();
+
+    const onDataCallback = mockTerminal.onData.mock.calls[0][0];
+    onDataCallback('x');
+    window.dispatchEvent(new window.Event('resize'));
+
+    expect(mockWebSocket.send).not.toHaveBeenCalled();
+    expect(mockTerminal.resize).toHaveBeenLastCalledWith(60, 30);
+  });
+
+  it('should take control after confirmation when tapping the watched tab', () => {
+    watchPhone();
+    window.confirm = vi.fn(() => true);
+
+    tabFor('id-2').click();
+
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'attach', sessionId: 'id-2', seq: 0 })
+    );
+    expect(mockWebSocket.send).toHaveBeenCalledWith(expect.stringContaining('"type":"resize"'));
+    expect(mockTerminal.options.disableStdin).toBe(false);
+    expect(window.sessionStorage.getItem('tt-session-id')).toBe('id-2');
+  });
+
+  it('should keep watching when taking control is declined', () => {
+    watchPhone();
+    window.confirm = vi.fn(() => false);
+
+    tabFor('id-2').click();
+
+    expect(mockWebSocket.send).not.toHaveBeenCalled();
+    expect(tabFor('id-2').classList.contains('watching')).toBe(true);
+  });
+
+  it('should show the viewer count of the current session', () => {
+    const viewerCount = document.getElementById('viewer-count');
+    expect(viewerCount.hidden).toBe(true);
+
+    mockWebSocket.onmessage({
+      data: JSON.stringify({
+        type: 'sessions',
+        sessions: [{ ...sessions[0], viewers: 2 }, sessions[1]],
+      }),
+    });
+
+    expect(viewerCount.hidden).toBe(false);
+    expect(viewerCount.textContent).toContain('2');
+  });
+
+  it('should resume watching after a reconnect', () => {
+    watchPhone();
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'output', data: 'x', seq: 42 }) });
+    mockWebSocket.send.mockClear();
+
+    mockWebSocket.onopen();
+
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'watch', sessionId: 'id-2', seq: 42 })
+    );
+    expect(mockWebSocket.send).not.toHaveBeenCalledWith(expect.stringContaining('"type":"attach"'));
+  });
+
+  it('should leave spectator mode when the watched shell exits', () => {
+    watchPhone();
+
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'exit', code: 0 }) });
+
+    expect(mockTerminal.options.disableStdin).toBe(false);
+    expect(tabFor('id-2').classList.contains('watching')).toBe(false);
+  });
+});
+
+describe('Multi-writer Mode', () => {
+  const sessions = [
+    { id: 'id-1', name: 'shell-1', createdAt: 1, attached: true, writers: 0, viewers: 0 },
+    { id: 'id-2', name: 'pair', createdAt: 2, attached: true, writers: 0, viewers: 0 },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setupDOM();
+    window.sessionStorage.setItem('tt-session-id', 'id-1');
+    executeClientJS();
+    mockWebSocket.onopen();
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'sessions', sessions }) });
+    mockWebSocket.send.mockClear();
+  });
+
+  const tabFor = (id) => document.querySelector(`.session-tab[data-session-id="${id}"]`);
+
+  const joinPair = () => {
+    window.confirm = vi.fn(() => true);
+    tabFor('id-2').click();
+    mockWebSocket.onmessage({
+      data: JSON.stringify({ type: 'joined', sessionId: 'id-2', cols: 80, rows: 24 }),
+    });
+  };
+
+  it('should join a busy session as a writer when confirmed', () => {
+    joinPair();
+
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('Join "pair"'));
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'join', sessionId: 'id-2', seq: 0 })
+    );
+    expect(tabFor('id-2').classList.contains('shared')).toBe(true);
+    expect(window.sessionStorage.getItem('tt-session-id')).toBe('id-1');
+  });
+
+  it('should send input and its own size while joined', () => {
+    joinPair();
+    mockWebSocket.send.mockClear();
+
+    const onDataCallback = mockTerminal.onData.mock.calls[0][0];
+    onDataCallback('x');
+    window.dispatchEvent(new window.Event('resize'));
+
+    expect(mockWebSocket.send).toHaveBeenCalledWith(JSON.stringify({ type: 'input', data: 'x' }));
+    expect(mockWebSocket.send).toHaveBeenCalledWith(expect.stringContaining('"type":"resize"'));
+  });
+
+  it('should render at the arbitrated PTY size', () => {
+    joinPair();
+
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'size', cols: 60, rows: 20 }) });
+
+    expect(mockTerminal.resize).toHaveBeenLastCalledWith(60, 20);
+  });
+
+  it('should show who is typing and hide it after a pause', () => {
+    const indicator = document.getElementById('typing-indicator');
+    joinPair();
+    // Hold the hide timer instead of running it synchronously
+    window.setTimeout = vi.fn();
+
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'typing', who: '100.64.0.2' }) });
+    expect(indicator.hidden).toBe(false);
+    expect(indicator.textContent).toContain('100.64.0.2');
+
+    const [hide, delay] = window.setTimeout.mock.calls[0];
+    expect(delay).toBe(2000);
+    hide();
+    expect(indicator.hidden).toBe(true);
+  });
+
+  it('should show writer and viewer counts', () => {
+    const viewerCount = document.getElementById('viewer-count');
+
+    mockWebSocket.onmessage({
+      data: JSON.stringify({
+        type: 'sessions',
+        sessions: [{ ...sessions[0], writers: 1, viewers: 2 }, sessions[1]],
+      }),
+    });
+
+    expect(viewerCount.hidden).toBe(false);
+    expect(viewerCount.textContent).toBe('✎ 1 👁 2');
+  });
+
+  it('should rejoin after a reconnect', () => {
+    joinPair();
+    mockWebSocket.onmessage({ data: JSON.stringify({ type: 'output', data: 'x', seq: 7 }) });
+    mockWebSocket.send.mockClear();
+
+    mockWebSocket.onopen();
+
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'join', sessionId: 'id-2', seq: 7 })
+    );
+  });
+});
+
+describe('Idle Lock', () => {
+  const receive = (message) => mockWebSocket.onmessage({ data: JSON.stringify(message) });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setupDOM();
+    window.setInterval = vi.fn(() => 1);
+    window.clearInterval = vi.fn();
+    window.sessionStorage.setItem('tt-session-id', 'id-1');
+    executeClientJS();
+    mockWebSocket.onopen();
+    mockWebSocket.send.mockClear();
+  });
+
+  it('should show the lock countdown in the status bar', () => {
+    const countdown = document.getElementById('idle-countdown');
+    expect(countdown.hidden).toBe(true);
+
+    receive({ type: 'idle', action: 'lock', seconds: 60 });
+
+    expect(countdown.hidden).toBe(false);
+    expect(countdown.textContent).toBe('🔒 1:00');
+    expect(window.setInterval).toHaveBeenCalledWith(expect.any(Function), 1000);
+  });
+
+  it('should show the nearer of the lock and kill countdowns', () => {
+    receive({ type: 'idle', action: 'kill', seconds: 30 });
+    receive({ type: 'idle', action: 'lock', seconds: 60 });
+
+    expect(document.getElementById('idle-countdown').textContent).toBe('⏻ 0:30');
+  });
+
+  it('should hide the countdown once the server clears it', () => {
+    receive({ type: 'idle', action: 'lock', seconds: 60 });
+    receive({ type: 'idle', action: 'lock', seconds: null });
+
+    expect(document.getElementById('idle-countdown').hidden).toBe(true);
+    expect(window.clearInterval).toHaveBeenCalled();
+  });
+
+  it('should cover the terminal and stop sending while locked', () => {
+    receive({ type: 'locked' });
+
+    expect(document.getElementById('lock-screen').hidden).toBe(false);
+    document.querySelector('[data-key="esc"]').click();
+    window.dispatchEvent(new window.Event('resize'));
+    expect(mockWebSocket.send).not.toHaveBeenCalled();
+  });
+
+  it('should send the token and last sequence number to unlock', () => {
+    receive({ type: 'output', data: 'hello', seq: 5 });
+    receive({ type: 'locked' });
+
+    const tokenInput = document.getElementById('unlock-token');
+    tokenInput.value = 'secret';
+    document.getElementById('lock-screen').dispatchEvent(
+      new window.Event('submit', { cancelable: true })
+    );
+
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'unlock', token: 'secret', seq: 5 })
+    );
+    expect(tokenInput.value).toBe('');
+  });
+
+  it('should ask for a TOTP code too when the server wants one', () => {
+    receive({ type: 'locked' });
+    expect(document.getElementById('unlock-code').hidden).toBe(true);
+
+    receive({ type: 'locked', totp: true });
+    const codeInput = document.getElementById('unlock-code');
+    expect(codeInput.hidden).toBe(false);
+    document.getElementById('unlock-token').value = 'secret';
+    codeInput.value = '123456';
+    document.getElementById('lock-screen').dispatchEvent(
+      new window.Event('submit', { cancelable: true })
+    );
+
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'unlock', token: 'secret', code: '123456', seq: 0 })
+    );
+    expect(codeInput.value).toBe('');
+  });
+
+  it('should remove the lock screen and resync size when unlocked', () => {
+    receive({ type: 'locked' });
+    receive({ type: 'unlocked' });
+
+    expect(document.getElementById('lock-screen').hidden).toBe(true);
+    const resize = mockWebSocket.send.mock.calls.map(([raw]) => JSON.parse(raw)).pop();
+    expect(resize.type).toBe('resize');
+  });
+
+  it('should explain a session closed for idleness', () => {
+    receive({ type: 'idle', action: 'kill', seconds: 60 });
+    receive({ type: 'exit', code: null, reason: 'idle' });
+
+    expect(mockTerminal.write).toHaveBeenCalledWith('\r\n[Session closed after being idle]\r\n');
+    expect(document.getElementById('idle-countdown').hidden).toBe(true);
+  });
+
+  it('should explain the wait after too many wrong tokens', () => {
+    receive({ type: 'locked' });
+    receive({ type: 'error', message: 'Too many failed attempts', retryAfter: 8 });
+
+    expect(document.getElementById('lock-screen').hidden).toBe(false);
+    expect(document.getElementById('lock-message').textContent).toBe(
+      '🔒 Too many failed attempts. Try again in 8s'
+    );
+    expect(mockTerminal.write).not.toHaveBeenCalledWith(expect.stringContaining('Too many'));
+  });
+
+  it('should keep the lock screen up after a disconnect', () => {
+    receive({ type: 'locked' });
+    mockWebSocket.onclose();
+
+    expect(document.getElementById('lock-screen').hidden).toBe(false);
+    expect(document.getElementById('lock-message').textContent).toContain('Reload');
+  });
+});
+
+describe('Launch Profiles', () => {
+  const receive = (message) => mockWebSocket.onmessage({ data: JSON.stringify(message) });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setupDOM();
+    executeClientJS();
+    mockWebSocket.onopen();
+  });
+
+  it('should hide the profile picker with a single profile', () => {
+    receive({ type: 'connected', message: 'PTY initialized', profiles: ['default'] });
+
+    expect(document.getElementById('profile-select').hidden).toBe(true);
+  });
+
+  it('should list profiles and create sessions with the chosen one', () => {
+    receive({ type: 'connected', message: 'PTY initialized', profiles: ['shell', 'claude'] });
+    const select = document.getElementById('profile-select');
+    expect(select.hidden).toBe(false);
+    expect([...select.options].map((o) => o.textContent)).toEqual(['shell', 'claude']);
+
+    select.value = 'claude';
+    mockWebSocket.send.mockClear();
+    document.getElementById('new-session-btn').click();
+
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'create', cols: 80, rows: 24, profile: 'claude' })
+    );
+  });
+
+  it('should not name a profile when there is no choice', () => {
+    receive({ type: 'connected', message: 'PTY initialized', profiles: ['default'] });
+    mockWebSocket.send.mockClear();
+    document.getElementById('new-session-btn').click();
+
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'create', cols: 80, rows: 24 })
+    );
+  });
+
+  it('should keep the chosen profile across reconnects', () => {
+    receive({ type: 'connected', message: 'PTY initialized', profiles: ['shell', 'claude'] });
+    document.getElementById('profile-select').value = 'claude';
+    receive({ type: 'connected', message: 'PTY initialized', profiles: ['shell', 'claude'] });
+
+    expect(document.getElementById('profile-select').value).toBe('claude');
+  });
+
+  it('should show the profile of each session as a tooltip', () => {
+    receive({ type: 'connected', message: 'PTY initialized', profiles: ['shell', 'claude'] });
+    receive({
+      type: 'sessions',
+      sessions: [
+        { id: 'id-9', name: 'agent', profile: 'claude', createdAt: 1, attached: false, writers: 0, viewers: 0 },
+      ],
+    });
+
+    const tab = document.querySelector('.session-tab[data-session-id="id-9"]');
+    expect(tab.title).toBe('Profile: claude');
+  });
+});
+
+describe('Users', () => {
+  const receive = (message) => mockWebSocket.onmessage({ data: JSON.stringify(message) });
+  const tabFor = (id) => document.querySelector(`.session-tab[data-session-id="${id}"]`);
+  const sessions = [
+    { id: 'id-1', name: 'shell-1', user: 'alice', createdAt: 1, attached: true, writers: 0, viewers: 0 },
+    { id: 'id-2', name: 'build', user: 'bob', createdAt: 2, attached: false, writers: 0, viewers: 0 },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setupDOM();
+    window.sessionStorage.setItem('tt-session-id', 'id-1');
+    executeClientJS();
+    mockWebSocket.onopen();
+  });
+
+  it("should label other users' sessions and only offer to watch them", () => {
+    receive({ type: 'connected', message: 'ok', profiles: ['default'], user: 'alice', readOnly: false });
+    receive({ type: 'sessions', sessions });
+
+    expect(tabFor('id-1').querySelector('.session-name').textContent).toBe('shell-1');
+    expect(tabFor('id-1').querySelector('.session-kill')).not.toBeNull();
+    expect(tabFor('id-2').querySelector('.session-name').textContent).toBe('build (bob)');
+    expect(tabFor('id-2').querySelector('.session-kill')).toBeNull();
+
+    mockWebSocket.send.mockClear();
+    window.prompt = vi.fn();
+    tabFor('id-2').dispatchEvent(new window.MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+    expect(window.prompt).not.toHaveBeenCalled();
+
+    tabFor('id-2').click();
+    expect(mockWebSocket.send).toHaveBeenCalledWith(
+      JSON.stringify({ type: 'watch', sessionId: 'id-2', seq: 0 })
+    );
+  });
+
+  it('should hide session controls from read-only users', () => {
+    receive({ type: 'connected', message: 'ok', profiles: ['a', 'b'], user: 'guest', readOnly: true });
+    receive({ type: 'sessions', sessions });
+
+    expect(document.getElementById('new-session-btn').hidden).toBe(true);
+    expect(document.getElementById('profile-select').hidden).toBe(true);
+    expect(document.querySelector('.session-kill')).toBeNull();
+    expect(mockTerminal.write).toHaveBeenCalledWith('\r\n[Read-only access. Pick a session to watch]\r\n');
+  });
+});
+
+describe('Login Session', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setupDOM();
+  });
+
+  it('should authenticate with the cookie only and drop a legacy ?token=', () => {
+    window.history.replaceState({}, '', '/?token=secret');
+    executeClientJS();
+    mockWebSocket.onopen();
+
+    expect(window.location.search).toBe('');
+    const types = mockWebSocket.send.mock.calls.map(([raw]) => JSON.parse(raw).type);
+    expect(types).not.toContain('auth');
+  });
+
+  it('should go to the login page instead of reconnecting when signed out', () => {
+    const createSocket = vi.fn(() => mockWebSocket);
+    window.WebSocket = createSocket;
+    window.WebSocket.OPEN = 1;
+    executeClientJS();
+    mockWebSocket.onopen();
+    createSocket.mockClear();
+
+    mockWebSocket.onclose({ code: 4001 });
+
+    expect(createSocket).not.toHaveBeenCalled();
+    expect(mockTerminal.write).toHaveBeenCalledWith('\r\n[Signed out. Redirecting to login]\r\n');
+  });
+
+  it('should stop without a login page when access is denied', () => {
+    const createSocket = vi.fn(() => mockWebSocket);
+    window.WebSocket = createSocket;
+    window.WebSocket.OPEN = 1;
+    executeClientJS();
+    mockWebSocket.onopen();
+    createSocket.mockClear();
+
+    mockWebSocket.onclose({ code: 4003 });
+
+    expect(createSocket).not.toHaveBeenCalled();
+    expect(mockTerminal.write).toHaveBeenCalledWith('\r\n[Access denied]\r\n');
+  });
+
+  it('should keep reconnecting after other disconnects', () => {
+    const createSocket = vi.fn(() => mockWebSocket);
+    window.WebSocket = createSocket;
+    window.WebSocket.OPEN = 1;
+    executeClientJS();
+    mockWebSocket.onopen();
+    createSocket.mockClear();
+
+    mockWebSocket.onclose({ code: 1006 });
+
+    expect(createSocket).toHaveBeenCalledTimes(1);
+  });
+
+  it('should log out through the API', async () => {
+    window.fetch = vi.fn(async () => ({ ok: true }));
+    executeClientJS();
+
+    document.getElementById('logout-btn').click();
+
+    expect(window.fetch).toHaveBeenCalledWith('/api/logout', { method: 'POST' });
+  });
+});
+
+describe('Passkeys', () => {
+  const flush = () => new Promise((resolve) => globalThis.setTimeout(resolve, 0));
+
+  // Answer each fetch with the next body
+  const respond = (...bodies) => {
+    window.fetch = vi.fn();
+    for (const body of bodies) {
+      window.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => body });
+    }
+  };
+
+  const enablePasskeys = (credentials) => {
+    window.PublicKeyCredential = function PublicKeyCredential() {};
+    Object.defineProperty(window.navigator, 'credentials', { value: credentials, configurable: true });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setupDOM();
+  });
+
+  it('should hide Add passkey when the browser has no WebAuthn', async () => {
+    respond({ enabled: true, registered: false });
+    executeClientJS();
+    await flush();
+
+    expect(window.fetch).not.toHaveBeenCalled();
+    expect(document.getElementById('passkey-add-btn').hidden).toBe(true);
+  });
+
+  it('should register a passkey from the settings popup', async () => {
+    const create = vi.fn(async () => ({
+      id: 'cred-1',
+      response: {
+        clientDataJSON: new Uint8Array([1, 2, 3]).buffer,
+        attestationObject: new Uint8Array([251, 255]).buffer,
+      },
+    }));
+    enablePasskeys({ create });
+    respond(
+      { enabled: true, registered: false },
+      {
+        challenge: 'AQID',
+        rp: { id: 'localhost', name: 'TinyTerminal' },
+        user: { id: 'dXNlcg', name: 'u', displayName: 'U' },
+        pubKeyCredParams: [],
+        excludeCredentials: [{ type: 'public-key', id: 'AA' }],
+      },
+      { ok: true, name: 'Passkey 1' }
+    );
+    executeClientJS();
+    await flush();
+
+    const button = document.getElementById('passkey-add-btn');
+    expect(button.hidden).toBe(false);
+    button.click();
+    await flush();
+
+    const { publicKey } = create.mock.calls[0][0];
+    expect(Array.from(new Uint8Array(publicKey.challenge))).toEqual([1, 2, 3]);
+    expect(Array.from(new Uint8Array(publicKey.excludeCredentials[0].id))).toEqual([0]);
+    const [url, init] = window.fetch.mock.calls[2];
+    expect(url).toBe('/api/passkey/register');
+    expect(JSON.parse(init.body)).toEqual({ id: 'cred-1', clientDataJSON: 'AQID', attestationObject: '-_8' });
+    expect(mockTerminal.write).toHaveBeenCalledWith(
+      '\r\n[Passkey 1 added. Use it on the login page next time]\r\n'
+    );
+  });
+
+  it('should report a cancelled registration', async () => {
+    const cancelled = Object.assign(new Error('cancelled'), { name: 'NotAllowedError' });
+    enablePasskeys({ create: vi.fn(async () => Promise.reject(cancelled)) });
+    respond(
+      { enabled: true, registered: true },
+      { challenge: 'AQID', user: { id: 'dXNlcg' }, excludeCredentials: [] }
+    );
+    executeClientJS();
+    await flush();
+
+    document.getElementById('passkey-add-btn').click();
+    await flush();
+
+    expect(mockTerminal.write).toHaveBeenCalledWith('\r\n[Passkey not added: Passkey cancelled]\r\n');
+  });
+});
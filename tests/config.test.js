@@ -0,0 +1,245 @@
+/**
+ * Location   : tests/config.test.js
+ * Purpose    : Test config file loading and launch profile validation
+ * Why        : Profiles decide what programs clients can start; a bad entry must stop startup
+ * Related    : src/config.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  loadConfig,
+  validateProfile,
+  validateProfiles,
+  findProfile,
+  resolveProfileEnv,
+  deniedBy,
+} from '../src/config.js';
+import { ENV_DENY_PATTERNS } from '../src/constants.js';
+
+const NO_ENV = { env: {}, inheritEnv: [], renameEnv: {} };
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-config-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const writeConfig = (config) => {
+  const file = path.join(tmpDir, 'config.json');
+  fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+  return file;
+};
+
+describe('loadConfig', () => {
+  it('should fall back to a single default profile without a file', () => {
+    expect(loadConfig(undefined)).toEqual({
+      profiles: [{ name: 'default', shell: null, args: [], cwd: null, ...NO_ENV }],
+      denyEnv: ENV_DENY_PATTERNS,
+    });
+  });
+
+  it('should load profiles from a JSON file', () => {
+    const file = writeConfig({
+      profiles: [
+        { name: 'shell' },
+        { name: 'claude', shell: '/bin/sh', args: ['-c', 'claude'], cwd: tmpDir, env: { FOO: 'bar' } },
+      ],
+    });
+
+    expect(loadConfig(file).profiles).toEqual([
+      { name: 'shell', shell: null, args: [], cwd: null, ...NO_ENV },
+      {
+        name: 'claude',
+        shell: '/bin/sh',
+        args: ['-c', 'claude'],
+        cwd: tmpDir,
+        ...NO_ENV,
+        env: { FOO: 'bar' },
+      },
+    ]);
+  });
+
+  it('should reject relative paths', () => {
+    expect(() => loadConfig('config.json')).toThrow('must be an absolute path');
+  });
+
+  it('should reject missing files and invalid JSON', () => {
+    expect(() => loadConfig(path.join(tmpDir, 'missing.json'))).toThrow('cannot read');
+    expect(() => loadConfig(writeConfig('{ profiles: '))).toThrow('cannot read');
+  });
+
+  it('should reject a config that is not an object', () => {
+    expect(() => loadConfig(writeConfig('[]'))).toThrow('must be a JSON object');
+  });
+
+  it('should add config deny patterns to the built-in ones', () => {
+    const file = writeConfig({ denyEnv: ['AWS_*'], profiles: [{ name: 'a' }] });
+    expect(loadConfig(file).denyEnv).toEqual([...ENV_DENY_PATTERNS, 'AWS_*']);
+  });
+
+  it('should apply config deny patterns to profiles', () => {
+    const file = writeConfig({
+      denyEnv: ['AWS_*'],
+      profiles: [{ name: 'a', inheritEnv: ['AWS_PROFILE'] }],
+    });
+    expect(() => loadConfig(file)).toThrow('inheritEnv AWS_PROFILE is denied by "AWS_*"');
+  });
+
+  it('should reject invalid deny patterns', () => {
+    const file = writeConfig({ denyEnv: ['AWS-*'], profiles: [{ name: 'a' }] });
+    expect(() => loadConfig(file)).toThrow('denyEnv must be a list');
+  });
+});
+
+describe('validateProfiles', () => {
+  it('should require between 1 and 16 profiles', () => {
+    expect(() => validateProfiles([])).toThrow('profiles must be a list');
+    expect(() => validateProfiles(undefined)).toThrow('profiles must be a list');
+    const many = Array.from({ length: 17 }, (_, i) => ({ name: `p${i}` }));
+    expect(() => validateProfiles(many)).toThrow('profiles must be a list');
+  });
+
+  it('should reject duplicate names', () => {
+    expect(() => validateProfiles([{ name: 'a' }, { name: 'a' }])).toThrow('profiles[1] duplicates');
+  });
+});
+
+describe('validateProfile', () => {
+  it('should reject invalid names', () => {
+    expect(() => validateProfile({}, 0)).toThrow('profiles[0] name');
+    expect(() => validateProfile({ name: 'my profile' }, 0)).toThrow('profiles[0] name');
+    expect(() => validateProfile({ name: 'x'.repeat(33) }, 0)).toThrow('profiles[0] name');
+  });
+
+  it('should require an executable absolute shell', () => {
+    expect(() => validateProfile({ name: 'a', shell: 'bash' }, 0)).toThrow('absolute path');
+    expect(() => validateProfile({ name: 'a', shell: path.join(tmpDir, 'nope') }, 0)).toThrow(
+      'not executable'
+    );
+  });
+
+  it('should require args to be strings', () => {
+    expect(() => validateProfile({ name: 'a', args: '-l' }, 0)).toThrow('args');
+    expect(() => validateProfile({ name: 'a', args: [1] }, 0)).toThrow('args');
+    expect(() => validateProfile({ name: 'a', args: ['a\0b'] }, 0)).toThrow('args');
+  });
+
+  it('should require cwd to be an existing directory', () => {
+    expect(() => validateProfile({ name: 'a', cwd: 'src' }, 0)).toThrow('absolute path');
+    const file = writeConfig({});
+    expect(() => validateProfile({ name: 'a', cwd: file }, 0)).toThrow('not a directory');
+  });
+
+  it('should validate env names and values', () => {
+    expect(() => validateProfile({ name: 'a', env: ['X'] }, 0)).toThrow('env must be an object');
+    expect(() => validateProfile({ name: 'a', env: { 'BAD-NAME': 'x' } }, 0)).toThrow('env.BAD-NAME');
+    expect(() => validateProfile({ name: 'a', env: { PORT: 3000 } }, 0)).toThrow('env.PORT');
+  });
+});
+
+describe('findProfile', () => {
+  const profiles = [{ name: 'shell' }, { name: 'claude' }];
+
+  it('should default to the first profile', () => {
+    expect(findProfile(profiles, undefined)).toBe(profiles[0]);
+  });
+
+  it('should find a profile by name', () => {
+    expect(findProfile(profiles, 'claude')).toBe(profiles[1]);
+  });
+
+  it('should reject unknown names', () => {
+    expect(() => findProfile(profiles, '/bin/sh')).toThrow('Unknown profile');
+  });
+});
+
+describe('Environment deny list', () => {
+  it('should match built-in secret patterns case-insensitively', () => {
+    expect(deniedBy('TINYTERMINAL_TOKEN', ENV_DENY_PATTERNS)).toBe('TINYTERMINAL_*');
+    expect(deniedBy('GITHUB_TOKEN', ENV_DENY_PATTERNS)).toBe('*_TOKEN');
+    expect(deniedBy('aws_secret_access_key', ENV_DENY_PATTERNS)).toBe('*SECRET*');
+    expect(deniedBy('DB_PASSWORD', ENV_DENY_PATTERNS)).toBe('*PASSWORD*');
+    expect(deniedBy('OPENAI_API_KEY', ENV_DENY_PATTERNS)).toBe('*_API_KEY');
+    expect(deniedBy('EDITOR', ENV_DENY_PATTERNS)).toBeUndefined();
+  });
+
+  it('should reject denied names in env, inheritEnv and renameEnv', () => {
+    expect(() => validateProfile({ name: 'a', env: { NPM_TOKEN: 'x' } }, 0)).toThrow(
+      'env NPM_TOKEN is denied by "*_TOKEN"'
+    );
+    expect(() => validateProfile({ name: 'a', inheritEnv: ['TINYTERMINAL_TOKEN'] }, 0)).toThrow(
+      'inheritEnv TINYTERMINAL_TOKEN is denied'
+    );
+    // Forwarding a secret under an innocent name is still forwarding it
+    expect(() => validateProfile({ name: 'a', renameEnv: { TINYTERMINAL_TOKEN: 'T' } }, 0)).toThrow(
+      'renameEnv TINYTERMINAL_TOKEN is denied'
+    );
+    expect(() => validateProfile({ name: 'a', renameEnv: { X: 'GH_TOKEN' } }, 0)).toThrow(
+      'renameEnv GH_TOKEN is denied'
+    );
+  });
+
+  it('should validate inheritEnv and renameEnv shapes', () => {
+    expect(() => validateProfile({ name: 'a', inheritEnv: 'EDITOR' }, 0)).toThrow('inheritEnv must be a list');
+    expect(() => validateProfile({ name: 'a', inheritEnv: ['LC-*'] }, 0)).toThrow('inheritEnv must be a list');
+    expect(() => validateProfile({ name: 'a', renameEnv: ['A'] }, 0)).toThrow('renameEnv must be an object');
+    expect(() => validateProfile({ name: 'a', renameEnv: { A: 'B-C' } }, 0)).toThrow('renameEnv.A');
+  });
+});
+
+describe('resolveProfileEnv', () => {
+  const sourceEnv = {
+    EDITOR: 'nvim',
+    NVM_DIR: '/home/me/.nvm',
+    HTTP_PROXY: 'http://proxy:3128',
+    HTTPS_PROXY: 'http://proxy:3128',
+    GITHUB_TOKEN: 'ghp_secret',
+    TINYTERMINAL_TOKEN: 'server-secret',
+    WORK_GOPATH: '/work/go',
+  };
+
+  const resolve = (profile, deny = ENV_DENY_PATTERNS) =>
+    resolveProfileEnv(validateProfile({ name: 'p', ...profile }, 0, deny), sourceEnv, deny);
+
+  it('should forward inherited names and patterns', () => {
+    expect(resolve({ inheritEnv: ['EDITOR', 'NVM_DIR', '*_PROXY'] })).toEqual({
+      EDITOR: 'nvim',
+      NVM_DIR: '/home/me/.nvm',
+      HTTP_PROXY: 'http://proxy:3128',
+      HTTPS_PROXY: 'http://proxy:3128',
+    });
+  });
+
+  it('should never forward denied variables, even through *', () => {
+    const env = resolve({ inheritEnv: ['*'] });
+    expect(env.EDITOR).toBe('nvim');
+    expect(env.GITHUB_TOKEN).toBeUndefined();
+    expect(env.TINYTERMINAL_TOKEN).toBeUndefined();
+  });
+
+  it('should rename variables from the server environment', () => {
+    expect(resolve({ renameEnv: { WORK_GOPATH: 'GOPATH', MISSING: 'OTHER' } })).toEqual({
+      GOPATH: '/work/go',
+    });
+  });
+
+  it('should let literal values win over inherited and renamed ones', () => {
+    const env = resolve({
+      inheritEnv: ['EDITOR'],
+      renameEnv: { WORK_GOPATH: 'GOPATH' },
+      env: { EDITOR: 'vim', GOPATH: '/opt/go' },
+    });
+    expect(env).toEqual({ EDITOR: 'vim', GOPATH: '/opt/go' });
+  });
+
+  it('should forward nothing by default', () => {
+    expect(resolve({})).toEqual({});
+  });
+});
@@ -42,8 +42,8 @@ describe('constants', () => {
   });
 
   describe('MAX_CONNECTIONS', () => {
-    it('should be 3', () => {
-      expect(MAX_CONNECTIONS).toBe(3);
+    it('should be 8', () => {
+      expect(MAX_CONNECTIONS).toBe(8);
     });
 
     it('should be a positive integer', () => {
@@ -0,0 +1,51 @@
+/**
+ * Location   : tests/frames.test.js
+ * Purpose    : Test binary frame encoding and subprotocol selection
+ * Why        : The client decodes these bytes by offset; a shifted header garbles the terminal
+ * Related    : src/frames.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { selectProtocol, encodeOutputFrame, encodeReplayFrame, decodeInputFrame } from '../src/frames.js';
+import { BINARY_PROTOCOL, FRAME_INPUT, FRAME_OUTPUT, FRAME_REPLAY } from '../src/constants.js';
+
+describe('selectProtocol', () => {
+  it('should accept the binary protocol only when offered', () => {
+    expect(selectProtocol(new Set(['chat', BINARY_PROTOCOL]))).toBe(BINARY_PROTOCOL);
+    expect(selectProtocol(new Set(['chat']))).toBe(false);
+    expect(selectProtocol(new Set())).toBe(false);
+  });
+});
+
+describe('encodeOutputFrame', () => {
+  it('should put the opcode and 48-bit sequence number before the UTF-8 bytes', () => {
+    const frame = encodeOutputFrame('hé\x1b[0m', 2 ** 40 + 3);
+
+    expect(frame[0]).toBe(FRAME_OUTPUT);
+    expect(frame.readUIntBE(1, 6)).toBe(2 ** 40 + 3);
+    expect(frame.subarray(7).toString('utf-8')).toBe('hé\x1b[0m');
+  });
+});
+
+describe('encodeReplayFrame', () => {
+  it('should carry the reset flag', () => {
+    const frame = encodeReplayFrame({ data: 'abc', seq: 42, reset: true });
+
+    expect([...frame.subarray(0, 8)]).toEqual([FRAME_REPLAY, 1, 0, 0, 0, 0, 0, 42]);
+    expect(frame.subarray(8).toString('utf-8')).toBe('abc');
+    expect(encodeReplayFrame({ data: '', seq: 0, reset: false })[1]).toBe(0);
+  });
+});
+
+describe('decodeInputFrame', () => {
+  it('should return the raw input bytes', () => {
+    const bytes = decodeInputFrame(Buffer.from([FRAME_INPUT, 0xff, 0x80, 0x0d]));
+
+    expect([...bytes]).toEqual([0xff, 0x80, 0x0d]);
+  });
+
+  it('should reject empty frames and other opcodes', () => {
+    expect(() => decodeInputFrame(Buffer.alloc(0))).toThrow('Unknown frame opcode: none');
+    expect(() => decodeInputFrame(Buffer.from([FRAME_OUTPUT, 0x61]))).toThrow('Unknown frame opcode: 2');
+  });
+});
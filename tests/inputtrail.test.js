@@ -0,0 +1,138 @@
+/**
+ * Location   : tests/inputtrail.test.js
+ * Purpose    : Test line reconstruction and echo-off redaction of the input trail
+ * Why        : A password typed at a sudo prompt must never reach the audit log
+ * Related    : src/inputtrail.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateInputAudit, validateInputRedaction, createInputTrail } from '../src/inputtrail.js';
+import { MAX_AUDIT_INPUT_LINE } from '../src/constants.js';
+
+/**
+ * Type keys one message at a time, echoing them like a shell would
+ * @param {object} trail - Input trail
+ * @param {string[]} keys - Input messages
+ * @param {{ echo?: boolean }} [options] - Whether the PTY echoes printable keys
+ * @returns {object[]} Completed lines
+ */
+function type(trail, keys, { echo = true } = {}) {
+  const lines = [];
+  for (const key of keys) {
+    lines.push(...trail.input(key));
+    if (echo && key >= ' ' && key !== '\x7f') trail.output(key);
+  }
+  return lines;
+}
+
+describe('validateInputAudit', () => {
+  it('should read 0, 1 and unset', () => {
+    expect(validateInputAudit(undefined)).toBe(false);
+    expect(validateInputAudit('0')).toBe(false);
+    expect(validateInputAudit('1')).toBe(true);
+    expect(() => validateInputAudit('on')).toThrow('Invalid TINYTERMINAL_AUDIT_INPUT');
+  });
+});
+
+describe('validateInputRedaction', () => {
+  it('should accept noecho and none only', () => {
+    expect(validateInputRedaction('noecho')).toBe('noecho');
+    expect(validateInputRedaction('none')).toBe('none');
+    expect(() => validateInputRedaction('all')).toThrow('Invalid TINYTERMINAL_AUDIT_INPUT_REDACT');
+  });
+});
+
+describe('createInputTrail', () => {
+  it('should turn echoed keystrokes into lines', () => {
+    const trail = createInputTrail();
+
+    expect(type(trail, [...'ls -la', '\r'])).toEqual([{ line: 'ls -la' }]);
+    expect(type(trail, [...'pwd', '\r', '\r'])).toEqual([{ line: 'pwd' }]);
+  });
+
+  it('should apply Backspace, Ctrl-U and Ctrl-W', () => {
+    const trail = createInputTrail();
+
+    expect(type(trail, [...'lx', '\x7f', 's', '\r'])).toEqual([{ line: 'ls' }]);
+    expect(type(trail, [...'rm -rf /', '\x15', ...'echo hi', '\r'])).toEqual([{ line: 'echo hi' }]);
+    expect(type(trail, [...'git push origin', '\x17', ...'main', '\r'])).toEqual([{ line: 'git push main' }]);
+  });
+
+  it('should mark lines edited with keys it cannot follow', () => {
+    const trail = createInputTrail();
+
+    expect(type(trail, ['\x1b[A', '\r'])).toEqual([{ line: '', edited: true }]);
+    expect(type(trail, [...'cd Doc', '\t', '\r'])).toEqual([{ line: 'cd Doc', edited: true }]);
+    // Bracketed paste markers are not edits
+    trail.input('\x1b[200~');
+    expect(type(trail, [...'make test', '\x1b[201~', '\r'])).toEqual([{ line: 'make test' }]);
+  });
+
+  it('should record abandoned lines as interrupted', () => {
+    const trail = createInputTrail();
+
+    expect(type(trail, [...'sleep 100', '\x03'])).toEqual([{ line: 'sleep 100', interrupted: true }]);
+    expect(type(trail, ['\x03'])).toEqual([]);
+  });
+
+  it('should redact lines the terminal did not echo', () => {
+    const trail = createInputTrail();
+
+    // sudo prints its prompt, then reads the password with echo off
+    type(trail, [...'sudo true', '\r']);
+    trail.output('\r\n[sudo] password for alice: ');
+    expect(type(trail, [...'hunter2', '\r'], { echo: false })).toEqual([{ line: null, redacted: true }]);
+  });
+
+  it('should not take characters scattered through other output for an echo', () => {
+    const trail = createInputTrail();
+
+    // A background job keeps printing while the password is typed with echo off
+    trail.input('hunter');
+    trail.output('\x1b[1mhello\x1b[0m unit tests are running\r\n');
+    trail.input('2');
+    trail.output('\rprogress: 2/3 done hunt er 2\r\n');
+    expect(trail.input('\r')).toEqual([{ line: null, redacted: true }]);
+
+    // Each key is followed by output, but never by the key itself
+    type(trail, [...'sudo -v', '\r']);
+    const lines = [];
+    for (const key of 'hunter2') {
+      lines.push(...trail.input(key));
+      trail.output(`[build] ${key} `);
+    }
+    lines.push(...trail.input('\r'));
+    expect(lines).toEqual([{ line: null, redacted: true }]);
+  });
+
+  it('should look for the echo through escape sequences and redraws', () => {
+    const trail = createInputTrail();
+
+    trail.input('g');
+    trail.output('\x1b[32mg\x1b[0m');
+    trail.input('it');
+    trail.output('\x1b]0;title\x07\r\x1b[K$ git');
+    expect(trail.input('\r')).toEqual([{ line: 'git' }]);
+  });
+
+  it('should redact a line sent together with its Enter', () => {
+    const trail = createInputTrail();
+
+    expect(trail.input('ls\r')).toEqual([{ line: null, redacted: true }]);
+  });
+
+  it('should keep echo-off lines without redaction', () => {
+    const trail = createInputTrail({ redaction: 'none' });
+
+    expect(type(trail, [...'hunter2', '\r'], { echo: false })).toEqual([{ line: 'hunter2' }]);
+    expect(trail.input('ls\r\n')).toEqual([{ line: 'ls' }]);
+  });
+
+  it('should truncate long lines', () => {
+    const trail = createInputTrail({ redaction: 'none' });
+
+    const [entry] = trail.input(`${'x'.repeat(MAX_AUDIT_INPUT_LINE + 10)}\r`);
+    expect(entry.line).toHaveLength(MAX_AUDIT_INPUT_LINE);
+    expect(entry.truncated).toBe(true);
+  });
+});
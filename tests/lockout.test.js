@@ -0,0 +1,155 @@
+/**
+ * Location   : tests/lockout.test.js
+ * Purpose    : Test failed-attempt tracking (backoff, bans, server-wide limit, client keys)
+ * Why        : Without a growing wait a token can be guessed by reconnecting forever
+ * Related    : src/lockout.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { validateLockoutPolicy, clientKey, createLockout } from '../src/lockout.js';
+import {
+  LOCKOUT_WINDOW,
+  LOCKOUT_FREE_ATTEMPTS,
+  MAX_LOCKOUT_BACKOFF,
+  MAX_LOCKOUT_ENTRIES,
+} from '../src/constants.js';
+
+const POLICY = { attempts: 6, backoff: 1000, ban: 60000, global: 0 };
+
+describe('validateLockoutPolicy', () => {
+  it('should use the defaults', () => {
+    expect(validateLockoutPolicy({})).toEqual({ attempts: 10, backoff: 1000, ban: 900000, global: 100 });
+  });
+
+  it('should read seconds and allow turning backoff and the global limit off', () => {
+    expect(
+      validateLockoutPolicy({
+        TINYTERMINAL_LOCKOUT_ATTEMPTS: '5',
+        TINYTERMINAL_LOCKOUT_BACKOFF: '0',
+        TINYTERMINAL_LOCKOUT_BAN: '3600',
+        TINYTERMINAL_LOCKOUT_GLOBAL: '0',
+      })
+    ).toEqual({ attempts: 5, backoff: 0, ban: 3600000, global: 0 });
+  });
+
+  it.each([
+    ['TINYTERMINAL_LOCKOUT_ATTEMPTS', String(LOCKOUT_FREE_ATTEMPTS)],
+    ['TINYTERMINAL_LOCKOUT_ATTEMPTS', 'ten'],
+    ['TINYTERMINAL_LOCKOUT_BACKOFF', '1.5'],
+    ['TINYTERMINAL_LOCKOUT_BAN', '0'],
+    ['TINYTERMINAL_LOCKOUT_BAN', '86401'],
+    ['TINYTERMINAL_LOCKOUT_GLOBAL', '-1'],
+  ])('should reject %s=%s', (name, value) => {
+    expect(() => validateLockoutPolicy({ [name]: value })).toThrow(`Invalid ${name}`);
+  });
+});
+
+describe('clientKey', () => {
+  it('should keep IPv4 addresses and unwrap IPv4-mapped ones', () => {
+    expect(clientKey('100.64.0.1')).toBe('100.64.0.1');
+    expect(clientKey('::ffff:100.64.0.1')).toBe('100.64.0.1');
+  });
+
+  it('should group IPv6 addresses by /64', () => {
+    expect(clientKey('fd7a:115c:a1e0:ab12:4843:cd96:6258:b240')).toBe('fd7a:115c:a1e0:ab12::/64');
+    expect(clientKey('fd7a:115c:a1e0:ab12::1')).toBe('fd7a:115c:a1e0:ab12::/64');
+    expect(clientKey('fe80::1%eth0')).toBe('fe80:0:0:0::/64');
+    expect(clientKey('::1')).toBe('0:0:0:0::/64');
+  });
+});
+
+describe('createLockout', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should let the first failures through without a wait', () => {
+    const lockout = createLockout(POLICY);
+    for (let i = 1; i < LOCKOUT_FREE_ATTEMPTS; i++) {
+      expect(lockout.fail('100.64.0.1')).toBeNull();
+    }
+    expect(lockout.check('100.64.0.1')).toBeNull();
+  });
+
+  it('should double the wait after each further failure', () => {
+    const lockout = createLockout(POLICY);
+    for (let i = 1; i < LOCKOUT_FREE_ATTEMPTS; i++) lockout.fail('100.64.0.1');
+
+    expect(lockout.fail('100.64.0.1')).toEqual({ retryAfter: 1, reason: 'backoff' });
+    now += 1000;
+    expect(lockout.fail('100.64.0.1')).toEqual({ retryAfter: 2, reason: 'backoff' });
+    now += 1999;
+    expect(lockout.check('100.64.0.1')).toEqual({ retryAfter: 1, reason: 'backoff' });
+    now += 1;
+    expect(lockout.check('100.64.0.1')).toBeNull();
+
+    // Other clients are not held up
+    expect(lockout.check('100.64.0.2')).toBeNull();
+  });
+
+  it('should cap the backoff', () => {
+    const lockout = createLockout({ ...POLICY, attempts: 100 });
+    let refusal;
+    for (let i = 0; i < 20; i++) refusal = lockout.fail('100.64.0.1');
+    expect(refusal.retryAfter).toBe(MAX_LOCKOUT_BACKOFF / 1000);
+  });
+
+  it('should ban after too many failures and alert', () => {
+    const lockout = createLockout(POLICY);
+    for (let i = 0; i < POLICY.attempts; i++) lockout.fail('fd7a:115c:a1e0:ab12::1');
+
+    // Another address in the same /64 is banned too
+    expect(lockout.check('fd7a:115c:a1e0:ab12::2')).toEqual({ retryAfter: 60, reason: 'banned' });
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining('ALERT: fd7a:115c:a1e0:ab12::/64 banned for 60s after 6 failed attempts')
+    );
+
+    // The ban ends with a clean slate
+    now += POLICY.ban;
+    expect(lockout.check('fd7a:115c:a1e0:ab12::1')).toBeNull();
+    expect(lockout.fail('fd7a:115c:a1e0:ab12::1')).toBeNull();
+  });
+
+  it('should forget failures after a success or a quiet window', () => {
+    const lockout = createLockout(POLICY);
+    for (let i = 0; i < LOCKOUT_FREE_ATTEMPTS; i++) lockout.fail('100.64.0.1');
+    lockout.succeed('100.64.0.1');
+    expect(lockout.check('100.64.0.1')).toBeNull();
+
+    for (let i = 0; i < LOCKOUT_FREE_ATTEMPTS; i++) lockout.fail('100.64.0.2');
+    now += LOCKOUT_WINDOW;
+    expect(lockout.check('100.64.0.2')).toBeNull();
+    expect(lockout.fail('100.64.0.2')).toBeNull();
+  });
+
+  it('should make every client wait after too many failures overall', () => {
+    const lockout = createLockout({ ...POLICY, backoff: 0, global: 3 });
+    lockout.fail('100.64.0.1');
+    lockout.fail('100.64.0.2');
+    expect(lockout.fail('100.64.0.3')).toEqual({ retryAfter: LOCKOUT_WINDOW / 1000, reason: 'global' });
+    expect(lockout.check('100.64.0.4')).toMatchObject({ reason: 'global' });
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining('ALERT: 3 failed attempts within 15 minutes, all logins must wait')
+    );
+
+    now += LOCKOUT_WINDOW;
+    expect(lockout.check('100.64.0.4')).toBeNull();
+  });
+
+  it('should drop the oldest clients beyond the limit', () => {
+    const lockout = createLockout({ ...POLICY, attempts: 1 });
+    for (let i = 0; i <= MAX_LOCKOUT_ENTRIES; i++) {
+      lockout.fail(`10.0.${i >> 8}.${i & 255}`);
+    }
+    expect(lockout.check('10.0.0.0')).toBeNull();
+    expect(lockout.check('10.0.0.1')).toMatchObject({ reason: 'banned' });
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Location   : tests/login.test.js
+ * Purpose    : Test the login page (token exchange, TOTP step, passkey, errors, return path)
+ * Why        : The page must never keep the token and never redirect off-site
+ * Related    : public/login.js, public/login.html, public/passkey.js
+ */
+
+// @vitest-environment jsdom
+
+import { describe, it, expect, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let window;
+let document;
+
+// Load login.html and run its scripts (optionally with a WebAuthn-capable browser)
+// replies: [status, body] pairs answering the first fetch calls in order
+// (the page asks /api/login, then /api/passkey, as soon as it loads)
+function setupLogin({ url = 'http://localhost:3000/login', status = 200, credentials, replies = [] } = {}) {
+  const html = readFileSync(path.join(__dirname, '../public/login.html'), 'utf-8');
+  const dom = new JSDOM(html, { url, runScripts: 'dangerously' });
+  window = dom.window;
+  document = window.document;
+
+  window.console = { log: vi.fn(), error: vi.fn() };
+  window.fetch = vi.fn(async () => ({ ok: status === 200, status, json: async () => ({}) }));
+  for (const [replyStatus, body] of replies) {
+    window.fetch.mockResolvedValueOnce({ ok: replyStatus === 200, status: replyStatus, json: async () => body });
+  }
+  if (credentials) {
+    window.PublicKeyCredential = function PublicKeyCredential() {};
+    Object.defineProperty(window.navigator, 'credentials', { value: credentials, configurable: true });
+  }
+  window.eval(readFileSync(path.join(__dirname, '../public/passkey.js'), 'utf-8'));
+  window.eval(readFileSync(path.join(__dirname, '../public/login.js'), 'utf-8'));
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Type a token and submit the form
+function submit(token) {
+  document.getElementById('login-token').value = token;
+  document.getElementById('login-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+}
+
+describe('Login form', () => {
+  it('should post the token as JSON and clear the field', async () => {
+    setupLogin();
+    submit('secret');
+    await flush();
+
+    expect(window.fetch).toHaveBeenCalledWith('/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: 'secret' }),
+    });
+    expect(document.getElementById('login-token').value).toBe('');
+  });
+
+  it('should show an error for a wrong token', async () => {
+    setupLogin({ status: 401 });
+    submit('wrong');
+    await flush();
+
+    expect(document.getElementById('login-error').textContent).toBe('Invalid token');
+    expect(document.getElementById('login-btn').disabled).toBe(false);
+  });
+
+  it('should show the status for other failures', async () => {
+    setupLogin({ status: 400 });
+    submit('x');
+    await flush();
+
+    expect(document.getElementById('login-error').textContent).toBe('Login failed (400)');
+  });
+
+  it('should explain how long to wait after too many failures', async () => {
+    setupLogin({ replies: [[200, { users: false }], [429, { retryAfter: 42 }]] });
+    await flush();
+    submit('wrong');
+    await flush();
+    expect(document.getElementById('login-error').textContent).toBe('Too many failed attempts. Try again in 42s');
+
+    setupLogin({ replies: [[200, { users: false }], [429, { retryAfter: 900 }]] });
+    await flush();
+    submit('wrong');
+    await flush();
+    expect(document.getElementById('login-error').textContent).toBe('Too many failed attempts. Try again in 15 min');
+  });
+});
+
+describe('Users', () => {
+  it('should ask for a user name when the server has a users file', async () => {
+    setupLogin({ replies: [[200, { users: true }]] });
+    await flush();
+    expect(window.fetch).toHaveBeenCalledWith('/api/login');
+
+    const user = document.getElementById('login-user');
+    expect(user.hidden).toBe(false);
+    user.value = ' alice ';
+    submit('secret');
+    await flush();
+
+    expect(JSON.parse(window.fetch.mock.calls.at(-1)[1].body)).toEqual({ user: 'alice', token: 'secret' });
+  });
+
+  it('should keep the user field hidden with a single token', async () => {
+    setupLogin({ replies: [[200, { users: false }], [401, { error: 'Invalid token' }]] });
+    await flush();
+    expect(document.getElementById('login-user').hidden).toBe(true);
+  });
+
+  it('should say the user or token was wrong', async () => {
+    setupLogin({ replies: [[200, { users: true }], [401, { error: 'Invalid token' }]] });
+    await flush();
+    submit('wrong');
+    await flush();
+    expect(document.getElementById('login-error').textContent).toBe('Invalid user or token');
+  });
+});
+
+describe('TOTP step', () => {
+  // Answer each fetch with the next [status, body] pair
+  const respond = (...replies) => {
+    for (const [status, body] of replies) {
+      window.fetch.mockResolvedValueOnce({ ok: status === 200, status, json: async () => body });
+    }
+  };
+
+  const submitCode = (code) => {
+    document.getElementById('login-code').value = code;
+    document.getElementById('login-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  };
+
+  it('should show the enrollment link and secret', async () => {
+    setupLogin();
+    respond([200, { totp: 'enroll', pending: 'p1', uri: 'otpauth://totp/TinyTerminal:host?secret=ABC', secret: 'MZXW6YTBOI' }]);
+    submit('secret');
+    await flush();
+
+    expect(document.getElementById('login-token').hidden).toBe(true);
+    expect(document.getElementById('login-code').hidden).toBe(false);
+    expect(document.getElementById('totp-enroll').hidden).toBe(false);
+    expect(document.getElementById('totp-link').getAttribute('href')).toBe('otpauth://totp/TinyTerminal:host?secret=ABC');
+    expect(document.getElementById('totp-secret').textContent).toBe('MZXW 6YTB OI');
+  });
+
+  it('should never link anything but an otpauth URI', async () => {
+    setupLogin();
+    respond([200, { totp: 'enroll', pending: 'p1', uri: 'javascript:alert(1)', secret: 'MZXW' }]);
+    submit('secret');
+    await flush();
+
+    expect(document.getElementById('totp-link').hasAttribute('href')).toBe(false);
+  });
+
+  it('should post the code with the pending login, without spaces', async () => {
+    setupLogin();
+    respond([200, { totp: 'verify', pending: 'p1' }], [401, { error: 'Invalid code' }]);
+    submit('secret');
+    await flush();
+    expect(document.getElementById('totp-enroll').hidden).toBe(true);
+
+    submitCode('123 456');
+    await flush();
+    expect(window.fetch).toHaveBeenLastCalledWith('/api/login/totp', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pending: 'p1', code: '123456' }),
+    });
+    // A wrong code stays on the code step
+    expect(document.getElementById('login-error').textContent).toBe('Invalid code');
+    expect(document.getElementById('login-code').hidden).toBe(false);
+  });
+
+  it('should go back to the token step when the pending login expired', async () => {
+    setupLogin();
+    respond([200, { totp: 'verify', pending: 'p1' }], [401, { error: 'Login expired' }]);
+    submit('secret');
+    await flush();
+    submitCode('123456');
+    await flush();
+
+    expect(document.getElementById('login-token').hidden).toBe(false);
+    expect(document.getElementById('login-code').hidden).toBe(true);
+    expect(document.getElementById('login-error').textContent).toBe('Login expired. Enter the token again');
+  });
+});
+
+describe('Passkey sign-in', () => {
+  it('should hide the passkey button without WebAuthn', async () => {
+    setupLogin();
+    await flush();
+    expect(document.getElementById('passkey-btn').hidden).toBe(true);
+  });
+
+  it('should hide the passkey button until one is registered', async () => {
+    setupLogin({ credentials: { get: vi.fn() } });
+    await flush();
+    expect(window.fetch).toHaveBeenCalledWith('/api/passkey', { credentials: 'same-origin' });
+    expect(document.getElementById('passkey-btn').hidden).toBe(true);
+  });
+
+  it('should sign in with a passkey', async () => {
+    const get = vi.fn(async () => ({
+      id: 'cred-1',
+      response: {
+        clientDataJSON: new Uint8Array([1]).buffer,
+        authenticatorData: new Uint8Array([2]).buffer,
+        signature: new Uint8Array([3]).buffer,
+      },
+    }));
+    setupLogin({
+      credentials: { get },
+      replies: [
+        [200, { users: false }],
+        [200, { enabled: true, registered: true }],
+        [200, { challenge: 'AQID', rpId: 'localhost', allowCredentials: [{ type: 'public-key', id: 'AA' }] }],
+        [200, { ok: true }],
+      ],
+    });
+    await flush();
+
+    const button = document.getElementById('passkey-btn');
+    expect(button.hidden).toBe(false);
+    button.click();
+    await flush();
+
+    const { publicKey } = get.mock.calls[0][0];
+    expect(publicKey.rpId).toBe('localhost');
+    expect(Array.from(new Uint8Array(publicKey.challenge))).toEqual([1, 2, 3]);
+    const [url, init] = window.fetch.mock.calls[3];
+    expect(url).toBe('/api/passkey/login');
+    expect(JSON.parse(init.body)).toEqual({ id: 'cred-1', clientDataJSON: 'AQ', authenticatorData: 'Ag', signature: 'Aw' });
+  });
+
+  it('should show why a passkey was not accepted', async () => {
+    setupLogin({
+      credentials: { get: vi.fn() },
+      replies: [
+        [200, { users: false }],
+        [200, { enabled: true, registered: true }],
+        [404, { error: 'No passkeys registered' }],
+      ],
+    });
+    await flush();
+
+    document.getElementById('passkey-btn').click();
+    await flush();
+    expect(document.getElementById('login-error').textContent).toBe('No passkeys registered');
+    expect(document.getElementById('passkey-btn').disabled).toBe(false);
+  });
+});
+
+describe('Return path', () => {
+  it('should return to same-origin paths only', () => {
+    setupLogin();
+
+    expect(window.safeNextPath('/recordings')).toBe('/recordings');
+    expect(window.safeNextPath(null)).toBe('/');
+    expect(window.safeNextPath('https://evil.example')).toBe('/');
+    expect(window.safeNextPath('//evil.example')).toBe('/');
+    expect(window.safeNextPath('/\\evil.example')).toBe('/');
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Location   : tests/network.test.js
+ * Purpose    : Test address and CIDR parsing and the origin/network allowlists
+ * Why        : An off-by-one prefix or a loose wildcard lets a foreign network in
+ * Related    : src/network.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseAddress,
+  parseCidr,
+  validateAllowedOrigins,
+  validateAllowedNetworks,
+  isAllowedAddress,
+  isAllowedHost,
+} from '../src/network.js';
+import { MAX_ALLOWLIST_ENTRIES } from '../src/constants.js';
+
+describe('parseAddress', () => {
+  it('should parse IPv4 and IPv6 addresses', () => {
+    expect([...parseAddress('100.64.0.1')]).toEqual([100, 64, 0, 1]);
+    expect(parseAddress('fd7a:115c:a1e0::1').toString('hex')).toBe('fd7a115ca1e000000000000000000001');
+    expect(parseAddress('::').toString('hex')).toBe('0'.repeat(32));
+  });
+
+  it('should accept brackets and zones and unwrap IPv4-mapped addresses', () => {
+    expect(parseAddress('[::1]').toString('hex')).toBe(`${'0'.repeat(31)}1`);
+    expect(parseAddress('fe80::1%eth0').toString('hex')).toBe(`fe80${'0'.repeat(27)}1`);
+    expect([...parseAddress('::ffff:192.168.1.5')]).toEqual([192, 168, 1, 5]);
+    expect([...parseAddress('::ffff:c0a8:105')]).toEqual([192, 168, 1, 5]);
+  });
+
+  it('should reject anything else', () => {
+    expect(parseAddress('localhost')).toBeNull();
+    expect(parseAddress('100.64.0')).toBeNull();
+    expect(parseAddress('100.64.0.256')).toBeNull();
+    expect(parseAddress(undefined)).toBeNull();
+  });
+});
+
+describe('parseCidr', () => {
+  it('should parse ranges and bare addresses', () => {
+    expect(parseCidr('100.64.0.0/10').prefix).toBe(10);
+    expect(parseCidr('fd7a:115c:a1e0::/48').prefix).toBe(48);
+    expect(parseCidr('192.168.1.5').prefix).toBe(32);
+    expect(parseCidr('::1').prefix).toBe(128);
+  });
+
+  it('should read IPv4-mapped ranges with their IPv6 prefix', () => {
+    expect(parseCidr('::ffff:10.0.0.0/104')).toEqual({ bytes: Buffer.from([10, 0, 0, 0]), prefix: 8 });
+    expect(parseCidr('::ffff:10.0.0.0/64')).toBeNull();
+  });
+
+  it.each(['10.0.0.0/33', 'fd7a::/129', '10.0.0.0/', '10.0.0.0/8/8', '10.0.0.0/-1', 'ts.net/8'])(
+    'should reject %s',
+    (text) => {
+      expect(parseCidr(text)).toBeNull();
+    }
+  );
+});
+
+describe('isAllowedAddress', () => {
+  const ranges = validateAllowedNetworks('10.1.2.0/23,fd7a:115c:a1e0::/48,0.0.0.0/32');
+
+  it('should match on the prefix bits only', () => {
+    expect(isAllowedAddress('10.1.2.1', ranges)).toBe(true);
+    expect(isAllowedAddress('10.1.3.255', ranges)).toBe(true);
+    expect(isAllowedAddress('10.1.4.0', ranges)).toBe(false);
+    expect(isAllowedAddress('10.1.1.255', ranges)).toBe(false);
+  });
+
+  it('should keep IPv4 and IPv6 apart, except for IPv4-mapped addresses', () => {
+    expect(isAllowedAddress('fd7a:115c:a1e0:ffff::1', ranges)).toBe(true);
+    expect(isAllowedAddress('fd7a:115c:a1e1::1', ranges)).toBe(false);
+    expect(isAllowedAddress('::', ranges)).toBe(false);
+    expect(isAllowedAddress('::ffff:10.1.2.1', ranges)).toBe(true);
+  });
+
+  it('should allow everyone with 0.0.0.0/0 and ::/0', () => {
+    const everyone = validateAllowedNetworks('0.0.0.0/0, ::/0');
+    expect(isAllowedAddress('203.0.113.9', everyone)).toBe(true);
+    expect(isAllowedAddress('2001:db8::1', everyone)).toBe(true);
+  });
+});
+
+describe('Allowlist validation', () => {
+  it('should fall back to localhost and Tailscale', () => {
+    const origins = validateAllowedOrigins(undefined);
+    expect([...origins.hosts]).toEqual(['localhost']);
+    expect(origins.suffixes).toEqual([]);
+    expect(origins.ranges).toHaveLength(4);
+    expect(validateAllowedNetworks(undefined)).toHaveLength(4);
+  });
+
+  it('should match host names exactly and wildcards on whole labels', () => {
+    const origins = validateAllowedOrigins('MyHost.lan,*.example.com');
+    expect(isAllowedHost('myhost.lan', origins)).toBe(true);
+    expect(isAllowedHost('a.b.example.com', origins)).toBe(true);
+    expect(isAllowedHost('example.com', origins)).toBe(false);
+    expect(isAllowedHost('badexample.com', origins)).toBe(false);
+    expect(isAllowedHost('127.0.0.1', origins)).toBe(false);
+  });
+
+  it.each(['*', '*.', 'ex ample.com', 'a.*.com', 'http://myhost', '-host.lan', ''])(
+    'should reject the origin entry %j',
+    (entry) => {
+      expect(() => validateAllowedOrigins(entry)).toThrow('Invalid TINYTERMINAL_ALLOWED_ORIGINS');
+    }
+  );
+
+  it('should reject bad networks and overlong lists', () => {
+    expect(() => validateAllowedNetworks('myhost.lan')).toThrow('Invalid TINYTERMINAL_ALLOWED_NETWORKS');
+    expect(() => validateAllowedNetworks(' , ')).toThrow('must list');
+    const many = Array.from({ length: MAX_ALLOWLIST_ENTRIES + 1 }, (_, i) => `10.0.${i}.0/24`).join(',');
+    expect(() => validateAllowedNetworks(many)).toThrow('must list');
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Location   : tests/player.test.js
+ * Purpose    : Test the recordings page (list, asciicast parsing, playback controls)
+ * Why        : Playback must match the recorded timing and rely on the login cookie only
+ * Related    : public/player.js, public/recordings.html
+ */
+
+// @vitest-environment jsdom
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CAST_NAME = '20250101-000000-123e4567-e89b-12d3-a456-426614174000.cast';
+const CAST = [
+  '{"version":2,"width":80,"height":24,"timestamp":1735689600,"title":"agent"}',
+  '[0.5,"o","$ ls\\r\\n"]',
+  '[10.5,"o","done\\r\\n"]',
+  '[11,"r","100x30"]',
+  '',
+].join('\n');
+
+let window;
+let document;
+let mockTerminal;
+let timers;
+
+/**
+ * Build a fetch mock for the recordings API
+ * @param {object} listBody - Body for GET /api/recordings
+ * @param {number} listStatus - Status for GET /api/recordings
+ */
+function mockFetch(listBody, listStatus = 200) {
+  return vi.fn(async (url) => {
+    if (url === '/api/recordings') {
+      return { ok: listStatus === 200, status: listStatus, json: async () => listBody };
+    }
+    return { ok: true, status: 200, text: async () => CAST };
+  });
+}
+
+// Load recordings.html and run theme.js + player.js (same order as the page)
+function setupPlayer({ url = 'http://localhost:3000/recordings', fetch } = {}) {
+  const html = readFileSync(path.join(__dirname, '../public/recordings.html'), 'utf-8');
+  const dom = new JSDOM(html, { url, runScripts: 'dangerously' });
+  window = dom.window;
+  document = window.document;
+
+  mockTerminal = {
+    open: vi.fn(),
+    write: vi.fn(),
+    reset: vi.fn(),
+    resize: vi.fn(),
+  };
+  window.Terminal = vi.fn(function() { return mockTerminal; });
+  window.console = { log: vi.fn(), error: vi.fn() };
+  window.fetch = fetch || mockFetch({ enabled: true, recordings: [] });
+
+  // Capture timers so playback can be stepped manually
+  timers = [];
+  window.setTimeout = vi.fn((fn, delay) => {
+    timers.push({ fn, delay });
+    return timers.length;
+  });
+  window.clearTimeout = vi.fn();
+
+  window.eval(readFileSync(path.join(__dirname, '../public/theme.js'), 'utf-8'));
+  window.eval(readFileSync(path.join(__dirname, '../public/player.js'), 'utf-8'));
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const runNextTimer = () => timers.pop().fn();
+
+const recordingSummary = {
+  name: CAST_NAME,
+  size: CAST.length,
+  title: 'agent',
+  width: 80,
+  height: 24,
+  timestamp: 1735689600,
+};
+
+describe('Asciicast parsing', () => {
+  beforeEach(() => {
+    setupPlayer();
+  });
+
+  it('should parse header and events', () => {
+    const { header, events } = window.parseCast(CAST);
+    expect(header.width).toBe(80);
+    expect(events).toEqual([
+      [0.5, 'o', '$ ls\r\n'],
+      [10.5, 'o', 'done\r\n'],
+      [11, 'r', '100x30'],
+    ]);
+  });
+
+  it('should reject other asciicast versions', () => {
+    expect(() => window.parseCast('{"version":1}\n')).toThrow('Unsupported recording format');
+  });
+
+  it('should format times as m:ss', () => {
+    expect(window.formatTime(0)).toBe('0:00');
+    expect(window.formatTime(75.9)).toBe('1:15');
+  });
+});
+
+describe('Idle time compression', () => {
+  beforeEach(() => {
+    setupPlayer();
+  });
+
+  const events = [
+    [0.5, 'o', 'a'],
+    [10.5, 'o', 'b'],
+    [11, 'o', 'c'],
+  ];
+
+  it('should cap pauses at the idle limit', () => {
+    const times = window.buildTimeline(events, 2).map((e) => e.time);
+    expect(times).toEqual([0.5, 2.5, 3]);
+  });
+
+  it('should keep real timing when the limit is off', () => {
+    const times = window.buildTimeline(events, 0).map((e) => e.time);
+    expect(times).toEqual([0.5, 10.5, 11]);
+  });
+});
+
+describe('Recording list', () => {
+  it('should render recordings with textContent', async () => {
+    setupPlayer({
+      fetch: mockFetch({
+        enabled: true,
+        recordings: [{ ...recordingSummary, title: '<img src=x onerror=alert(1)>' }],
+      }),
+    });
+    await flush();
+
+    const items = document.querySelectorAll('.recording-item');
+    expect(items).toHaveLength(1);
+    expect(items[0].querySelector('.recording-name').textContent).toBe('<img src=x onerror=alert(1)>');
+    expect(document.querySelector('#recording-list img')).toBeNull();
+  });
+
+  it('should explain when recording is disabled', async () => {
+    setupPlayer({ fetch: mockFetch({ enabled: false, recordings: [] }) });
+    await flush();
+
+    expect(document.getElementById('recording-list').textContent).toContain('TINYTERMINAL_RECORD_DIR');
+  });
+
+  it('should point to the login page when signed out', async () => {
+    setupPlayer({ fetch: mockFetch({ error: 'Unauthorized' }, 401) });
+    await flush();
+
+    expect(document.getElementById('recording-list').textContent).toContain('/login');
+  });
+});
+
+describe('Authentication', () => {
+  it('should send the login cookie and no Authorization header', async () => {
+    const fetch = mockFetch({ enabled: true, recordings: [] });
+    setupPlayer({ url: 'http://localhost:3000/recordings?token=secret', fetch });
+    await flush();
+
+    expect(fetch).toHaveBeenCalledWith('/api/recordings', { credentials: 'same-origin' });
+  });
+});
+
+describe('Playback', () => {
+  beforeEach(async () => {
+    setupPlayer({ fetch: mockFetch({ enabled: true, recordings: [recordingSummary] }) });
+    await flush();
+    document.querySelector('.recording-item').click();
+    await flush();
+  });
+
+  it('should open a terminal with the recorded size and live theme', () => {
+    expect(window.Terminal).toHaveBeenCalledWith(
+      expect.objectContaining({ cols: 80, rows: 24, disableStdin: true, theme: expect.any(Object) })
+    );
+    expect(document.getElementById('player').hidden).toBe(false);
+    expect(document.getElementById('recording-title').textContent).toBe('agent');
+    expect(document.getElementById('play-btn').textContent).toBe('❚❚');
+  });
+
+  it('should play events with compressed idle time', () => {
+    expect(timers[timers.length - 1].delay).toBe(500);
+    runNextTimer();
+    expect(mockTerminal.write).toHaveBeenLastCalledWith('$ ls\r\n');
+
+    // 10 second pause is shortened to the default 2 second idle limit
+    expect(timers[timers.length - 1].delay).toBe(2000);
+    runNextTimer();
+    expect(mockTerminal.write).toHaveBeenLastCalledWith('done\r\n');
+
+    runNextTimer();
+    expect(mockTerminal.resize).toHaveBeenLastCalledWith(100, 30);
+    expect(document.getElementById('time-display').textContent).toBe('0:03 / 0:03');
+    expect(document.getElementById('play-btn').textContent).toBe('▶');
+  });
+
+  it('should scale delays by the playback speed', () => {
+    const speedSelect = document.getElementById('speed-select');
+    speedSelect.value = '4';
+    speedSelect.dispatchEvent(new window.Event('change'));
+
+    expect(timers[timers.length - 1].delay).toBe(125);
+  });
+
+  it('should repaint up to the seek position in one write', () => {
+    mockTerminal.write.mockClear();
+    const seekBar = document.getElementById('seek-bar');
+    seekBar.value = '2.5';
+    seekBar.dispatchEvent(new window.Event('input'));
+
+    expect(mockTerminal.reset).toHaveBeenCalled();
+    expect(mockTerminal.resize).toHaveBeenLastCalledWith(80, 24);
+    expect(mockTerminal.write).toHaveBeenCalledWith('$ ls\r\ndone\r\n');
+    expect(document.getElementById('time-display').textContent).toBe('0:02 / 0:03');
+  });
+
+  it('should pause and resume', () => {
+    const playBtn = document.getElementById('play-btn');
+    playBtn.click();
+    expect(playBtn.textContent).toBe('▶');
+    expect(window.clearTimeout).toHaveBeenCalled();
+
+    timers = [];
+    playBtn.click();
+    expect(playBtn.textContent).toBe('❚❚');
+    expect(timers).toHaveLength(1);
+  });
+});
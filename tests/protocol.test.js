@@ -0,0 +1,46 @@
+/**
+ * Location   : tests/protocol.test.js
+ * Purpose    : Test protocol version and capability negotiation
+ * Why        : A wrong agreement either locks out pages that would work or lets
+ *              mismatched ones fail with generic errors
+ * Related    : src/protocol.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { negotiateProtocol } from '../src/protocol.js';
+import { PROTOCOL_VERSION, MAX_HELLO_CAPABILITIES } from '../src/constants.js';
+
+describe('negotiateProtocol', () => {
+  it('should agree on the version and the capabilities both sides list', () => {
+    const agreed = negotiateProtocol({ version: 1, capabilities: ['flow', 'compression', 'binary'] });
+
+    expect(agreed).toEqual({ version: 1, capabilities: ['binary', 'flow'] });
+  });
+
+  it('should only offer what the connection supports', () => {
+    const agreed = negotiateProtocol({ version: 1, capabilities: ['binary', 'flow'] }, ['flow', 'resume']);
+
+    expect(agreed.capabilities).toEqual(['flow']);
+  });
+
+  it('should downgrade a newer client that still speaks this version', () => {
+    const agreed = negotiateProtocol({ version: PROTOCOL_VERSION + 3, minVersion: 1 });
+
+    expect(agreed).toEqual({ version: PROTOCOL_VERSION, capabilities: [] });
+  });
+
+  it('should find no agreement when the versions do not overlap', () => {
+    expect(negotiateProtocol({ version: PROTOCOL_VERSION + 2, minVersion: PROTOCOL_VERSION + 1 })).toBeNull();
+  });
+
+  it('should reject malformed hellos', () => {
+    expect(() => negotiateProtocol({})).toThrow('Invalid hello');
+    expect(() => negotiateProtocol({ version: 1, minVersion: 2 })).toThrow('Invalid hello');
+    expect(() => negotiateProtocol({ version: 0 })).toThrow('Invalid hello');
+    expect(() => negotiateProtocol({ version: 1, capabilities: 'flow' })).toThrow('Invalid hello');
+    expect(() => negotiateProtocol({ version: 1, capabilities: [1] })).toThrow('Invalid hello');
+    expect(() =>
+      negotiateProtocol({ version: 1, capabilities: Array(MAX_HELLO_CAPABILITIES + 1).fill('x') })
+    ).toThrow('Invalid hello');
+  });
+});
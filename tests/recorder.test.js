@@ -0,0 +1,197 @@
+/**
+ * Location   : tests/recorder.test.js
+ * Purpose    : Test asciicast v2 session recording
+ * Why        : Recordings must be playable (valid header and events) and private
+ * Related    : src/recorder.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createRecorder,
+  validateRecordDir,
+  recordingFileName,
+  isRecordingName,
+  listRecordings,
+  readRecording,
+} from '../src/recorder.js';
+
+const SESSION_ID = '123e4567-e89b-12d3-a456-426614174000';
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-rec-'));
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const readCast = (file) =>
+  fs
+    .readFileSync(file, 'utf-8')
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+
+describe('validateRecordDir', () => {
+  it('should accept absolute paths', () => {
+    expect(validateRecordDir('/var/log/tt/../casts')).toBe('/var/log/casts');
+  });
+
+  it('should reject relative paths', () => {
+    expect(() => validateRecordDir('casts')).toThrow('Invalid TINYTERMINAL_RECORD_DIR');
+  });
+
+  it('should reject null bytes', () => {
+    expect(() => validateRecordDir('/tmp/a\0b')).toThrow('Invalid TINYTERMINAL_RECORD_DIR');
+  });
+});
+
+describe('recordingFileName', () => {
+  it('should start with a sortable UTC timestamp and end with the session ID', () => {
+    const name = recordingFileName(new Date('2025-03-04T05:06:07.890Z'), SESSION_ID);
+    expect(name).toBe(`20250304-050607-${SESSION_ID}.cast`);
+  });
+});
+
+describe('createRecorder', () => {
+  const info = { sessionId: SESSION_ID, name: 'agent', shell: '/bin/zsh', cols: 80, rows: 24 };
+
+  it('should write an asciicast v2 header', async () => {
+    const recorder = createRecorder(tmpDir, info);
+    await recorder.close();
+
+    const [header] = readCast(recorder.file);
+    expect(header).toEqual({
+      version: 2,
+      width: 80,
+      height: 24,
+      timestamp: expect.any(Number),
+      title: 'agent',
+      env: { SHELL: '/bin/zsh', TERM: 'xterm-256color' },
+    });
+  });
+
+  it('should record output and resize events with elapsed time', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    const recorder = createRecorder(tmpDir, info);
+
+    vi.setSystemTime(new Date('2025-01-01T00:00:01.5Z'));
+    recorder.output('hello\r\n\x1b[31mred\x1b[0m');
+    vi.setSystemTime(new Date('2025-01-01T00:00:02Z'));
+    recorder.resize(120, 40);
+    await recorder.close();
+
+    const [header, ...events] = readCast(recorder.file);
+    expect(header.timestamp).toBe(1735689600);
+    expect(events).toEqual([
+      [1.5, 'o', 'hello\r\n\x1b[31mred\x1b[0m'],
+      [2, 'r', '120x40'],
+    ]);
+  });
+
+  it('should ignore events after close', async () => {
+    const recorder = createRecorder(tmpDir, info);
+    await recorder.close();
+    recorder.output('late');
+
+    expect(readCast(recorder.file)).toHaveLength(1);
+  });
+
+  it('should create the directory and keep recordings private', async () => {
+    const dir = path.join(tmpDir, 'nested', 'casts');
+    const recorder = createRecorder(dir, info);
+    await recorder.close();
+
+    expect(path.dirname(recorder.file)).toBe(dir);
+    expect(fs.statSync(dir).mode & 0o777).toBe(0o700);
+    expect(fs.statSync(recorder.file).mode & 0o777).toBe(0o600);
+  });
+
+  it('should not overwrite an existing recording', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    const existing = path.join(tmpDir, recordingFileName(new Date(), SESSION_ID));
+    fs.writeFileSync(existing, 'keep me');
+
+    const recorder = createRecorder(tmpDir, info);
+    recorder.output('ignored');
+    await recorder.close();
+    // Let the stream report the open failure
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(fs.readFileSync(existing, 'utf-8')).toBe('keep me');
+  });
+});
+
+describe('isRecordingName', () => {
+  it('should accept names produced by recordingFileName', () => {
+    expect(isRecordingName(recordingFileName(new Date(), SESSION_ID))).toBe(true);
+  });
+
+  it('should reject other files and traversal', () => {
+    expect(isRecordingName('notes.txt')).toBe(false);
+    expect(isRecordingName(`../20250101-000000-${SESSION_ID}.cast`)).toBe(false);
+    expect(isRecordingName(`20250101-000000-${SESSION_ID}.cast/..`)).toBe(false);
+    expect(isRecordingName(undefined)).toBe(false);
+  });
+});
+
+describe('listRecordings', () => {
+  const writeCast = (name, header) =>
+    fs.writeFileSync(path.join(tmpDir, name), `${JSON.stringify(header)}\n[0.1,"o","x"]\n`);
+
+  it('should list recordings newest first with their headers', async () => {
+    const older = `20250101-000000-${SESSION_ID}.cast`;
+    const newer = `20250102-000000-${SESSION_ID}.cast`;
+    writeCast(older, { version: 2, width: 80, height: 24, timestamp: 1, title: 'old' });
+    writeCast(newer, { version: 2, width: 120, height: 40, timestamp: 2, title: 'new' });
+    fs.writeFileSync(path.join(tmpDir, 'notes.txt'), 'ignored');
+
+    const recordings = await listRecordings(tmpDir);
+    expect(recordings.map((r) => r.name)).toEqual([newer, older]);
+    expect(recordings[0]).toMatchObject({ title: 'new', width: 120, height: 40, timestamp: 2 });
+    expect(recordings[0].size).toBe(fs.statSync(path.join(tmpDir, newer)).size);
+  });
+
+  it('should tolerate a damaged header', async () => {
+    const name = `20250101-000000-${SESSION_ID}.cast`;
+    fs.writeFileSync(path.join(tmpDir, name), 'garbage');
+
+    const [recording] = await listRecordings(tmpDir);
+    expect(recording).toMatchObject({ name, title: null, width: null, height: null });
+  });
+
+  it('should return an empty list before anything is recorded', async () => {
+    expect(await listRecordings(path.join(tmpDir, 'missing'))).toEqual([]);
+  });
+});
+
+describe('readRecording', () => {
+  it('should read a recording written by createRecorder', async () => {
+    const recorder = createRecorder(tmpDir, {
+      sessionId: SESSION_ID,
+      name: 'agent',
+      shell: '/bin/sh',
+      cols: 80,
+      rows: 24,
+    });
+    recorder.output('hello');
+    await recorder.close();
+
+    const content = await readRecording(tmpDir, path.basename(recorder.file));
+    expect(content).toContain('"hello"');
+  });
+
+  it('should reject names that are not recordings', async () => {
+    await expect(readRecording(tmpDir, '../../etc/passwd')).rejects.toThrow('Invalid recording name');
+  });
+});
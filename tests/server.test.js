@@ -5,13 +5,22 @@
  * Related    : src/server.js
  */
 
-import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
 import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import {
   validateInput,
   validatePort,
   validateBindAddress,
-  isTailscaleIP,
+  validateSessionGrace,
+  validateResizePolicy,
+  validateIdleTimeout,
+  validateLoginTtl,
+  isAllowedClient,
   isAllowedOrigin,
   sanitizeLogMessage,
   secureTokenCompare,
@@ -20,7 +29,15 @@ import {
   createHttpServer,
   startServer,
 } from '../src/server.js';
-import { MAX_INPUT_LENGTH, MAX_CONNECTIONS } from '../src/constants.js';
+import {
+  MAX_INPUT_LENGTH,
+  MAX_CONNECTIONS,
+  FLOW_HIGH_WATERMARK,
+  FLOW_LOW_WATERMARK,
+  OUTPUT_BATCH_MAX_DELAY,
+} from '../src/constants.js';
+import { hotp, totpCounter, base32Decode, loadTotpSecret, saveTotpSecret } from '../src/totp.js';
+import { hashToken } from '../src/users.js';
 
 // Mock node-pty
 vi.mock('node-pty', () => ({
@@ -105,6 +122,78 @@ describe('Port Validation', () => {
   });
 });
 
+describe('Session Grace Validation', () => {
+  describe('validateSessionGrace', () => {
+    it('should convert seconds to milliseconds', () => {
+      expect(validateSessionGrace(300)).toBe(300000);
+      expect(validateSessionGrace('60')).toBe(60000);
+    });
+
+    it('should accept 0 (kill PTY on disconnect)', () => {
+      expect(validateSessionGrace(0)).toBe(0);
+    });
+
+    it('should reject negative values', () => {
+      expect(() => validateSessionGrace(-1)).toThrow('Invalid TINYTERMINAL_SESSION_GRACE');
+    });
+
+    it('should reject values above 24 hours', () => {
+      expect(() => validateSessionGrace(86401)).toThrow('Invalid TINYTERMINAL_SESSION_GRACE');
+    });
+
+    it('should reject non-numeric values', () => {
+      expect(() => validateSessionGrace('abc')).toThrow('Invalid TINYTERMINAL_SESSION_GRACE');
+    });
+  });
+});
+
+describe('Idle Timeout Validation', () => {
+  describe('validateIdleTimeout', () => {
+    it('should convert seconds to milliseconds', () => {
+      expect(validateIdleTimeout('900', 'TINYTERMINAL_IDLE_LOCK')).toBe(900000);
+    });
+
+    it('should accept 0 (disabled)', () => {
+      expect(validateIdleTimeout(0, 'TINYTERMINAL_IDLE_LOCK')).toBe(0);
+    });
+
+    it('should reject negative, oversized and non-numeric values', () => {
+      expect(() => validateIdleTimeout(-1, 'TINYTERMINAL_IDLE_KILL')).toThrow('Invalid TINYTERMINAL_IDLE_KILL');
+      expect(() => validateIdleTimeout(86401, 'TINYTERMINAL_IDLE_KILL')).toThrow('Invalid TINYTERMINAL_IDLE_KILL');
+      expect(() => validateIdleTimeout('soon', 'TINYTERMINAL_IDLE_LOCK')).toThrow('Invalid TINYTERMINAL_IDLE_LOCK');
+    });
+  });
+});
+
+describe('Login TTL Validation', () => {
+  describe('validateLoginTtl', () => {
+    it('should convert seconds to milliseconds', () => {
+      expect(validateLoginTtl('3600')).toBe(3600000);
+    });
+
+    it('should reject zero, oversized and non-numeric values', () => {
+      expect(() => validateLoginTtl(0)).toThrow('Invalid TINYTERMINAL_LOGIN_TTL');
+      expect(() => validateLoginTtl(1209601)).toThrow('Invalid TINYTERMINAL_LOGIN_TTL');
+      expect(() => validateLoginTtl('forever')).toThrow('Invalid TINYTERMINAL_LOGIN_TTL');
+    });
+  });
+});
+
+describe('Resize Policy Validation', () => {
+  describe('validateResizePolicy', () => {
+    it('should accept the known policies', () => {
+      expect(validateResizePolicy('smallest')).toBe('smallest');
+      expect(validateResizePolicy('owner')).toBe('owner');
+      expect(validateResizePolicy('latest')).toBe('latest');
+    });
+
+    it('should reject unknown policies', () => {
+      expect(() => validateResizePolicy('largest')).toThrow('Invalid TINYTERMINAL_RESIZE_POLICY');
+      expect(() => validateResizePolicy('')).toThrow('Invalid TINYTERMINAL_RESIZE_POLICY');
+    });
+  });
+});
+
 describe('Bind Address Validation', () => {
   describe('validateBindAddress', () => {
     it('should accept 127.0.0.1', () => {
@@ -182,45 +271,133 @@ describe('Origin Validation', () => {
     it('should reject malformed URL', () => {
       expect(isAllowedOrigin('not-a-url')).toBe(false);
     });
-  });
-});
 
-describe('Tailscale IP Detection', () => {
-  describe('isTailscaleIP', () => {
-    it('should accept 100.64.0.0 (lower boundary)', () => {
-      expect(isTailscaleIP('100.64.0.0')).toBe(true);
+    it('should accept Tailscale IPv6 origins', () => {
+      expect(isAllowedOrigin('http://[fd7a:115c:a1e0::1]:3000')).toBe(true);
+      expect(isAllowedOrigin('http://[::1]:3000')).toBe(true);
+      expect(isAllowedOrigin('http://[fd7a:115c:a1e1::1]:3000')).toBe(false);
     });
 
-    it('should accept 100.127.255.255 (upper boundary)', () => {
-      expect(isTailscaleIP('100.127.255.255')).toBe(true);
+    it('should not trust MagicDNS names of any tailnet by default', () => {
+      // Security: *.ts.net also covers other tailnets' Funnel pages
+      expect(isAllowedOrigin('https://laptop.tail1234.ts.net')).toBe(false);
+      expect(isAllowedOrigin('https://funnel.other-tailnet.ts.net')).toBe(false);
     });
+  });
+});
+
+describe('Configured Allowlists', () => {
+  let server;
+
+  beforeEach(() => {
+    vi.resetModules();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+    delete process.env.TINYTERMINAL_ALLOWED_ORIGINS;
+    delete process.env.TINYTERMINAL_ALLOWED_NETWORKS;
+    vi.resetModules();
+    vi.restoreAllMocks();
+  });
 
-    it('should accept 100.100.100.100 (middle of range)', () => {
-      expect(isTailscaleIP('100.100.100.100')).toBe(true);
+  it('should replace the defaults with the configured origins and networks', async () => {
+    process.env.TINYTERMINAL_ALLOWED_ORIGINS = 'myhost.lan, *.example.com, 192.168.1.0/24';
+    process.env.TINYTERMINAL_ALLOWED_NETWORKS = '192.168.1.0/24,2001:db8::/32';
+    const { isAllowedOrigin: allowedOrigin, isAllowedClient: allowedClient } = await import('../src/server.js');
+
+    expect(allowedOrigin('http://myhost.lan:3000')).toBe(true);
+    expect(allowedOrigin('https://term.example.com')).toBe(true);
+    expect(allowedOrigin('http://192.168.1.20:3000')).toBe(true);
+    expect(allowedOrigin('http://localhost:3000')).toBe(false);
+    expect(allowedClient('192.168.1.20')).toBe(true);
+    expect(allowedClient('2001:db8:1::5')).toBe(true);
+    expect(allowedClient('100.64.0.1')).toBe(false);
+  });
+
+  it('should match configured MagicDNS names on whole labels only', async () => {
+    process.env.TINYTERMINAL_ALLOWED_ORIGINS = 'localhost, *.tail1234.ts.net';
+    const { isAllowedOrigin: allowedOrigin } = await import('../src/server.js');
+
+    expect(allowedOrigin('https://laptop.tail1234.ts.net')).toBe(true);
+    expect(allowedOrigin('https://tail1234.ts.net')).toBe(false);
+    expect(allowedOrigin('https://laptop.other.ts.net')).toBe(false);
+    expect(allowedOrigin('https://eviltail1234.ts.net')).toBe(false);
+    expect(allowedOrigin('https://laptop.tail1234.ts.net.evil.com')).toBe(false);
+  });
+
+  it('should refuse HTTP requests and WebSockets from other networks', async () => {
+    process.env.TINYTERMINAL_ALLOWED_NETWORKS = '100.64.0.0/10';
+    const { createHttpServer: create, handleConnection: connect } = await import('../src/server.js');
+    server = create();
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    // Test requests come from the loopback address
+    const statusCode = await new Promise((resolve, reject) => {
+      http.get({ hostname: 'localhost', port: server.address().port, path: '/' }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
     });
+    expect(statusCode).toBe(403);
+
+    const ws = { send: vi.fn(), close: vi.fn(), on: vi.fn() };
+    connect(ws, { headers: { origin: 'http://100.64.0.1:3000' }, socket: { remoteAddress: '192.168.1.5' } });
+    expect(ws.close).toHaveBeenCalled();
+    expect(ws.on).not.toHaveBeenCalled();
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('unauthorized address: 192.168.1.5'));
+  });
+
+  it('should refuse invalid entries at startup', async () => {
+    process.env.TINYTERMINAL_ALLOWED_ORIGINS = '*';
+    await expect(import('../src/server.js')).rejects.toThrow('Invalid TINYTERMINAL_ALLOWED_ORIGINS');
+
+    vi.resetModules();
+    delete process.env.TINYTERMINAL_ALLOWED_ORIGINS;
+    process.env.TINYTERMINAL_ALLOWED_NETWORKS = '10.0.0.0/33';
+    await expect(import('../src/server.js')).rejects.toThrow('Invalid TINYTERMINAL_ALLOWED_NETWORKS');
+  });
+});
 
-    it('should reject 100.63.255.255 (below range)', () => {
-      expect(isTailscaleIP('100.63.255.255')).toBe(false);
+describe('Client Network Validation', () => {
+  describe('isAllowedClient', () => {
+    it('should accept the Tailscale CGNAT range boundaries', () => {
+      expect(isAllowedClient('100.64.0.0')).toBe(true);
+      expect(isAllowedClient('100.100.100.100')).toBe(true);
+      expect(isAllowedClient('100.127.255.255')).toBe(true);
     });
 
-    it('should reject 100.128.0.0 (above range)', () => {
-      expect(isTailscaleIP('100.128.0.0')).toBe(false);
+    it('should reject addresses just outside the Tailscale CGNAT range', () => {
+      expect(isAllowedClient('100.63.255.255')).toBe(false);
+      expect(isAllowedClient('100.128.0.0')).toBe(false);
     });
 
-    it('should reject IPv6 address', () => {
-      expect(isTailscaleIP('fd7a:115c:a1e0::1')).toBe(false);
+    it('should accept Tailscale IPv6 and loopback addresses', () => {
+      expect(isAllowedClient('fd7a:115c:a1e0:ab12:4843:cd96:6258:b240')).toBe(true);
+      expect(isAllowedClient('127.0.0.1')).toBe(true);
+      expect(isAllowedClient('::1')).toBe(true);
+      expect(isAllowedClient('::ffff:100.64.0.1')).toBe(true);
     });
 
-    it('should reject non-IP string', () => {
-      expect(isTailscaleIP('localhost')).toBe(false);
+    it('should reject LAN and other IPv6 addresses by default', () => {
+      expect(isAllowedClient('192.168.1.1')).toBe(false);
+      expect(isAllowedClient('fd7a:115c:a1e1::1')).toBe(false);
+      expect(isAllowedClient('::ffff:192.168.1.1')).toBe(false);
     });
 
-    it('should reject incomplete IP', () => {
-      expect(isTailscaleIP('100.64.0')).toBe(false);
+    it('should reject non-IP values', () => {
+      expect(isAllowedClient('localhost')).toBe(false);
+      expect(isAllowedClient('100.64.0')).toBe(false);
+      expect(isAllowedClient(undefined)).toBe(false);
     });
   });
 });
 
+
 describe('Log Sanitization', () => {
   describe('sanitizeLogMessage', () => {
     it('should remove newline characters', () => {
@@ -326,6 +503,8 @@ describe('WebSocket Integration', () => {
       write: vi.fn(),
       resize: vi.fn(),
       kill: vi.fn(),
+      pause: vi.fn(),
+      resume: vi.fn(),
       onData: vi.fn((callback) => {
         ptyDataCallback = callback;
       }),
@@ -341,6 +520,7 @@ describe('WebSocket Integration', () => {
 
   afterEach(() => {
     vi.clearAllMocks();
+    vi.useRealTimers();
   });
 
   it('should forward textarea input to pty.write', async () => {
@@ -485,11 +665,12 @@ describe('WebSocket Integration', () => {
       JSON.stringify({
         type: 'output',
         data: '$ ls\r\nfile1.txt\r\n',
+        seq: 17,
       })
     );
   });
 
-  it('should replace old connection when same IP reconnects', async () => {
+  it('should keep the old connection when the same IP opens another tab', async () => {
     const { handleConnection } = await import('../src/server.js');
 
     const oldWs = {
@@ -515,15 +696,40 @@ describe('WebSocket Integration', () => {
     handleConnection(oldWs, req);
     expect(oldWs.close).not.toHaveBeenCalled();
 
-    // Second connection from same IP
+    // Second tab from same IP
     handleConnection(newWs, req);
 
-    // Old connection should be closed
-    expect(oldWs.close).toHaveBeenCalled();
-    // New connection should not be closed
+    // Both tabs stay connected
+    expect(oldWs.close).not.toHaveBeenCalled();
     expect(newWs.close).not.toHaveBeenCalled();
   });
 
+  it('should close the oldest connection from the same IP when the limit is reached', async () => {
+    const { handleConnection } = await import('../src/server.js');
+
+    const req = {
+      headers: { origin: 'http://localhost:3000' },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    const connections = [];
+    for (let i = 0; i < MAX_CONNECTIONS + 1; i++) {
+      const ws = {
+        send: vi.fn(),
+        close: vi.fn(),
+        on: vi.fn(),
+      };
+      handleConnection(ws, req);
+      connections.push(ws);
+    }
+
+    // The oldest (likely a ghost after a screen lock) makes room for the newest
+    expect(connections[0].close).toHaveBeenCalled();
+    expect(connections[MAX_CONNECTIONS].close).not.toHaveBeenCalled();
+  });
+
   it('should enforce connection limit', async () => {
     const { handleConnection } = await import('../src/server.js');
 
@@ -552,8 +758,10 @@ describe('WebSocket Integration', () => {
     expect(connections[MAX_CONNECTIONS].close).toHaveBeenCalled();
   });
 
-  it('should close PTY on WebSocket disconnect', async () => {
+  it('should keep PTY alive on WebSocket disconnect and kill it after the grace period', async () => {
+    vi.useFakeTimers();
     const { handleConnection } = await import('../src/server.js');
+    const { DEFAULT_SESSION_GRACE } = await import('../src/constants.js');
 
     handleConnection(mockWs, mockReq);
 
@@ -565,819 +773,3659 @@ describe('WebSocket Integration', () => {
     });
     await mockWs._messageHandler(Buffer.from(resizeMessage));
 
-    // Simulate WebSocket close
+    // Simulate WebSocket close (screen lock, network hiccup)
     mockWs._closeHandler();
+    expect(mockPty.kill).not.toHaveBeenCalled();
+
+    // Grace period expires without reattach
+    vi.advanceTimersByTime(DEFAULT_SESSION_GRACE);
+    expect(mockPty.kill).toHaveBeenCalledTimes(1);
 
-    expect(mockPty.kill).toHaveBeenCalled();
+    vi.useRealTimers();
   });
 
-  it('should send error message on unknown message type', async () => {
+  it('should kill PTY immediately on disconnect when TINYTERMINAL_SESSION_GRACE is 0', async () => {
+    process.env.TINYTERMINAL_SESSION_GRACE = '0';
+
+    vi.resetModules();
     const { handleConnection } = await import('../src/server.js');
 
     handleConnection(mockWs, mockReq);
+    await mockWs._messageHandler(
+      Buffer.from(JSON.stringify({ type: 'resize', cols: 80, rows: 24 }))
+    );
 
-    // Simulate WebSocket message with unknown type
-    const unknownMessage = JSON.stringify({
-      type: 'unknown',
-      data: 'test',
-    });
+    mockWs._closeHandler();
 
-    await mockWs._messageHandler(Buffer.from(unknownMessage));
+    expect(mockPty.kill).toHaveBeenCalledTimes(1);
 
-    expect(mockWs.send).toHaveBeenCalledWith(
-      JSON.stringify({
-        type: 'error',
-        message: 'Failed to process request',
-      })
-    );
+    delete process.env.TINYTERMINAL_SESSION_GRACE;
   });
 
-  it('should send error message on invalid JSON', async () => {
-    const { handleConnection } = await import('../src/server.js');
-
-    handleConnection(mockWs, mockReq);
+  describe('Named sessions', () => {
+    const createWs = () => {
+      const ws = {
+        send: vi.fn(),
+        close: vi.fn(),
+        terminate: vi.fn(),
+        ping: vi.fn(),
+        on: vi.fn((event, callback) => {
+          if (event === 'message') ws._messageHandler = callback;
+          if (event === 'close') ws._closeHandler = callback;
+        }),
+      };
+      return ws;
+    };
 
-    // Simulate WebSocket message with invalid JSON
-    await mockWs._messageHandler(Buffer.from('not valid json'));
+    const sendMessage = (ws, message) =>
+      ws._messageHandler(Buffer.from(JSON.stringify(message)));
 
-    expect(mockWs.send).toHaveBeenCalledWith(
-      JSON.stringify({
-        type: 'error',
-        message: 'Failed to process request',
-      })
-    );
-  });
+    const sentMessages = (ws) => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
 
-  it('should log WebSocket error', async () => {
-    const { handleConnection } = await import('../src/server.js');
+    const lastSessionList = (ws) =>
+      sentMessages(ws).filter((m) => m.type === 'sessions').pop().sessions;
 
-    handleConnection(mockWs, mockReq);
+    it('should send the session list after connecting', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-    // Simulate WebSocket error
-    const testError = new Error('Connection lost');
-    mockWs._errorHandler(testError);
+      handleConnection(mockWs, mockReq);
 
-    // Error handler should be called (log is called internally, no direct assertion here)
-    expect(mockWs._errorHandler).toBeDefined();
-  });
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'sessions', sessions: [] });
+    });
 
-  it('should handle PTY exit event', async () => {
-    const { handleConnection } = await import('../src/server.js');
+    it('should name the first session shell-1', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-    handleConnection(mockWs, mockReq);
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
 
-    // Send resize to initialize PTY
-    const resizeMessage = JSON.stringify({
-      type: 'resize',
-      cols: 80,
-      rows: 24,
+      const sessionMessage = sentMessages(mockWs).find((m) => m.type === 'session');
+      expect(sessionMessage.name).toBe('shell-1');
+      expect(lastSessionList(mockWs)).toEqual([
+        expect.objectContaining({ id: sessionMessage.sessionId, name: 'shell-1', attached: true }),
+      ]);
     });
-    await mockWs._messageHandler(Buffer.from(resizeMessage));
 
-    // Now ptyExitCallback should be defined
-    expect(ptyExitCallback).toBeDefined();
+    it('should create an additional named session and keep the first one running', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const pty = await import('node-pty');
 
-    // Simulate PTY exit
-    ptyExitCallback({ exitCode: 0, signal: null });
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      await sendMessage(mockWs, { type: 'create', name: 'logs', cols: 100, rows: 30 });
+
+      expect(pty.default.spawn).toHaveBeenCalledTimes(2);
+      expect(pty.default.spawn).toHaveBeenLastCalledWith(
+        expect.any(String),
+        [],
+        expect.objectContaining({ cols: 100, rows: 30 })
+      );
+      expect(mockPty.kill).not.toHaveBeenCalled();
 
-    expect(mockWs.send).toHaveBeenCalledWith(
-      JSON.stringify({
-        type: 'exit',
-        code: 0,
-      })
-    );
-  });
+      const list = lastSessionList(mockWs);
+      expect(list.map((s) => s.name)).toEqual(['shell-1', 'logs']);
+      // The first session is detached but still alive
+      expect(list[0].attached).toBe(false);
+      expect(list[1].attached).toBe(true);
+    });
 
-  it('should handle error when sending PTY output to closed WebSocket', async () => {
-    const { handleConnection } = await import('../src/server.js');
+    it('should reject invalid session names', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const pty = await import('node-pty');
 
-    handleConnection(mockWs, mockReq);
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'create', name: 'bad\x1bname', cols: 80, rows: 24 });
 
-    // Send resize to initialize PTY
-    const resizeMessage = JSON.stringify({
-      type: 'resize',
-      cols: 80,
-      rows: 24,
+      expect(pty.default.spawn).not.toHaveBeenCalled();
+      expect(sentMessages(mockWs)).toContainEqual({
+        type: 'error',
+        message: 'Failed to process request',
+      });
     });
-    await mockWs._messageHandler(Buffer.from(resizeMessage));
 
-    // Now ptyDataCallback should be defined
-    expect(ptyDataCallback).toBeDefined();
+    it('should refuse to create more than MAX_SESSIONS sessions', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const { MAX_SESSIONS } = await import('../src/constants.js');
+      const pty = await import('node-pty');
 
-    // After connection is established, mock ws.send to throw error
-    mockWs.send.mockImplementation(() => {
-      throw new Error('WebSocket is not open');
-    });
+      handleConnection(mockWs, mockReq);
+      for (let i = 0; i < MAX_SESSIONS + 1; i++) {
+        await sendMessage(mockWs, { type: 'create', cols: 80, rows: 24 });
+      }
 
-    // Simulate PTY output when WebSocket is closed
-    ptyDataCallback('some output');
+      expect(pty.default.spawn).toHaveBeenCalledTimes(MAX_SESSIONS);
+      expect(sentMessages(mockWs)).toContainEqual({
+        type: 'error',
+        message: 'Session limit reached',
+      });
+    });
 
-    // The error should be caught and logged (no crash)
-    // We can't directly assert log output, but we verify no exception was thrown
-    expect(mockWs.send).toHaveBeenCalled();
-  });
+    it('should rename a session and broadcast the new list to other tabs', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-  it('should reject connection from unauthorized origin', async () => {
-    const { handleConnection } = await import('../src/server.js');
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = sentMessages(mockWs).find((m) => m.type === 'session');
 
-    const unauthorizedReq = {
-      headers: {
-        origin: 'http://evil.com',
-      },
-      socket: {
-        remoteAddress: '100.64.0.1',
-      },
-    };
+      const otherWs = createWs();
+      handleConnection(otherWs, mockReq);
 
-    handleConnection(mockWs, unauthorizedReq);
+      await sendMessage(mockWs, { type: 'rename', sessionId, name: '  claude  ' });
 
-    expect(mockWs.close).toHaveBeenCalled();
-    expect(mockWs.send).not.toHaveBeenCalled();
-  });
+      expect(lastSessionList(otherWs)[0].name).toBe('claude');
+    });
 
-  it('should accept connection without token when TINYTERMINAL_TOKEN is not set', async () => {
-    delete process.env.TINYTERMINAL_TOKEN;
+    it('should report an error when renaming an unknown session', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-    vi.resetModules();
-    const { handleConnection } = await import('../src/server.js');
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'rename', sessionId: 'missing', name: 'x' });
 
-    const req = {
-      headers: {
-        origin: 'http://localhost:3000',
-      },
-      socket: {
-        remoteAddress: '100.64.0.1',
-      },
-    };
+      expect(sentMessages(mockWs)).toContainEqual({
+        type: 'error',
+        message: 'Failed to process request',
+      });
+    });
 
-    handleConnection(mockWs, req);
+    it('should kill a session and notify the connection attached to it', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-    expect(mockWs.close).not.toHaveBeenCalled();
-    expect(mockWs.send).toHaveBeenCalled(); // 接続成功メッセージ（認証不要の場合）
-  });
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = sentMessages(mockWs).find((m) => m.type === 'session');
 
-  it('should ignore auth message when TINYTERMINAL_TOKEN is not set', async () => {
-    delete process.env.TINYTERMINAL_TOKEN;
+      // Killed from another tab
+      const otherWs = createWs();
+      handleConnection(otherWs, mockReq);
+      await sendMessage(otherWs, { type: 'kill', sessionId });
 
-    vi.resetModules();
-    const { handleConnection } = await import('../src/server.js');
+      expect(mockPty.kill).toHaveBeenCalledTimes(1);
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'exit', code: null });
+      expect(lastSessionList(otherWs)).toEqual([]);
+    });
 
-    const req = {
-      headers: {
-        origin: 'http://localhost:3000',
-      },
-      socket: {
-        remoteAddress: '100.64.0.1',
-      },
-    };
+    it('should switch this connection between sessions with attach', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-    handleConnection(mockWs, req);
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const first = sentMessages(mockWs).find((m) => m.type === 'session').sessionId;
+      ptyDataCallback('first output');
 
-    mockWs.send.mockClear();
+      await sendMessage(mockWs, { type: 'create', cols: 80, rows: 24 });
+      await sendMessage(mockWs, { type: 'attach', sessionId: first, seq: 0 });
 
-    // 認証不要なのにauthメッセージを送る（無視される）
-    const authMessage = JSON.stringify({
-      type: 'auth',
-      token: 'some-token',
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'attached', sessionId: first });
+      expect(sentMessages(mockWs)).toContainEqual(
+        expect.objectContaining({ type: 'replay', data: 'first output' })
+      );
+      const list = lastSessionList(mockWs);
+      expect(list.find((s) => s.id === first).attached).toBe(true);
+      expect(list.filter((s) => s.attached)).toHaveLength(1);
     });
 
-    await mockWs._messageHandler(Buffer.from(authMessage));
+    it('should mark the session detached in the list when the connection closes', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-    // 何も送信されない
-    expect(mockWs.send).not.toHaveBeenCalled();
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+
+      const otherWs = createWs();
+      handleConnection(otherWs, mockReq);
+      mockWs._closeHandler();
+
+      expect(lastSessionList(otherWs)[0].attached).toBe(false);
+    });
   });
 
-  it('should accept connection with valid token via WebSocket message when TINYTERMINAL_TOKEN is set', async () => {
-    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+  describe('Spectators', () => {
+    const createWs = () => {
+      const ws = {
+        send: vi.fn(),
+        close: vi.fn(),
+        terminate: vi.fn(),
+        ping: vi.fn(),
+        on: vi.fn((event, callback) => {
+          if (event === 'message') ws._messageHandler = callback;
+          if (event === 'close') ws._closeHandler = callback;
+        }),
+      };
+      return ws;
+    };
 
-    vi.resetModules();
-    const { handleConnection } = await import('../src/server.js');
+    const sendMessage = (ws, message) =>
+      ws._messageHandler(Buffer.from(JSON.stringify(message)));
 
-    const req = {
-      headers: {
-        origin: 'http://localhost:3000',
-      },
-      socket: {
-        remoteAddress: '100.64.0.1',
-      },
+    const sentMessages = (ws) => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+
+    const lastSessionList = (ws) =>
+      sentMessages(ws).filter((m) => m.type === 'sessions').pop().sessions;
+
+    // Owner (mockWs) spawns a session, spectator watches it
+    const setupWatchedSession = async (handleConnection) => {
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = sentMessages(mockWs).find((m) => m.type === 'session');
+      ptyDataCallback('before watch');
+
+      const spectatorWs = createWs();
+      handleConnection(spectatorWs, { ...mockReq, socket: { remoteAddress: '100.64.0.2' } });
+      await sendMessage(spectatorWs, { type: 'watch', sessionId, seq: 0 });
+      return { sessionId, spectatorWs };
     };
 
-    handleConnection(mockWs, req);
+    it('should tell the spectator the owner size and replay the buffer', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-    // 接続直後は認証前なので、接続成功メッセージは送られない
-    expect(mockWs.send).not.toHaveBeenCalled();
+      const { sessionId, spectatorWs } = await setupWatchedSession(handleConnection);
 
-    // 認証メッセージを送信
-    const authMessage = JSON.stringify({
-      type: 'auth',
-      token: 'test-secret-token',
+      expect(sentMessages(spectatorWs)).toContainEqual({
+        type: 'watching',
+        sessionId,
+        cols: 80,
+        rows: 24,
+      });
+      expect(sentMessages(spectatorWs)).toContainEqual(
+        expect.objectContaining({ type: 'replay', data: 'before watch' })
+      );
     });
 
-    await mockWs._messageHandler(Buffer.from(authMessage));
+    it('should send one exit per connection when a watched session is killed', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-    // 認証成功メッセージが送られる
-    expect(mockWs.send).toHaveBeenCalledWith(
-      JSON.stringify({
-        type: 'connected',
-        message: 'Authentication successful',
-      })
-    );
-    expect(mockWs.close).not.toHaveBeenCalled();
+      const { sessionId, spectatorWs } = await setupWatchedSession(handleConnection);
+      await sendMessage(mockWs, { type: 'kill', sessionId });
+      // node-pty reports the killed process afterwards
+      ptyExitCallback({ exitCode: 0, signal: 1 });
 
-    delete process.env.TINYTERMINAL_TOKEN;
-  });
+      const exits = (ws) => sentMessages(ws).filter((m) => m.type === 'exit');
+      expect(exits(mockWs)).toEqual([{ type: 'exit', code: null }]);
+      expect(exits(spectatorWs)).toEqual([{ type: 'exit', code: null }]);
+    });
 
-  it('should reject connection with invalid token via WebSocket message when TINYTERMINAL_TOKEN is set', async () => {
-    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+    it('should forward live output to both owner and spectator', async () => {
+      vi.useFakeTimers();
+      const { handleConnection } = await import('../src/server.js');
 
-    vi.resetModules();
-    const { handleConnection } = await import('../src/server.js');
+      const { spectatorWs } = await setupWatchedSession(handleConnection);
+      ptyDataCallback('live');
+      // Output right after 'before watch' waits for the batch window
+      vi.advanceTimersByTime(OUTPUT_BATCH_MAX_DELAY);
 
-    const req = {
-      headers: {
-        origin: 'http://localhost:3000',
-      },
-      socket: {
-        remoteAddress: '100.64.0.1',
-      },
-    };
+      const output = { type: 'output', data: 'live', seq: 16 };
+      expect(sentMessages(mockWs)).toContainEqual(output);
+      expect(sentMessages(spectatorWs)).toContainEqual(output);
+    });
 
-    handleConnection(mockWs, req);
+    it('should reject input from a spectator', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-    // 無効なトークンで認証メッセージを送信
-    const authMessage = JSON.stringify({
-      type: 'auth',
-      token: 'wrong-token',
+      const { spectatorWs } = await setupWatchedSession(handleConnection);
+      await sendMessage(spectatorWs, { type: 'input', data: 'rm -rf ~\r' });
+
+      expect(mockPty.write).not.toHaveBeenCalled();
+      expect(sentMessages(spectatorWs)).toContainEqual({
+        type: 'error',
+        message: 'Failed to process request',
+      });
     });
 
-    await mockWs._messageHandler(Buffer.from(authMessage));
+    it('should reject resize from a spectator and keep the owner size', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const pty = await import('node-pty');
 
-    // 接続が切断される
-    expect(mockWs.close).toHaveBeenCalledWith(4001, 'Unauthorized');
+      const { spectatorWs } = await setupWatchedSession(handleConnection);
+      await sendMessage(spectatorWs, { type: 'resize', cols: 200, rows: 60 });
 
-    delete process.env.TINYTERMINAL_TOKEN;
+      expect(mockPty.resize).not.toHaveBeenCalled();
+      // Must not spawn a shell for the spectator either
+      expect(pty.default.spawn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should push owner resizes to spectators', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      const { spectatorWs } = await setupWatchedSession(handleConnection);
+      await sendMessage(mockWs, { type: 'resize', cols: 120, rows: 40 });
+
+      expect(mockPty.resize).toHaveBeenCalledWith(120, 40);
+      expect(sentMessages(spectatorWs)).toContainEqual({ type: 'size', cols: 120, rows: 40 });
+    });
+
+    it('should report the viewer count in the session list', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      const { spectatorWs } = await setupWatchedSession(handleConnection);
+      expect(lastSessionList(mockWs)[0].viewers).toBe(1);
+
+      spectatorWs._closeHandler();
+      expect(lastSessionList(mockWs)[0].viewers).toBe(0);
+    });
+
+    it('should not take the session away from the owner', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      await setupWatchedSession(handleConnection);
+      await sendMessage(mockWs, { type: 'input', data: 'ls\r' });
+
+      expect(mockPty.write).toHaveBeenCalledWith('ls\r');
+      expect(sentMessages(mockWs)).not.toContainEqual({ type: 'detached' });
+      expect(lastSessionList(mockWs)[0].attached).toBe(true);
+    });
+
+    it('should notify spectators when the shell exits', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      const { spectatorWs } = await setupWatchedSession(handleConnection);
+      ptyExitCallback({ exitCode: 0, signal: 0 });
+
+      expect(sentMessages(spectatorWs)).toContainEqual({ type: 'exit', code: 0 });
+    });
+
+    it('should notify spectators when the session expires after the owner left', async () => {
+      vi.useFakeTimers();
+      const { handleConnection } = await import('../src/server.js');
+      const { DEFAULT_SESSION_GRACE } = await import('../src/constants.js');
+
+      const { spectatorWs } = await setupWatchedSession(handleConnection);
+      mockWs._closeHandler();
+      vi.advanceTimersByTime(DEFAULT_SESSION_GRACE);
+
+      expect(mockPty.kill).toHaveBeenCalledTimes(1);
+      expect(sentMessages(spectatorWs)).toContainEqual({ type: 'exit', code: null });
+      expect(lastSessionList(spectatorWs)).toEqual([]);
+      vi.useRealTimers();
+    });
+
+    it('should let a spectator take control with attach', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      const { sessionId, spectatorWs } = await setupWatchedSession(handleConnection);
+      await sendMessage(spectatorWs, { type: 'attach', sessionId, seq: 12 });
+      await sendMessage(spectatorWs, { type: 'input', data: 'whoami\r' });
+
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'detached' });
+      expect(mockPty.write).toHaveBeenCalledWith('whoami\r');
+      expect(lastSessionList(spectatorWs)[0].viewers).toBe(0);
+    });
+
+    it('should report an error when watching an unknown session', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'watch', sessionId: 'missing', seq: 0 });
+
+      expect(sentMessages(mockWs)).toContainEqual({
+        type: 'error',
+        message: 'Failed to process request',
+      });
+    });
   });
 
-  it('should timeout and close connection if authentication not provided within 5 seconds', async () => {
-    vi.useFakeTimers();
+  describe('Multi-writer sessions', () => {
+    const createWs = () => {
+      const ws = {
+        send: vi.fn(),
+        close: vi.fn(),
+        terminate: vi.fn(),
+        ping: vi.fn(),
+        on: vi.fn((event, callback) => {
+          if (event === 'message') ws._messageHandler = callback;
+          if (event === 'close') ws._closeHandler = callback;
+        }),
+      };
+      return ws;
+    };
 
-    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+    const sendMessage = (ws, message) =>
+      ws._messageHandler(Buffer.from(JSON.stringify(message)));
 
-    vi.resetModules();
-    const { handleConnection } = await import('../src/server.js');
+    const sentMessages = (ws) => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
 
-    const req = {
-      headers: {
-        origin: 'http://localhost:3000',
-      },
-      socket: {
-        remoteAddress: '100.64.0.1',
-      },
+    const lastSessionList = (ws) =>
+      sentMessages(ws).filter((m) => m.type === 'sessions').pop().sessions;
+
+    // Owner (mockWs, 100x30) spawns a session, writer (from another device) joins it
+    const setupSharedSession = async (handleConnection) => {
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 100, rows: 30 });
+      const { sessionId } = sentMessages(mockWs).find((m) => m.type === 'session');
+
+      const writerWs = createWs();
+      handleConnection(writerWs, { ...mockReq, socket: { remoteAddress: '100.64.0.2' } });
+      await sendMessage(writerWs, { type: 'join', sessionId, seq: 0 });
+      return { sessionId, writerWs };
     };
 
-    handleConnection(mockWs, req);
+    afterEach(() => {
+      delete process.env.TINYTERMINAL_RESIZE_POLICY;
+      vi.useRealTimers();
+    });
 
-    // 5秒経過させる
-    vi.advanceTimersByTime(5000);
+    it('should accept input from both the owner and a writer', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-    // タイムアウトで接続が切断される
-    expect(mockWs.close).toHaveBeenCalledWith(4001, 'Authentication timeout');
+      const { sessionId, writerWs } = await setupSharedSession(handleConnection);
+      await sendMessage(mockWs, { type: 'input', data: 'a' });
+      await sendMessage(writerWs, { type: 'input', data: 'b' });
+
+      expect(sentMessages(writerWs)).toContainEqual({
+        type: 'joined',
+        sessionId,
+        cols: 100,
+        rows: 30,
+      });
+      expect(mockPty.write).toHaveBeenCalledWith('a');
+      expect(mockPty.write).toHaveBeenCalledWith('b');
+      // Joining is not a takeover
+      expect(sentMessages(mockWs)).not.toContainEqual({ type: 'detached' });
+      expect(lastSessionList(mockWs)[0]).toEqual(
+        expect.objectContaining({ attached: true, writers: 1 })
+      );
+    });
 
-    delete process.env.TINYTERMINAL_TOKEN;
-    vi.useRealTimers();
+    it('should forward output to every writer', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      const { writerWs } = await setupSharedSession(handleConnection);
+      ptyDataCallback('shared');
+
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'output', data: 'shared', seq: 6 });
+      expect(sentMessages(writerWs)).toContainEqual({ type: 'output', data: 'shared', seq: 6 });
+    });
+
+    it('should broadcast who is typing to the other clients, throttled', async () => {
+      vi.useFakeTimers();
+      const { handleConnection } = await import('../src/server.js');
+      const { TYPING_BROADCAST_INTERVAL } = await import('../src/constants.js');
+
+      const { writerWs } = await setupSharedSession(handleConnection);
+      await sendMessage(writerWs, { type: 'input', data: 'l' });
+      await sendMessage(writerWs, { type: 'input', data: 's' });
+
+      const typing = (ws) => sentMessages(ws).filter((m) => m.type === 'typing');
+      expect(typing(mockWs)).toEqual([{ type: 'typing', who: '100.64.0.2' }]);
+      expect(typing(writerWs)).toEqual([]);
+
+      vi.advanceTimersByTime(TYPING_BROADCAST_INTERVAL);
+      await sendMessage(writerWs, { type: 'input', data: '\r' });
+      expect(typing(mockWs)).toHaveLength(2);
+    });
+
+    it('should not broadcast typing for an unshared session', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      await sendMessage(mockWs, { type: 'input', data: 'ls\r' });
+
+      expect(sentMessages(mockWs).filter((m) => m.type === 'typing')).toEqual([]);
+    });
+
+    it('should resize to the smallest writer by default and tell the larger screen', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      const { writerWs } = await setupSharedSession(handleConnection);
+      await sendMessage(writerWs, { type: 'resize', cols: 60, rows: 40 });
+
+      expect(mockPty.resize).toHaveBeenLastCalledWith(60, 30);
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'size', cols: 60, rows: 30 });
+      expect(sentMessages(writerWs)).toContainEqual({ type: 'size', cols: 60, rows: 30 });
+    });
+
+    it('should grow back when the smallest writer leaves', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      const { writerWs } = await setupSharedSession(handleConnection);
+      await sendMessage(writerWs, { type: 'resize', cols: 60, rows: 40 });
+      writerWs._closeHandler();
+
+      expect(mockPty.resize).toHaveBeenLastCalledWith(100, 30);
+      expect(lastSessionList(mockWs)[0].writers).toBe(0);
+    });
+
+    it("should keep the owner's size with the owner policy", async () => {
+      process.env.TINYTERMINAL_RESIZE_POLICY = 'owner';
+      const { handleConnection } = await import('../src/server.js');
+
+      const { writerWs } = await setupSharedSession(handleConnection);
+      await sendMessage(writerWs, { type: 'resize', cols: 60, rows: 40 });
+
+      expect(mockPty.resize).not.toHaveBeenCalled();
+      // The writer is told its request lost
+      expect(sentMessages(writerWs)).toContainEqual({ type: 'size', cols: 100, rows: 30 });
+    });
+
+    it('should follow the most recent resize with the latest policy', async () => {
+      process.env.TINYTERMINAL_RESIZE_POLICY = 'latest';
+      const { handleConnection } = await import('../src/server.js');
+
+      const { writerWs } = await setupSharedSession(handleConnection);
+      await sendMessage(writerWs, { type: 'resize', cols: 150, rows: 50 });
+
+      expect(mockPty.resize).toHaveBeenLastCalledWith(150, 50);
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'size', cols: 150, rows: 50 });
+    });
+
+    it('should keep the session running for writers after the owner disconnects', async () => {
+      vi.useFakeTimers();
+      const { handleConnection } = await import('../src/server.js');
+      const { DEFAULT_SESSION_GRACE } = await import('../src/constants.js');
+
+      const { writerWs } = await setupSharedSession(handleConnection);
+      mockWs._closeHandler();
+      vi.advanceTimersByTime(DEFAULT_SESSION_GRACE);
+      await sendMessage(writerWs, { type: 'input', data: 'still here' });
+
+      expect(mockPty.kill).not.toHaveBeenCalled();
+      expect(mockPty.write).toHaveBeenCalledWith('still here');
+    });
+
+    it('should allow more than two devices to share a session', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      const { sessionId } = await setupSharedSession(handleConnection);
+      const thirdWs = createWs();
+      handleConnection(thirdWs, { ...mockReq, socket: { remoteAddress: '100.64.0.3' } });
+      await sendMessage(thirdWs, { type: 'join', sessionId, seq: 0 });
+
+      expect(thirdWs.close).not.toHaveBeenCalled();
+      expect(lastSessionList(thirdWs)[0].writers).toBe(2);
+    });
   });
 
-  it('should ignore auth message if already authenticated', async () => {
-    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+  describe('Session recording', () => {
+    let recordDir;
 
-    vi.resetModules();
-    const { handleConnection } = await import('../src/server.js');
+    const sendMessage = (ws, message) =>
+      ws._messageHandler(Buffer.from(JSON.stringify(message)));
 
-    const req = {
-      headers: {
-        origin: 'http://localhost:3000',
-      },
-      socket: {
-        remoteAddress: '100.64.0.1',
-      },
-    };
+    const readCasts = () =>
+      fs.readdirSync(recordDir).map((file) =>
+        fs
+          .readFileSync(path.join(recordDir, file), 'utf-8')
+          .trim()
+          .split('\n')
+          .map((line) => JSON.parse(line))
+      );
 
-    handleConnection(mockWs, req);
+    beforeEach(() => {
+      recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-server-rec-'));
+    });
 
-    // 最初の認証メッセージ
-    const authMessage1 = JSON.stringify({
-      type: 'auth',
-      token: 'test-secret-token',
+    afterEach(() => {
+      delete process.env.TINYTERMINAL_RECORD_DIR;
+      fs.rmSync(recordDir, { recursive: true, force: true });
+      // Drop a server module that failed to load
+      vi.resetModules();
     });
 
-    await mockWs._messageHandler(Buffer.from(authMessage1));
+    it('should not record unless TINYTERMINAL_RECORD_DIR is set', async () => {
+      const { handleConnection } = await import('../src/server.js');
 
-    // 認証成功メッセージが送られる
-    expect(mockWs.send).toHaveBeenCalledWith(
-      JSON.stringify({
-        type: 'connected',
-        message: 'Authentication successful',
-      })
-    );
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      ptyDataCallback('secret');
 
-    mockWs.send.mockClear();
+      expect(fs.readdirSync(recordDir)).toEqual([]);
+    });
 
-    // 2回目の認証メッセージ（既に認証済みなので無視される）
-    const authMessage2 = JSON.stringify({
-      type: 'auth',
-      token: 'test-secret-token',
+    it('should record output and resizes until the shell exits', async () => {
+      process.env.TINYTERMINAL_RECORD_DIR = recordDir;
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      ptyDataCallback('$ ls\r\n');
+      await sendMessage(mockWs, { type: 'resize', cols: 100, rows: 30 });
+      ptyExitCallback({ exitCode: 0, signal: 0 });
+      // Let the recorder flush
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      const [cast] = readCasts();
+      const [header, ...events] = cast;
+      expect(header).toEqual(
+        expect.objectContaining({ version: 2, width: 80, height: 24, title: 'shell-1' })
+      );
+      expect(events.map(([, code, data]) => [code, data])).toEqual([
+        ['o', '$ ls\r\n'],
+        ['r', '100x30'],
+      ]);
+    });
+
+    it('should reject a relative recording directory at startup', async () => {
+      process.env.TINYTERMINAL_RECORD_DIR = 'recordings';
+
+      await expect(import('../src/server.js')).rejects.toThrow('Invalid TINYTERMINAL_RECORD_DIR');
     });
+  });
+
+  describe('Audit log', () => {
+    let auditDir;
+    let auditFile;
+
+    const sendMessage = (ws, message) =>
+      ws._messageHandler(Buffer.from(JSON.stringify(message)));
+
+    const readAudit = () =>
+      fs
+        .readFileSync(auditFile, 'utf-8')
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-server-audit-'));
+      auditFile = path.join(auditDir, 'audit.jsonl');
+    });
+
+    afterEach(() => {
+      delete process.env.TINYTERMINAL_AUDIT_LOG;
+      delete process.env.TINYTERMINAL_AUDIT_CHAIN;
+      delete process.env.TINYTERMINAL_AUDIT_INPUT;
+      delete process.env.TINYTERMINAL_AUDIT_INPUT_REDACT;
+      fs.rmSync(auditDir, { recursive: true, force: true });
+      vi.resetModules();
+      vi.restoreAllMocks();
+    });
+
+    it('should record a connection and its session from connect to disconnect', async () => {
+      process.env.TINYTERMINAL_AUDIT_LOG = auditFile;
+      process.env.TINYTERMINAL_AUDIT_CHAIN = '1';
+      const { handleConnection } = await import('../src/server.js');
+      const { verifyAuditLog } = await import('../src/audit.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      await sendMessage(mockWs, { type: 'resize', cols: 100, rows: 30 });
+      const { sessionId } = mockWs.send.mock.calls
+        .map(([raw]) => JSON.parse(raw))
+        .find((message) => message.type === 'session');
+      await sendMessage(mockWs, { type: 'kill', sessionId });
+      mockWs._closeHandler();
+
+      const records = readAudit();
+      expect(records.map((record) => record.event)).toEqual([
+        'connect',
+        'auth',
+        'session_create',
+        'resize',
+        'session_kill',
+        'disconnect',
+      ]);
+      // Every record of the connection carries the same ID, address and origin
+      expect(new Set(records.map((record) => record.conn)).size).toBe(1);
+      expect(records[0]).toMatchObject({ ip: '100.64.0.1', origin: 'http://localhost:3000', user: null });
+      expect(records[1]).toMatchObject({ method: 'none' });
+      expect(records[2]).toMatchObject({ session: sessionId, name: 'shell-1', cols: 80, rows: 24 });
+      expect(records[3]).toMatchObject({ session: sessionId, cols: 100, rows: 30 });
+      expect(verifyAuditLog(auditFile)).toMatchObject({ valid: true, records: 6 });
+    });
+
+    it('should record rejected connections and sessions that end on their own', async () => {
+      process.env.TINYTERMINAL_AUDIT_LOG = auditFile;
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, { ...mockReq, headers: { origin: 'https://evil.example' } });
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      ptyExitCallback({ exitCode: 0, signal: undefined });
+
+      const records = readAudit();
+      expect(records[0]).toMatchObject({ event: 'connect_rejected', reason: 'origin', origin: 'https://evil.example' });
+      expect(records.at(-1)).toMatchObject({ event: 'session_end', reason: 'exit', code: 0, signal: null });
+      expect(records[0]).not.toHaveProperty('hash');
+    });
+
+    it('should record one session end for killed and idle-killed sessions', async () => {
+      vi.useFakeTimers();
+      process.env.TINYTERMINAL_AUDIT_LOG = auditFile;
+      process.env.TINYTERMINAL_IDLE_KILL = '60';
+      try {
+        const { handleConnection } = await import('../src/server.js');
+        const ends = () => readAudit().filter((record) => record.event === 'session_end');
+
+        handleConnection(mockWs, mockReq);
+        await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+        const { sessionId } = mockWs.send.mock.calls
+          .map(([raw]) => JSON.parse(raw))
+          .find((message) => message.type === 'session');
+        await sendMessage(mockWs, { type: 'kill', sessionId });
+        // node-pty reports the killed process afterwards
+        ptyExitCallback({ exitCode: 0, signal: 1 });
+        expect(readAudit().filter((record) => record.event === 'session_kill')).toHaveLength(1);
+        expect(ends()).toEqual([]);
+
+        await sendMessage(mockWs, { type: 'create', cols: 80, rows: 24 });
+        vi.advanceTimersByTime(60000);
+        ptyExitCallback({ exitCode: 0, signal: 1 });
+        expect(ends()).toEqual([expect.objectContaining({ reason: 'idle' })]);
+      } finally {
+        delete process.env.TINYTERMINAL_IDLE_KILL;
+      }
+    });
+
+    it('should record typed lines only with TINYTERMINAL_AUDIT_INPUT', async () => {
+      process.env.TINYTERMINAL_AUDIT_LOG = auditFile;
+      process.env.TINYTERMINAL_AUDIT_INPUT = '1';
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      for (const key of 'whoami') {
+        await sendMessage(mockWs, { type: 'input', data: key });
+        ptyDataCallback(key);
+      }
+      await sendMessage(mockWs, { type: 'input', data: '\r' });
+      ptyDataCallback('\r\nalice\r\nPassword: ');
+      await sendMessage(mockWs, { type: 'input', data: 'hunter2' });
+      await sendMessage(mockWs, { type: 'input', data: '\r' });
+
+      const session = readAudit().find((record) => record.event === 'session_create').session;
+      const inputs = readAudit().filter((record) => record.event === 'input');
+      expect(inputs).toEqual([
+        expect.objectContaining({ session, ip: '100.64.0.1', line: 'whoami' }),
+        expect.objectContaining({ session, line: null, redacted: true }),
+      ]);
+      expect(fs.readFileSync(auditFile, 'utf-8')).not.toContain('hunter2');
+    });
+
+    it('should reject input auditing without an audit log', async () => {
+      process.env.TINYTERMINAL_AUDIT_INPUT = '1';
+      await expect(import('../src/server.js')).rejects.toThrow('requires TINYTERMINAL_AUDIT_LOG');
+
+      vi.resetModules();
+      process.env.TINYTERMINAL_AUDIT_LOG = auditFile;
+      process.env.TINYTERMINAL_AUDIT_INPUT = '0';
+      process.env.TINYTERMINAL_AUDIT_INPUT_REDACT = 'none';
+      await expect(import('../src/server.js')).rejects.toThrow('requires TINYTERMINAL_AUDIT_INPUT=1');
+    });
+
+    it('should reject a chain without a log and a relative log path at startup', async () => {
+      process.env.TINYTERMINAL_AUDIT_CHAIN = '1';
+      await expect(import('../src/server.js')).rejects.toThrow('requires TINYTERMINAL_AUDIT_LOG');
+
+      vi.resetModules();
+      process.env.TINYTERMINAL_AUDIT_LOG = 'audit.jsonl';
+      await expect(import('../src/server.js')).rejects.toThrow('Invalid TINYTERMINAL_AUDIT_LOG');
+    });
+  });
+
+  describe('Idle timeouts', () => {
+    const createWs = () => {
+      const ws = {
+        send: vi.fn(),
+        close: vi.fn(),
+        terminate: vi.fn(),
+        ping: vi.fn(),
+        on: vi.fn((event, callback) => {
+          if (event === 'message') ws._messageHandler = callback;
+          if (event === 'close') ws._closeHandler = callback;
+        }),
+      };
+      return ws;
+    };
+
+    const sendMessage = (ws, message) =>
+      ws._messageHandler(Buffer.from(JSON.stringify(message)));
+
+    const sentMessages = (ws) => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+
+    // Authenticated owner with a running shell
+    const connect = async (handleConnection, ws = mockWs) => {
+      handleConnection(ws, mockReq);
+      await sendMessage(ws, { type: 'auth', token: 'test-secret-token' });
+      await sendMessage(ws, { type: 'resize', cols: 80, rows: 24 });
+    };
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      delete process.env.TINYTERMINAL_TOKEN;
+      delete process.env.TINYTERMINAL_IDLE_LOCK;
+      delete process.env.TINYTERMINAL_IDLE_KILL;
+      vi.resetModules();
+    });
+
+    it('should neither lock nor kill by default', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      await connect(handleConnection);
+
+      vi.advanceTimersByTime(86400000);
+
+      expect(sentMessages(mockWs).map((m) => m.type)).not.toContain('locked');
+      expect(mockPty.kill).not.toHaveBeenCalled();
+    });
+
+    it('should warn, then lock an idle connection', async () => {
+      process.env.TINYTERMINAL_IDLE_LOCK = '300';
+      const { handleConnection } = await import('../src/server.js');
+      await connect(handleConnection);
+
+      vi.advanceTimersByTime(240000);
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'idle', action: 'lock', seconds: 60 });
+      expect(sentMessages(mockWs).map((m) => m.type)).not.toContain('locked');
+
+      vi.advanceTimersByTime(60000);
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'locked' });
+    });
+
+    it('should restart the countdown on input and clear the warning', async () => {
+      process.env.TINYTERMINAL_IDLE_LOCK = '300';
+      const { handleConnection } = await import('../src/server.js');
+      await connect(handleConnection);
+
+      vi.advanceTimersByTime(250000);
+      await sendMessage(mockWs, { type: 'input', data: 'ls\r' });
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'idle', action: 'lock', seconds: null });
+
+      vi.advanceTimersByTime(250000);
+      expect(sentMessages(mockWs).map((m) => m.type)).not.toContain('locked');
+    });
+
+    it('should withhold output and ignore input while locked', async () => {
+      process.env.TINYTERMINAL_IDLE_LOCK = '300';
+      const { handleConnection } = await import('../src/server.js');
+      await connect(handleConnection);
+      vi.advanceTimersByTime(300000);
+      mockWs.send.mockClear();
+
+      ptyDataCallback('secret output\r\n');
+      await sendMessage(mockWs, { type: 'input', data: 'rm -rf ~\r' });
+      await sendMessage(mockWs, { type: 'resize', cols: 100, rows: 30 });
+
+      expect(mockWs.send).not.toHaveBeenCalled();
+      expect(mockPty.write).not.toHaveBeenCalled();
+      expect(mockPty.resize).not.toHaveBeenCalled();
+      expect(mockPty.kill).not.toHaveBeenCalled();
+    });
+
+    it('should unlock with the token and replay what was missed', async () => {
+      process.env.TINYTERMINAL_IDLE_LOCK = '300';
+      const { handleConnection } = await import('../src/server.js');
+      await connect(handleConnection);
+      ptyDataCallback('before\r\n');
+      vi.advanceTimersByTime(300000);
+      ptyDataCallback('while locked\r\n');
+      mockWs.send.mockClear();
+
+      await sendMessage(mockWs, { type: 'unlock', token: 'test-secret-token', seq: 8 });
+
+      const messages = sentMessages(mockWs);
+      expect(messages[0]).toEqual({ type: 'unlocked' });
+      expect(messages).toContainEqual({ type: 'replay', data: 'while locked\r\n', seq: 22, reset: false });
+
+      await sendMessage(mockWs, { type: 'input', data: 'ls\r' });
+      expect(mockPty.write).toHaveBeenCalledWith('ls\r');
+    });
+
+    it('should close the connection on a wrong unlock token', async () => {
+      process.env.TINYTERMINAL_IDLE_LOCK = '300';
+      const { handleConnection } = await import('../src/server.js');
+      await connect(handleConnection);
+      vi.advanceTimersByTime(300000);
+
+      await sendMessage(mockWs, { type: 'unlock', token: 'guess', seq: 0 });
+
+      expect(mockWs.close).toHaveBeenCalledWith(4001, 'Unauthorized');
+      expect(sentMessages(mockWs).map((m) => m.type)).not.toContain('unlocked');
+    });
+
+    it('should report a session that ended while locked on unlock', async () => {
+      process.env.TINYTERMINAL_IDLE_LOCK = '300';
+      const { handleConnection } = await import('../src/server.js');
+      await connect(handleConnection);
+      vi.advanceTimersByTime(300000);
+      ptyExitCallback({ exitCode: 0, signal: 0 });
+      expect(sentMessages(mockWs).map((m) => m.type)).not.toContain('exit');
+
+      await sendMessage(mockWs, { type: 'unlock', token: 'test-secret-token', seq: 0 });
+
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'exit', code: null });
+    });
+
+    it('should not lock connections when no token is configured', async () => {
+      delete process.env.TINYTERMINAL_TOKEN;
+      process.env.TINYTERMINAL_IDLE_LOCK = '300';
+      const { handleConnection } = await import('../src/server.js');
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+
+      vi.advanceTimersByTime(600000);
+
+      expect(sentMessages(mockWs).map((m) => m.type)).not.toContain('locked');
+    });
+
+    it('should kill a PTY nobody typed into, with a countdown first', async () => {
+      process.env.TINYTERMINAL_IDLE_KILL = '3600';
+      const { handleConnection } = await import('../src/server.js');
+      await connect(handleConnection);
+
+      vi.advanceTimersByTime(3540000);
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'idle', action: 'kill', seconds: 60 });
+      expect(mockPty.kill).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(60000);
+      expect(mockPty.kill).toHaveBeenCalled();
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'exit', code: null, reason: 'idle' });
+      const lastList = sentMessages(mockWs).filter((m) => m.type === 'sessions').pop();
+      expect(lastList.sessions).toEqual([]);
+    });
+
+    it('should keep a PTY alive while any writer types', async () => {
+      process.env.TINYTERMINAL_IDLE_KILL = '3600';
+      const { handleConnection } = await import('../src/server.js');
+      await connect(handleConnection);
+      const { sessionId } = sentMessages(mockWs).find((m) => m.type === 'session');
+      const writerWs = createWs();
+      handleConnection(writerWs, mockReq);
+      await sendMessage(writerWs, { type: 'auth', token: 'test-secret-token' });
+      await sendMessage(writerWs, { type: 'join', sessionId, seq: 0 });
+
+      vi.advanceTimersByTime(3590000);
+      await sendMessage(writerWs, { type: 'input', data: 'x' });
+
+      // Both screens drop the countdown
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'idle', action: 'kill', seconds: null });
+      expect(sentMessages(writerWs)).toContainEqual({ type: 'idle', action: 'kill', seconds: null });
+      vi.advanceTimersByTime(3000000);
+      expect(mockPty.kill).not.toHaveBeenCalled();
+    });
+
+    it('should reject a kill timeout not longer than the lock timeout', async () => {
+      process.env.TINYTERMINAL_IDLE_LOCK = '600';
+      process.env.TINYTERMINAL_IDLE_KILL = '600';
+
+      await expect(import('../src/server.js')).rejects.toThrow('Invalid TINYTERMINAL_IDLE_KILL');
+    });
+  });
+
+  describe('Launch profiles', () => {
+    let configDir;
+
+    const sendMessage = (ws, message) =>
+      ws._messageHandler(Buffer.from(JSON.stringify(message)));
+
+    const sentMessages = (ws) => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+
+    beforeEach(() => {
+      configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-server-config-'));
+      const file = path.join(configDir, 'config.json');
+      fs.writeFileSync(
+        file,
+        JSON.stringify({
+          profiles: [
+            { name: 'shell', shell: '/bin/sh' },
+            { name: 'project', shell: '/bin/sh', args: ['-l'], cwd: configDir, env: { PROJECT: 'tiny' } },
+          ],
+        })
+      );
+      process.env.TINYTERMINAL_CONFIG = file;
+    });
+
+    afterEach(() => {
+      delete process.env.TINYTERMINAL_CONFIG;
+      fs.rmSync(configDir, { recursive: true, force: true });
+      vi.resetModules();
+    });
+
+    it('should offer profile names only', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+
+      const connected = sentMessages(mockWs).find((m) => m.type === 'connected');
+      expect(connected.profiles).toEqual(['shell', 'project']);
+      expect(JSON.stringify(connected)).not.toContain('/bin/sh');
+    });
+
+    it('should start the first session with the first profile', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const pty = await import('node-pty');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+
+      expect(pty.default.spawn).toHaveBeenLastCalledWith('/bin/sh', [], expect.any(Object));
+    });
+
+    it('should create a session with the chosen profile', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const pty = await import('node-pty');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'create', profile: 'project', cols: 80, rows: 24 });
+
+      const [shell, args, options] = pty.default.spawn.mock.calls.at(-1);
+      expect(shell).toBe('/bin/sh');
+      expect(args).toEqual(['-l']);
+      expect(options.cwd).toBe(configDir);
+      expect(options.env.PROJECT).toBe('tiny');
+      expect(options.env.TERM).toBe('xterm-256color');
+
+      const list = sentMessages(mockWs).filter((m) => m.type === 'sessions').pop().sessions;
+      expect(list[0].profile).toBe('project');
+    });
+
+    it('should pass inherited and renamed env vars but never denied ones', async () => {
+      fs.writeFileSync(
+        process.env.TINYTERMINAL_CONFIG,
+        JSON.stringify({
+          profiles: [{ name: 'env', inheritEnv: ['*'], renameEnv: { TT_TEST_GOPATH: 'GOPATH' } }],
+        })
+      );
+      process.env.TT_TEST_DEPLOY_TOKEN = 'secret';
+      process.env.TT_TEST_GOPATH = '/work/go';
+      try {
+        const { handleConnection } = await import('../src/server.js');
+        const pty = await import('node-pty');
+
+        handleConnection(mockWs, mockReq);
+        await sendMessage(mockWs, { type: 'create', profile: 'env', cols: 80, rows: 24 });
+
+        const [, , options] = pty.default.spawn.mock.calls.at(-1);
+        expect(options.env.GOPATH).toBe('/work/go');
+        expect(options.env.TT_TEST_GOPATH).toBe('/work/go');
+        expect(options.env.TT_TEST_DEPLOY_TOKEN).toBeUndefined();
+      } finally {
+        delete process.env.TT_TEST_DEPLOY_TOKEN;
+        delete process.env.TT_TEST_GOPATH;
+      }
+    });
+
+    it('should reject unknown profiles without spawning', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const pty = await import('node-pty');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'create', profile: '/bin/bash', cols: 80, rows: 24 });
+
+      expect(pty.default.spawn).not.toHaveBeenCalled();
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'error', message: 'Failed to process request' });
+    });
+
+    it('should refuse to start with an invalid config', async () => {
+      fs.writeFileSync(process.env.TINYTERMINAL_CONFIG, JSON.stringify({ profiles: [{ name: 'x', shell: 'sh' }] }));
+
+      await expect(import('../src/server.js')).rejects.toThrow('Invalid TINYTERMINAL_CONFIG');
+    });
+  });
+
+  describe('Binary frames', () => {
+    const sendMessage = (ws, message) => ws._messageHandler(Buffer.from(JSON.stringify(message)), false);
+    const sendFrame = (ws, bytes) => ws._messageHandler(Buffer.from(bytes), true);
+    const frames = (ws) => ws.send.mock.calls.map(([sent]) => sent).filter(Buffer.isBuffer);
+    const json = (ws) => ws.send.mock.calls.map(([sent]) => sent).filter((sent) => typeof sent === 'string').map((sent) => JSON.parse(sent));
+
+    const binaryWs = () => {
+      const ws = {
+        protocol: 'tinyterminal.binary.v1',
+        send: vi.fn(),
+        close: vi.fn(),
+        terminate: vi.fn(),
+        ping: vi.fn(),
+        on: vi.fn((event, callback) => {
+          if (event === 'message') ws._messageHandler = callback;
+          if (event === 'close') ws._closeHandler = callback;
+        }),
+      };
+      return ws;
+    };
+
+    it('should send output as frames to binary clients and JSON to the others', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const ws = binaryWs();
+
+      handleConnection(ws, mockReq);
+      await sendMessage(ws, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = json(ws).find((message) => message.type === 'session');
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'watch', sessionId, seq: 0 });
+      ptyDataCallback('héllo');
+
+      const [frame] = frames(ws);
+      expect(frame[0]).toBe(0x02);
+      expect(frame.readUIntBE(1, 6)).toBe(5);
+      expect(frame.subarray(7).toString('utf-8')).toBe('héllo');
+      expect(json(ws).some((message) => message.type === 'output')).toBe(false);
+      expect(json(mockWs)).toContainEqual({ type: 'output', data: 'héllo', seq: 5 });
+    });
+
+    it('should replay as a frame on reattach', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const first = binaryWs();
+      handleConnection(first, mockReq);
+      await sendMessage(first, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = json(first).find((message) => message.type === 'session');
+      ptyDataCallback('abc');
+      first._closeHandler();
+
+      const second = binaryWs();
+      handleConnection(second, mockReq);
+      await sendMessage(second, { type: 'attach', sessionId, seq: 1 });
+
+      const [frame] = frames(second);
+      expect([...frame.subarray(0, 8)]).toEqual([0x03, 0, 0, 0, 0, 0, 0, 3]);
+      expect(frame.subarray(8).toString('utf-8')).toBe('bc');
+    });
+
+    it('should write input frames to the PTY as bytes', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const ws = binaryWs();
+
+      handleConnection(ws, mockReq);
+      await sendMessage(ws, { type: 'resize', cols: 80, rows: 24 });
+      await sendFrame(ws, [0x01, 0x1b, 0x5b, 0x4d, 0xff, 0x80]);
+
+      expect(mockPty.write).toHaveBeenCalledWith(Buffer.from([0x1b, 0x5b, 0x4d, 0xff, 0x80]));
+    });
+
+    it('should reject bad frames and frames on JSON connections', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const ws = binaryWs();
+
+      handleConnection(ws, mockReq);
+      await sendMessage(ws, { type: 'resize', cols: 80, rows: 24 });
+      await sendFrame(ws, [0x02, 0x61]);
+      await sendFrame(ws, [0x01, 0x61, 0x00]);
+      handleConnection(mockWs, mockReq);
+      await sendFrame(mockWs, [0x01, 0x61]);
+
+      expect(mockPty.write).not.toHaveBeenCalled();
+      expect(json(ws).filter((message) => message.type === 'error')).toHaveLength(2);
+      expect(JSON.parse(mockWs.send.mock.calls.at(-1)[0])).toEqual({ type: 'error', message: 'Failed to process request' });
+    });
+  });
+
+  describe('Flow control', () => {
+    const sendMessage = (ws, message) => ws._messageHandler(Buffer.from(JSON.stringify(message)), false);
+    const json = (ws) => ws.send.mock.calls.map(([sent]) => JSON.parse(sent));
+
+    const createWs = () => {
+      const ws = {
+        send: vi.fn(),
+        close: vi.fn(),
+        terminate: vi.fn(),
+        ping: vi.fn(),
+        on: vi.fn((event, callback) => {
+          if (event === 'message') ws._messageHandler = callback;
+          if (event === 'close') ws._closeHandler = callback;
+        }),
+      };
+      return ws;
+    };
+
+    it('should pause the PTY while the owner is behind and resume once it caught up', async () => {
+      vi.useFakeTimers();
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      await sendMessage(mockWs, { type: 'ack', seq: 0 });
+      ptyDataCallback('x'.repeat(FLOW_HIGH_WATERMARK));
+      expect(mockPty.pause).not.toHaveBeenCalled();
+      ptyDataCallback('x');
+      vi.advanceTimersByTime(OUTPUT_BATCH_MAX_DELAY);
+      expect(mockPty.pause).toHaveBeenCalledTimes(1);
+
+      // Ctrl+C still gets through
+      await sendMessage(mockWs, { type: 'input', data: '\x03' });
+      expect(mockPty.write).toHaveBeenCalledWith('\x03');
+
+      await sendMessage(mockWs, { type: 'ack', seq: FLOW_HIGH_WATERMARK - FLOW_LOW_WATERMARK });
+      expect(mockPty.resume).not.toHaveBeenCalled();
+      await sendMessage(mockWs, { type: 'ack', seq: FLOW_HIGH_WATERMARK + 1 - FLOW_LOW_WATERMARK });
+      expect(mockPty.resume).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not wait for clients that never ack, nor for spectators', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = json(mockWs).find((message) => message.type === 'session');
+      const spectator = createWs();
+      handleConnection(spectator, mockReq);
+      await sendMessage(spectator, { type: 'ack', seq: 0 });
+      await sendMessage(spectator, { type: 'watch', sessionId, seq: 0 });
+      ptyDataCallback('x'.repeat(FLOW_HIGH_WATERMARK * 2));
+
+      expect(mockPty.pause).not.toHaveBeenCalled();
+    });
+
+    it('should resume when the client holding the PTY back goes away', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      await sendMessage(mockWs, { type: 'ack', seq: 0 });
+      ptyDataCallback('x'.repeat(FLOW_HIGH_WATERMARK + 1));
+      mockWs._closeHandler();
+
+      expect(mockPty.pause).toHaveBeenCalledTimes(1);
+      expect(mockPty.resume).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not count replayed output against a reattaching client', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = json(mockWs).find((message) => message.type === 'session');
+      ptyDataCallback('x'.repeat(FLOW_HIGH_WATERMARK + 1));
+      mockWs._closeHandler();
+
+      const ws = createWs();
+      handleConnection(ws, mockReq);
+      await sendMessage(ws, { type: 'ack', seq: 0 });
+      await sendMessage(ws, { type: 'attach', sessionId, seq: 0 });
+      ptyDataCallback('y');
+
+      expect(mockPty.pause).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid acknowledgements', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'ack', seq: -1 });
+
+      expect(json(mockWs).at(-1)).toEqual({ type: 'error', message: 'Failed to process request' });
+    });
+  });
+
+  describe('Output batching', () => {
+    const sendMessage = (ws, message) => ws._messageHandler(Buffer.from(JSON.stringify(message)), false);
+    const outputs = (ws) =>
+      ws.send.mock.calls.map(([sent]) => JSON.parse(sent)).filter((message) => message.type === 'output');
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    it('should send chunks that arrive together as one message', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      ptyDataCallback('a');
+      ptyDataCallback('b');
+      ptyDataCallback('c');
+      vi.advanceTimersByTime(OUTPUT_BATCH_MAX_DELAY);
+
+      expect(outputs(mockWs)).toEqual([
+        { type: 'output', data: 'a', seq: 1 },
+        { type: 'output', data: 'bc', seq: 3 },
+      ]);
+    });
+
+    it('should send the last output before the exit message', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      ptyDataCallback('$ ');
+      ptyDataCallback('logout\r\n');
+      ptyExitCallback({ exitCode: 0 });
+
+      const types = mockWs.send.mock.calls.map(([sent]) => JSON.parse(sent).type);
+      expect(types[types.indexOf('exit') - 1]).toBe('output');
+      expect(outputs(mockWs).at(-1).data).toBe('logout\r\n');
+    });
+
+    it('should send a pending batch before the exit of a killed session, and nothing after', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = mockWs.send.mock.calls.map(([sent]) => JSON.parse(sent)).find((m) => m.type === 'session');
+      ptyDataCallback('a');
+      ptyDataCallback('b');
+      await sendMessage(mockWs, { type: 'kill', sessionId });
+      ptyDataCallback('late');
+      vi.advanceTimersByTime(OUTPUT_BATCH_MAX_DELAY);
+      ptyExitCallback({ exitCode: 0, signal: 1 });
+
+      const types = mockWs.send.mock.calls.map(([sent]) => JSON.parse(sent).type);
+      expect(types[types.indexOf('exit') - 1]).toBe('output');
+      expect(types.slice(types.indexOf('exit') + 1)).not.toContain('output');
+      expect(outputs(mockWs).map((message) => message.data)).toEqual(['a', 'b']);
+    });
+
+    it('should wait longer on a slow link', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const { HEARTBEAT_INTERVAL } = await import('../src/constants.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      // Heartbeat ping answered after 160 ms: a 40 ms window
+      vi.advanceTimersByTime(HEARTBEAT_INTERVAL);
+      vi.advanceTimersByTime(160);
+      mockWs._pongHandler();
+
+      ptyDataCallback('a');
+      ptyDataCallback('b');
+      vi.advanceTimersByTime(39);
+      expect(outputs(mockWs)).toHaveLength(1);
+      vi.advanceTimersByTime(1);
+      expect(outputs(mockWs)).toHaveLength(2);
+    });
+  });
+
+  describe('Protocol handshake', () => {
+    const sendMessage = (ws, message) => ws._messageHandler(Buffer.from(JSON.stringify(message)), false);
+    const json = (ws) => ws.send.mock.calls.map(([sent]) => JSON.parse(sent));
+    const hello = { type: 'hello', version: 1, minVersion: 1, capabilities: ['binary', 'flow', 'resume', 'files'] };
+
+    it('should answer with the agreed version and capabilities', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, hello);
+      await sendMessage(mockWs, hello);
+
+      // Binary frames were not negotiated by this connection's subprotocol
+      const answers = json(mockWs).filter((message) => message.type === 'hello');
+      expect(answers).toEqual([{ type: 'hello', version: 1, minVersion: 1, capabilities: ['flow', 'resume'] }]);
+    });
+
+    it('should offer binary frames on binary connections', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      mockWs.protocol = 'tinyterminal.binary.v1';
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, hello);
+
+      expect(json(mockWs).at(-1).capabilities).toEqual(['binary', 'flow', 'resume']);
+    });
+
+    it('should close connections that share no protocol version', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'hello', version: 3, minVersion: 2, capabilities: [] });
+
+      expect(mockWs.close).toHaveBeenCalledWith(4026, 'Incompatible protocol version');
+    });
+
+    it('should reject a malformed hello with the generic error', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'hello', version: 'latest' });
+
+      expect(json(mockWs).at(-1)).toEqual({ type: 'error', message: 'Failed to process request' });
+      expect(mockWs.close).not.toHaveBeenCalled();
+    });
+
+    it('should start flow control with the hello', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, hello);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      ptyDataCallback('x'.repeat(FLOW_HIGH_WATERMARK + 1));
+
+      expect(mockPty.pause).toHaveBeenCalled();
+    });
+  });
+
+  describe('Connection quality', () => {
+    const sendMessage = (ws, message) => ws._messageHandler(Buffer.from(JSON.stringify(message)), false);
+    const json = (ws) => ws.send.mock.calls.map(([sent]) => JSON.parse(sent));
+    const logged = () => console.log.mock.calls.map(([line]) => line).filter((line) => line.includes('Link'));
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should answer pings with the same ID', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'ping', id: 3, rtt: null, throughput: null });
+
+      expect(json(mockWs).at(-1)).toEqual({ type: 'pong', id: 3 });
+      expect(logged()).toEqual([]);
+    });
+
+    it('should log when the link degrades and recovers, and otherwise now and then', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const { LINK_LOG_INTERVAL } = await import('../src/constants.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'ping', id: 1, rtt: 420, throughput: 2048 });
+      await sendMessage(mockWs, { type: 'ping', id: 2, rtt: 400, throughput: 2048 });
+      await sendMessage(mockWs, { type: 'ping', id: 3, rtt: 35, throughput: 12595 });
+      await sendMessage(mockWs, { type: 'ping', id: 4, rtt: 36, throughput: 0 });
+      vi.advanceTimersByTime(LINK_LOG_INTERVAL);
+      await sendMessage(mockWs, { type: 'ping', id: 5, rtt: 38, throughput: 0 });
+
+      const lines = logged();
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toContain('Link degraded: rtt 420 ms, 2.0 KB/s');
+      expect(lines[1]).toContain('Link recovered: rtt 35 ms, 12.3 KB/s');
+      expect(lines[2]).toContain('Link quality: rtt 38 ms, 0.0 KB/s');
+    });
+
+    it('should answer pings while locked', async () => {
+      process.env.TINYTERMINAL_TOKEN = 'test-token-1234567890';
+      process.env.TINYTERMINAL_IDLE_LOCK = '60';
+      try {
+        const { handleConnection } = await import('../src/server.js');
+
+        handleConnection(mockWs, mockReq);
+        await sendMessage(mockWs, { type: 'auth', token: 'test-token-1234567890' });
+        vi.advanceTimersByTime(60000);
+        await sendMessage(mockWs, { type: 'ping', id: 9 });
+
+        expect(json(mockWs).map((message) => message.type)).toContain('locked');
+        expect(json(mockWs).at(-1)).toEqual({ type: 'pong', id: 9 });
+      } finally {
+        delete process.env.TINYTERMINAL_TOKEN;
+        delete process.env.TINYTERMINAL_IDLE_LOCK;
+      }
+    });
+
+    it('should reject malformed pings', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'ping', id: 1, rtt: -5 });
+      await sendMessage(mockWs, { type: 'ping', id: 'x' });
+
+      const types = json(mockWs).map((message) => message.type);
+      expect(types.filter((type) => type === 'error')).toHaveLength(2);
+      expect(types).not.toContain('pong');
+    });
+  });
+
+  describe('Session reattach', () => {
+    const createWs = () => {
+      const ws = {
+        send: vi.fn(),
+        close: vi.fn(),
+        terminate: vi.fn(),
+        ping: vi.fn(),
+        on: vi.fn((event, callback) => {
+          if (event === 'message') ws._messageHandler = callback;
+          if (event === 'close') ws._closeHandler = callback;
+        }),
+      };
+      return ws;
+    };
+
+    const sendMessage = (ws, message) =>
+      ws._messageHandler(Buffer.from(JSON.stringify(message)));
+
+    const sentMessages = (ws) => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should send session ID to client when PTY is created', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+
+      const sessionMessage = sentMessages(mockWs).find((m) => m.type === 'session');
+      expect(sessionMessage.sessionId).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should reattach a new connection to the surviving PTY', async () => {
+      vi.useFakeTimers();
+      const { handleConnection } = await import('../src/server.js');
+      const { DEFAULT_SESSION_GRACE } = await import('../src/constants.js');
+      const pty = await import('node-pty');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = sentMessages(mockWs).find((m) => m.type === 'session');
+      mockWs._closeHandler();
+
+      // Reconnect from the same client and reattach before the grace period ends
+      vi.advanceTimersByTime(DEFAULT_SESSION_GRACE - 1000);
+      const newWs = createWs();
+      handleConnection(newWs, mockReq);
+      await sendMessage(newWs, { type: 'attach', sessionId });
+      await sendMessage(newWs, { type: 'resize', cols: 100, rows: 30 });
+
+      expect(sentMessages(newWs)).toContainEqual({ type: 'attached', sessionId });
+      expect(pty.default.spawn).toHaveBeenCalledTimes(1);
+      expect(mockPty.resize).toHaveBeenCalledWith(100, 30);
+
+      // Output now flows to the new connection
+      ptyDataCallback('still running\r\n');
+      expect(newWs.send).toHaveBeenCalledWith(
+        JSON.stringify({ type: 'output', data: 'still running\r\n', seq: 15 })
+      );
+
+      // Input reaches the same PTY
+      await sendMessage(newWs, { type: 'input', data: 'ls\r' });
+      expect(mockPty.write).toHaveBeenCalledWith('ls\r');
+
+      // Grace timer was cancelled by the reattach
+      vi.advanceTimersByTime(DEFAULT_SESSION_GRACE);
+      expect(mockPty.kill).not.toHaveBeenCalled();
+    });
+
+    it('should spawn a new PTY when attach references an unknown session', async () => {
+      const { handleConnection } = await import('../src/server.js');
+      const pty = await import('node-pty');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'attach', sessionId: 'no-such-session' });
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+
+      expect(sentMessages(mockWs).some((m) => m.type === 'attached')).toBe(false);
+      expect(sentMessages(mockWs).some((m) => m.type === 'session')).toBe(true);
+      expect(pty.default.spawn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should notify the previous connection when another tab takes the session over', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = sentMessages(mockWs).find((m) => m.type === 'session');
+
+      const otherWs = createWs();
+      handleConnection(otherWs, { ...mockReq, socket: { remoteAddress: '100.64.0.2' } });
+      await sendMessage(otherWs, { type: 'attach', sessionId });
+
+      expect(sentMessages(mockWs)).toContainEqual({ type: 'detached' });
+
+      // The previous connection no longer drives the PTY
+      mockPty.write.mockClear();
+      await sendMessage(mockWs, { type: 'input', data: 'ignored' });
+      expect(mockPty.write).not.toHaveBeenCalled();
+
+      // Its close does not start the grace timer for a session it no longer holds
+      mockWs._closeHandler();
+      ptyDataCallback('output');
+      expect(otherWs.send).toHaveBeenCalledWith(
+        JSON.stringify({ type: 'output', data: 'output', seq: 6 })
+      );
+    });
+
+    it('should replay output the client missed while disconnected', async () => {
+      vi.useFakeTimers();
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = sentMessages(mockWs).find((m) => m.type === 'session');
+
+      ptyDataCallback('seen ');
+      mockWs._closeHandler();
+      ptyDataCallback('missed');
+      vi.advanceTimersByTime(OUTPUT_BATCH_MAX_DELAY);
+
+      const newWs = createWs();
+      handleConnection(newWs, mockReq);
+      await sendMessage(newWs, { type: 'attach', sessionId, seq: 5 });
+
+      expect(sentMessages(newWs)).toContainEqual({
+        type: 'replay',
+        data: 'missed',
+        seq: 11,
+        reset: false,
+      });
+    });
+
+    it('should replay the whole buffer to a fresh terminal', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = sentMessages(mockWs).find((m) => m.type === 'session');
+      ptyDataCallback('$ ');
+      mockWs._closeHandler();
+
+      // Page reload: client has no sequence number
+      const newWs = createWs();
+      handleConnection(newWs, mockReq);
+      await sendMessage(newWs, { type: 'attach', sessionId });
+
+      expect(sentMessages(newWs)).toContainEqual({
+        type: 'replay',
+        data: '$ ',
+        seq: 2,
+        reset: false,
+      });
+    });
+
+    it('should not send replay when the client is up to date', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = sentMessages(mockWs).find((m) => m.type === 'session');
+      ptyDataCallback('$ ');
+      mockWs._closeHandler();
+
+      const newWs = createWs();
+      handleConnection(newWs, mockReq);
+      await sendMessage(newWs, { type: 'attach', sessionId, seq: 2 });
+
+      expect(sentMessages(newWs).some((m) => m.type === 'replay')).toBe(false);
+    });
+
+    it('should drop the session when the PTY exits', async () => {
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+      await sendMessage(mockWs, { type: 'resize', cols: 80, rows: 24 });
+      const { sessionId } = sentMessages(mockWs).find((m) => m.type === 'session');
+
+      ptyExitCallback({ exitCode: 0, signal: null });
+      mockWs._closeHandler();
+
+      const newWs = createWs();
+      handleConnection(newWs, mockReq);
+      await sendMessage(newWs, { type: 'attach', sessionId });
+
+      expect(sentMessages(newWs).some((m) => m.type === 'attached')).toBe(false);
+      expect(mockPty.kill).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should send error message on unknown message type', async () => {
+    const { handleConnection } = await import('../src/server.js');
+
+    handleConnection(mockWs, mockReq);
+
+    // Simulate WebSocket message with unknown type
+    const unknownMessage = JSON.stringify({
+      type: 'unknown',
+      data: 'test',
+    });
+
+    await mockWs._messageHandler(Buffer.from(unknownMessage));
+
+    expect(mockWs.send).toHaveBeenCalledWith(
+      JSON.stringify({
+        type: 'error',
+        message: 'Failed to process request',
+      })
+    );
+  });
+
+  it('should send error message on invalid JSON', async () => {
+    const { handleConnection } = await import('../src/server.js');
+
+    handleConnection(mockWs, mockReq);
+
+    // Simulate WebSocket message with invalid JSON
+    await mockWs._messageHandler(Buffer.from('not valid json'));
+
+    expect(mockWs.send).toHaveBeenCalledWith(
+      JSON.stringify({
+        type: 'error',
+        message: 'Failed to process request',
+      })
+    );
+  });
+
+  it('should log WebSocket error', async () => {
+    const { handleConnection } = await import('../src/server.js');
+
+    handleConnection(mockWs, mockReq);
+
+    // Simulate WebSocket error
+    const testError = new Error('Connection lost');
+    mockWs._errorHandler(testError);
+
+    // Error handler should be called (log is called internally, no direct assertion here)
+    expect(mockWs._errorHandler).toBeDefined();
+  });
+
+  it('should handle PTY exit event', async () => {
+    const { handleConnection } = await import('../src/server.js');
+
+    handleConnection(mockWs, mockReq);
+
+    // Send resize to initialize PTY
+    const resizeMessage = JSON.stringify({
+      type: 'resize',
+      cols: 80,
+      rows: 24,
+    });
+    await mockWs._messageHandler(Buffer.from(resizeMessage));
+
+    // Now ptyExitCallback should be defined
+    expect(ptyExitCallback).toBeDefined();
+
+    // Simulate PTY exit
+    ptyExitCallback({ exitCode: 0, signal: null });
+
+    expect(mockWs.send).toHaveBeenCalledWith(
+      JSON.stringify({
+        type: 'exit',
+        code: 0,
+      })
+    );
+  });
+
+  it('should handle error when sending PTY output to closed WebSocket', async () => {
+    const { handleConnection } = await import('../src/server.js');
+
+    handleConnection(mockWs, mockReq);
+
+    // Send resize to initialize PTY
+    const resizeMessage = JSON.stringify({
+      type: 'resize',
+      cols: 80,
+      rows: 24,
+    });
+    await mockWs._messageHandler(Buffer.from(resizeMessage));
+
+    // Now ptyDataCallback should be defined
+    expect(ptyDataCallback).toBeDefined();
+
+    // After connection is established, mock ws.send to throw error
+    mockWs.send.mockImplementation(() => {
+      throw new Error('WebSocket is not open');
+    });
+
+    // Simulate PTY output when WebSocket is closed
+    ptyDataCallback('some output');
+
+    // The error should be caught and logged (no crash)
+    // We can't directly assert log output, but we verify no exception was thrown
+    expect(mockWs.send).toHaveBeenCalled();
+  });
+
+  it('should reject connection from unauthorized origin', async () => {
+    const { handleConnection } = await import('../src/server.js');
+
+    const unauthorizedReq = {
+      headers: {
+        origin: 'http://evil.com',
+      },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    handleConnection(mockWs, unauthorizedReq);
+
+    expect(mockWs.close).toHaveBeenCalled();
+    expect(mockWs.send).not.toHaveBeenCalled();
+  });
+
+  it('should accept connection without token when TINYTERMINAL_TOKEN is not set', async () => {
+    delete process.env.TINYTERMINAL_TOKEN;
+
+    vi.resetModules();
+    const { handleConnection } = await import('../src/server.js');
+
+    const req = {
+      headers: {
+        origin: 'http://localhost:3000',
+      },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    handleConnection(mockWs, req);
+
+    expect(mockWs.close).not.toHaveBeenCalled();
+    expect(mockWs.send).toHaveBeenCalled(); // 接続成功メッセージ（認証不要の場合）
+  });
+
+  it('should ignore auth message when TINYTERMINAL_TOKEN is not set', async () => {
+    delete process.env.TINYTERMINAL_TOKEN;
+
+    vi.resetModules();
+    const { handleConnection } = await import('../src/server.js');
+
+    const req = {
+      headers: {
+        origin: 'http://localhost:3000',
+      },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    handleConnection(mockWs, req);
+
+    mockWs.send.mockClear();
+
+    // 認証不要なのにauthメッセージを送る（無視される）
+    const authMessage = JSON.stringify({
+      type: 'auth',
+      token: 'some-token',
+    });
+
+    await mockWs._messageHandler(Buffer.from(authMessage));
+
+    // 何も送信されない
+    expect(mockWs.send).not.toHaveBeenCalled();
+  });
+
+  it('should accept connection with valid token via WebSocket message when TINYTERMINAL_TOKEN is set', async () => {
+    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+
+    vi.resetModules();
+    const { handleConnection } = await import('../src/server.js');
+
+    const req = {
+      headers: {
+        origin: 'http://localhost:3000',
+      },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    handleConnection(mockWs, req);
+
+    // 接続直後は認証前なので、接続成功メッセージは送られない
+    expect(mockWs.send).not.toHaveBeenCalled();
+
+    // 認証メッセージを送信
+    const authMessage = JSON.stringify({
+      type: 'auth',
+      token: 'test-secret-token',
+    });
+
+    await mockWs._messageHandler(Buffer.from(authMessage));
+
+    // 認証成功メッセージが送られる
+    expect(mockWs.send).toHaveBeenCalledWith(
+      JSON.stringify({
+        type: 'connected',
+        message: 'Authentication successful',
+        profiles: ['default'],
+      })
+    );
+    expect(mockWs.close).not.toHaveBeenCalled();
+
+    delete process.env.TINYTERMINAL_TOKEN;
+  });
+
+  it('should reject connection with invalid token via WebSocket message when TINYTERMINAL_TOKEN is set', async () => {
+    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+
+    vi.resetModules();
+    const { handleConnection } = await import('../src/server.js');
+
+    const req = {
+      headers: {
+        origin: 'http://localhost:3000',
+      },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    handleConnection(mockWs, req);
+
+    // 無効なトークンで認証メッセージを送信
+    const authMessage = JSON.stringify({
+      type: 'auth',
+      token: 'wrong-token',
+    });
+
+    await mockWs._messageHandler(Buffer.from(authMessage));
+
+    // 接続が切断される
+    expect(mockWs.close).toHaveBeenCalledWith(4001, 'Unauthorized');
+
+    delete process.env.TINYTERMINAL_TOKEN;
+  });
+
+  it('should timeout and close connection if authentication not provided within 5 seconds', async () => {
+    vi.useFakeTimers();
+
+    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+
+    vi.resetModules();
+    const { handleConnection } = await import('../src/server.js');
+
+    const req = {
+      headers: {
+        origin: 'http://localhost:3000',
+      },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    handleConnection(mockWs, req);
+
+    // 5秒経過させる
+    vi.advanceTimersByTime(5000);
+
+    // タイムアウトで接続が切断される
+    expect(mockWs.close).toHaveBeenCalledWith(4001, 'Authentication timeout');
+
+    delete process.env.TINYTERMINAL_TOKEN;
+    vi.useRealTimers();
+  });
+
+  it('should ignore auth message if already authenticated', async () => {
+    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+
+    vi.resetModules();
+    const { handleConnection } = await import('../src/server.js');
+
+    const req = {
+      headers: {
+        origin: 'http://localhost:3000',
+      },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    handleConnection(mockWs, req);
+
+    // 最初の認証メッセージ
+    const authMessage1 = JSON.stringify({
+      type: 'auth',
+      token: 'test-secret-token',
+    });
+
+    await mockWs._messageHandler(Buffer.from(authMessage1));
+
+    // 認証成功メッセージが送られる
+    expect(mockWs.send).toHaveBeenCalledWith(
+      JSON.stringify({
+        type: 'connected',
+        message: 'Authentication successful',
+        profiles: ['default'],
+      })
+    );
+
+    mockWs.send.mockClear();
+
+    // 2回目の認証メッセージ（既に認証済みなので無視される）
+    const authMessage2 = JSON.stringify({
+      type: 'auth',
+      token: 'test-secret-token',
+    });
+
+    await mockWs._messageHandler(Buffer.from(authMessage2));
+
+    // 何も送信されない
+    expect(mockWs.send).not.toHaveBeenCalled();
+
+    delete process.env.TINYTERMINAL_TOKEN;
+  });
+
+  it('should ignore input message before authentication', async () => {
+    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+
+    vi.resetModules();
+    const { handleConnection } = await import('../src/server.js');
+
+    const req = {
+      headers: {
+        origin: 'http://localhost:3000',
+      },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    handleConnection(mockWs, req);
+
+    // 認証前にinputメッセージを送信
+    const inputMessage = JSON.stringify({
+      type: 'input',
+      data: 'echo hello\n',
+    });
+
+    await mockWs._messageHandler(Buffer.from(inputMessage));
+
+    // PTYに送られない
+    expect(mockPty.write).not.toHaveBeenCalled();
+
+    delete process.env.TINYTERMINAL_TOKEN;
+  });
+
+  it('should clear authTimeout on WebSocket close before authentication', async () => {
+    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+
+    vi.resetModules();
+    const { handleConnection } = await import('../src/server.js');
+
+    const req = {
+      headers: {
+        origin: 'http://localhost:3000',
+      },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    handleConnection(mockWs, req);
+
+    // 認証前にWebSocketを閉じる（authTimeoutが存在する状態でcloseHandler実行）
+    mockWs._closeHandler();
+
+    // PTYがkillされることを確認（認証前なのでPTYは起動してないはずだが、close時にnullチェックで呼ばれない）
+    // 認証前にはPTY起動しないため、killは呼ばれない
+    expect(mockPty.kill).not.toHaveBeenCalled();
+
+    delete process.env.TINYTERMINAL_TOKEN;
+  });
+
+  it('should NOT create PTY before authentication when TINYTERMINAL_TOKEN is set', async () => {
+    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+
+    vi.resetModules();
+    const { handleConnection } = await import('../src/server.js');
+    const pty = await import('node-pty');
+
+    // spawn呼び出しカウントをリセット
+    pty.default.spawn.mockClear();
+
+    const req = {
+      headers: {
+        origin: 'http://localhost:3000',
+      },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    handleConnection(mockWs, req);
+
+    // 認証前なのでPTYは起動していない
+    expect(pty.default.spawn).not.toHaveBeenCalled();
+
+    // 認証メッセージを送信
+    const authMessage = JSON.stringify({
+      type: 'auth',
+      token: 'test-secret-token',
+    });
+
+    await mockWs._messageHandler(Buffer.from(authMessage));
+
+    // 認証成功後もまだPTYは起動していない（resizeが必要）
+    expect(pty.default.spawn).not.toHaveBeenCalled();
+
+    // resizeメッセージを送信してPTY起動
+    const resizeMessage = JSON.stringify({
+      type: 'resize',
+      cols: 80,
+      rows: 24,
+    });
+
+    await mockWs._messageHandler(Buffer.from(resizeMessage));
+
+    // resizeでPTYが起動する
+    expect(pty.default.spawn).toHaveBeenCalledTimes(1);
+
+    delete process.env.TINYTERMINAL_TOKEN;
+  });
+
+  it('should NOT send PTY output to client before authentication', async () => {
+    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+
+    vi.resetModules();
+    const { handleConnection } = await import('../src/server.js');
+
+    const req = {
+      headers: {
+        origin: 'http://localhost:3000',
+      },
+      socket: {
+        remoteAddress: '100.64.0.1',
+      },
+    };
+
+    handleConnection(mockWs, req);
+
+    // 認証前なのでonDataコールバックは設定されていない（PTY未起動）
+    // したがってptyDataCallbackは未定義
+    expect(ptyDataCallback).toBeUndefined();
+
+    // 認証メッセージを送信
+    const authMessage = JSON.stringify({
+      type: 'auth',
+      token: 'test-secret-token',
+    });
+
+    await mockWs._messageHandler(Buffer.from(authMessage));
+
+    // 認証成功後もまだPTY未起動なのでptyDataCallbackは未定義
+    expect(ptyDataCallback).toBeUndefined();
+
+    // resizeメッセージを送信してPTY起動
+    const resizeMessage = JSON.stringify({
+      type: 'resize',
+      cols: 80,
+      rows: 24,
+    });
+
+    await mockWs._messageHandler(Buffer.from(resizeMessage));
+
+    // resizeでPTY起動され、onDataコールバックが設定される
+    expect(ptyDataCallback).toBeDefined();
+
+    mockWs.send.mockClear();
+
+    // PTY出力をシミュレート（認証後なので送信される）
+    ptyDataCallback('$ ls\r\n');
+
+    expect(mockWs.send).toHaveBeenCalledWith(
+      JSON.stringify({
+        type: 'output',
+        data: '$ ls\r\n',
+        seq: 6,
+      })
+    );
+
+    delete process.env.TINYTERMINAL_TOKEN;
+  });
+
+  describe('Heartbeat', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.clearAllMocks();
+    });
+
+    it('should start heartbeat immediately when no auth token required', async () => {
+      vi.useFakeTimers();
+      delete process.env.TINYTERMINAL_TOKEN;
+
+      vi.resetModules();
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+
+      // heartbeat開始前はpingが呼ばれていない
+      expect(mockWs.ping).not.toHaveBeenCalled();
+
+      // 30秒経過させる（最初のping）
+      vi.advanceTimersByTime(30000);
+      expect(mockWs.ping).toHaveBeenCalledTimes(1);
+    });
+
+    it('should start heartbeat after successful authentication', async () => {
+      vi.useFakeTimers();
+      process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+
+      vi.resetModules();
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+
+      // 認証前はheartbeat未開始
+      vi.advanceTimersByTime(30000);
+      expect(mockWs.ping).not.toHaveBeenCalled();
+
+      // 認証成功
+      const authMessage = JSON.stringify({ type: 'auth', token: 'test-secret-token' });
+      await mockWs._messageHandler(Buffer.from(authMessage));
+
+      // 認証後30秒でpingが送られる
+      vi.advanceTimersByTime(30000);
+      expect(mockWs.ping).toHaveBeenCalledTimes(1);
+
+      delete process.env.TINYTERMINAL_TOKEN;
+    });
+
+    it('should reset missed pong counter when pong is received', async () => {
+      vi.useFakeTimers();
+      delete process.env.TINYTERMINAL_TOKEN;
+
+      vi.resetModules();
+      const { handleConnection } = await import('../src/server.js');
+
+      handleConnection(mockWs, mockReq);
+
+      // pongハンドラが登録されている
+      expect(mockWs._pongHandler).toBeDefined();
+
+      // 2回分pingを送る（missedPongs = 2）
+      vi.advanceTimersByTime(60000);
+      expect(mockWs.ping).toHaveBeenCalledTimes(2);
+
+      // pong受信でカウンターリセット
+      mockWs._pongHandler();
+
+      // さらに1回ping（missedPongs = 1、terminateされない）
+      vi.advanceTimersByTime(30000);
+      expect(mockWs.terminate).not.toHaveBeenCalled();
+    });
+
+    it('should terminate connection after MAX_MISSED_PONGS consecutive non-responses', async () => {
+      vi.useFakeTimers();
+      delete process.env.TINYTERMINAL_TOKEN;
+
+      vi.resetModules();
+      const { handleConnection, HEARTBEAT_INTERVAL: _interval } = await import('../src/server.js');
+      const { MAX_MISSED_PONGS: maxPongs, HEARTBEAT_INTERVAL: interval } = await import('../src/constants.js');
+
+      handleConnection(mockWs, mockReq);
+
+      // MAX_MISSED_PONGS回分のping（missedPongs = MAX_MISSED_PONGS）
+      vi.advanceTimersByTime(interval * maxPongs);
+      expect(mockWs.terminate).not.toHaveBeenCalled();
+
+      // MAX_MISSED_PONGS+1回目のインターバルでterminateが呼ばれる
+      vi.advanceTimersByTime(interval);
+      expect(mockWs.terminate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should clear heartbeat interval on WebSocket close', async () => {
+      vi.useFakeTimers();
+      delete process.env.TINYTERMINAL_TOKEN;
+
+      vi.resetModules();
+      const { handleConnection } = await import('../src/server.js');
+      const { HEARTBEAT_INTERVAL: interval } = await import('../src/constants.js');
+
+      handleConnection(mockWs, mockReq);
+
+      // heartbeat開始確認
+      vi.advanceTimersByTime(interval);
+      expect(mockWs.ping).toHaveBeenCalledTimes(1);
+
+      // 接続クローズ
+      mockWs._closeHandler();
+      mockWs.ping.mockClear();
+
+      // クローズ後はpingが呼ばれない
+      vi.advanceTimersByTime(interval * 5);
+      expect(mockWs.ping).not.toHaveBeenCalled();
+    });
+
+    it('should use ws.terminate() not ws.close() for ghost connection cleanup', async () => {
+      vi.useFakeTimers();
+      delete process.env.TINYTERMINAL_TOKEN;
+
+      vi.resetModules();
+      const { handleConnection } = await import('../src/server.js');
+      const { MAX_MISSED_PONGS: maxPongs, HEARTBEAT_INTERVAL: interval } = await import('../src/constants.js');
+
+      handleConnection(mockWs, mockReq);
+
+      // 全pongを無視してterminateまで進める
+      vi.advanceTimersByTime(interval * (maxPongs + 1));
+
+      expect(mockWs.terminate).toHaveBeenCalled();
+      // close()は呼ばれていない（terminateとcloseは別）
+      expect(mockWs.close).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('PTY Management', () => {
+  let originalShell;
+
+  beforeEach(() => {
+    originalShell = process.env.SHELL;
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    process.env.SHELL = originalShell;
+  });
+
+  it('should spawn PTY with default shell from $SHELL', async () => {
+    process.env.SHELL = '/bin/zsh';
+
+    const pty = await import('node-pty');
+    const { createPTY } = await import('../src/server.js');
+
+    createPTY(80, 24);
+
+    expect(pty.default.spawn).toHaveBeenCalledWith(
+      '/bin/zsh',
+      [],
+      expect.objectContaining({
+        name: 'xterm-256color',
+        cols: 80,
+        rows: 24,
+      })
+    );
+  });
+
+  it('should fallback to /bin/bash if $SHELL is not set', async () => {
+    delete process.env.SHELL;
+
+    const pty = await import('node-pty');
+    const { createPTY } = await import('../src/server.js');
+
+    createPTY(80, 24);
+
+    expect(pty.default.spawn).toHaveBeenCalledWith(
+      '/bin/bash',
+      [],
+      expect.objectContaining({
+        name: 'xterm-256color',
+      })
+    );
+  });
+
+  it('should spawn PTY with custom shell if specified', async () => {
+    const pty = await import('node-pty');
+    const { createPTY } = await import('../src/server.js');
+
+    createPTY(80, 24, '/bin/fish');
+
+    expect(pty.default.spawn).toHaveBeenCalledWith(
+      '/bin/fish',
+      [],
+      expect.objectContaining({
+        name: 'xterm-256color',
+      })
+    );
+  });
+
+  it('should set xterm-256color as terminal type', async () => {
+    const pty = await import('node-pty');
+    const { createPTY } = await import('../src/server.js');
+
+    createPTY();
+
+    expect(pty.default.spawn).toHaveBeenCalledWith(
+      expect.any(String),
+      [],
+      expect.objectContaining({
+        name: 'xterm-256color',
+      })
+    );
+  });
+
+  it('should use safe environment whitelist (not pass process.env directly)', async () => {
+    // 危険な環境変数を設定
+    process.env.DANGEROUS_VAR = 'should-not-be-passed';
+    process.env.HOME = '/home/user';
+    process.env.SHELL = '/bin/bash';
+
+    const pty = await import('node-pty');
+    const { createPTY } = await import('../src/server.js');
+
+    createPTY();
+
+    const spawnCall = pty.default.spawn.mock.calls[pty.default.spawn.mock.calls.length - 1];
+    const envPassed = spawnCall[2].env;
+
+    // DANGEROUS_VARは渡されていないことを確認
+    expect(envPassed.DANGEROUS_VAR).toBeUndefined();
+
+    // ホワイトリストのキーは渡されていることを確認
+    expect(envPassed.HOME).toBe('/home/user');
+    expect(envPassed.SHELL).toBe('/bin/bash');
+    expect(envPassed.TERM).toBe('xterm-256color');
+
+    delete process.env.DANGEROUS_VAR;
+  });
+});
+
+describe('HTTP Static File Serving', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = createHttpServer();
+    await new Promise((resolve) => server.listen(0, resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const makeRequest = (path) => {
+    return new Promise((resolve, reject) => {
+      const address = server.address();
+      const req = http.request(
+        {
+          hostname: 'localhost',
+          port: address.port,
+          path,
+          method: 'GET',
+        },
+        (res) => {
+          let data = '';
+          res.on('data', (chunk) => {
+            data += chunk;
+          });
+          res.on('end', () => {
+            resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+          });
+        }
+      );
+      req.on('error', reject);
+      req.end();
+    });
+  };
+
+  it('should serve index.html on GET /', async () => {
+    const res = await makeRequest('/');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/html');
+    expect(res.body).toContain('<!DOCTYPE html>');
+  });
+
+  it('should serve index.html on GET /index.html', async () => {
+    const res = await makeRequest('/index.html');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/html');
+    expect(res.body).toContain('<!DOCTYPE html>');
+  });
+
+  it('should serve style.css on GET /style.css', async () => {
+    const res = await makeRequest('/style.css');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/css');
+  });
+
+  it('should serve client.js on GET /client.js', async () => {
+    const res = await makeRequest('/client.js');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/javascript');
+  });
+
+  it('should serve the recordings page and its scripts', async () => {
+    const page = await makeRequest('/recordings');
+    expect(page.statusCode).toBe(200);
+    expect(page.headers['content-type']).toBe('text/html');
+    expect(page.body).toContain('player.js');
+
+    for (const file of ['/theme.js', '/player.js']) {
+      const res = await makeRequest(file);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('application/javascript');
+    }
+  });
+
+  it('should ignore the query string when serving pages', async () => {
+    const res = await makeRequest('/?token=abc');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toContain('<!DOCTYPE html>');
+  });
+
+  it('should return 404 for nonexistent file', async () => {
+    const res = await makeRequest('/nonexistent');
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toBe('Not Found');
+  });
+
+  it('should reject path traversal attempts', async () => {
+    const res = await makeRequest('/../../../etc/passwd');
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should return 500 on internal server error', async () => {
+    // This test is difficult to trigger without mocking fs module
+    // We test the error handling path by ensuring existing tests don't crash
+    // Internal error handling is covered by code structure
+  });
+});
+
+describe('Recordings API', () => {
+  const SESSION_ID = '123e4567-e89b-12d3-a456-426614174000';
+  const CAST_NAME = `20250101-000000-${SESSION_ID}.cast`;
+  const CAST = '{"version":2,"width":80,"height":24,"timestamp":1735689600,"title":"agent"}\n[0.5,"o","hi"]\n';
+  let server;
+  let recordDir;
+
+  const startServer = async () => {
+    const { createHttpServer: create } = await import('../src/server.js');
+    server = create();
+    await new Promise((resolve) => server.listen(0, resolve));
+  };
+
+  const makeRequest = (requestPath, headers = {}) => {
+    return new Promise((resolve, reject) => {
+      const req = http.request(
+        { hostname: 'localhost', port: server.address().port, path: requestPath, method: 'GET', headers },
+        (res) => {
+          let data = '';
+          res.on('data', (chunk) => {
+            data += chunk;
+          });
+          res.on('end', () => {
+            resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+          });
+        }
+      );
+      req.on('error', reject);
+      req.end();
+    });
+  };
+
+  beforeEach(() => {
+    vi.resetModules();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-api-rec-'));
+    fs.writeFileSync(path.join(recordDir, CAST_NAME), CAST);
+    fs.writeFileSync(path.join(recordDir, 'notes.txt'), 'not a recording');
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+    delete process.env.TINYTERMINAL_RECORD_DIR;
+    delete process.env.TINYTERMINAL_TOKEN;
+    fs.rmSync(recordDir, { recursive: true, force: true });
+    vi.resetModules();
+    vi.restoreAllMocks();
+  });
+
+  it('should report recording as disabled without TINYTERMINAL_RECORD_DIR', async () => {
+    await startServer();
+    const res = await makeRequest('/api/recordings');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(JSON.parse(res.body)).toEqual({ enabled: false, recordings: [] });
+  });
+
+  it('should list only recording files', async () => {
+    process.env.TINYTERMINAL_RECORD_DIR = recordDir;
+    await startServer();
+    const res = await makeRequest('/api/recordings');
+    expect(JSON.parse(res.body)).toEqual({
+      enabled: true,
+      recordings: [
+        {
+          name: CAST_NAME,
+          size: CAST.length,
+          title: 'agent',
+          width: 80,
+          height: 24,
+          timestamp: 1735689600,
+        },
+      ],
+    });
+  });
+
+  it('should serve a recording as asciicast', async () => {
+    process.env.TINYTERMINAL_RECORD_DIR = recordDir;
+    await startServer();
+    const res = await makeRequest(`/api/recordings/${CAST_NAME}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/x-asciicast');
+    expect(res.body).toBe(CAST);
+  });
+
+  it('should return 404 for unknown and invalid names', async () => {
+    process.env.TINYTERMINAL_RECORD_DIR = recordDir;
+    await startServer();
+    const missing = await makeRequest(`/api/recordings/20250102-000000-${SESSION_ID}.cast`);
+    expect(missing.statusCode).toBe(404);
+    expect((await makeRequest('/api/recordings/notes.txt')).statusCode).toBe(404);
+    expect((await makeRequest('/api/recordings/..%2F..%2Fetc%2Fpasswd')).statusCode).toBe(404);
+  });
+
+  it('should require the bearer token when TINYTERMINAL_TOKEN is set', async () => {
+    process.env.TINYTERMINAL_RECORD_DIR = recordDir;
+    process.env.TINYTERMINAL_TOKEN = 'secret-token';
+    await startServer();
 
-    await mockWs._messageHandler(Buffer.from(authMessage2));
+    const anonymous = await makeRequest(`/api/recordings/${CAST_NAME}`);
+    expect(anonymous.statusCode).toBe(401);
+    expect(anonymous.body).not.toContain('hi');
 
-    // 何も送信されない
-    expect(mockWs.send).not.toHaveBeenCalled();
+    const wrong = await makeRequest('/api/recordings', { Authorization: 'Bearer wrong-token!' });
+    expect(wrong.statusCode).toBe(401);
 
-    delete process.env.TINYTERMINAL_TOKEN;
+    const authorized = await makeRequest('/api/recordings', { Authorization: 'Bearer secret-token' });
+    expect(authorized.statusCode).toBe(200);
+    expect(JSON.parse(authorized.body).recordings).toHaveLength(1);
   });
+});
 
-  it('should ignore input message before authentication', async () => {
-    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
-
-    vi.resetModules();
-    const { handleConnection } = await import('../src/server.js');
+describe('Login', () => {
+  let server;
 
-    const req = {
-      headers: {
-        origin: 'http://localhost:3000',
-      },
-      socket: {
-        remoteAddress: '100.64.0.1',
-      },
-    };
+  const startServer = async () => {
+    const { createHttpServer: create } = await import('../src/server.js');
+    server = create();
+    await new Promise((resolve) => server.listen(0, resolve));
+  };
 
-    handleConnection(mockWs, req);
+  const makeRequest = (requestPath, { method = 'GET', headers = {}, body } = {}) => {
+    return new Promise((resolve, reject) => {
+      const req = http.request(
+        { hostname: 'localhost', port: server.address().port, path: requestPath, method, headers },
+        (res) => {
+          let data = '';
+          res.on('data', (chunk) => {
+            data += chunk;
+          });
+          res.on('end', () => {
+            resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+          });
+        }
+      );
+      req.on('error', reject);
+      req.end(body);
+    });
+  };
 
-    // 認証前にinputメッセージを送信
-    const inputMessage = JSON.stringify({
-      type: 'input',
-      data: 'echo hello\n',
+  const login = (token, headers = {}) =>
+    makeRequest('/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ token }),
     });
 
-    await mockWs._messageHandler(Buffer.from(inputMessage));
+  // "tt_session=<value>" from a Set-Cookie header
+  const cookieOf = (res) => res.headers['set-cookie'][0].split(';')[0];
 
-    // PTYに送られない
-    expect(mockPty.write).not.toHaveBeenCalled();
+  const createMockWs = () => {
+    const ws = {
+      send: vi.fn(),
+      close: vi.fn(),
+      terminate: vi.fn(),
+      ping: vi.fn(),
+      on: vi.fn((event, callback) => {
+        if (event === 'message') ws._messageHandler = callback;
+        if (event === 'close') ws._closeHandler = callback;
+      }),
+    };
+    return ws;
+  };
 
-    delete process.env.TINYTERMINAL_TOKEN;
+  const upgradeRequest = (cookie) => ({
+    headers: { origin: 'http://localhost:3000', ...(cookie ? { cookie } : {}) },
+    socket: { remoteAddress: '100.64.0.1' },
   });
 
-  it('should clear authTimeout on WebSocket close before authentication', async () => {
-    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
-
+  beforeEach(() => {
     vi.resetModules();
-    const { handleConnection } = await import('../src/server.js');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.TINYTERMINAL_TOKEN = 'secret-token';
+  });
 
-    const req = {
-      headers: {
-        origin: 'http://localhost:3000',
-      },
-      socket: {
-        remoteAddress: '100.64.0.1',
-      },
-    };
+  afterEach(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+    delete process.env.TINYTERMINAL_TOKEN;
+    delete process.env.TINYTERMINAL_LOGIN_TTL;
+    delete process.env.TINYTERMINAL_LOCKOUT_BACKOFF;
+    delete process.env.TINYTERMINAL_LOCKOUT_ATTEMPTS;
+    vi.useRealTimers();
+    vi.resetModules();
+    vi.restoreAllMocks();
+  });
 
-    handleConnection(mockWs, req);
+  it('should redirect pages to the login page without a cookie', async () => {
+    await startServer();
 
-    // 認証前にWebSocketを閉じる（authTimeoutが存在する状態でcloseHandler実行）
-    mockWs._closeHandler();
+    const page = await makeRequest('/?token=secret-token');
+    expect(page.statusCode).toBe(303);
+    expect(page.headers.location).toBe('/login?next=%2F');
 
-    // PTYがkillされることを確認（認証前なのでPTYは起動してないはずだが、close時にnullチェックで呼ばれない）
-    // 認証前にはPTY起動しないため、killは呼ばれない
-    expect(mockPty.kill).not.toHaveBeenCalled();
+    const recordings = await makeRequest('/recordings');
+    expect(recordings.headers.location).toBe('/login?next=%2Frecordings');
 
-    delete process.env.TINYTERMINAL_TOKEN;
+    const loginPage = await makeRequest('/login');
+    expect(loginPage.statusCode).toBe(200);
+    expect(loginPage.body).toContain('login.js');
+    expect((await makeRequest('/login.js')).statusCode).toBe(200);
+    expect((await makeRequest('/client.js')).statusCode).toBe(200);
   });
 
-  it('should NOT create PTY before authentication when TINYTERMINAL_TOKEN is set', async () => {
-    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+  it('should issue an HttpOnly SameSite=Strict cookie for the right token', async () => {
+    await startServer();
 
-    vi.resetModules();
-    const { handleConnection } = await import('../src/server.js');
-    const pty = await import('node-pty');
+    const res = await login('secret-token');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['set-cookie'][0]).toMatch(
+      /^tt_session=[\w-]+\.[\w-]+; Path=\/; Max-Age=86400; HttpOnly; SameSite=Strict$/
+    );
 
-    // spawn呼び出しカウントをリセット
-    pty.default.spawn.mockClear();
+    const headers = { Cookie: cookieOf(res) };
+    expect((await makeRequest('/', { headers })).statusCode).toBe(200);
+    expect((await makeRequest('/recordings', { headers })).statusCode).toBe(200);
+    expect((await makeRequest('/api/recordings', { headers })).statusCode).toBe(200);
+  });
 
-    const req = {
-      headers: {
-        origin: 'http://localhost:3000',
-      },
-      socket: {
-        remoteAddress: '100.64.0.1',
-      },
-    };
+  it('should reject a wrong token without a cookie', async () => {
+    await startServer();
 
-    handleConnection(mockWs, req);
+    const res = await login('wrong-token');
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['set-cookie']).toBeUndefined();
+  });
 
-    // 認証前なのでPTYは起動していない
-    expect(pty.default.spawn).not.toHaveBeenCalled();
+  it('should reject forged cookies', async () => {
+    await startServer();
 
-    // 認証メッセージを送信
-    const authMessage = JSON.stringify({
-      type: 'auth',
-      token: 'test-secret-token',
-    });
+    const res = await makeRequest('/', { headers: { Cookie: 'tt_session=abc.def' } });
+    expect(res.statusCode).toBe(303);
+  });
 
-    await mockWs._messageHandler(Buffer.from(authMessage));
+  it('should reject cross-site, malformed and non-POST login requests', async () => {
+    await startServer();
 
-    // 認証成功後もまだPTYは起動していない（resizeが必要）
-    expect(pty.default.spawn).not.toHaveBeenCalled();
+    const crossSite = await login('secret-token', { Origin: 'https://evil.example' });
+    expect(crossSite.statusCode).toBe(403);
+    expect(crossSite.headers['set-cookie']).toBeUndefined();
 
-    // resizeメッセージを送信してPTY起動
-    const resizeMessage = JSON.stringify({
-      type: 'resize',
-      cols: 80,
-      rows: 24,
-    });
+    const malformed = await makeRequest('/api/login', { method: 'POST', body: '{token' });
+    expect(malformed.statusCode).toBe(400);
 
-    await mockWs._messageHandler(Buffer.from(resizeMessage));
+    const oversized = await makeRequest('/api/login', { method: 'POST', body: 'x'.repeat(10000) });
+    expect(oversized.statusCode).toBe(400);
 
-    // resizeでPTYが起動する
-    expect(pty.default.spawn).toHaveBeenCalledTimes(1);
+    expect((await makeRequest('/api/login', { method: 'PUT' })).statusCode).toBe(405);
+  });
 
-    delete process.env.TINYTERMINAL_TOKEN;
+  it('should tell the login page whether to ask for a user name', async () => {
+    await startServer();
+
+    const res = await makeRequest('/api/login');
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.body)).toEqual({ users: false });
   });
 
-  it('should NOT send PTY output to client before authentication', async () => {
-    process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+  it('should clear the cookie and end the login on logout', async () => {
+    await startServer();
+    const cookie = cookieOf(await login('secret-token'));
 
-    vi.resetModules();
-    const { handleConnection } = await import('../src/server.js');
+    const res = await makeRequest('/api/logout', { method: 'POST', headers: { Cookie: cookie } });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['set-cookie'][0]).toContain('tt_session=; Path=/; Max-Age=0');
 
-    const req = {
-      headers: {
-        origin: 'http://localhost:3000',
-      },
-      socket: {
-        remoteAddress: '100.64.0.1',
-      },
-    };
+    // The old cookie value is dead even if the browser kept it
+    expect((await makeRequest('/', { headers: { Cookie: cookie } })).statusCode).toBe(303);
+  });
 
-    handleConnection(mockWs, req);
+  it('should audit logins, failed logins, cookie connections and logouts', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-login-audit-'));
+    process.env.TINYTERMINAL_AUDIT_LOG = path.join(dir, 'audit.jsonl');
+    try {
+      await startServer();
+      await login('wrong-token');
+      const cookie = cookieOf(await login('secret-token'));
+      const { handleConnection: connect } = await import('../src/server.js');
+      const ws = createMockWs();
+      connect(ws, upgradeRequest(cookie));
+      ws._closeHandler();
+      await makeRequest('/api/logout', { method: 'POST', headers: { Cookie: cookie } });
+
+      const records = fs
+        .readFileSync(process.env.TINYTERMINAL_AUDIT_LOG, 'utf-8')
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+      expect(records.map((record) => [record.event, record.method, record.reason])).toEqual([
+        ['login_failure', 'token', 'invalid token'],
+        ['login', 'token', undefined],
+        ['connect', undefined, undefined],
+        ['auth', 'cookie', undefined],
+        ['disconnect', undefined, undefined],
+        ['logout', undefined, undefined],
+      ]);
+      expect(records[1].ip).toMatch(/127\.0\.0\.1$/);
+    } finally {
+      delete process.env.TINYTERMINAL_AUDIT_LOG;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
 
-    // 認証前なのでonDataコールバックは設定されていない（PTY未起動）
-    // したがってptyDataCallbackは未定義
-    expect(ptyDataCallback).toBeUndefined();
+  it('should skip the login page when no token is configured', async () => {
+    delete process.env.TINYTERMINAL_TOKEN;
+    await startServer();
 
-    // 認証メッセージを送信
-    const authMessage = JSON.stringify({
-      type: 'auth',
-      token: 'test-secret-token',
-    });
+    const page = await makeRequest('/login');
+    expect(page.statusCode).toBe(303);
+    expect(page.headers.location).toBe('/');
+    expect((await login('anything')).statusCode).toBe(404);
+  });
 
-    await mockWs._messageHandler(Buffer.from(authMessage));
+  it('should authenticate the WebSocket upgrade with the login cookie', async () => {
+    await startServer();
+    const cookie = cookieOf(await login('secret-token'));
+    const { handleConnection: connect } = await import('../src/server.js');
+    const ws = createMockWs();
 
-    // 認証成功後もまだPTY未起動なのでptyDataCallbackは未定義
-    expect(ptyDataCallback).toBeUndefined();
+    connect(ws, upgradeRequest(`other=1; ${cookie}`));
 
-    // resizeメッセージを送信してPTY起動
-    const resizeMessage = JSON.stringify({
-      type: 'resize',
-      cols: 80,
-      rows: 24,
-    });
+    const connected = ws.send.mock.calls.map(([raw]) => JSON.parse(raw)).find((m) => m.type === 'connected');
+    expect(connected.message).toBe('Authentication successful');
+    expect(ws.close).not.toHaveBeenCalled();
+    ws._closeHandler();
+  });
 
-    await mockWs._messageHandler(Buffer.from(resizeMessage));
+  it('should refuse an upgrade with a stale cookie at once', async () => {
+    await startServer();
+    const { handleConnection: connect } = await import('../src/server.js');
+    const ws = createMockWs();
 
-    // resizeでPTY起動され、onDataコールバックが設定される
-    expect(ptyDataCallback).toBeDefined();
+    connect(ws, upgradeRequest('tt_session=stale.cookie'));
 
-    mockWs.send.mockClear();
+    expect(ws.close).toHaveBeenCalledWith(4001, 'Session expired');
+    expect(ws.send).not.toHaveBeenCalled();
+  });
 
-    // PTY出力をシミュレート（認証後なので送信される）
-    ptyDataCallback('$ ls\r\n');
+  it('should close open terminals of a login on logout', async () => {
+    await startServer();
+    const cookie = cookieOf(await login('secret-token'));
+    const { handleConnection: connect } = await import('../src/server.js');
+    const ws = createMockWs();
+    connect(ws, upgradeRequest(cookie));
 
-    expect(mockWs.send).toHaveBeenCalledWith(
-      JSON.stringify({
-        type: 'output',
-        data: '$ ls\r\n',
-      })
-    );
+    await makeRequest('/api/logout', { method: 'POST', headers: { Cookie: cookie } });
 
-    delete process.env.TINYTERMINAL_TOKEN;
+    expect(ws.close).toHaveBeenCalledWith(4001, 'Logged out');
+    ws._closeHandler();
   });
 
-  describe('Heartbeat', () => {
-    afterEach(() => {
-      vi.useRealTimers();
-      vi.clearAllMocks();
+  it('should close the connection when the login expires', async () => {
+    process.env.TINYTERMINAL_LOGIN_TTL = '60';
+    await startServer();
+    const cookie = cookieOf(await login('secret-token'));
+    const { handleConnection: connect } = await import('../src/server.js');
+    vi.useFakeTimers();
+    const ws = createMockWs();
+    connect(ws, upgradeRequest(cookie));
+
+    vi.advanceTimersByTime(59000);
+    expect(ws.close).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1000);
+    expect(ws.close).toHaveBeenCalledWith(4001, 'Session expired');
+    ws._closeHandler();
+  });
+
+  describe('TOTP', () => {
+    let totpDir;
+    let totpFile;
+
+    const postJson = (requestPath, body) =>
+      makeRequest(requestPath, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+    const codeFor = (secret, offset = 0) => hotp(secret, totpCounter(Date.now()) + offset);
+
+    // Enroll through the API and return the secret
+    const enroll = async () => {
+      const first = JSON.parse((await login('secret-token')).body);
+      const secret = base32Decode(first.secret);
+      const res = await postJson('/api/login/totp', { pending: first.pending, code: codeFor(secret) });
+      expect(res.statusCode).toBe(200);
+      return secret;
+    };
+
+    beforeEach(() => {
+      totpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-server-totp-'));
+      totpFile = path.join(totpDir, 'totp.json');
+      process.env.TINYTERMINAL_TOTP_FILE = totpFile;
     });
 
-    it('should start heartbeat immediately when no auth token required', async () => {
-      vi.useFakeTimers();
-      delete process.env.TINYTERMINAL_TOKEN;
+    afterEach(() => {
+      delete process.env.TINYTERMINAL_TOTP_FILE;
+      delete process.env.TINYTERMINAL_IDLE_LOCK;
+      fs.rmSync(totpDir, { recursive: true, force: true });
+    });
 
-      vi.resetModules();
-      const { handleConnection } = await import('../src/server.js');
+    it('should enroll on the first login and store the secret 0600', async () => {
+      await startServer();
+
+      const res = await login('secret-token');
+      const body = JSON.parse(res.body);
+      expect(res.headers['set-cookie']).toBeUndefined();
+      expect(body.totp).toBe('enroll');
+      expect(body.uri).toMatch(/^otpauth:\/\/totp\/TinyTerminal:/);
+      expect(body.uri).toContain(`secret=${body.secret}`);
+      // Nothing is stored until a code from the new secret comes back
+      expect(fs.existsSync(totpFile)).toBe(false);
+
+      const secret = base32Decode(body.secret);
+      const done = await postJson('/api/login/totp', { pending: body.pending, code: codeFor(secret) });
+      expect(done.statusCode).toBe(200);
+      expect(done.headers['set-cookie'][0]).toContain('HttpOnly');
+      expect(fs.statSync(totpFile).mode & 0o777).toBe(0o600);
+      expect(loadTotpSecret(totpFile)).toEqual(secret);
+    });
 
-      handleConnection(mockWs, mockReq);
+    it('should ask for a code once enrolled and tolerate clock skew', async () => {
+      await startServer();
+      const secret = await enroll();
 
-      // heartbeat開始前はpingが呼ばれていない
-      expect(mockWs.ping).not.toHaveBeenCalled();
+      const first = JSON.parse((await login('secret-token')).body);
+      expect(first).toEqual({ totp: 'verify', pending: expect.any(String) });
 
-      // 30秒経過させる（最初のping）
-      vi.advanceTimersByTime(30000);
-      expect(mockWs.ping).toHaveBeenCalledTimes(1);
+      // The code one step ahead (phone clock slightly fast) is still accepted
+      const res = await postJson('/api/login/totp', { pending: first.pending, code: codeFor(secret, 1) });
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['set-cookie'][0]).toMatch(/^tt_session=/);
     });
 
-    it('should start heartbeat after successful authentication', async () => {
-      vi.useFakeTimers();
-      process.env.TINYTERMINAL_TOKEN = 'test-secret-token';
+    it('should load an existing secret at startup', async () => {
+      const secret = Buffer.from('12345678901234567890');
+      saveTotpSecret(totpFile, secret);
+      await startServer();
 
-      vi.resetModules();
-      const { handleConnection } = await import('../src/server.js');
+      const first = JSON.parse((await login('secret-token')).body);
+      expect(first.totp).toBe('verify');
+      const res = await postJson('/api/login/totp', { pending: first.pending, code: codeFor(secret) });
+      expect(res.statusCode).toBe(200);
+    });
 
-      handleConnection(mockWs, mockReq);
+    it('should refuse a code that was already used', async () => {
+      await startServer();
+      const secret = await enroll();
 
-      // 認証前はheartbeat未開始
-      vi.advanceTimersByTime(30000);
-      expect(mockWs.ping).not.toHaveBeenCalled();
+      const first = JSON.parse((await login('secret-token')).body);
+      const res = await postJson('/api/login/totp', { pending: first.pending, code: codeFor(secret) });
+      expect(res.statusCode).toBe(401);
+      expect(JSON.parse(res.body).error).toBe('Invalid code');
+    });
 
-      // 認証成功
-      const authMessage = JSON.stringify({ type: 'auth', token: 'test-secret-token' });
-      await mockWs._messageHandler(Buffer.from(authMessage));
+    it('should drop the pending login after too many wrong codes', async () => {
+      // Wrong codes in a row would otherwise be held up by the lockout backoff
+      process.env.TINYTERMINAL_LOCKOUT_BACKOFF = '0';
+      await startServer();
+      await enroll();
+      const { pending } = JSON.parse((await login('secret-token')).body);
+
+      const errors = [];
+      for (let i = 0; i < 5; i++) {
+        const res = await postJson('/api/login/totp', { pending, code: '000000' });
+        errors.push(JSON.parse(res.body).error);
+      }
+      expect(errors).toEqual(['Invalid code', 'Invalid code', 'Invalid code', 'Invalid code', 'Login expired']);
+      expect((await postJson('/api/login/totp', { pending, code: '000000' })).statusCode).toBe(401);
+    });
 
-      // 認証後30秒でpingが送られる
-      vi.advanceTimersByTime(30000);
-      expect(mockWs.ping).toHaveBeenCalledTimes(1);
+    it('should not issue a cookie for a wrong token', async () => {
+      await startServer();
+      const res = await login('wrong-token');
+      expect(res.statusCode).toBe(401);
+      expect(JSON.parse(res.body).pending).toBeUndefined();
+    });
 
-      delete process.env.TINYTERMINAL_TOKEN;
+    it('should require the code in the WebSocket auth message', async () => {
+      const secret = Buffer.from('12345678901234567890');
+      saveTotpSecret(totpFile, secret);
+      const { handleConnection: connect } = await import('../src/server.js');
+
+      const withoutCode = createMockWs();
+      connect(withoutCode, upgradeRequest());
+      await withoutCode._messageHandler(Buffer.from(JSON.stringify({ type: 'auth', token: 'secret-token' })));
+      expect(withoutCode.close).toHaveBeenCalledWith(4001, 'Unauthorized');
+      withoutCode._closeHandler();
+
+      const withCode = createMockWs();
+      connect(withCode, upgradeRequest());
+      await withCode._messageHandler(
+        Buffer.from(JSON.stringify({ type: 'auth', token: 'secret-token', code: codeFor(secret) }))
+      );
+      expect(withCode.close).not.toHaveBeenCalled();
+      expect(withCode.send.mock.calls.map(([raw]) => JSON.parse(raw).type)).toContain('connected');
+      withCode._closeHandler();
     });
 
-    it('should reset missed pong counter when pong is received', async () => {
+    it('should require a fresh code on the idle lock screen too', async () => {
+      process.env.TINYTERMINAL_IDLE_LOCK = '300';
+      // Wrong unlocks in a row would otherwise be held up by the lockout backoff
+      process.env.TINYTERMINAL_LOCKOUT_BACKOFF = '0';
+      const secret = Buffer.from('12345678901234567890');
+      saveTotpSecret(totpFile, secret);
+      const { handleConnection: connect } = await import('../src/server.js');
+      const sent = (ws) => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+      const send = (ws, message) => ws._messageHandler(Buffer.from(JSON.stringify(message)));
       vi.useFakeTimers();
+
+      // Lock a signed-in connection and try to unlock it with the fields made at that time
+      const unlockWith = async (fields = () => ({})) => {
+        const ws = createMockWs();
+        connect(ws, upgradeRequest());
+        await send(ws, { type: 'auth', token: 'secret-token', code: codeFor(secret) });
+        vi.advanceTimersByTime(300000);
+        expect(sent(ws)).toContainEqual({ type: 'locked', totp: true });
+        await send(ws, { type: 'unlock', token: 'secret-token', seq: 0, ...fields() });
+        ws._closeHandler();
+        return ws;
+      };
+
+      // The token alone does not get past the second factor
+      const tokenOnly = await unlockWith();
+      expect(tokenOnly.close).toHaveBeenCalledWith(4001, 'Unauthorized');
+      expect(sent(tokenOnly)).not.toContainEqual({ type: 'unlocked' });
+      const wrongCode = await unlockWith(() => ({ code: 'abcdef' }));
+      expect(wrongCode.close).toHaveBeenCalledWith(4001, 'Unauthorized');
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Rejected unlock: invalid token'));
+
+      const withCode = await unlockWith(() => ({ code: codeFor(secret) }));
+      expect(withCode.close).not.toHaveBeenCalled();
+      expect(sent(withCode)).toContainEqual({ type: 'unlocked' });
+    });
+
+    it('should refuse to start without a token', async () => {
       delete process.env.TINYTERMINAL_TOKEN;
+      await expect(import('../src/server.js')).rejects.toThrow('requires TINYTERMINAL_TOKEN');
+    });
+  });
 
-      vi.resetModules();
-      const { handleConnection } = await import('../src/server.js');
+  describe('Passkeys', () => {
+    const ORIGIN = 'http://localhost:3000';
+    let passkeyDir;
+    let passkeyFile;
+
+    // Software authenticator (ES256, one credential) sending what a phone would
+    const createAuthenticator = () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const { x, y } = publicKey.export({ format: 'jwk' });
+      const credentialId = crypto.randomBytes(16);
+      const rpIdHash = crypto.createHash('sha256').update('localhost').digest();
+      // COSE_Key { 1: 2, 3: -7, -1: 1, -2: x, -3: y }
+      const cose = Buffer.concat([
+        Buffer.from('a5010203262001215820', 'hex'),
+        Buffer.from(x, 'base64url'),
+        Buffer.from('225820', 'hex'),
+        Buffer.from(y, 'base64url'),
+      ]);
+      const clientData = (type, challenge) =>
+        Buffer.from(JSON.stringify({ type, challenge, origin: ORIGIN })).toString('base64url');
+
+      return {
+        id: credentialId.toString('base64url'),
+        register(challenge) {
+          // Flags: user present, user verified, attested credential; counter 0
+          const authData = Buffer.concat([
+            rpIdHash,
+            Buffer.from([0x45, 0, 0, 0, 0]),
+            Buffer.alloc(16),
+            Buffer.from([0, credentialId.length]),
+            credentialId,
+            cose,
+          ]);
+          // { fmt: 'none', attStmt: {}, authData }
+          const attestationObject = Buffer.concat([
+            Buffer.from('a363666d74646e6f6e656761747453746d74a068617574684461746158', 'hex'),
+            Buffer.from([authData.length]),
+            authData,
+          ]);
+          return {
+            id: this.id,
+            clientDataJSON: clientData('webauthn.create', challenge),
+            attestationObject: attestationObject.toString('base64url'),
+          };
+        },
+        assert(challenge) {
+          const authenticatorData = Buffer.concat([rpIdHash, Buffer.from([0x05, 0, 0, 0, 0])]);
+          const clientDataJSON = clientData('webauthn.get', challenge);
+          const hash = crypto.createHash('sha256').update(Buffer.from(clientDataJSON, 'base64url')).digest();
+          return {
+            id: this.id,
+            clientDataJSON,
+            authenticatorData: authenticatorData.toString('base64url'),
+            signature: crypto.sign('sha256', Buffer.concat([authenticatorData, hash]), privateKey).toString('base64url'),
+          };
+        },
+      };
+    };
 
-      handleConnection(mockWs, mockReq);
+    const postPasskey = (requestPath, body, headers = {}) =>
+      makeRequest(requestPath, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', origin: ORIGIN, ...headers },
+        body: JSON.stringify(body),
+      });
+
+    // Sign in with the token and register a passkey from that login
+    const registerPasskey = async (authenticator, name) => {
+      const cookie = cookieOf(await login('secret-token'));
+      const options = JSON.parse((await postPasskey('/api/passkey/register/options', {}, { cookie })).body);
+      return postPasskey('/api/passkey/register', { ...authenticator.register(options.challenge), name }, { cookie });
+    };
 
-      // pongハンドラが登録されている
-      expect(mockWs._pongHandler).toBeDefined();
+    const signIn = async (authenticator) => {
+      const options = JSON.parse((await postPasskey('/api/passkey/login/options', {})).body);
+      return postPasskey('/api/passkey/login', authenticator.assert(options.challenge));
+    };
 
-      // 2回分pingを送る（missedPongs = 2）
-      vi.advanceTimersByTime(60000);
-      expect(mockWs.ping).toHaveBeenCalledTimes(2);
+    beforeEach(() => {
+      passkeyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-server-passkey-'));
+      passkeyFile = path.join(passkeyDir, 'passkeys.json');
+      process.env.TINYTERMINAL_PASSKEY_FILE = passkeyFile;
+    });
 
-      // pong受信でカウンターリセット
-      mockWs._pongHandler();
+    afterEach(() => {
+      delete process.env.TINYTERMINAL_PASSKEY_FILE;
+      fs.rmSync(passkeyDir, { recursive: true, force: true });
+    });
 
-      // さらに1回ping（missedPongs = 1、terminateされない）
-      vi.advanceTimersByTime(30000);
-      expect(mockWs.terminate).not.toHaveBeenCalled();
+    it('should report whether passkeys are enabled and registered', async () => {
+      await startServer();
+      expect(JSON.parse((await makeRequest('/api/passkey')).body)).toEqual({ enabled: true, registered: false });
+      await registerPasskey(createAuthenticator());
+      expect(JSON.parse((await makeRequest('/api/passkey')).body)).toEqual({ enabled: true, registered: true });
     });
 
-    it('should terminate connection after MAX_MISSED_PONGS consecutive non-responses', async () => {
-      vi.useFakeTimers();
-      delete process.env.TINYTERMINAL_TOKEN;
+    it('should serve the passkey script', async () => {
+      await startServer();
+      const res = await makeRequest('/passkey.js');
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('application/javascript');
+    });
+
+    it('should register a passkey from a signed-in page and store it 0600', async () => {
+      await startServer();
+      const cookie = cookieOf(await login('secret-token'));
+      const res = await postPasskey('/api/passkey/register/options', {}, { cookie });
+      const options = JSON.parse(res.body);
+      expect(options).toMatchObject({
+        rp: { id: 'localhost', name: 'TinyTerminal' },
+        pubKeyCredParams: [
+          { type: 'public-key', alg: -7 },
+          { type: 'public-key', alg: -257 },
+        ],
+        authenticatorSelection: { authenticatorAttachment: 'platform', userVerification: 'required' },
+        attestation: 'none',
+        excludeCredentials: [],
+      });
+
+      const authenticator = createAuthenticator();
+      const done = await postPasskey(
+        '/api/passkey/register',
+        { ...authenticator.register(options.challenge), name: 'Pixel' },
+        { cookie }
+      );
+      expect(JSON.parse(done.body)).toEqual({ ok: true, name: 'Pixel' });
+      expect(fs.statSync(passkeyFile).mode & 0o777).toBe(0o600);
+      const stored = JSON.parse(fs.readFileSync(passkeyFile, 'utf-8')).passkeys;
+      expect(stored).toEqual([expect.objectContaining({ id: authenticator.id, rpId: 'localhost', name: 'Pixel' })]);
+
+      // The same device is excluded from the next registration
+      const next = JSON.parse((await postPasskey('/api/passkey/register/options', {}, { cookie })).body);
+      expect(next.excludeCredentials).toEqual([{ type: 'public-key', id: authenticator.id }]);
+    });
 
-      vi.resetModules();
-      const { handleConnection, HEARTBEAT_INTERVAL: _interval } = await import('../src/server.js');
-      const { MAX_MISSED_PONGS: maxPongs, HEARTBEAT_INTERVAL: interval } = await import('../src/constants.js');
+    it('should only register passkeys for a signed-in page', async () => {
+      await startServer();
+      expect((await postPasskey('/api/passkey/register/options', {})).statusCode).toBe(401);
+      const bearer = await postPasskey('/api/passkey/register/options', {}, { authorization: 'Bearer secret-token' });
+      expect(bearer.statusCode).toBe(401);
+    });
 
-      handleConnection(mockWs, mockReq);
+    it('should sign in with a registered passkey and skip the token', async () => {
+      await startServer();
+      const authenticator = createAuthenticator();
+      await registerPasskey(authenticator, 'Pixel');
+
+      const options = JSON.parse((await postPasskey('/api/passkey/login/options', {})).body);
+      expect(options).toMatchObject({
+        rpId: 'localhost',
+        allowCredentials: [{ type: 'public-key', id: authenticator.id }],
+        userVerification: 'required',
+      });
+
+      const res = await postPasskey('/api/passkey/login', authenticator.assert(options.challenge));
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['set-cookie'][0]).toMatch(/^tt_session=.*HttpOnly/);
+
+      const page = await makeRequest('/', { headers: { cookie: cookieOf(res) } });
+      expect(page.statusCode).toBe(200);
+      expect(JSON.parse(fs.readFileSync(passkeyFile, 'utf-8')).passkeys[0].lastUsedAt).not.toBeNull();
+      expect(console.log.mock.calls.some(([line]) => line.includes('Passkey login: Pixel'))).toBe(true);
+    });
 
-      // MAX_MISSED_PONGS回分のping（missedPongs = MAX_MISSED_PONGS）
-      vi.advanceTimersByTime(interval * maxPongs);
-      expect(mockWs.terminate).not.toHaveBeenCalled();
+    it('should refuse unknown passkeys and replayed responses', async () => {
+      await startServer();
+      const authenticator = createAuthenticator();
+      await registerPasskey(authenticator);
 
-      // MAX_MISSED_PONGS+1回目のインターバルでterminateが呼ばれる
-      vi.advanceTimersByTime(interval);
-      expect(mockWs.terminate).toHaveBeenCalledTimes(1);
+      const stranger = await signIn(createAuthenticator());
+      expect(stranger.statusCode).toBe(401);
+      expect(JSON.parse(stranger.body).error).toBe('Passkey not accepted');
+
+      const options = JSON.parse((await postPasskey('/api/passkey/login/options', {})).body);
+      const response = authenticator.assert(options.challenge);
+      expect((await postPasskey('/api/passkey/login', response)).statusCode).toBe(200);
+      expect((await postPasskey('/api/passkey/login', response)).statusCode).toBe(401);
     });
 
-    it('should clear heartbeat interval on WebSocket close', async () => {
-      vi.useFakeTimers();
-      delete process.env.TINYTERMINAL_TOKEN;
+    it('should keep registered passkeys across restarts', async () => {
+      await startServer();
+      const authenticator = createAuthenticator();
+      await registerPasskey(authenticator);
+      await new Promise((resolve) => server.close(resolve));
 
       vi.resetModules();
-      const { handleConnection } = await import('../src/server.js');
-      const { HEARTBEAT_INTERVAL: interval } = await import('../src/constants.js');
+      await startServer();
+      expect((await signIn(authenticator)).statusCode).toBe(200);
+    });
 
-      handleConnection(mockWs, mockReq);
+    it('should have nothing to offer before a passkey is registered', async () => {
+      await startServer();
+      const res = await postPasskey('/api/passkey/login/options', {});
+      expect(res.statusCode).toBe(404);
+      expect(JSON.parse(res.body).error).toBe('No passkeys registered');
+    });
 
-      // heartbeat開始確認
-      vi.advanceTimersByTime(interval);
-      expect(mockWs.ping).toHaveBeenCalledTimes(1);
+    it('should require a browser origin', async () => {
+      await startServer();
+      const noOrigin = await makeRequest('/api/passkey/login/options', { method: 'POST', body: '{}' });
+      expect(noOrigin.statusCode).toBe(403);
+      expect((await postPasskey('/api/passkey/login/options', {}, { origin: 'https://evil.example' })).statusCode).toBe(403);
+    });
 
-      // 接続クローズ
-      mockWs._closeHandler();
-      mockWs.ping.mockClear();
+    it('should refuse IP address origins', async () => {
+      await startServer();
+      const res = await postPasskey('/api/passkey/login/options', {}, { origin: 'http://100.64.0.1:3000' });
+      expect(res.statusCode).toBe(400);
+    });
 
-      // クローズ後はpingが呼ばれない
-      vi.advanceTimersByTime(interval * 5);
-      expect(mockWs.ping).not.toHaveBeenCalled();
+    it('should answer 404 when passkeys are disabled', async () => {
+      delete process.env.TINYTERMINAL_PASSKEY_FILE;
+      await startServer();
+      expect(JSON.parse((await makeRequest('/api/passkey')).body)).toEqual({ enabled: false, registered: false });
+      expect((await postPasskey('/api/passkey/login/options', {})).statusCode).toBe(404);
     });
 
-    it('should use ws.terminate() not ws.close() for ghost connection cleanup', async () => {
-      vi.useFakeTimers();
+    it('should refuse to start without a token', async () => {
       delete process.env.TINYTERMINAL_TOKEN;
+      await expect(import('../src/server.js')).rejects.toThrow('requires TINYTERMINAL_TOKEN');
+    });
+  });
 
-      vi.resetModules();
-      const { handleConnection } = await import('../src/server.js');
-      const { MAX_MISSED_PONGS: maxPongs, HEARTBEAT_INTERVAL: interval } = await import('../src/constants.js');
+  describe('Users', () => {
+    let usersDir;
+    let hashes;
+
+    const loginAs = (user, token) =>
+      makeRequest('/api/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ user, token }),
+      });
+
+    const sent = (ws) => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+    const send = (ws, message) => ws._messageHandler(Buffer.from(JSON.stringify(message)));
+
+    // Authenticated WebSocket (auth message) with node-pty handing out mock PTYs
+    const connectAs = async (user, token) => {
+      const { handleConnection: connect } = await import('../src/server.js');
+      const pty = await import('node-pty');
+      pty.default.spawn.mockImplementation(() => ({
+        onData: vi.fn(),
+        onExit: vi.fn(),
+        write: vi.fn(),
+        resize: vi.fn(),
+        kill: vi.fn(),
+      }));
+      const ws = createMockWs();
+      connect(ws, upgradeRequest());
+      await send(ws, { type: 'auth', user, token });
+      return ws;
+    };
 
-      handleConnection(mockWs, mockReq);
+    const lastSessionList = (ws) => sent(ws).filter((m) => m.type === 'sessions').pop().sessions;
 
-      // 全pongを無視してterminateまで進める
-      vi.advanceTimersByTime(interval * (maxPongs + 1));
+    beforeAll(async () => {
+      hashes = {
+        alice: await hashToken('alice-token'),
+        bob: await hashToken('bob-token'),
+        guest: await hashToken('guest-token'),
+      };
+    });
 
-      expect(mockWs.terminate).toHaveBeenCalled();
-      // close()は呼ばれていない（terminateとcloseは別）
-      expect(mockWs.close).not.toHaveBeenCalled();
+    beforeEach(() => {
+      delete process.env.TINYTERMINAL_TOKEN;
+      usersDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-server-users-'));
+      const file = path.join(usersDir, 'users.json');
+      fs.writeFileSync(
+        file,
+        JSON.stringify({
+          users: [
+            { name: 'alice', tokenHash: hashes.alice, maxSessions: 1 },
+            { name: 'bob', tokenHash: hashes.bob },
+            { name: 'guest', tokenHash: hashes.guest, readOnly: true },
+          ],
+        })
+      );
+      process.env.TINYTERMINAL_USERS = file;
     });
-  });
-});
 
-describe('PTY Management', () => {
-  let originalShell;
+    afterEach(() => {
+      delete process.env.TINYTERMINAL_USERS;
+      fs.rmSync(usersDir, { recursive: true, force: true });
+    });
 
-  beforeEach(() => {
-    originalShell = process.env.SHELL;
-    vi.clearAllMocks();
-  });
+    it('should log in with a user name and that user\'s token', async () => {
+      process.env.TINYTERMINAL_LOCKOUT_BACKOFF = '0';
+      await startServer();
 
-  afterEach(() => {
-    process.env.SHELL = originalShell;
-  });
+      expect(JSON.parse((await makeRequest('/api/login')).body)).toEqual({ users: true });
+      expect((await loginAs('alice', 'bob-token')).statusCode).toBe(401);
+      expect((await loginAs('mallory', 'alice-token')).statusCode).toBe(401);
+      expect((await login('alice-token')).statusCode).toBe(401);
 
-  it('should spawn PTY with default shell from $SHELL', async () => {
-    process.env.SHELL = '/bin/zsh';
+      const res = await loginAs('alice', 'alice-token');
+      expect(res.statusCode).toBe(200);
+      expect((await makeRequest('/', { headers: { Cookie: cookieOf(res) } })).statusCode).toBe(200);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('[alice] Login successful'));
+    });
 
-    const pty = await import('node-pty');
-    const { createPTY } = await import('../src/server.js');
+    it('should take user:token bearer credentials', async () => {
+      await startServer();
 
-    createPTY(80, 24);
+      const recordings = (credential) =>
+        makeRequest('/api/recordings', { headers: { Authorization: `Bearer ${credential}` } });
+      expect((await recordings('bob:bob-token')).statusCode).toBe(200);
+      expect((await recordings('bob:alice-token')).statusCode).toBe(401);
+      expect((await recordings('bob-token')).statusCode).toBe(401);
+    });
 
-    expect(pty.default.spawn).toHaveBeenCalledWith(
-      '/bin/zsh',
-      [],
-      expect.objectContaining({
-        name: 'xterm-256color',
-        cols: 80,
-        rows: 24,
-      })
-    );
-  });
+    it('should tell the page who is connected and tag sessions and logs with the user', async () => {
+      const ws = await connectAs('alice', 'alice-token');
 
-  it('should fallback to /bin/bash if $SHELL is not set', async () => {
-    delete process.env.SHELL;
+      const connected = sent(ws).find((m) => m.type === 'connected');
+      expect(connected).toMatchObject({ user: 'alice', readOnly: false, profiles: ['default'] });
 
-    const pty = await import('node-pty');
-    const { createPTY } = await import('../src/server.js');
+      await send(ws, { type: 'resize', cols: 80, rows: 24 });
+      expect(lastSessionList(ws)[0].user).toBe('alice');
+      expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/\] \[alice\] PTY created/));
+      ws._closeHandler();
+    });
 
-    createPTY(80, 24);
+    it('should let other users watch a session but not drive it', async () => {
+      const alice = await connectAs('alice', 'alice-token');
+      await send(alice, { type: 'resize', cols: 80, rows: 24 });
+      const [{ id }] = lastSessionList(alice);
+
+      const bob = await connectAs('bob', 'bob-token');
+      for (const type of ['attach', 'join', 'kill']) {
+        await send(bob, { type, sessionId: id, seq: 0 });
+      }
+      await send(bob, { type: 'rename', sessionId: id, name: 'mine' });
+      expect(sent(bob).filter((m) => m.type === 'error')).toHaveLength(4);
+      expect(lastSessionList(alice)).toMatchObject([{ id, name: 'shell-1', attached: true }]);
+
+      await send(bob, { type: 'watch', sessionId: id, seq: 0 });
+      expect(sent(bob).map((m) => m.type)).toContain('watching');
+      alice._closeHandler();
+      bob._closeHandler();
+    });
 
-    expect(pty.default.spawn).toHaveBeenCalledWith(
-      '/bin/bash',
-      [],
-      expect.objectContaining({
-        name: 'xterm-256color',
-      })
-    );
-  });
+    it('should keep read-only users from starting or typing into sessions', async () => {
+      const pty = await import('node-pty');
+      const guest = await connectAs('guest', 'guest-token');
+      expect(sent(guest).find((m) => m.type === 'connected').readOnly).toBe(true);
 
-  it('should spawn PTY with custom shell if specified', async () => {
-    const pty = await import('node-pty');
-    const { createPTY } = await import('../src/server.js');
+      await send(guest, { type: 'resize', cols: 80, rows: 24 });
+      await send(guest, { type: 'create', cols: 80, rows: 24 });
+      await send(guest, { type: 'input', data: 'ls\r' });
 
-    createPTY(80, 24, '/bin/fish');
+      expect(pty.default.spawn).not.toHaveBeenCalled();
+      expect(sent(guest).filter((m) => m.type === 'error')).toHaveLength(2);
+      guest._closeHandler();
+    });
 
-    expect(pty.default.spawn).toHaveBeenCalledWith(
-      '/bin/fish',
-      [],
-      expect.objectContaining({
-        name: 'xterm-256color',
-      })
-    );
+    it('should enforce the per-user session limit', async () => {
+      const ws = await connectAs('alice', 'alice-token');
+      await send(ws, { type: 'resize', cols: 80, rows: 24 });
+      await send(ws, { type: 'create', cols: 80, rows: 24 });
+
+      expect(sent(ws)).toContainEqual({ type: 'error', message: 'Session limit reached' });
+      expect(lastSessionList(ws)).toHaveLength(1);
+      ws._closeHandler();
+    });
+
+    it('should refuse to start together with TINYTERMINAL_TOKEN', async () => {
+      process.env.TINYTERMINAL_TOKEN = 'secret-token';
+      await expect(import('../src/server.js')).rejects.toThrow('cannot be combined with TINYTERMINAL_TOKEN');
+    });
   });
 
-  it('should set xterm-256color as terminal type', async () => {
-    const pty = await import('node-pty');
-    const { createPTY } = await import('../src/server.js');
+  describe('Lockout', () => {
+    const sent = (ws) => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+    const send = (ws, message) => ws._messageHandler(Buffer.from(JSON.stringify(message)));
 
-    createPTY();
+    // Ban after 4 failures, without backoff in between
+    const failLogins = async (count) => {
+      for (let i = 0; i < count; i++) {
+        expect((await login('wrong-token')).statusCode).toBe(401);
+      }
+    };
 
-    expect(pty.default.spawn).toHaveBeenCalledWith(
-      expect.any(String),
-      [],
-      expect.objectContaining({
-        name: 'xterm-256color',
-      })
-    );
-  });
+    beforeEach(() => {
+      process.env.TINYTERMINAL_LOCKOUT_ATTEMPTS = '4';
+      process.env.TINYTERMINAL_LOCKOUT_BACKOFF = '0';
+    });
 
-  it('should use safe environment whitelist (not pass process.env directly)', async () => {
-    // 危険な環境変数を設定
-    process.env.DANGEROUS_VAR = 'should-not-be-passed';
-    process.env.HOME = '/home/user';
-    process.env.SHELL = '/bin/bash';
+    afterEach(() => {
+      delete process.env.TINYTERMINAL_IDLE_LOCK;
+    });
 
-    const pty = await import('node-pty');
-    const { createPTY } = await import('../src/server.js');
+    it('should make a client wait after repeated wrong tokens', async () => {
+      delete process.env.TINYTERMINAL_LOCKOUT_BACKOFF;
+      await startServer();
+      await failLogins(3);
 
-    createPTY();
+      // Even the right token waits out the backoff
+      const res = await login('secret-token');
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['retry-after']).toBe('1');
+      expect(JSON.parse(res.body)).toEqual({ error: 'Too many failed attempts', retryAfter: 1 });
+    });
 
-    const spawnCall = pty.default.spawn.mock.calls[pty.default.spawn.mock.calls.length - 1];
-    const envPassed = spawnCall[2].env;
+    it('should ban a client and alert', async () => {
+      await startServer();
+      await failLogins(4);
 
-    // DANGEROUS_VARは渡されていないことを確認
-    expect(envPassed.DANGEROUS_VAR).toBeUndefined();
+      const res = await login('secret-token');
+      expect(res.statusCode).toBe(429);
+      expect(JSON.parse(res.body).retryAfter).toBe(900);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('ALERT:'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Rejected login: locked out for 900s'));
+    });
 
-    // ホワイトリストのキーは渡されていることを確認
-    expect(envPassed.HOME).toBe('/home/user');
-    expect(envPassed.SHELL).toBe('/bin/bash');
-    expect(envPassed.TERM).toBe('xterm-256color');
+    it('should count wrong bearer tokens but keep honouring a live cookie', async () => {
+      await startServer();
+      const cookie = cookieOf(await login('secret-token'));
+      const recordings = (headers) => makeRequest('/api/recordings', { headers });
 
-    delete process.env.DANGEROUS_VAR;
-  });
-});
+      for (let i = 0; i < 4; i++) {
+        expect((await recordings({ Authorization: 'Bearer guess' })).statusCode).toBe(401);
+      }
+      expect((await recordings({ Authorization: 'Bearer secret-token' })).statusCode).toBe(429);
+      expect((await recordings({ Cookie: cookie })).statusCode).toBe(200);
+    });
 
-describe('HTTP Static File Serving', () => {
-  let server;
+    it('should close a locked-out WebSocket before checking its token', async () => {
+      await startServer();
+      const { handleConnection: connect } = await import('../src/server.js');
+
+      for (let i = 0; i < 4; i++) {
+        const ws = createMockWs();
+        connect(ws, upgradeRequest());
+        await send(ws, { type: 'auth', token: 'guess' });
+        expect(ws.close).toHaveBeenCalledWith(4001, 'Unauthorized');
+        ws._closeHandler();
+      }
+
+      const ws = createMockWs();
+      connect(ws, upgradeRequest());
+      await send(ws, { type: 'auth', token: 'secret-token' });
+      expect(sent(ws)).toContainEqual({ type: 'error', message: 'Too many failed attempts', retryAfter: 900 });
+      expect(ws.close).toHaveBeenCalledWith(4029, 'Too many failed attempts');
+      ws._closeHandler();
+    });
 
-  beforeEach(async () => {
-    server = createHttpServer();
-    await new Promise((resolve) => server.listen(0, resolve));
-  });
+    it('should keep a locked-out lock screen up with the wait', async () => {
+      process.env.TINYTERMINAL_IDLE_LOCK = '300';
+      await startServer();
+      const cookie = cookieOf(await login('secret-token'));
+      const { handleConnection: connect } = await import('../src/server.js');
 
-  afterEach(async () => {
-    await new Promise((resolve) => server.close(resolve));
+      // The HTTP requests come from the loopback address, the mock socket from 100.64.0.1
+      for (let i = 0; i < 4; i++) {
+        const guesser = createMockWs();
+        connect(guesser, upgradeRequest());
+        await send(guesser, { type: 'auth', token: 'guess' });
+        guesser._closeHandler();
+      }
+
+      vi.useFakeTimers();
+      const ws = createMockWs();
+      connect(ws, upgradeRequest(cookie));
+      vi.advanceTimersByTime(300000);
+      expect(sent(ws)).toContainEqual({ type: 'locked' });
+
+      // 300s of the 900s ban went by before the lock
+      await send(ws, { type: 'unlock', token: 'secret-token', seq: 0 });
+      expect(sent(ws)).toContainEqual({ type: 'error', message: 'Too many failed attempts', retryAfter: 600 });
+      expect(sent(ws)).not.toContainEqual({ type: 'unlocked' });
+      expect(ws.close).not.toHaveBeenCalled();
+      ws._closeHandler();
+    });
   });
 
-  const makeRequest = (path) => {
-    return new Promise((resolve, reject) => {
-      const address = server.address();
-      const req = http.request(
-        {
-          hostname: 'localhost',
-          port: address.port,
-          path,
-          method: 'GET',
-        },
-        (res) => {
-          let data = '';
-          res.on('data', (chunk) => {
-            data += chunk;
-          });
-          res.on('end', () => {
-            resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
-          });
+  describe('Tailscale identities', () => {
+    const sent = (ws) => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+    let dir;
+    let fakeApi;
+    let whois;
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyterminal-ts-'));
+      // Fake tailscaled LocalAPI: whois answers from a table keyed by IP
+      whois = { '100.64.0.1': { login: 'alice@github', tags: null } };
+      fakeApi = http.createServer((req, res) => {
+        const addr = new URL(req.url, 'http://local-tailscaled.sock').searchParams.get('addr');
+        const peer = whois[addr.replace(/:\d+$/, '')];
+        if (!peer) {
+          res.writeHead(404);
+          res.end('no match for IP:port');
+          return;
         }
-      );
-      req.on('error', reject);
-      req.end();
+        res.end(JSON.stringify({ Node: { ComputedName: 'phone', Tags: peer.tags }, UserProfile: { LoginName: peer.login } }));
+      });
+      await new Promise((resolve) => fakeApi.listen(path.join(dir, 'tailscaled.sock'), resolve));
+      process.env.TINYTERMINAL_TAILSCALE_SOCKET = path.join(dir, 'tailscaled.sock');
+      process.env.TINYTERMINAL_TAILSCALE_USERS = 'alice@github';
     });
-  };
 
-  it('should serve index.html on GET /', async () => {
-    const res = await makeRequest('/');
-    expect(res.statusCode).toBe(200);
-    expect(res.headers['content-type']).toBe('text/html');
-    expect(res.body).toContain('<!DOCTYPE html>');
-  });
+    afterEach(async () => {
+      await new Promise((resolve) => fakeApi.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+      delete process.env.TINYTERMINAL_TAILSCALE_SOCKET;
+      delete process.env.TINYTERMINAL_TAILSCALE_USERS;
+      delete process.env.TINYTERMINAL_TAILSCALE_TAGS;
+    });
 
-  it('should serve index.html on GET /index.html', async () => {
-    const res = await makeRequest('/index.html');
-    expect(res.statusCode).toBe(200);
-    expect(res.headers['content-type']).toBe('text/html');
-    expect(res.body).toContain('<!DOCTYPE html>');
-  });
+    it('should let an allowed tailnet user in without the token', async () => {
+      await startServer();
+      const { handleConnection: connect } = await import('../src/server.js');
+      const ws = createMockWs();
 
-  it('should serve style.css on GET /style.css', async () => {
-    const res = await makeRequest('/style.css');
-    expect(res.statusCode).toBe(200);
-    expect(res.headers['content-type']).toBe('text/css');
-  });
+      connect(ws, upgradeRequest());
 
-  it('should serve client.js on GET /client.js', async () => {
-    const res = await makeRequest('/client.js');
-    expect(res.statusCode).toBe(200);
-    expect(res.headers['content-type']).toBe('application/javascript');
-  });
+      await vi.waitFor(() => expect(sent(ws)).toContainEqual(expect.objectContaining({ type: 'connected' })));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('authenticated by Tailscale identity: alice@github'));
+      ws._closeHandler();
 
-  it('should return 404 for nonexistent file', async () => {
-    const res = await makeRequest('/nonexistent');
-    expect(res.statusCode).toBe(404);
-    expect(res.body).toBe('Not Found');
-  });
+      // Page requests come from loopback, which is not a tailnet peer: the login page still applies
+      expect((await makeRequest('/')).statusCode).toBe(303);
+      whois['127.0.0.1'] = { login: 'alice@github', tags: null };
+      expect((await makeRequest('/')).statusCode).toBe(200);
+      expect((await makeRequest('/api/recordings')).statusCode).not.toBe(401);
+    });
 
-  it('should reject path traversal attempts', async () => {
-    const res = await makeRequest('/../../../etc/passwd');
-    expect(res.statusCode).toBe(404);
-  });
+    it('should handle attach and resize sent before the whois answer', async () => {
+      await startServer();
+      const { handleConnection: connect } = await import('../src/server.js');
+      const pty = await import('node-pty');
+      pty.default.spawn.mockImplementation(() => ({
+        onData: vi.fn(),
+        onExit: vi.fn(),
+        write: vi.fn(),
+        resize: vi.fn(),
+        kill: vi.fn(),
+      }));
+      const send = (ws, message) => ws._messageHandler(Buffer.from(JSON.stringify(message)));
+
+      // First page load: the resize goes out before the identity is known
+      const first = createMockWs();
+      connect(first, upgradeRequest());
+      await send(first, { type: 'resize', cols: 80, rows: 24 });
+      expect(sent(first)).toEqual([]);
+      await vi.waitFor(() => expect(sent(first)).toContainEqual(expect.objectContaining({ type: 'session' })));
+      const { sessionId } = sent(first).find((message) => message.type === 'session');
+      first._closeHandler();
+
+      // Reconnect: attach and resize both go out before the whois answer
+      const second = createMockWs();
+      connect(second, upgradeRequest());
+      await send(second, { type: 'attach', sessionId, seq: 0 });
+      await send(second, { type: 'resize', cols: 100, rows: 30 });
+      await vi.waitFor(() => expect(sent(second)).toContainEqual(expect.objectContaining({ type: 'attached', sessionId })));
+      expect(pty.default.spawn).toHaveBeenCalledTimes(1);
+      second._closeHandler();
+    });
 
-  it('should return 500 on internal server error', async () => {
-    // This test is difficult to trigger without mocking fs module
-    // We test the error handling path by ensuring existing tests don't crash
-    // Internal error handling is covered by code structure
+    it('should fall back to the token for other users, tagged devices and a missing tailscaled', async () => {
+      whois['100.64.0.1'] = { login: 'alice@github', tags: ['tag:ci'] };
+      await startServer();
+      const { handleConnection: connect } = await import('../src/server.js');
+      const ws = createMockWs();
+
+      connect(ws, upgradeRequest());
+      await vi.waitFor(() =>
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Tailscale identity not allowed: phone (tag:ci)'))
+      );
+      expect(sent(ws)).toEqual([]);
+      expect(ws.close).not.toHaveBeenCalled();
+
+      await ws._messageHandler(Buffer.from(JSON.stringify({ type: 'auth', token: 'secret-token' })));
+      expect(sent(ws)).toContainEqual(expect.objectContaining({ type: 'connected' }));
+      ws._closeHandler();
+
+      // Security: An unreachable tailscaled lets nobody in by identity
+      await new Promise((resolve) => fakeApi.close(resolve));
+      fakeApi = { close: (done) => done() };
+      expect((await makeRequest('/')).statusCode).toBe(303);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Tailscale whois failed'));
+    });
+
+    it('should refuse unknown clients outright without a token', async () => {
+      delete process.env.TINYTERMINAL_TOKEN;
+      process.env.TINYTERMINAL_TAILSCALE_TAGS = 'tag:terminal';
+      whois['100.64.0.1'] = { login: 'mallory@github', tags: null };
+      await startServer();
+      const { handleConnection: connect } = await import('../src/server.js');
+
+      const ws = createMockWs();
+      connect(ws, upgradeRequest());
+      await vi.waitFor(() => expect(ws.close).toHaveBeenCalledWith(4003, 'Forbidden'));
+      expect(sent(ws)).toEqual([]);
+      ws._closeHandler();
+
+      expect((await makeRequest('/')).statusCode).toBe(403);
+      expect((await makeRequest('/api/recordings', { headers: { Authorization: 'Bearer x' } })).statusCode).toBe(401);
+
+      whois['100.64.0.1'] = { login: 'tagged-devices', tags: ['tag:terminal'] };
+      const tagged = createMockWs();
+      connect(tagged, upgradeRequest());
+      await vi.waitFor(() => expect(sent(tagged)).toContainEqual(expect.objectContaining({ type: 'connected' })));
+      tagged._closeHandler();
+    });
   });
 });
 
@@ -1516,6 +4564,9 @@ describe('Server Lifecycle', () => {
     expect(httpServer).toBeDefined();
     expect(wss).toBeDefined();
     expect(mockWss.on).toHaveBeenCalledWith('connection', expect.any(Function));
+    // The binary terminal protocol is negotiated as a subprotocol
+    const [[{ handleProtocols }]] = WebSocketServer.mock.calls.slice(-1);
+    expect(handleProtocols(new Set(['tinyterminal.binary.v1']))).toBe('tinyterminal.binary.v1');
 
     // Wait for server to start listening (covers lines 343-344)
     await new Promise((resolve) => {
@@ -1579,3 +4630,81 @@ describe('Server Lifecycle', () => {
     });
   });
 });
+
+describe('HTTPS', () => {
+  let tlsDir;
+  let servers;
+
+  beforeEach(() => {
+    tlsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyterminal-tls-'));
+    servers = [];
+    vi.resetModules();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    for (const server of servers) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+    for (const name of ['PORT', 'TINYTERMINAL_TLS_DIR', 'TINYTERMINAL_TLS_CERT', 'TINYTERMINAL_HTTP_REDIRECT_PORT']) {
+      delete process.env[name];
+    }
+    fs.rmSync(tlsDir, { recursive: true, force: true });
+    vi.resetModules();
+    vi.restoreAllMocks();
+  });
+
+  const request = (client, options) =>
+    new Promise((resolve, reject) => {
+      client
+        .get(options, (res) => {
+          res.resume();
+          res.on('end', () => resolve(res));
+        })
+        .on('error', reject);
+    });
+
+  it('should serve HTTPS with a generated certificate and redirect plain HTTP', async () => {
+    process.env.PORT = '38443';
+    process.env.TINYTERMINAL_TLS_DIR = tlsDir;
+    process.env.TINYTERMINAL_HTTP_REDIRECT_PORT = '38080';
+    const { WebSocketServer } = await import('ws');
+    WebSocketServer.mockReturnValue({ on: vi.fn(), close: vi.fn() });
+    const { startServer: testStartServer } = await import('../src/server.js');
+
+    const { httpServer, redirectServer } = testStartServer();
+    servers.push(httpServer);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Server running at https://127.0.0.1:38443'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('WebSocket available at wss://'));
+
+    // Trusting the generated CA is enough for a verified connection
+    const ca = fs.readFileSync(path.join(tlsDir, 'ca.pem'));
+    const res = await request(https, { hostname: 'localhost', port: 38443, path: '/style.css', ca });
+    expect(res.statusCode).toBe(200);
+
+    const redirect = await request(http, { hostname: 'localhost', port: 38080, path: '/login?next=%2F' });
+    expect(redirect.statusCode).toBe(308);
+    expect(redirect.headers.location).toBe('https://localhost:38443/login?next=%2F');
+
+    // Security: No redirect to a host outside TINYTERMINAL_ALLOWED_ORIGINS
+    const foreign = await request(http, { hostname: 'localhost', port: 38080, path: '/', headers: { host: 'evil.com' } });
+    expect(foreign.statusCode).toBe(400);
+
+    // Closing the HTTPS server closes the redirect listener too
+    servers = [];
+    await new Promise((resolve) => httpServer.close(resolve));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(redirectServer.listening).toBe(false);
+  });
+
+  it('should refuse incomplete TLS settings at startup', async () => {
+    process.env.TINYTERMINAL_TLS_CERT = path.join(tlsDir, 'cert.pem');
+    await expect(import('../src/server.js')).rejects.toThrow('must be set together');
+
+    vi.resetModules();
+    delete process.env.TINYTERMINAL_TLS_CERT;
+    process.env.TINYTERMINAL_HTTP_REDIRECT_PORT = '8080';
+    await expect(import('../src/server.js')).rejects.toThrow('Invalid TINYTERMINAL_HTTP_REDIRECT_PORT: requires HTTPS');
+  });
+});
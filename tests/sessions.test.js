@@ -0,0 +1,480 @@
+/**
+ * Location   : tests/sessions.test.js
+ * Purpose    : Test server-side session registry (create, attach, detach, expiry)
+ * Why        : PTYs must survive disconnects and die only on exit or grace-period expiry
+ * Related    : src/sessions.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+let sessions;
+let mockPty;
+
+beforeEach(async () => {
+  vi.resetModules();
+  sessions = await import('../src/sessions.js');
+  mockPty = { kill: vi.fn() };
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('createSession', () => {
+  it('should register a session with a random UUID', () => {
+    const a = sessions.createSession(mockPty);
+    const b = sessions.createSession(mockPty);
+
+    expect(a.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(a.id).not.toBe(b.id);
+    expect(sessions.getSession(a.id)).toBe(a);
+    expect(sessions.getSessionCount()).toBe(2);
+  });
+
+  it('should start without an attached socket', () => {
+    const session = sessions.createSession(mockPty);
+    expect(session.ws).toBeNull();
+  });
+});
+
+describe('getSession', () => {
+  it('should return undefined for unknown or non-string IDs', () => {
+    expect(sessions.getSession('missing')).toBeUndefined();
+    expect(sessions.getSession(undefined)).toBeUndefined();
+    expect(sessions.getSession({})).toBeUndefined();
+  });
+});
+
+describe('detachSession', () => {
+  it('should kill the PTY after the grace period', () => {
+    vi.useFakeTimers();
+    const ws = {};
+    const session = sessions.createSession(mockPty);
+    sessions.attachSession(session, ws);
+
+    sessions.detachSession(session, ws, 1000);
+    expect(session.ws).toBeNull();
+
+    vi.advanceTimersByTime(999);
+    expect(mockPty.kill).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    expect(mockPty.kill).toHaveBeenCalledTimes(1);
+    expect(sessions.getSession(session.id)).toBeUndefined();
+  });
+
+  it('should notify the caller when the session expires', () => {
+    vi.useFakeTimers();
+    const ws = {};
+    const onExpire = vi.fn();
+    const session = sessions.createSession(mockPty);
+    sessions.attachSession(session, ws);
+
+    sessions.detachSession(session, ws, 1000, onExpire);
+    vi.advanceTimersByTime(1000);
+
+    expect(onExpire).toHaveBeenCalledTimes(1);
+    expect(sessions.getSessionCount()).toBe(0);
+  });
+
+  it('should kill the PTY immediately with a zero grace period', () => {
+    const ws = {};
+    const session = sessions.createSession(mockPty);
+    sessions.attachSession(session, ws);
+
+    sessions.detachSession(session, ws, 0);
+
+    expect(mockPty.kill).toHaveBeenCalledTimes(1);
+    expect(sessions.getSessionCount()).toBe(0);
+  });
+
+  it('should ignore detach from a socket that no longer holds the session', () => {
+    vi.useFakeTimers();
+    const oldWs = {};
+    const newWs = {};
+    const session = sessions.createSession(mockPty);
+    sessions.attachSession(session, oldWs);
+    sessions.attachSession(session, newWs);
+
+    sessions.detachSession(session, oldWs, 1000);
+    vi.advanceTimersByTime(5000);
+
+    expect(session.ws).toBe(newWs);
+    expect(mockPty.kill).not.toHaveBeenCalled();
+  });
+});
+
+describe('attachSession', () => {
+  it('should cancel a pending expiry', () => {
+    vi.useFakeTimers();
+    const ws = {};
+    const session = sessions.createSession(mockPty);
+    sessions.attachSession(session, ws);
+    sessions.detachSession(session, ws, 1000);
+
+    const newWs = {};
+    sessions.attachSession(session, newWs);
+    vi.advanceTimersByTime(5000);
+
+    expect(session.ws).toBe(newWs);
+    expect(mockPty.kill).not.toHaveBeenCalled();
+  });
+});
+
+describe('destroySession', () => {
+  it('should not kill a PTY that has already exited', () => {
+    const session = sessions.createSession(mockPty);
+
+    sessions.destroySession(session, true);
+
+    expect(mockPty.kill).not.toHaveBeenCalled();
+    expect(sessions.getSession(session.id)).toBeUndefined();
+  });
+
+  it('should clear a pending grace timer', () => {
+    vi.useFakeTimers();
+    const ws = {};
+    const session = sessions.createSession(mockPty);
+    sessions.attachSession(session, ws);
+    sessions.detachSession(session, ws, 1000);
+
+    sessions.destroySession(session);
+    vi.advanceTimersByTime(5000);
+
+    expect(mockPty.kill).toHaveBeenCalledTimes(1);
+  });
+
+  it('should send batched output and stop batching first', () => {
+    const session = sessions.createSession(mockPty);
+    const batcher = { flush: vi.fn(() => expect(sessions.getSession(session.id)).toBe(session)) };
+    session.batcher = batcher;
+
+    sessions.destroySession(session);
+
+    expect(batcher.flush).toHaveBeenCalledTimes(1);
+    expect(session.batcher).toBeNull();
+  });
+});
+
+describe('Output buffer', () => {
+  it('should return increasing sequence numbers', () => {
+    const session = sessions.createSession(mockPty);
+
+    expect(sessions.appendOutput(session, 'abc')).toBe(3);
+    expect(sessions.appendOutput(session, 'de')).toBe(5);
+  });
+
+  it('should return output after the given sequence number', () => {
+    const session = sessions.createSession(mockPty);
+    sessions.appendOutput(session, 'hello ');
+    sessions.appendOutput(session, 'world');
+
+    expect(sessions.getOutputSince(session, 6)).toEqual({
+      data: 'world',
+      seq: 11,
+      reset: false,
+    });
+    expect(sessions.getOutputSince(session, 3).data).toBe('lo world');
+  });
+
+  it('should return everything for a fresh terminal', () => {
+    const session = sessions.createSession(mockPty);
+    sessions.appendOutput(session, 'prompt$ ');
+
+    expect(sessions.getOutputSince(session, 0).data).toBe('prompt$ ');
+    expect(sessions.getOutputSince(session, undefined).data).toBe('prompt$ ');
+  });
+
+  it('should clamp sequence numbers beyond the end of output', () => {
+    const session = sessions.createSession(mockPty);
+    sessions.appendOutput(session, 'abc');
+
+    expect(sessions.getOutputSince(session, 999)).toEqual({ data: '', seq: 3, reset: false });
+  });
+
+  it('should evict the oldest output beyond OUTPUT_BUFFER_SIZE and flag a reset', async () => {
+    const { OUTPUT_BUFFER_SIZE } = await import('../src/constants.js');
+    const session = sessions.createSession(mockPty);
+
+    sessions.appendOutput(session, 'a'.repeat(OUTPUT_BUFFER_SIZE));
+    sessions.appendOutput(session, 'b'.repeat(10));
+
+    expect(session.bufferedLength).toBe(OUTPUT_BUFFER_SIZE);
+
+    const replay = sessions.getOutputSince(session, 5);
+    expect(replay.reset).toBe(true);
+    expect(replay.data.length).toBe(OUTPUT_BUFFER_SIZE);
+    expect(replay.data.endsWith('b'.repeat(10))).toBe(true);
+    expect(replay.seq).toBe(OUTPUT_BUFFER_SIZE + 10);
+  });
+
+  it('should keep the tail of a single chunk larger than the buffer', async () => {
+    const { OUTPUT_BUFFER_SIZE } = await import('../src/constants.js');
+    const session = sessions.createSession(mockPty);
+
+    sessions.appendOutput(session, 'x'.repeat(OUTPUT_BUFFER_SIZE) + 'tail');
+
+    const replay = sessions.getOutputSince(session, 0);
+    expect(replay.data.length).toBe(OUTPUT_BUFFER_SIZE);
+    expect(replay.data.endsWith('tail')).toBe(true);
+    expect(replay.reset).toBe(true);
+  });
+});
+
+describe('Session names', () => {
+  it('should assign shell-N names, reusing gaps', () => {
+    const first = sessions.createSession(mockPty);
+    const second = sessions.createSession(mockPty);
+    expect(first.name).toBe('shell-1');
+    expect(second.name).toBe('shell-2');
+
+    sessions.destroySession(first);
+    expect(sessions.createSession(mockPty).name).toBe('shell-1');
+  });
+
+  it('should accept an explicit name', () => {
+    expect(sessions.createSession(mockPty, 'claude').name).toBe('claude');
+  });
+
+  it('should rename a session with validation', () => {
+    const session = sessions.createSession(mockPty);
+
+    sessions.renameSession(session, ' logs ');
+    expect(session.name).toBe('logs');
+
+    expect(() => sessions.renameSession(session, '')).toThrow('Session name cannot be empty');
+    expect(session.name).toBe('logs');
+  });
+});
+
+describe('validateSessionName', () => {
+  it('should trim surrounding whitespace', () => {
+    expect(sessions.validateSessionName('  build  ')).toBe('build');
+  });
+
+  it('should accept non-ASCII names', () => {
+    expect(sessions.validateSessionName('ログ監視')).toBe('ログ監視');
+  });
+
+  it('should reject empty or whitespace-only names', () => {
+    expect(() => sessions.validateSessionName('   ')).toThrow('Session name cannot be empty');
+    expect(() => sessions.validateSessionName(42)).toThrow('Session name cannot be empty');
+  });
+
+  it('should reject names exceeding the maximum length', async () => {
+    const { MAX_SESSION_NAME_LENGTH } = await import('../src/constants.js');
+    expect(() => sessions.validateSessionName('a'.repeat(MAX_SESSION_NAME_LENGTH + 1))).toThrow(
+      'Session name exceeds maximum length'
+    );
+  });
+
+  it('should reject control characters', () => {
+    expect(() => sessions.validateSessionName('a\x1b[31mb')).toThrow('contains control characters');
+  });
+});
+
+describe('listSessions', () => {
+  it('should expose only display metadata', () => {
+    const session = sessions.createSession(mockPty, 'main');
+    sessions.appendOutput(session, 'secret output');
+    sessions.attachSession(session, {});
+
+    expect(sessions.listSessions()).toEqual([
+      {
+        id: session.id,
+        name: 'main',
+        profile: null,
+        user: null,
+        createdAt: session.createdAt,
+        attached: true,
+        writers: 0,
+        viewers: 0,
+      },
+    ]);
+  });
+});
+
+describe('Spectators', () => {
+  it('should count spectators separately from the owner', () => {
+    const owner = {};
+    const viewer = {};
+    const session = sessions.createSession(mockPty);
+    sessions.attachSession(session, owner);
+    sessions.addSpectator(session, viewer);
+
+    expect(sessions.getSessionSockets(session)).toEqual([owner, viewer]);
+    expect(sessions.listSessions()[0].viewers).toBe(1);
+
+    sessions.removeSpectator(session, viewer);
+    expect(sessions.getSessionSockets(session)).toEqual([owner]);
+  });
+
+  it('should still reach spectators while the owner is away', () => {
+    const viewer = {};
+    const session = sessions.createSession(mockPty);
+    sessions.addSpectator(session, viewer);
+
+    expect(sessions.getSessionSockets(session)).toEqual([viewer]);
+  });
+});
+
+describe('resizeSession', () => {
+  it('should resize the PTY and remember the owner size', () => {
+    mockPty.resize = vi.fn();
+    const session = sessions.createSession(mockPty, 'main', { cols: 80, rows: 24 });
+
+    sessions.resizeSession(session, 120, 40);
+
+    expect(mockPty.resize).toHaveBeenCalledWith(120, 40);
+    expect(session.cols).toBe(120);
+    expect(session.rows).toBe(40);
+  });
+});
+
+describe('Writers', () => {
+  it('should keep the session running while a writer remains after the owner leaves', () => {
+    vi.useFakeTimers();
+    const owner = {};
+    const writer = {};
+    const session = sessions.createSession(mockPty);
+    sessions.attachSession(session, owner);
+    sessions.addWriter(session, writer);
+
+    sessions.detachSession(session, owner, 1000);
+    vi.advanceTimersByTime(5000);
+
+    expect(mockPty.kill).not.toHaveBeenCalled();
+    expect(sessions.getSessionSockets(session)).toEqual([writer]);
+  });
+
+  it('should start expiring when the last writer leaves an ownerless session', () => {
+    vi.useFakeTimers();
+    const writer = {};
+    const onExpire = vi.fn();
+    const session = sessions.createSession(mockPty);
+    sessions.addWriter(session, writer);
+
+    sessions.removeWriter(session, writer, 1000, onExpire);
+    vi.advanceTimersByTime(1000);
+
+    expect(mockPty.kill).toHaveBeenCalledTimes(1);
+    expect(onExpire).toHaveBeenCalledWith(session);
+  });
+
+  it('should promote a writer that attaches to owner', () => {
+    const owner = {};
+    const writer = {};
+    const session = sessions.createSession(mockPty);
+    sessions.attachSession(session, owner);
+    sessions.addWriter(session, writer);
+
+    sessions.attachSession(session, writer);
+
+    expect(session.ws).toBe(writer);
+    expect(session.writers.size).toBe(0);
+  });
+});
+
+describe('computeSessionSize', () => {
+  let owner;
+  let writer;
+  let session;
+
+  beforeEach(() => {
+    owner = {};
+    writer = {};
+    session = sessions.createSession(mockPty, 'shared', { cols: 80, rows: 24 });
+    sessions.attachSession(session, owner);
+    sessions.addWriter(session, writer);
+    sessions.setClientSize(session, owner, 120, 30);
+    sessions.setClientSize(session, writer, 60, 40);
+  });
+
+  it('should fit every writer with smallest-wins', () => {
+    expect(sessions.computeSessionSize(session, 'smallest')).toEqual({ cols: 60, rows: 30 });
+  });
+
+  it("should use the owner's size with owner-wins", () => {
+    expect(sessions.computeSessionSize(session, 'owner')).toEqual({ cols: 120, rows: 30 });
+  });
+
+  it('should fall back to the latest resize with owner-wins while the owner is away', () => {
+    sessions.detachSession(session, owner, 1000);
+    expect(sessions.computeSessionSize(session, 'owner')).toEqual({ cols: 60, rows: 40 });
+  });
+
+  it('should use the most recent resize with latest-wins', () => {
+    expect(sessions.computeSessionSize(session, 'latest')).toEqual({ cols: 60, rows: 40 });
+  });
+
+  it('should forget a writer that leaves', () => {
+    sessions.removeWriter(session, writer, 1000);
+    expect(sessions.computeSessionSize(session, 'smallest')).toEqual({ cols: 120, rows: 30 });
+  });
+});
+
+describe('touchSession', () => {
+  it('should warn a minute before the idle timeout, then report the session', () => {
+    vi.useFakeTimers();
+    const session = sessions.createSession(mockPty);
+    const onWarning = vi.fn();
+    const onIdle = vi.fn();
+
+    sessions.touchSession(session, 600000, onWarning, onIdle);
+    vi.advanceTimersByTime(540000);
+    expect(onWarning).toHaveBeenCalledWith(session, 60);
+    expect(onIdle).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(60000);
+    expect(onIdle).toHaveBeenCalledWith(session);
+  });
+
+  it('should warn immediately when the timeout is shorter than the warning', () => {
+    vi.useFakeTimers();
+    const session = sessions.createSession(mockPty);
+    const onWarning = vi.fn();
+
+    sessions.touchSession(session, 30000, onWarning, vi.fn());
+    vi.advanceTimersByTime(0);
+
+    expect(onWarning).toHaveBeenCalledWith(session, 30);
+  });
+
+  it('should restart the countdown and report a warning already given', () => {
+    vi.useFakeTimers();
+    const session = sessions.createSession(mockPty);
+    const onIdle = vi.fn();
+
+    expect(sessions.touchSession(session, 600000, vi.fn(), onIdle)).toBe(false);
+    vi.advanceTimersByTime(550000);
+    expect(sessions.touchSession(session, 600000, vi.fn(), onIdle)).toBe(true);
+    vi.advanceTimersByTime(550000);
+
+    expect(onIdle).not.toHaveBeenCalled();
+  });
+
+  it('should do nothing when the timeout is disabled', () => {
+    vi.useFakeTimers();
+    const session = sessions.createSession(mockPty);
+    const onIdle = vi.fn();
+
+    sessions.touchSession(session, 0, vi.fn(), onIdle);
+    vi.advanceTimersByTime(86400000);
+
+    expect(onIdle).not.toHaveBeenCalled();
+  });
+
+  it('should be cancelled when the session is destroyed', () => {
+    vi.useFakeTimers();
+    const session = sessions.createSession(mockPty);
+    const onIdle = vi.fn();
+
+    sessions.touchSession(session, 600000, vi.fn(), onIdle);
+    sessions.destroySession(session);
+    vi.advanceTimersByTime(600000);
+
+    expect(onIdle).not.toHaveBeenCalled();
+  });
+});
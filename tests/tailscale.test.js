@@ -0,0 +1,165 @@
+/**
+ * Location   : tests/tailscale.test.js
+ * Purpose    : Test the Tailscale policy and the LocalAPI whois client against a fake tailscaled
+ * Why        : A misread whois answer would let the wrong tailnet user into a shell
+ * Related    : src/tailscale.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  validateTailscaleAuth,
+  createLocalApiClient,
+  isTailscaleAuthorized,
+  describeIdentity,
+} from '../src/tailscale.js';
+import { DEFAULT_TAILSCALE_SOCKET, MAX_WHOIS_RESPONSE_SIZE } from '../src/constants.js';
+
+describe('validateTailscaleAuth', () => {
+  it('should be disabled without users or tags', () => {
+    expect(validateTailscaleAuth({})).toBeNull();
+  });
+
+  it('should read users, tags and the default socket', () => {
+    expect(
+      validateTailscaleAuth({
+        TINYTERMINAL_TAILSCALE_USERS: 'alice@github, bob@example.com',
+        TINYTERMINAL_TAILSCALE_TAGS: 'tag:terminal',
+      })
+    ).toEqual({
+      users: new Set(['alice@github', 'bob@example.com']),
+      tags: new Set(['tag:terminal']),
+      socket: DEFAULT_TAILSCALE_SOCKET,
+    });
+  });
+
+  it.each([
+    [{ TINYTERMINAL_TAILSCALE_USERS: 'alice' }, 'Invalid TINYTERMINAL_TAILSCALE_USERS'],
+    [{ TINYTERMINAL_TAILSCALE_TAGS: 'terminal' }, 'Invalid TINYTERMINAL_TAILSCALE_TAGS'],
+    [{ TINYTERMINAL_TAILSCALE_TAGS: 'tag:a b' }, 'Invalid TINYTERMINAL_TAILSCALE_TAGS'],
+    [{ TINYTERMINAL_TAILSCALE_TAGS: 'tag:x', TINYTERMINAL_TAILSCALE_SOCKET: 'tailscaled.sock' }, 'absolute path'],
+    [{ TINYTERMINAL_TAILSCALE_SOCKET: '/run/tailscaled.sock' }, 'requires TINYTERMINAL_TAILSCALE_USERS'],
+  ])('should reject %j', (env, message) => {
+    expect(() => validateTailscaleAuth(env)).toThrow(message);
+  });
+});
+
+describe('isTailscaleAuthorized', () => {
+  const policy = { users: new Set(['alice@github']), tags: new Set(['tag:terminal']) };
+
+  it('should allow listed users on untagged devices', () => {
+    expect(isTailscaleAuthorized({ login: 'alice@github', tags: [] }, policy)).toBe(true);
+    expect(isTailscaleAuthorized({ login: 'mallory@github', tags: [] }, policy)).toBe(false);
+  });
+
+  it('should judge tagged devices by their tags only', () => {
+    expect(isTailscaleAuthorized({ login: 'tagged-devices', tags: ['tag:ci', 'tag:terminal'] }, policy)).toBe(true);
+    expect(isTailscaleAuthorized({ login: 'alice@github', tags: ['tag:ci'] }, policy)).toBe(false);
+  });
+
+  it('should describe users and tagged devices for the log', () => {
+    expect(describeIdentity({ login: 'alice@github', node: 'phone', tags: [] })).toBe('alice@github');
+    expect(describeIdentity({ login: 'tagged-devices', node: 'ci', tags: ['tag:ci'] })).toBe('ci (tag:ci)');
+  });
+});
+
+describe('createLocalApiClient', () => {
+  let dir;
+  let socketPath;
+  let fakeApi;
+  let requests;
+  let reply;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyterminal-ts-'));
+    socketPath = path.join(dir, 'tailscaled.sock');
+    requests = [];
+    reply = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          Node: { Name: 'phone.tail1234.ts.net.', ComputedName: 'phone', Tags: null },
+          UserProfile: { LoginName: 'alice@github', DisplayName: 'Alice' },
+        })
+      );
+    };
+    // Fake tailscaled: records the query and answers like the LocalAPI
+    fakeApi = http.createServer((req, res) => {
+      requests.push(req.url);
+      reply(req, res);
+    });
+    await new Promise((resolve) => fakeApi.listen(socketPath, resolve));
+  });
+
+  afterEach(async () => {
+    fakeApi.closeAllConnections();
+    await new Promise((resolve) => fakeApi.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should return the user and device behind an address', async () => {
+    const identity = await createLocalApiClient(socketPath).whois('100.64.0.1', 51234);
+
+    expect(identity).toEqual({ login: 'alice@github', displayName: 'Alice', node: 'phone', tags: [] });
+    expect(requests).toEqual(['/localapi/v0/whois?addr=100.64.0.1%3A51234']);
+  });
+
+  it('should send plain IPv4 and bracketed IPv6 addresses', async () => {
+    const client = createLocalApiClient(socketPath);
+    await client.whois('::ffff:100.64.0.1', 80);
+    await client.whois('fd7a:115c:a1e0::1', 80);
+    await client.whois('100.64.0.2');
+
+    expect(requests).toEqual([
+      '/localapi/v0/whois?addr=100.64.0.1%3A80',
+      '/localapi/v0/whois?addr=%5Bfd7a%3A115c%3Aa1e0%3A%3A1%5D%3A80',
+      '/localapi/v0/whois?addr=100.64.0.2',
+    ]);
+  });
+
+  it('should return tags of tagged devices', async () => {
+    reply = (req, res) => {
+      res.end(JSON.stringify({ Node: { Name: 'ci.tail1234.ts.net.', Tags: ['tag:ci'] }, UserProfile: { LoginName: 'tagged-devices' } }));
+    };
+    expect(await createLocalApiClient(socketPath).whois('100.64.0.9', 1)).toMatchObject({
+      node: 'ci.tail1234.ts.net',
+      tags: ['tag:ci'],
+    });
+  });
+
+  it('should return null for addresses outside the tailnet', async () => {
+    reply = (req, res) => {
+      res.writeHead(404);
+      res.end('no match for IP:port');
+    };
+    const client = createLocalApiClient(socketPath);
+
+    expect(await client.whois('127.0.0.1', 1)).toBeNull();
+    expect(await client.whois(undefined)).toBeNull();
+    expect(requests).toHaveLength(1);
+  });
+
+  it('should fail on errors, bad answers and timeouts', async () => {
+    const client = createLocalApiClient(socketPath, { timeout: 50 });
+
+    reply = (req, res) => {
+      res.writeHead(500);
+      res.end();
+    };
+    await expect(client.whois('100.64.0.1', 1)).rejects.toThrow('status 500');
+
+    reply = (req, res) => res.end('{');
+    await expect(client.whois('100.64.0.1', 1)).rejects.toThrow('invalid JSON');
+
+    reply = (req, res) => res.end('x'.repeat(MAX_WHOIS_RESPONSE_SIZE + 1));
+    await expect(client.whois('100.64.0.1', 1)).rejects.toThrow('too large');
+
+    reply = () => {};
+    await expect(client.whois('100.64.0.1', 1)).rejects.toThrow('timed out');
+
+    await expect(createLocalApiClient(path.join(dir, 'missing.sock')).whois('100.64.0.1', 1)).rejects.toThrow();
+  });
+});
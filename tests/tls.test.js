@@ -0,0 +1,188 @@
+/**
+ * Location   : tests/tls.test.js
+ * Purpose    : Test HTTPS settings, certificate generation and renewal, and hot reload
+ * Why        : An expired or mismatched certificate locks every browser out
+ * Related    : src/tls.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  validateTlsHosts,
+  validateTlsSettings,
+  ensureCertificate,
+  loadCertificate,
+  watchCertificate,
+} from '../src/tls.js';
+import { TLS_CERT_VALIDITY, TLS_RENEW_BEFORE, MAX_TLS_HOSTS } from '../src/constants.js';
+
+describe('validateTlsSettings', () => {
+  it('should return null without TLS settings', () => {
+    expect(validateTlsSettings({})).toBeNull();
+  });
+
+  it('should accept a certificate and key', () => {
+    expect(
+      validateTlsSettings({ TINYTERMINAL_TLS_CERT: '/etc/tt/cert.pem', TINYTERMINAL_TLS_KEY: '/etc/tt/key.pem' })
+    ).toEqual({ certFile: '/etc/tt/cert.pem', keyFile: '/etc/tt/key.pem', dir: null, hosts: [] });
+  });
+
+  it('should place generated files in the directory', () => {
+    const settings = validateTlsSettings({ TINYTERMINAL_TLS_DIR: '/var/lib/tt/', TINYTERMINAL_TLS_HOSTS: 'myhost.ts.net' });
+    expect(settings).toMatchObject({
+      certFile: '/var/lib/tt/cert.pem',
+      keyFile: '/var/lib/tt/key.pem',
+      caFile: '/var/lib/tt/ca.pem',
+      caKeyFile: '/var/lib/tt/ca-key.pem',
+      dir: '/var/lib/tt',
+    });
+    expect(settings.hosts).toContain('myhost.ts.net');
+  });
+
+  it.each([
+    [{ TINYTERMINAL_TLS_CERT: '/cert.pem' }, 'must be set together'],
+    [{ TINYTERMINAL_TLS_KEY: '/key.pem' }, 'must be set together'],
+    [{ TINYTERMINAL_TLS_CERT: 'cert.pem', TINYTERMINAL_TLS_KEY: '/key.pem' }, 'Invalid TINYTERMINAL_TLS_CERT: must be an absolute path'],
+    [{ TINYTERMINAL_TLS_DIR: './tls' }, 'Invalid TINYTERMINAL_TLS_DIR: must be an absolute path'],
+    [{ TINYTERMINAL_TLS_CERT: '/c', TINYTERMINAL_TLS_KEY: '/k', TINYTERMINAL_TLS_DIR: '/d' }, 'cannot be combined'],
+    [{ TINYTERMINAL_TLS_HOSTS: 'myhost' }, 'requires TINYTERMINAL_TLS_DIR'],
+  ])('should reject %j', (env, message) => {
+    expect(() => validateTlsSettings(env)).toThrow(message);
+  });
+});
+
+describe('validateTlsHosts', () => {
+  it('should always cover localhost and the loopback addresses', () => {
+    const hosts = validateTlsHosts(' MyHost.ts.net , 100.64.0.1,localhost');
+    expect(hosts.slice(0, 3)).toEqual(['localhost', '127.0.0.1', '::1']);
+    expect(hosts).toContain('myhost.ts.net');
+    expect(hosts).toContain('100.64.0.1');
+    expect(hosts.filter((host) => host === 'localhost')).toHaveLength(1);
+  });
+
+  it('should reject wildcards, URLs and overlong lists', () => {
+    expect(() => validateTlsHosts('*.ts.net')).toThrow('is not a DNS name or IP address');
+    expect(() => validateTlsHosts('https://myhost')).toThrow('is not a DNS name or IP address');
+    const many = Array.from({ length: MAX_TLS_HOSTS }, (_, i) => `host${i}.lan`).join(',');
+    expect(() => validateTlsHosts(many)).toThrow(`at most ${MAX_TLS_HOSTS} names`);
+  });
+});
+
+describe('Generated certificates', () => {
+  let dir;
+  let settings;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyterminal-tls-'));
+    settings = validateTlsSettings({ TINYTERMINAL_TLS_DIR: path.join(dir, 'tls') });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  const readCert = (file) => new crypto.X509Certificate(fs.readFileSync(file));
+
+  it('should create a CA and a server certificate with private files', () => {
+    expect(ensureCertificate(settings)).toBe(true);
+
+    const ca = readCert(settings.caFile);
+    const cert = readCert(settings.certFile);
+    expect(cert.checkIssued(ca)).toBe(true);
+    expect(cert.checkHost('localhost')).toBe('localhost');
+    expect(cert.checkIP('::1')).toBe('::1');
+    expect(fs.statSync(settings.dir).mode & 0o777).toBe(0o700);
+    expect(fs.statSync(settings.caKeyFile).mode & 0o777).toBe(0o600);
+    expect(fs.statSync(settings.keyFile).mode & 0o777).toBe(0o600);
+    expect(fs.readdirSync(settings.dir).sort()).toEqual(['ca-key.pem', 'ca.pem', 'cert.pem', 'key.pem']);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`install ${settings.caFile}`));
+    expect(() => loadCertificate(settings)).not.toThrow();
+  });
+
+  it('should keep a valid certificate', () => {
+    ensureCertificate(settings);
+    const before = fs.readFileSync(settings.certFile, 'utf-8');
+
+    expect(ensureCertificate(settings)).toBe(false);
+    expect(fs.readFileSync(settings.certFile, 'utf-8')).toBe(before);
+  });
+
+  it('should renew the server certificate before it expires, with the same CA', () => {
+    ensureCertificate(settings);
+    const ca = fs.readFileSync(settings.caFile, 'utf-8');
+    const serial = readCert(settings.certFile).serialNumber;
+
+    const later = new Date(Date.now() + TLS_CERT_VALIDITY - TLS_RENEW_BEFORE + 86400000);
+    expect(ensureCertificate(settings, later)).toBe(true);
+    expect(fs.readFileSync(settings.caFile, 'utf-8')).toBe(ca);
+    expect(readCert(settings.certFile).serialNumber).not.toBe(serial);
+  });
+
+  it('should reissue the server certificate for new hosts or a new CA', () => {
+    ensureCertificate(settings);
+
+    const withHost = { ...settings, hosts: [...settings.hosts, 'myhost.ts.net'] };
+    expect(ensureCertificate(withHost)).toBe(true);
+    expect(readCert(settings.certFile).checkHost('myhost.ts.net')).toBe('myhost.ts.net');
+
+    fs.rmSync(settings.caFile);
+    expect(ensureCertificate(withHost)).toBe(true);
+    expect(readCert(settings.certFile).checkIssued(readCert(settings.caFile))).toBe(true);
+  });
+
+  it('should refuse a key that does not belong to the certificate', () => {
+    ensureCertificate(settings);
+    fs.copyFileSync(settings.caKeyFile, settings.keyFile);
+    expect(() => loadCertificate(settings)).toThrow();
+  });
+});
+
+describe('watchCertificate', () => {
+  let dir;
+  let settings;
+  let stop;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyterminal-tls-'));
+    settings = validateTlsSettings({ TINYTERMINAL_TLS_DIR: dir });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    ensureCertificate(settings);
+  });
+
+  afterEach(() => {
+    stop?.();
+    stop = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should load a replaced certificate into the running server', async () => {
+    const server = { setSecureContext: vi.fn() };
+    stop = watchCertificate(server, settings, { interval: 20 });
+
+    // Issue a new certificate (different files, same paths)
+    ensureCertificate({ ...settings, hosts: [...settings.hosts, 'renewed.lan'] });
+
+    await vi.waitFor(() => expect(server.setSecureContext).toHaveBeenCalledTimes(1), { timeout: 2000 });
+    expect(server.setSecureContext.mock.calls[0][0].cert.toString()).toBe(fs.readFileSync(settings.certFile, 'utf-8'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('TLS certificate reloaded'));
+  });
+
+  it('should keep the current certificate when the new files do not match', async () => {
+    const server = { setSecureContext: vi.fn() };
+    stop = watchCertificate(server, settings, { interval: 20 });
+
+    fs.copyFileSync(settings.caKeyFile, settings.keyFile);
+
+    await vi.waitFor(
+      () => expect(console.log).toHaveBeenCalledWith(expect.stringContaining('reload failed, keeping the current one')),
+      { timeout: 2000 }
+    );
+    expect(server.setSecureContext).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Location   : tests/totp.test.js
+ * Purpose    : Test TOTP codes (RFC 4226 / RFC 6238 vectors), base32 and the secret file
+ * Why        : A wrong code generator would lock the owner out or let guesses through
+ * Related    : src/totp.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  hotp,
+  totpCounter,
+  verifyTotp,
+  provisioningUri,
+  validateTotpFile,
+  loadTotpSecret,
+  saveTotpSecret,
+} from '../src/totp.js';
+
+// Secret used by the RFC 4226 and RFC 6238 (SHA-1) test vectors
+const RFC_SECRET = Buffer.from('12345678901234567890');
+
+describe('base32', () => {
+  it('should match the RFC 4648 vectors (without padding)', () => {
+    expect(base32Encode(Buffer.from('f'))).toBe('MY');
+    expect(base32Encode(Buffer.from('foob'))).toBe('MZXW6YQ');
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+  });
+
+  it('should decode case-insensitively, ignoring spaces and padding', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('should round-trip random secrets', () => {
+    const secret = generateTotpSecret();
+    expect(secret).toHaveLength(20);
+    expect(base32Decode(base32Encode(secret))).toEqual(secret);
+  });
+
+  it('should reject characters outside the alphabet', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('hotp', () => {
+  it('should match the RFC 4226 test vectors', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expect(expected.map((_, counter) => hotp(RFC_SECRET, counter))).toEqual(expected);
+  });
+
+  it('should match the RFC 6238 SHA-1 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130'],
+    ];
+    for (const [seconds, code] of vectors) {
+      expect(hotp(RFC_SECRET, totpCounter(seconds * 1000), 8)).toBe(code);
+    }
+  });
+});
+
+describe('verifyTotp', () => {
+  const now = 1111111111000;
+  const current = totpCounter(now);
+
+  it('should accept the current code', () => {
+    expect(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, current), { now })).toBe(current);
+  });
+
+  it('should tolerate one step of clock skew either way', () => {
+    expect(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, current - 1), { now })).toBe(current - 1);
+    expect(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, current + 1), { now })).toBe(current + 1);
+  });
+
+  it('should reject codes further away', () => {
+    expect(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, current - 2), { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, current + 2), { now })).toBeNull();
+  });
+
+  it('should refuse codes that were already used', () => {
+    const code = hotp(RFC_SECRET, current);
+    expect(verifyTotp(RFC_SECRET, code, { now, after: current })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, current + 1), { now, after: current })).toBe(current + 1);
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '12345', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '12345a', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 123456, { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { now })).toBeNull();
+  });
+});
+
+describe('provisioningUri', () => {
+  it('should build an otpauth URI authenticator apps understand', () => {
+    const text = provisioningUri(Buffer.from('foobar'), 'my host');
+    expect(text.startsWith('otpauth://totp/TinyTerminal:my%20host?')).toBe(true);
+    const uri = new URL(text);
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: 'MZXW6YTBOI',
+      issuer: 'TinyTerminal',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30',
+    });
+  });
+});
+
+describe('Secret file', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-totp-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should require an absolute path', () => {
+    expect(() => validateTotpFile('totp.json')).toThrow('must be an absolute path');
+    expect(validateTotpFile('/etc/../tmp/totp.json')).toBe('/tmp/totp.json');
+  });
+
+  it('should report no enrollment for a missing file', () => {
+    expect(loadTotpSecret(path.join(tmpDir, 'totp.json'))).toBeNull();
+  });
+
+  it('should save the secret 0600 and load it back', () => {
+    const file = path.join(tmpDir, 'nested', 'totp.json');
+    const secret = generateTotpSecret();
+    saveTotpSecret(file, secret);
+
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    expect(fs.readdirSync(path.dirname(file))).toEqual(['totp.json']);
+    expect(loadTotpSecret(file)).toEqual(secret);
+  });
+
+  it('should reject invalid secret files', () => {
+    const file = path.join(tmpDir, 'totp.json');
+    fs.writeFileSync(file, '{"secret":"not base32!"}');
+    expect(() => loadTotpSecret(file)).toThrow('Invalid TINYTERMINAL_TOTP_FILE');
+
+    fs.writeFileSync(file, '{"secret":"MZXW6"}');
+    expect(() => loadTotpSecret(file)).toThrow('secret is too short');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Location   : tests/users.test.js
+ * Purpose    : Test token hashing and the users file (validation, profiles, limits)
+ * Why        : A lax users file would hand out shells or write access nobody granted
+ * Related    : src/users.js
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  hashToken,
+  verifyTokenHash,
+  authenticateUser,
+  allowedProfiles,
+  validateUsersFile,
+  loadUsers,
+} from '../src/users.js';
+import { MAX_SESSIONS, MAX_USERS, SCRYPT_MAX_COST } from '../src/constants.js';
+
+const PROFILES = [{ name: 'shell' }, { name: 'project' }];
+
+// Well-formed hash for validation tests (never verified)
+const STORED = `scrypt$16384$8$1$${'A'.repeat(22)}$${'A'.repeat(43)}`;
+
+let hash;
+
+beforeAll(async () => {
+  hash = await hashToken('alice-token');
+});
+
+describe('Token hashes', () => {
+  it('should salt every hash', async () => {
+    expect(hash).toMatch(/^scrypt\$16384\$8\$1\$[\w-]{22}\$[\w-]{43}$/);
+    expect(await hashToken('alice-token')).not.toBe(hash);
+  });
+
+  it('should verify only the right token', async () => {
+    expect(await verifyTokenHash('alice-token', hash)).toBe(true);
+    expect(await verifyTokenHash('alice-token ', hash)).toBe(false);
+    expect(await verifyTokenHash(undefined, hash)).toBe(false);
+  });
+
+  it('should refuse malformed and weak hashes', async () => {
+    const [, , r, p, salt, key] = hash.split('$');
+    expect(await verifyTokenHash('alice-token', 'plain')).toBe(false);
+    expect(await verifyTokenHash('alice-token', ['scrypt', 2, r, p, salt, key].join('$'))).toBe(false);
+    expect(await verifyTokenHash('alice-token', ['scrypt', 1000, r, p, salt, key].join('$'))).toBe(false);
+    expect(await verifyTokenHash('alice-token', ['scrypt', 16384, r, p, 'c2FsdA', key].join('$'))).toBe(false);
+  });
+
+  it('should refuse costs above the memory limit', async () => {
+    const [, , , p, salt, key] = hash.split('$');
+    expect(SCRYPT_MAX_COST).toBe(4 * 16384 * 8);
+    // N=2^20, r=8 would need 1 GB per login
+    expect(await verifyTokenHash('alice-token', ['scrypt', 1048576, 8, p, salt, key].join('$'))).toBe(false);
+    expect(await verifyTokenHash('alice-token', ['scrypt', 16384, 64, p, salt, key].join('$'))).toBe(false);
+  });
+});
+
+describe('Users file', () => {
+  let dir;
+  let file;
+
+  const writeUsers = (users) => fs.writeFileSync(file, JSON.stringify({ users }));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-users-'));
+    file = path.join(dir, 'users.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should require an absolute path', () => {
+    expect(validateUsersFile('/etc/tinyterminal/users.json')).toBe('/etc/tinyterminal/users.json');
+    expect(() => validateUsersFile('users.json')).toThrow('Invalid TINYTERMINAL_USERS');
+  });
+
+  it('should fill in defaults', () => {
+    writeUsers([{ name: 'alice', tokenHash: hash }]);
+    expect(loadUsers(file, PROFILES).get('alice')).toEqual({
+      name: 'alice',
+      tokenHash: hash,
+      profiles: null,
+      readOnly: false,
+      maxSessions: MAX_SESSIONS,
+    });
+  });
+
+  it('should keep profiles, read-only and session limits', () => {
+    writeUsers([{ name: 'kid.1', tokenHash: hash, profiles: ['project'], readOnly: true, maxSessions: 2 }]);
+    const user = loadUsers(file, PROFILES).get('kid.1');
+    expect(user).toMatchObject({ profiles: ['project'], readOnly: true, maxSessions: 2 });
+    expect(allowedProfiles(user, PROFILES)).toEqual([{ name: 'project' }]);
+  });
+
+  it('should accept costs up to the memory limit', () => {
+    writeUsers([{ name: 'alice', tokenHash: STORED.replace('$16384$8$', '$65536$8$') }]);
+    expect(loadUsers(file, PROFILES).has('alice')).toBe(true);
+  });
+
+  it.each([
+    [[{ name: '-alice', tokenHash: STORED }], 'name must be'],
+    [[{ name: 'a'.repeat(33), tokenHash: STORED }], 'name must be'],
+    [[{ name: 'alice', tokenHash: 'secret' }], 'tokenHash'],
+    [[{ name: 'alice', tokenHash: STORED.replace('$16384$8$', '$131072$8$') }], 'N·r up to 524288'],
+    [[{ name: 'alice', tokenHash: STORED.replace('$16384$8$', '$16384$64$') }], 'N·r up to 524288'],
+    [[{ name: 'alice', tokenHash: STORED, profiles: ['root'] }], 'profiles'],
+    [[{ name: 'alice', tokenHash: STORED, profiles: [] }], 'profiles'],
+    [[{ name: 'alice', tokenHash: STORED, readOnly: 'yes' }], 'readOnly'],
+    [[{ name: 'alice', tokenHash: STORED, maxSessions: 0 }], 'maxSessions'],
+    [[{ name: 'alice', tokenHash: STORED, maxSessions: MAX_SESSIONS + 1 }], 'maxSessions'],
+    [[{ name: 'alice', tokenHash: STORED }, { name: 'alice', tokenHash: STORED }], 'duplicates'],
+    [['alice'], 'must be an object'],
+    [[], '"users" must list'],
+  ])('should reject %j', (users, message) => {
+    writeUsers(users);
+    expect(() => loadUsers(file, PROFILES)).toThrow(message);
+  });
+
+  it('should reject too many users and unreadable files', () => {
+    writeUsers(Array.from({ length: MAX_USERS + 1 }, (_, i) => ({ name: `user${i}`, tokenHash: hash })));
+    expect(() => loadUsers(file, PROFILES)).toThrow('"users" must list');
+
+    fs.writeFileSync(file, '{users');
+    expect(() => loadUsers(file, PROFILES)).toThrow('cannot read');
+    expect(() => loadUsers(path.join(dir, 'missing.json'), PROFILES)).toThrow('cannot read');
+  });
+});
+
+describe('authenticateUser', () => {
+  const users = () => new Map([['alice', { name: 'alice', tokenHash: hash }]]);
+
+  it('should return the user for the right token only', async () => {
+    expect(await authenticateUser(users(), 'alice', 'alice-token')).toMatchObject({ name: 'alice' });
+    expect(await authenticateUser(users(), 'alice', 'wrong')).toBeNull();
+  });
+
+  it('should reject unknown and non-string names', async () => {
+    expect(await authenticateUser(users(), 'bob', 'alice-token')).toBeNull();
+    expect(await authenticateUser(users(), { name: 'alice' }, 'alice-token')).toBeNull();
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Location   : tests/webauthn.test.js
+ * Purpose    : Test CBOR/COSE decoding, passkey registration and sign-in checks, and the
+ *              credential file, against a software authenticator
+ * Why        : A verification gap here would let a forged or replayed passkey open a shell
+ * Related    : src/webauthn.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  decodeCbor,
+  coseToPublicKey,
+  parseAuthenticatorData,
+  createChallenge,
+  consumeChallenge,
+  verifyRegistration,
+  verifyAssertion,
+  validatePasskeyFile,
+  normalizePasskeyName,
+  loadPasskeys,
+  savePasskeys,
+} from '../src/webauthn.js';
+import { WEBAUTHN_CHALLENGE_TTL, MAX_WEBAUTHN_CHALLENGES } from '../src/constants.js';
+
+const ORIGIN = 'https://phone.example.ts.net';
+const RP_ID = 'phone.example.ts.net';
+
+// Minimal CBOR encoder for building authenticator responses
+function encodeCbor(value) {
+  const head = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+  if (Number.isInteger(value)) return value >= 0 ? head(0, value) : head(1, -1 - value);
+  if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+  if (typeof value === 'string') return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  const entries = value instanceof Map ? [...value] : Object.entries(value);
+  return Buffer.concat([head(5, entries.length), ...entries.flat().map(encodeCbor)]);
+}
+
+// Software authenticator with one credential
+function createAuthenticator(type = 'ec') {
+  const { publicKey, privateKey } =
+    type === 'ec'
+      ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+      : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const cose =
+    type === 'ec'
+      ? new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]])
+      : new Map([[1, 3], [3, -257], [-1, Buffer.from(jwk.n, 'base64url')], [-2, Buffer.from(jwk.e, 'base64url')]]);
+  const credentialId = crypto.randomBytes(16);
+  let counter = 0;
+
+  const authData = ({ rpId = RP_ID, flags = 0x05, attested = false, signCount = counter } = {}) => {
+    const header = Buffer.alloc(37);
+    crypto.createHash('sha256').update(rpId).digest().copy(header);
+    header[32] = flags | (attested ? 0x40 : 0);
+    header.writeUInt32BE(signCount, 33);
+    if (!attested) return header;
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    return Buffer.concat([header, Buffer.alloc(16), idLength, credentialId, encodeCbor(cose)]);
+  };
+
+  const clientData = (ceremony, challenge, origin = ORIGIN) =>
+    Buffer.from(JSON.stringify({ type: ceremony, challenge, origin, crossOrigin: false }));
+
+  return {
+    credentialId,
+    register(challenge, options = {}) {
+      return {
+        clientDataJSON: clientData(options.ceremony ?? 'webauthn.create', challenge, options.origin),
+        attestationObject: encodeCbor({
+          fmt: 'none',
+          attStmt: {},
+          authData: authData({ attested: true, ...options }),
+        }),
+      };
+    },
+    assert(challenge, options = {}) {
+      counter = options.signCount ?? counter;
+      const authenticatorData = authData(options);
+      const clientDataJSON = clientData('webauthn.get', challenge, options.origin);
+      const signed = Buffer.concat([authenticatorData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+      return { clientDataJSON, authenticatorData, signature: crypto.sign('sha256', signed, privateKey) };
+    },
+  };
+}
+
+const expected = { origin: ORIGIN, rpId: RP_ID };
+
+describe('decodeCbor', () => {
+  it('should decode integers, strings, arrays and maps', () => {
+    const { value, offset } = decodeCbor(Buffer.from('a201616161623a0001869f820102', 'hex'));
+    expect(value).toEqual(new Map([[1, 'a'], ['b', -100000]]));
+    expect(offset).toBe(11);
+    expect(decodeCbor(Buffer.from('820102', 'hex')).value).toEqual([1, 2]);
+    expect(decodeCbor(Buffer.from('f5', 'hex')).value).toBe(true);
+    expect(decodeCbor(Buffer.from('4401020304', 'hex')).value).toEqual(Buffer.from([1, 2, 3, 4]));
+  });
+
+  it('should read through tags', () => {
+    expect(decodeCbor(Buffer.from('c11a514b67b0', 'hex')).value).toBe(1363896240);
+  });
+
+  it('should reject truncated, indefinite and deeply nested data', () => {
+    expect(() => decodeCbor(Buffer.from('4401', 'hex'))).toThrow('Truncated CBOR');
+    expect(() => decodeCbor(Buffer.from('19', 'hex'))).toThrow('Truncated CBOR');
+    expect(() => decodeCbor(Buffer.from('9f01ff', 'hex'))).toThrow('Unsupported CBOR encoding');
+    expect(() => decodeCbor(Buffer.from('fa3f800000', 'hex'))).toThrow('Unsupported CBOR encoding');
+    expect(() => decodeCbor(Buffer.alloc(20, 0x81))).toThrow('CBOR nested too deeply');
+  });
+});
+
+describe('coseToPublicKey', () => {
+  it('should reject unsupported key types', () => {
+    expect(() => coseToPublicKey(new Map([[1, 1], [3, -8]]))).toThrow('Unsupported public key algorithm');
+    expect(() => coseToPublicKey(new Map([[1, 2], [3, -7], [-1, 1], [-2, 'x']]))).toThrow('Invalid public key');
+    expect(() => coseToPublicKey('key')).toThrow('Invalid public key');
+  });
+});
+
+describe('parseAuthenticatorData', () => {
+  it('should read the flags and counter', () => {
+    const data = Buffer.alloc(37);
+    data[32] = 0x01;
+    data.writeUInt32BE(7, 33);
+    expect(parseAuthenticatorData(data)).toMatchObject({ userPresent: true, userVerified: false, signCount: 7 });
+  });
+
+  it('should reject truncated data', () => {
+    expect(() => parseAuthenticatorData(Buffer.alloc(36))).toThrow('too short');
+    const attested = Buffer.alloc(55);
+    attested[32] = 0x40;
+    attested.writeUInt16BE(16, 53);
+    expect(() => parseAuthenticatorData(attested)).toThrow('too short');
+  });
+});
+
+describe('Challenges', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should be usable once and only for their ceremony', () => {
+    const challenge = createChallenge('webauthn.get');
+    expect(consumeChallenge(challenge, 'webauthn.get')).toBe(true);
+    expect(consumeChallenge(challenge, 'webauthn.get')).toBe(false);
+    expect(consumeChallenge(createChallenge('webauthn.create'), 'webauthn.get')).toBe(false);
+    expect(consumeChallenge(undefined, 'webauthn.get')).toBe(false);
+  });
+
+  it('should expire', () => {
+    const now = Date.now();
+    const challenge = createChallenge('webauthn.get');
+    vi.spyOn(Date, 'now').mockReturnValue(now + WEBAUTHN_CHALLENGE_TTL);
+    expect(consumeChallenge(challenge, 'webauthn.get')).toBe(false);
+  });
+
+  it('should drop the oldest once too many are outstanding', () => {
+    const first = createChallenge('webauthn.get');
+    for (let i = 0; i < MAX_WEBAUTHN_CHALLENGES; i++) createChallenge('webauthn.get');
+    expect(consumeChallenge(first, 'webauthn.get')).toBe(false);
+  });
+});
+
+describe('verifyRegistration', () => {
+  it('should return an ES256 credential to store', () => {
+    const authenticator = createAuthenticator();
+    const credential = verifyRegistration(authenticator.register(createChallenge('webauthn.create')), expected);
+    expect(credential).toMatchObject({
+      id: authenticator.credentialId.toString('base64url'),
+      alg: -7,
+      signCount: 0,
+      rpId: RP_ID,
+    });
+  });
+
+  it('should refuse responses for another origin, site or ceremony', () => {
+    const authenticator = createAuthenticator();
+    const register = (options) => () =>
+      verifyRegistration(authenticator.register(createChallenge('webauthn.create'), options), expected);
+
+    expect(register({ origin: 'https://evil.example' })).toThrow('Origin mismatch');
+    expect(register({ rpId: 'evil.example' })).toThrow('RP ID mismatch');
+    expect(register({ ceremony: 'webauthn.get' })).toThrow('Wrong ceremony type');
+    expect(register({ flags: 0x01 })).toThrow('User not verified');
+  });
+
+  it('should refuse unknown or reused challenges', () => {
+    const authenticator = createAuthenticator();
+    expect(() => verifyRegistration(authenticator.register('made-up'), expected)).toThrow('Unknown or expired challenge');
+
+    const response = authenticator.register(createChallenge('webauthn.create'));
+    verifyRegistration(response, expected);
+    expect(() => verifyRegistration(response, expected)).toThrow('Unknown or expired challenge');
+  });
+
+  it('should refuse malformed client data', () => {
+    expect(() =>
+      verifyRegistration({ clientDataJSON: Buffer.from('{'), attestationObject: Buffer.alloc(0) }, expected)
+    ).toThrow('Invalid client data');
+  });
+});
+
+describe('verifyAssertion', () => {
+  const registered = (authenticator) =>
+    verifyRegistration(authenticator.register(createChallenge('webauthn.create')), expected);
+
+  it('should accept ES256 and RS256 signatures', () => {
+    for (const type of ['ec', 'rsa']) {
+      const authenticator = createAuthenticator(type);
+      const credential = registered(authenticator);
+      const response = authenticator.assert(createChallenge('webauthn.get'));
+      expect(verifyAssertion(response, credential, expected)).toBe(0);
+    }
+  });
+
+  it('should refuse a signature from another key', () => {
+    const credential = registered(createAuthenticator());
+    const response = createAuthenticator().assert(createChallenge('webauthn.get'));
+    expect(() => verifyAssertion(response, credential, expected)).toThrow('Invalid signature');
+  });
+
+  it('should refuse a replayed response', () => {
+    const authenticator = createAuthenticator();
+    const credential = registered(authenticator);
+    const response = authenticator.assert(createChallenge('webauthn.get'));
+    verifyAssertion(response, credential, expected);
+    expect(() => verifyAssertion(response, credential, expected)).toThrow('Unknown or expired challenge');
+  });
+
+  it('should refuse a counter that did not increase', () => {
+    const authenticator = createAuthenticator();
+    const credential = { ...registered(authenticator), signCount: 5 };
+    expect(verifyAssertion(authenticator.assert(createChallenge('webauthn.get'), { signCount: 6 }), credential, expected)).toBe(6);
+    expect(() =>
+      verifyAssertion(authenticator.assert(createChallenge('webauthn.get'), { signCount: 5 }), credential, expected)
+    ).toThrow('Signature counter did not increase');
+  });
+
+  it('should require user verification', () => {
+    const authenticator = createAuthenticator();
+    const credential = registered(authenticator);
+    const response = authenticator.assert(createChallenge('webauthn.get'), { flags: 0x01 });
+    expect(() => verifyAssertion(response, credential, expected)).toThrow('User not verified');
+  });
+});
+
+describe('Passkey file', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tt-passkey-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should require an absolute path', () => {
+    expect(() => validatePasskeyFile('passkeys.json')).toThrow('must be an absolute path');
+    expect(validatePasskeyFile('/etc/../tmp/passkeys.json')).toBe('/tmp/passkeys.json');
+  });
+
+  it('should start empty and round-trip 0600', () => {
+    const file = path.join(tmpDir, 'nested', 'passkeys.json');
+    expect(loadPasskeys(file)).toEqual([]);
+
+    const passkeys = [{ id: 'a', publicKey: 'b', alg: -7, signCount: 0, rpId: RP_ID, name: 'Phone' }];
+    savePasskeys(file, passkeys);
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    expect(fs.readdirSync(path.dirname(file))).toEqual(['passkeys.json']);
+    expect(loadPasskeys(file)).toEqual(passkeys);
+  });
+
+  it('should reject invalid files', () => {
+    const file = path.join(tmpDir, 'passkeys.json');
+    fs.writeFileSync(file, '{"passkeys":[{"id":1}]}');
+    expect(() => loadPasskeys(file)).toThrow('Invalid TINYTERMINAL_PASSKEY_FILE');
+    fs.writeFileSync(file, 'not json');
+    expect(() => loadPasskeys(file)).toThrow('Invalid TINYTERMINAL_PASSKEY_FILE');
+  });
+
+  it('should clean up passkey names', () => {
+    expect(normalizePasskeyName(' Pixel\x1b[31m ', 'Passkey 1')).toBe('Pixel[31m');
+    expect(normalizePasskeyName(undefined, 'Passkey 1')).toBe('Passkey 1');
+    expect(normalizePasskeyName('x'.repeat(100), 'Passkey 1')).toHaveLength(64);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Location   : tests/x509.test.js
+ * Purpose    : Test DER encoding and the generated CA and server certificates
+ * Why        : A certificate browsers or Node refuse to parse breaks HTTPS at startup
+ * Related    : src/x509.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import { tlv, integer, objectId, encodeTime, keyIdentifier, createCertificate } from '../src/x509.js';
+
+describe('DER encoding', () => {
+  it('should use short and long length forms', () => {
+    expect(tlv(0x04, Buffer.alloc(3)).subarray(0, 2)).toEqual(Buffer.from([0x04, 3]));
+    expect(tlv(0x04, Buffer.alloc(200)).subarray(0, 3)).toEqual(Buffer.from([0x04, 0x81, 200]));
+    expect(tlv(0x04, Buffer.alloc(300)).subarray(0, 4)).toEqual(Buffer.from([0x04, 0x82, 0x01, 0x2c]));
+  });
+
+  it('should encode minimal non-negative integers', () => {
+    expect(integer(0)).toEqual(Buffer.from([0x02, 1, 0]));
+    expect(integer(Buffer.from([0, 0, 5]))).toEqual(Buffer.from([0x02, 1, 5]));
+    expect(integer(Buffer.from([0x80]))).toEqual(Buffer.from([0x02, 2, 0, 0x80]));
+  });
+
+  it('should encode object identifiers with multi-byte arcs', () => {
+    // ecdsa-with-SHA256
+    expect(objectId('1.2.840.10045.4.3.2').toString('hex')).toBe('06082a8648ce3d040302');
+  });
+
+  it('should switch to GeneralizedTime in 2050', () => {
+    expect(encodeTime(new Date('2049-12-31T23:59:59Z')).toString('ascii', 2)).toBe('491231235959Z');
+    expect(encodeTime(new Date('2049-12-31T23:59:59Z'))[0]).toBe(0x17);
+    expect(encodeTime(new Date('2050-01-01T00:00:00Z')).toString('ascii', 2)).toBe('20500101000000Z');
+    expect(encodeTime(new Date('2050-01-01T00:00:00Z'))[0]).toBe(0x18);
+  });
+});
+
+describe('createCertificate', () => {
+  const notBefore = new Date('2026-01-01T00:00:00Z');
+  const notAfter = new Date('2027-01-01T00:00:00Z');
+  const caKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const caName = { commonName: 'Test CA', organizationName: 'TinyTerminal' };
+  const caPem = createCertificate({
+    subject: caName,
+    issuer: caName,
+    publicKey: caKeys.publicKey,
+    signingKey: caKeys.privateKey,
+    notBefore,
+    notAfter,
+    ca: true,
+  });
+
+  it('should create a self-signed CA certificate', () => {
+    const ca = new crypto.X509Certificate(caPem);
+    expect(ca.ca).toBe(true);
+    expect(ca.subject).toBe('O=TinyTerminal\nCN=Test CA');
+    expect(ca.issuer).toBe(ca.subject);
+    expect(ca.verify(caKeys.publicKey)).toBe(true);
+    expect(new Date(ca.validFrom)).toEqual(notBefore);
+    expect(new Date(ca.validTo)).toEqual(notAfter);
+  });
+
+  it('should create a server certificate for names and addresses, signed by the CA', () => {
+    const keys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const cert = new crypto.X509Certificate(
+      createCertificate({
+        subject: { commonName: 'localhost' },
+        issuer: caName,
+        publicKey: keys.publicKey,
+        signingKey: caKeys.privateKey,
+        issuerPublicKey: caKeys.publicKey,
+        notBefore,
+        notAfter,
+        hosts: ['localhost', 'myhost.tail1234.ts.net', '100.64.0.1', 'fd7a:115c:a1e0::1'],
+      })
+    );
+    const ca = new crypto.X509Certificate(caPem);
+
+    expect(cert.ca).toBe(false);
+    expect(cert.checkIssued(ca)).toBe(true);
+    expect(cert.verify(caKeys.publicKey)).toBe(true);
+    expect(cert.checkHost('myhost.tail1234.ts.net')).toBe('myhost.tail1234.ts.net');
+    expect(cert.checkIP('100.64.0.1')).toBe('100.64.0.1');
+    expect(cert.checkIP('fd7a:115c:a1e0::1')).toBe('fd7a:115c:a1e0::1');
+    expect(cert.checkHost('other.ts.net')).toBeUndefined();
+    expect(cert.keyUsage).toEqual(['1.3.6.1.5.5.7.3.1']);
+    expect(cert.serialNumber).not.toBe(ca.serialNumber);
+  });
+
+  it('should identify keys by the hash of their public key', () => {
+    expect(keyIdentifier(caKeys.publicKey)).toHaveLength(20);
+    expect(keyIdentifier(caKeys.publicKey)).toEqual(keyIdentifier(crypto.createPublicKey(caKeys.privateKey)));
+  });
+});